@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * RiX language server over stdio
+ */
+
+import { listen } from "../src/language-server.js";
+
+listen(process.stdin, process.stdout, { onExit: (code) => process.exit(code) });
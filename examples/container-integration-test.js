@@ -57,17 +57,17 @@ let total = 0;
 
 // Set container tests
 console.log('Set Containers:');
-passed += test('{1, 2, 3};', 'Set', 'Numbers');
-passed += test('{a, b, c};', 'Set', 'Identifiers');
-passed += test('{x + 1, y * 2, z / 3};', 'Set', 'Expressions');
-passed += test('{};', 'Set', 'Empty set');
+passed += test('{1, 2, 3};', 'SetLiteral', 'Numbers');
+passed += test('{a, b, c};', 'SetLiteral', 'Identifiers');
+passed += test('{x + 1, y * 2, z / 3};', 'SetLiteral', 'Expressions');
+passed += test('{};', 'SetLiteral', 'Empty set');
 total += 4;
 
 // Map container tests
 console.log('\nMap Containers:');
-passed += test('{a := 4, b := 5};', 'Map', 'Simple assignments');
-passed += test('{name := "John", age := 30};', 'Map', 'Mixed value types');
-passed += test('{x := 5, y := x * 2, z := SIN(PI/4)};', 'Map', 'Expression values');
+passed += test('{a := 4, b := 5};', 'MapLiteral', 'Simple assignments');
+passed += test('{name := "John", age := 30};', 'MapLiteral', 'Mixed value types');
+passed += test('{x := 5, y := x * 2, z := SIN(PI/4)};', 'MapLiteral', 'Expression values');
 total += 3;
 
 // PatternMatch container tests (these should error - brace syntax not allowed)
@@ -79,9 +79,9 @@ total += 3;
 
 // System container tests
 console.log('\nSystem Containers:');
-passed += test('{x :=: 3*x + 2; y :=: x};', 'System', 'Basic equations');
-passed += test('{a :=: b + c; b :=: 2*a - 1; c :=: a/2};', 'System', 'Multiple equations');
-passed += test('{x :>: 0; y :<: 10; z :=: x + y};', 'System', 'Mixed equation types');
+passed += test('{x :=: 3*x + 2; y :=: x};', 'EquationSystem', 'Basic equations');
+passed += test('{a :=: b + c; b :=: 2*a - 1; c :=: a/2};', 'EquationSystem', 'Multiple equations');
+passed += test('{x :>: 0; y :<: 10; z :=: x + y};', 'EquationSystem', 'Mixed equation types');
 total += 3;
 
 // Error cases
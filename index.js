@@ -1,4 +1,54 @@
 import { parse } from "./src/parser.js";
 import { tokenize } from "./src/tokenizer.js";
+import { RixSyntaxError, ERROR_CODES } from "./src/errors.js";
+import { parseCST, print } from "./src/cst.js";
+import { format } from "./src/formatter.js";
+import { toLatex } from "./src/latex.js";
+import { toMathML } from "./src/mathml.js";
+import {
+  visit,
+  transform,
+  getChildNodes,
+  VISITOR_KEYS,
+  SKIP,
+  REMOVE,
+} from "./src/visitor.js";
+import { validateAst } from "./src/validate.js";
+import { AST_SCHEMA } from "./src/ast-schema.js";
+import { decodeNumber } from "./src/numbers.js";
+import { migrateAst } from "./src/migrate.js";
+import { createDocument, RixDocument } from "./src/document.js";
+import {
+  classify,
+  classifyTokens,
+  renderHtml,
+  CATEGORIES,
+} from "./src/highlight.js";
 
-export { parse, tokenize };
+export {
+  parse,
+  tokenize,
+  RixSyntaxError,
+  ERROR_CODES,
+  parseCST,
+  print,
+  format,
+  toLatex,
+  toMathML,
+  visit,
+  transform,
+  getChildNodes,
+  VISITOR_KEYS,
+  SKIP,
+  REMOVE,
+  validateAst,
+  AST_SCHEMA,
+  decodeNumber,
+  migrateAst,
+  createDocument,
+  RixDocument,
+  classify,
+  classifyTokens,
+  renderHtml,
+  CATEGORIES,
+};
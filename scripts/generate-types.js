@@ -0,0 +1,137 @@
+/**
+ * Generates types/ast.d.ts and schema/ast.schema.json from src/ast-schema.js
+ * Run after changing the schema: bun run build:types
+ */
+
+import { writeFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { AST_SCHEMA, NODE_SCHEMAS } from "../src/ast-schema.js";
+
+const HEADER =
+  "// Generated by scripts/generate-types.js from src/ast-schema.js.\n" +
+  "// Do not edit by hand.\n";
+
+// Node interfaces get a Node suffix so they don't shadow Number, Array, ...
+function typeName(defName) {
+  return defName in NODE_SCHEMAS ? `${defName}Node` : defName;
+}
+
+function literal(value) {
+  return JSON.stringify(value);
+}
+
+function union(types) {
+  return [...new Set(types)].join(" | ");
+}
+
+function toType(schema, indent) {
+  if (schema.$ref) {
+    return typeName(schema.$ref.replace("#/$defs/", ""));
+  }
+  if ("const" in schema) {
+    return literal(schema.const);
+  }
+  if (schema.enum) {
+    return union(schema.enum.map(literal));
+  }
+  if (schema.oneOf || schema.anyOf) {
+    return union(
+      (schema.oneOf || schema.anyOf).map((s) => wrap(toType(s, indent))),
+    );
+  }
+  if (Array.isArray(schema.type)) {
+    return union(
+      schema.type.map((type) => toType({ ...schema, type }, indent)),
+    );
+  }
+  switch (schema.type) {
+    case "string":
+    case "boolean":
+    case "null":
+      return schema.type;
+    case "integer":
+    case "number":
+      return "number";
+    case "array": {
+      const item = toType(schema.items, indent);
+      if (
+        schema.minItems !== undefined &&
+        schema.minItems === schema.maxItems
+      ) {
+        return `[${Array(schema.minItems).fill(item).join(", ")}]`;
+      }
+      return `${wrap(item)}[]`;
+    }
+    case "object":
+      return objectType(schema, indent);
+    default:
+      return "unknown";
+  }
+}
+
+// Parenthesize unions used as array items
+function wrap(type) {
+  return type.includes(" | ") ? `(${type})` : type;
+}
+
+function objectType(schema, indent) {
+  if (!schema.properties) {
+    const value =
+      typeof schema.additionalProperties === "object"
+        ? toType(schema.additionalProperties, indent)
+        : "unknown";
+    return `{ [key: string]: ${value} }`;
+  }
+  return `{\n${members(schema, indent + "  ")}${indent}}`;
+}
+
+function members(schema, indent) {
+  const required = schema.required || [];
+  return Object.entries(schema.properties)
+    .map(([key, property]) => {
+      const optional = required.includes(key) ? "" : "?";
+      return `${indent}${key}${optional}: ${toType(property, indent)};\n`;
+    })
+    .join("");
+}
+
+function comment(schema) {
+  return schema.description ? `/** ${schema.description} */\n` : "";
+}
+
+export function generateDeclarations(schema = AST_SCHEMA) {
+  const parts = [HEADER];
+  for (const [name, def] of Object.entries(schema.$defs)) {
+    const docs = comment(def);
+    if (def.type === "object" && def.properties) {
+      parts.push(
+        `${docs}export interface ${typeName(name)} {\n${members(def, "  ")}}\n`,
+      );
+    } else {
+      parts.push(
+        `${docs}export type ${typeName(name)} = ${toType(def, "")};\n`,
+      );
+    }
+  }
+  parts.push(
+    "/** Every node type name */\n" +
+      `export type NodeType = NodeTypeMap[keyof NodeTypeMap]["type"];\n`,
+    "export interface NodeTypeMap {\n" +
+      Object.keys(NODE_SCHEMAS)
+        .map((name) => `  ${name}: ${typeName(name)};\n`)
+        .join("") +
+      "}\n",
+  );
+  return parts.join("\n");
+}
+
+export function generateJsonSchema(schema = AST_SCHEMA) {
+  return JSON.stringify(schema, null, 2) + "\n";
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const root = new URL("../", import.meta.url);
+  writeFileSync(new URL("types/ast.d.ts", root), generateDeclarations());
+  writeFileSync(new URL("schema/ast.schema.json", root), generateJsonSchema());
+  console.log("Wrote types/ast.d.ts and schema/ast.schema.json");
+}
@@ -0,0 +1,491 @@
+/**
+ * RiX AST Schema
+ * JSON Schema (draft 2020-12) describing every node type the parser emits.
+ * validate.js checks ASTs against it and scripts/generate-types.js derives
+ * types/ast.d.ts and schema/ast.schema.json from it
+ */
+
+import { NUMBER_FORMATS } from "./numbers.js";
+
+const ref = (name) => ({ $ref: `#/$defs/${name}` });
+
+const node = ref("Node");
+const optionalNode = { anyOf: [node, { type: "null" }] };
+const nodeList = { type: "array", items: node };
+const nodeMap = { type: "object", additionalProperties: node };
+const string = { type: "string" };
+const integer = { type: "integer" };
+
+// Properties shared by all nodes. pos and original are copied from the
+// node's first token; loc is present when parsing with { locations: true }
+const BASE_PROPERTIES = {
+  pos: ref("Position"),
+  original: string,
+  loc: ref("SourceSpan"),
+};
+
+// A node definition: type is the discriminator, the listed properties are
+// required unless named in `optional`
+function nodeSchema(type, description, properties = {}, optional = []) {
+  return {
+    description,
+    type: "object",
+    properties: {
+      type: Array.isArray(type) ? { enum: type } : { const: type },
+      ...BASE_PROPERTIES,
+      ...properties,
+    },
+    required: [
+      "type",
+      ...Object.keys(properties).filter((key) => !optional.includes(key)),
+    ],
+    additionalProperties: false,
+  };
+}
+
+const pipe = (type, description) =>
+  nodeSchema(type, description, { left: node, right: node });
+
+const generatorStep = (type, description) =>
+  nodeSchema(type, description, { operator: string, operand: node });
+
+const intervalOperation = (type, description, key) =>
+  nodeSchema(type, description, { interval: node, [key]: node });
+
+const calculus = {
+  function: node,
+  order: integer,
+  variables: {
+    anyOf: [
+      { type: "array", items: ref("CalculusVariable") },
+      { type: "null" },
+    ],
+  },
+  evaluation: { anyOf: [nodeList, { type: "null" }] },
+  operations: { anyOf: [nodeList, { type: "null" }] },
+};
+
+export const NODE_SCHEMAS = {
+  // Leaves
+  Number: nodeSchema(
+    "Number",
+    "Numeric literal, kept as source text; decodeNumber gives its value",
+    { value: string, format: { enum: NUMBER_FORMATS } },
+  ),
+  // A comment inside an expression is currently parsed as an operand,
+  // producing a String of kind "comment"
+  String: nodeSchema("String", "Quoted string literal", {
+    value: string,
+    kind: { enum: ["quote", "comment"] },
+  }),
+  UserIdentifier: nodeSchema("UserIdentifier", "Lowercase-initial name", {
+    name: string,
+  }),
+  SystemIdentifier: nodeSchema(
+    "SystemIdentifier",
+    "Capital-initial name with its system lookup result",
+    { name: string, systemInfo: { type: "object" } },
+  ),
+  PlaceHolder: nodeSchema("PlaceHolder", "Positional placeholder _1, __2", {
+    place: integer,
+  }),
+  NULL: nodeSchema("NULL", "The _ null literal"),
+  Comment: nodeSchema("Comment", "Line or block comment statement", {
+    value: string,
+    kind: { const: "comment" },
+  }),
+  EmbeddedLanguage: nodeSchema(
+    "EmbeddedLanguage",
+    "Backtick literal; language is RiX-String for plain text",
+    {
+      language: { type: ["string", "null"] },
+      context: { type: ["string", "null"] },
+      body: string,
+    },
+  ),
+  InterpolatedString: nodeSchema(
+    "InterpolatedString",
+    "Backtick string with ${...} expressions; parts alternate text and expressions, starting and ending with text",
+    { parts: { type: "array", items: { anyOf: [string, node] } } },
+  ),
+  ScopedIdentifier: nodeSchema(
+    "ScopedIdentifier",
+    "@x (depth 1), @@x (depth 2), ...: variable x that many scopes out",
+    { name: string, depth: integer },
+  ),
+  Error: nodeSchema(
+    "Error",
+    "Unparseable statement, produced only in recover mode",
+    { message: string },
+  ),
+
+  Statement: nodeSchema("Statement", "Top-level expression statement", {
+    expression: node,
+  }),
+
+  // Operators
+  BinaryOperation: nodeSchema(
+    "BinaryOperation",
+    "Infix operator; implicit marks multiplication by juxtaposition",
+    {
+      operator: string,
+      left: node,
+      right: node,
+      implicit: { type: "boolean" },
+    },
+    ["implicit"],
+  ),
+  ScopedAssignment: nodeSchema(
+    "ScopedAssignment",
+    "@x :@= value: assignment in the scope of its ScopedIdentifier target",
+    { target: node, value: node },
+  ),
+  UnaryOperation: nodeSchema(
+    "UnaryOperation",
+    "Prefix operator, or postfix when postfix is true",
+    { operator: string, operand: node, postfix: { type: "boolean" } },
+    ["postfix"],
+  ),
+  CustomOperation: nodeSchema(
+    "CustomOperation",
+    "Operator registered through the system lookup",
+    {
+      operator: string,
+      operatorType: { enum: ["prefix", "infix", "postfix"] },
+      registry: string,
+      left: node,
+      right: node,
+      operand: node,
+    },
+    ["left", "right", "operand"],
+  ),
+  TernaryOperation: nodeSchema("TernaryOperation", "cond ?? a ?: b", {
+    condition: node,
+    trueExpression: node,
+    falseExpression: node,
+  }),
+
+  // Groupings and containers
+  Grouping: nodeSchema("Grouping", "Parenthesized expression", {
+    expression: node,
+  }),
+  ParameterList: nodeSchema(
+    "ParameterList",
+    "Parenthesized parameter list containing a semicolon",
+    { parameters: ref("Parameters") },
+  ),
+  Tuple: nodeSchema("Tuple", "Parenthesized comma list", {
+    elements: nodeList,
+  }),
+  Array: nodeSchema("Array", "Square-bracket list", { elements: nodeList }),
+  Matrix: nodeSchema("Matrix", "Array rows separated by single semicolons", {
+    rows: { type: "array", items: nodeList },
+  }),
+  Tensor: nodeSchema("Tensor", "Array with ;; or deeper separators", {
+    structure: { type: "array", items: ref("TensorRow") },
+    maxDimension: integer,
+  }),
+  WithMetadata: nodeSchema(
+    "WithMetadata",
+    "Array holding key := value metadata",
+    { primary: node, metadata: nodeMap },
+  ),
+  SetLiteral: nodeSchema("SetLiteral", "Brace container of values", {
+    elements: nodeList,
+  }),
+  MapLiteral: nodeSchema(
+    "MapLiteral",
+    "Brace container of key := value pairs",
+    { elements: nodeList },
+  ),
+  EquationSystem: nodeSchema(
+    "EquationSystem",
+    "Brace container of :=:, :<: ... equations",
+    { elements: nodeList },
+  ),
+  CodeBlock: nodeSchema("CodeBlock", "{{ statements }}", {
+    statements: nodeList,
+  }),
+
+  // Control flow
+  ControlStructure: nodeSchema(
+    "ControlStructure",
+    "IF, WHILE, FOR, REPEAT and the BREAK, CONTINUE and RETURN jumps; " +
+      "structure says which fields are set. functionalOrigin marks the " +
+      "WHILE(condition, body) form",
+    {
+      keyword: string,
+      structure: {
+        enum: [
+          "conditional",
+          "while_loop",
+          "for_loop",
+          "for_each",
+          "repeat_loop",
+          "break",
+          "continue",
+          "return",
+        ],
+      },
+      condition: node,
+      thenBranch: node,
+      elseBranch: node,
+      init: node,
+      increment: node,
+      variable: string,
+      source: node,
+      body: node,
+      value: node,
+      elseKeyword: string,
+      inKeyword: string,
+      toKeyword: string,
+      untilKeyword: string,
+      functionalOrigin: { type: "boolean" },
+    },
+    [
+      "condition",
+      "thenBranch",
+      "elseBranch",
+      "init",
+      "increment",
+      "variable",
+      "source",
+      "body",
+      "value",
+      "elseKeyword",
+      "inKeyword",
+      "toKeyword",
+      "untilKeyword",
+      "functionalOrigin",
+    ],
+  ),
+
+  // Generators
+  Comprehension: nodeSchema(
+    "Comprehension",
+    "[expression FOR x IN source IF condition] (array) or the { } set form",
+    {
+      container: { enum: ["array", "set"] },
+      expression: node,
+      clauses: { type: "array", items: ref("ComprehensionClause") },
+    },
+  ),
+  ComprehensionBinding: nodeSchema(
+    "ComprehensionBinding",
+    "FOR variable IN source clause; keywords keep their source spelling",
+    { keyword: string, variable: string, inKeyword: string, source: node },
+  ),
+  ComprehensionFilter: nodeSchema(
+    "ComprehensionFilter",
+    "IF condition clause",
+    { keyword: string, condition: node },
+  ),
+
+  GeneratorChain: nodeSchema(
+    "GeneratorChain",
+    "Start value followed by |+ |* |: |? |^ |^: steps",
+    {
+      start: optionalNode,
+      operators: { type: "array", items: ref("GeneratorStep") },
+    },
+  ),
+  GeneratorAdd: generatorStep("GeneratorAdd", "|+ step"),
+  GeneratorMultiply: generatorStep("GeneratorMultiply", "|* step"),
+  GeneratorFunction: generatorStep("GeneratorFunction", "|: step"),
+  GeneratorFilter: generatorStep("GeneratorFilter", "|? step"),
+  GeneratorLimit: generatorStep("GeneratorLimit", "|^ step"),
+  GeneratorLazyLimit: generatorStep("GeneratorLazyLimit", "|^: step"),
+
+  // Calls and postfix operators
+  FunctionCall: nodeSchema("FunctionCall", "Call of an identifier", {
+    function: node,
+    arguments: ref("Arguments"),
+  }),
+  Call: nodeSchema("Call", "Call of any other expression", {
+    target: node,
+    arguments: ref("Arguments"),
+  }),
+  PropertyAccess: nodeSchema("PropertyAccess", "a.b or a[i]", {
+    object: node,
+    property: node,
+  }),
+  At: nodeSchema("At", "x@(arg)", { target: node, arg: node }),
+  Ask: nodeSchema("Ask", "x?(arg)", { target: node, arg: node }),
+  ScientificUnit: nodeSchema("ScientificUnit", "x~[unit]", {
+    target: node,
+    unit: string,
+  }),
+  MathematicalUnit: nodeSchema("MathematicalUnit", "x~{unit}", {
+    target: node,
+    unit: string,
+  }),
+
+  // Calculus
+  Derivative: nodeSchema("Derivative", "f'[x](...)", calculus),
+  Integral: nodeSchema("Integral", "'f[x](...)", {
+    ...calculus,
+    metadata: {
+      type: "object",
+      properties: { integrationConstant: string, defaultValue: integer },
+      required: ["integrationConstant", "defaultValue"],
+      additionalProperties: false,
+    },
+  }),
+
+  // Functions
+  FunctionLambda: nodeSchema("FunctionLambda", "(params) -> body", {
+    parameters: ref("Parameters"),
+    body: node,
+  }),
+  FunctionDefinition: nodeSchema("FunctionDefinition", "f(params) :-> body", {
+    name: node,
+    parameters: ref("Parameters"),
+    body: node,
+  }),
+  PatternMatchingFunction: nodeSchema(
+    "PatternMatchingFunction",
+    "f :=> [patterns]",
+    {
+      name: node,
+      parameters: ref("Parameters"),
+      patterns: { type: "array", items: ref("Pattern") },
+      metadata: nodeMap,
+    },
+  ),
+
+  // Pipes
+  Pipe: pipe("Pipe", "a |> f"),
+  ExplicitPipe: pipe("ExplicitPipe", "a ||> f(_1)"),
+  PipeMap: pipe("PipeMap", "a |>> f"),
+  PipeFilter: pipe("PipeFilter", "a |>? f"),
+  PipeReduce: pipe("PipeReduce", "a |>: f"),
+
+  // Intervals and sequences
+  IntervalStepping: intervalOperation("IntervalStepping", "a:b :+ n", "step"),
+  // The parser overwrites this node's type with its "equally_spaced"
+  // division kind, so both spellings are accepted
+  IntervalDivision: intervalOperation(
+    ["IntervalDivision", "equally_spaced"],
+    "a:b :: n (the type is reported as equally_spaced)",
+    "count",
+  ),
+  IntervalPartition: intervalOperation(
+    "IntervalPartition",
+    "a:b :/: n",
+    "count",
+  ),
+  IntervalMediants: intervalOperation("IntervalMediants", "a:b :~ n", "levels"),
+  IntervalMediantPartition: intervalOperation(
+    "IntervalMediantPartition",
+    "a:b :~/ n",
+    "levels",
+  ),
+  IntervalRandom: intervalOperation("IntervalRandom", "a:b :% n", "parameters"),
+  IntervalRandomPartition: intervalOperation(
+    "IntervalRandomPartition",
+    "a:b :/% n",
+    "count",
+  ),
+  InfiniteSequence: nodeSchema("InfiniteSequence", "a ::+ step", {
+    start: node,
+    step: node,
+  }),
+};
+
+// Records that hold nodes but are not nodes themselves
+const SUPPORT_SCHEMAS = {
+  Program: {
+    description: "parse() result: one node per statement",
+    type: "array",
+    items: node,
+  },
+  Node: {
+    description: "Any AST node, discriminated by type",
+    oneOf: Object.keys(NODE_SCHEMAS).map(ref),
+  },
+  Position: {
+    description: "[start incl. whitespace, value start, end] offsets",
+    type: "array",
+    items: integer,
+    minItems: 3,
+    maxItems: 3,
+  },
+  SourcePoint: {
+    type: "object",
+    properties: { line: integer, column: integer, offset: integer },
+    required: ["line", "column", "offset"],
+    additionalProperties: false,
+  },
+  SourceSpan: {
+    type: "object",
+    properties: { start: ref("SourcePoint"), end: ref("SourcePoint") },
+    required: ["start", "end"],
+    additionalProperties: false,
+  },
+  Arguments: {
+    type: "object",
+    properties: { positional: nodeList, keyword: nodeMap },
+    required: ["positional", "keyword"],
+    additionalProperties: false,
+  },
+  Parameter: {
+    type: "object",
+    properties: {
+      name: { type: ["string", "null"] },
+      defaultValue: optionalNode,
+    },
+    required: ["name", "defaultValue"],
+    additionalProperties: false,
+  },
+  Parameters: {
+    description: "Parameter lists of functions, lambdas and patterns",
+    type: "object",
+    properties: {
+      positional: { type: "array", items: ref("Parameter") },
+      keyword: { type: "array", items: ref("Parameter") },
+      conditionals: nodeList,
+      metadata: { type: "object" },
+    },
+    required: ["positional", "keyword", "conditionals", "metadata"],
+    additionalProperties: false,
+  },
+  Pattern: {
+    type: "object",
+    properties: { parameters: ref("Parameters"), body: node },
+    required: ["parameters", "body"],
+    additionalProperties: false,
+  },
+  TensorRow: {
+    description: "Row of a Tensor and the separator level that ends it",
+    type: "object",
+    properties: { row: nodeList, separatorLevel: integer },
+    required: ["row", "separatorLevel"],
+    additionalProperties: false,
+  },
+  GeneratorStep: {
+    oneOf: [
+      "GeneratorAdd",
+      "GeneratorMultiply",
+      "GeneratorFunction",
+      "GeneratorFilter",
+      "GeneratorLimit",
+      "GeneratorLazyLimit",
+    ].map(ref),
+  },
+  ComprehensionClause: {
+    oneOf: ["ComprehensionBinding", "ComprehensionFilter"].map(ref),
+  },
+  CalculusVariable: {
+    type: "object",
+    properties: { name: string, original: string },
+    required: ["name", "original"],
+    additionalProperties: false,
+  },
+};
+
+export const AST_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title: "RiX AST",
+  $ref: "#/$defs/Program",
+  $defs: { ...NODE_SCHEMAS, ...SUPPORT_SCHEMAS },
+};
@@ -0,0 +1,202 @@
+/**
+ * RiX Concrete Syntax Tree
+ * Lossless tree over the token stream: every token, whitespace run and
+ * comment is kept, so print(parseCST(source)) === source
+ */
+
+import { tokenize } from "./tokenizer.js";
+import { parse } from "./parser.js";
+import { tokenRange } from "./locations.js";
+import { getChildNodes } from "./visitor.js";
+
+function isComment(token) {
+  return token.type === "String" && token.kind === "comment";
+}
+
+// Parse source into a CST. Tree shapes:
+//   { kind: "node", type, node, children }   - wraps an AST node ("Program" at the root)
+//   { kind: "token", type, value, text, leadingTrivia, trailingTrivia, token }
+// Trivia items are { type: "Whitespace" | "Comment" | "Skipped", text }.
+// Trailing trivia runs to the end of the token's line; the rest of the gap
+// before the next token is that token's leading trivia.
+// With { recover: true } returns { cst, diagnostics } like parse()
+export function parseCST(input, systemLookup, options = {}) {
+  const diagnostics = [];
+  const tokens = tokenize(input, {
+    operators:
+      systemLookup && typeof systemLookup.operatorSymbols === "function"
+        ? systemLookup.operatorSymbols()
+        : [],
+    onError: options.recover
+      ? (error) => diagnostics.push(error.toDiagnostic())
+      : undefined,
+  });
+
+  // Comments become trivia, so the parser sees them nowhere - not even
+  // in the middle of an expression
+  const significant = tokens.filter((token) => !isComment(token));
+  // Comment start offset -> end offset
+  const comments = new Map(tokens.filter(isComment).map(tokenRange));
+
+  const result = parse(significant, systemLookup, {
+    ...options,
+    source: input,
+    locations: true,
+  });
+  const ast = options.recover ? result.ast : result;
+
+  const cstTokens = buildTokens(input, significant, comments);
+  const cursor = { index: 0 };
+  const cst = {
+    kind: "node",
+    type: "Program",
+    node: ast,
+    children: buildChildren(ast, cstTokens, cursor, Infinity),
+  };
+
+  if (!options.recover) {
+    return cst;
+  }
+  return {
+    cst,
+    diagnostics: [...diagnostics, ...result.diagnostics].sort(
+      (a, b) => a.range[0] - b.range[0],
+    ),
+  };
+}
+
+// Reproduce the source text of a CST (or any subtree of one)
+export function print(cst) {
+  if (cst.kind === "token") {
+    return (
+      cst.leadingTrivia.map((trivia) => trivia.text).join("") +
+      cst.text +
+      cst.trailingTrivia.map((trivia) => trivia.text).join("")
+    );
+  }
+  return cst.children.map(print).join("");
+}
+
+// Turn significant tokens into CST tokens, distributing the text between
+// them as trivia
+function buildTokens(input, significant, comments) {
+  const result = [];
+  let previousEnd = 0;
+
+  for (const token of significant) {
+    const [start, end] = tokenRange(token);
+    const trivia = splitTrivia(input, previousEnd, start, comments);
+    const previous = result[result.length - 1];
+
+    if (previous) {
+      previous.trailingTrivia = takeSameLine(trivia);
+    }
+
+    result.push({
+      kind: "token",
+      type: token.type,
+      value: token.value,
+      text: input.slice(start, end),
+      leadingTrivia: trivia,
+      trailingTrivia: [],
+      start,
+      token,
+    });
+    previousEnd = end;
+  }
+
+  return result;
+}
+
+// Split the text in [start, end) into whitespace, comment and skipped pieces
+function splitTrivia(input, start, end, comments) {
+  const pieces = [];
+  let position = start;
+
+  while (position < end) {
+    if (comments.has(position)) {
+      const commentEnd = comments.get(position);
+      pieces.push({ type: "Comment", text: input.slice(position, commentEnd) });
+      position = commentEnd;
+      continue;
+    }
+
+    const whitespace = /\s/.test(input[position]);
+    let next = position + 1;
+    while (
+      next < end &&
+      /\s/.test(input[next]) === whitespace &&
+      !comments.has(next)
+    ) {
+      next++;
+    }
+    pieces.push({
+      type: whitespace ? "Whitespace" : "Skipped",
+      text: input.slice(position, next),
+    });
+    position = next;
+  }
+
+  return pieces;
+}
+
+// Remove and return the trivia before the first line break
+function takeSameLine(trivia) {
+  const sameLine = [];
+  while (trivia.length > 0) {
+    const piece = trivia[0];
+    const newline = piece.type === "Whitespace" ? piece.text.indexOf("\n") : -1;
+    if (newline === -1) {
+      sameLine.push(trivia.shift());
+      continue;
+    }
+    if (newline > 0) {
+      sameLine.push({ type: "Whitespace", text: piece.text.slice(0, newline) });
+      trivia[0] = { type: "Whitespace", text: piece.text.slice(newline) };
+    }
+    break;
+  }
+  return sameLine;
+}
+
+// Interleave the located child nodes of an AST node with the tokens that
+// belong to it directly. cursor.index walks the CST token list in order
+function buildChildren(node, cstTokens, cursor, end) {
+  const children = [];
+
+  // The root is the program's statement list
+  const nodes = (Array.isArray(node) ? node : getChildNodes(node)).filter(
+    (child) => child.loc,
+  );
+  nodes.sort((a, b) => a.loc.start.offset - b.loc.start.offset);
+
+  const takeTokensBefore = (offset) => {
+    while (
+      cursor.index < cstTokens.length &&
+      cstTokens[cursor.index].start < offset &&
+      cstTokens[cursor.index].start < end
+    ) {
+      children.push(cstTokens[cursor.index]);
+      cursor.index++;
+    }
+  };
+
+  for (const child of nodes) {
+    const childStart = child.loc.start.offset;
+    const childEnd = child.loc.end.offset;
+    const next = cstTokens[cursor.index];
+    if (childEnd > end || (next && next.start > childStart)) {
+      continue; // Overlaps a sibling; its tokens stay with this node
+    }
+    takeTokensBefore(childStart);
+    children.push({
+      kind: "node",
+      type: child.type,
+      node: child,
+      children: buildChildren(child, cstTokens, cursor, childEnd),
+    });
+  }
+
+  takeTokensBefore(end);
+  return children;
+}
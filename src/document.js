@@ -0,0 +1,379 @@
+/**
+ * RiX Documents
+ * Incremental re-tokenization and re-parsing for editors. A document keeps
+ * its tokens and top-level statements. An edit re-lexes from just before
+ * the change until the new tokens line up with the old ones again, then
+ * re-parses from the first statement that could see the change until the
+ * statement boundaries line up again. Everything else is reused
+ */
+
+import { scanTokens } from "./tokenizer.js";
+import { Parser, keywordTest, postfixTest } from "./parser.js";
+import { createLocator, rangeToSpan, tokenRange } from "./locations.js";
+import { toLegacyNodeTypes } from "./migrate.js";
+
+// Create a document for text. options are those of parse(): systemLookup
+// plus separators, implicitMultiplication, locations, ... Documents always
+// parse in recover mode, so doc.ast and doc.diagnostics equal
+// parse(doc.text, systemLookup, { ...options, recover: true })
+export function createDocument(text, options = {}) {
+  return new RixDocument(text, options);
+}
+
+export class RixDocument {
+  constructor(text, options = {}) {
+    const { systemLookup, ...parseOptions } = options;
+    this.systemLookup = systemLookup;
+    this.parseOptions = { ...parseOptions, recover: true };
+    this.operators =
+      systemLookup && typeof systemLookup.operatorSymbols === "function"
+        ? systemLookup.operatorSymbols()
+        : [];
+    this.isKeyword = keywordTest(systemLookup);
+    this.isPostfix = postfixTest(systemLookup);
+    this.text = text;
+    this.version = 0;
+
+    this.lexDiagnostics = [];
+    this.tokens = [
+      ...scanTokens(text, {
+        operators: this.operators,
+        isKeyword: this.isKeyword,
+        isPostfix: this.isPostfix,
+        onError: (error) => this.lexDiagnostics.push(error.toDiagnostic()),
+      }),
+    ];
+    // Top-level items in source order: { node, start, end, horizon,
+    // diagnostics, unterminated }. node is null for a lone ";" or a skipped
+    // token; start/end are token indices (end is the next item's start),
+    // horizon is the index of the furthest token its parse looked at and
+    // unterminated is the parser's separator state after the item
+    this.items = this.parseItems(0, null, null, () => false);
+  }
+
+  // Top-level statements, as returned by parse()
+  get ast() {
+    const ast = this.items.filter((item) => item.node).map((item) => item.node);
+    return this.parseOptions.legacyNodeTypes ? toLegacyNodeTypes(ast) : ast;
+  }
+
+  get diagnostics() {
+    return [
+      ...this.lexDiagnostics,
+      ...this.items.flatMap((item) => item.diagnostics),
+    ].sort((a, b) => a.range[0] - b.range[0]);
+  }
+
+  // Replace text[start, end) with text. Returns { changed, removed }:
+  // changed lists the indices in doc.ast of the statements that were
+  // re-parsed, removed the old statement nodes they replace. Statements
+  // after the edit keep their identity; their pos and loc are updated in
+  // place
+  applyEdit({ start, end = start, text = "" }) {
+    if (!(0 <= start && start <= end && end <= this.text.length)) {
+      throw new RangeError(
+        `Edit range [${start}, ${end}] is outside the document (length ${this.text.length})`,
+      );
+    }
+    const delta = text.length - (end - start);
+    const newEnd = start + text.length;
+    // Lines move even when the length doesn't if a new line is added or
+    // removed
+    const moved = delta !== 0 || /\n/.test(this.text.slice(start, end) + text);
+    const shiftOffset = (offset) => (offset >= end ? offset + delta : offset);
+    this.text = this.text.slice(0, start) + text + this.text.slice(end);
+    this.version++;
+
+    const lexed = this.relex(start, end, newEnd, delta);
+    const locate = this.parseOptions.locations
+      ? createLocator(this.text)
+      : null;
+
+    // The first item whose parse looked at a changed token
+    const oldItems = this.items;
+    let first = oldItems.findIndex((item) => item.horizon >= lexed.first);
+    if (first === -1) {
+      first = oldItems.length;
+    }
+    const startIndex =
+      first < oldItems.length
+        ? oldItems[first].start
+        : oldItems.length > 0
+          ? oldItems[oldItems.length - 1].end
+          : 0;
+    const previousItems = oldItems.slice(0, first);
+    const unterminated = first > 0 ? oldItems[first - 1].unterminated : null;
+    const lastDiagnostic = previousItems
+      .flatMap((item) => item.diagnostics)
+      .pop();
+
+    // Stop re-parsing at an old item boundary past the changed tokens where
+    // the parser is in the same state as it was before the edit: the same
+    // separator state with an unedited gap before the item, and the same
+    // last diagnostic wherever it could hide one of the item's own
+    const oldStarts = new Map();
+    let oldLast = lastDiagnostic;
+    for (let i = first; i < oldItems.length; i++) {
+      oldStarts.set(oldItems[i].start, { index: i, last: oldLast });
+      oldLast = oldItems[i].diagnostics.at(-1) || oldLast;
+    }
+    let resume = oldItems.length;
+    const reparsed = this.parseItems(
+      startIndex,
+      unterminated,
+      lastDiagnostic,
+      (index, state, last) => {
+        if (index < lexed.changedEnd) {
+          return false;
+        }
+        const match = oldStarts.get(index - lexed.tokenDelta);
+        if (match === undefined) {
+          return false;
+        }
+        const before =
+          match.index > 0 ? oldItems[match.index - 1].unterminated : null;
+        if (state !== (before === null ? null : shiftOffset(before))) {
+          return false;
+        }
+        // The item checks the text between the statement before and its own
+        // first token for a separator, so an edit there (in a comment, say)
+        // can add or remove a diagnostic
+        if (state !== null && newEnd > state) {
+          return false;
+        }
+        // A last diagnostic from the separator gap on can hide the item's
+        // first one. The item's token is past the edit, so it used to start
+        // delta earlier
+        const itemStart = tokenRange(this.tokens[index])[0];
+        const hidden = (diagnostic, threshold) =>
+          diagnostic && diagnostic.range[0] >= threshold
+            ? diagnostic.range[0]
+            : null;
+        const oldHidden = hidden(
+          match.last,
+          Math.min(before ?? Infinity, itemStart - delta),
+        );
+        if (
+          hidden(last, Math.min(state ?? Infinity, itemStart)) !==
+          (oldHidden === null ? null : shiftOffset(oldHidden))
+        ) {
+          return false;
+        }
+        resume = match.index;
+        return true;
+      },
+    );
+
+    const reused = oldItems.slice(resume);
+    for (const item of reused) {
+      item.start += lexed.tokenDelta;
+      item.end += lexed.tokenDelta;
+      item.horizon += lexed.tokenDelta;
+      if (moved) {
+        // A separator diagnostic starts at the end of the statement before,
+        // which can be before the edit
+        if (item.unterminated !== null) {
+          item.unterminated = shiftOffset(item.unterminated);
+        }
+        item.diagnostics = item.diagnostics.map((diagnostic) =>
+          shiftDiagnostic(diagnostic, shiftOffset),
+        );
+        shiftPositions(item.node, delta, locate, new Set());
+      }
+    }
+    this.items = [...previousItems, ...reparsed, ...reused];
+
+    const statementsBefore = previousItems.filter((item) => item.node).length;
+    const changed = reparsed
+      .filter((item) => item.node)
+      .map((_, index) => statementsBefore + index);
+    const removed = oldItems
+      .slice(first, resume)
+      .filter((item) => item.node)
+      .map((item) => item.node);
+    return { changed, removed };
+  }
+
+  // Re-lex after an edit of the old text [start, end) that now ends at
+  // newEnd. Scanning starts one token before the change, since a token's
+  // match can depend on the characters after it, and stops at the first
+  // token past the change that equals an old token. Returns the index of
+  // the first re-lexed token, the end of the changed tokens and the
+  // change in token count
+  relex(start, end, newEnd, delta) {
+    const oldTokens = this.tokens;
+    const first = Math.max(
+      0,
+      oldTokens.findIndex((token) => token.pos[2] >= start) - 1,
+    );
+    let previous = null;
+    for (let i = first - 1; i >= 0; i--) {
+      if (!isComment(oldTokens[i])) {
+        previous = oldTokens[i];
+        break;
+      }
+    }
+
+    // Lexer errors are unclosed strings and comments, which run to the end
+    // of the input and name their offset in the message, so scanning never
+    // stops before one
+    const lastError = this.lexDiagnostics.reduce(
+      (latest, diagnostic) => Math.max(latest, diagnostic.range[0]),
+      -Infinity,
+    );
+    const errors = [];
+    const scanned = [];
+    let resume = oldTokens.length;
+    for (const token of scanTokens(this.text, {
+      start: oldTokens[first].pos[0],
+      previous,
+      operators: this.operators,
+      isKeyword: this.isKeyword,
+      isPostfix: this.isPostfix,
+      onError: (error) => errors.push(error.toDiagnostic()),
+    })) {
+      // A comment doesn't carry the "-" context forward, so the tokens
+      // after it could still differ
+      if (
+        token.pos[0] >= newEnd &&
+        token.pos[0] - delta > lastError &&
+        !isComment(token)
+      ) {
+        const match = findToken(oldTokens, token.pos[0] - delta, first);
+        if (match !== -1 && sameToken(oldTokens[match], token, delta)) {
+          resume = match;
+          break;
+        }
+      }
+      scanned.push(token);
+    }
+
+    // Lexer diagnostics before the re-lexed region stand; the rest come
+    // from this scan
+    const relexStart = oldTokens[first].pos[0];
+    this.lexDiagnostics = [
+      ...this.lexDiagnostics.filter(
+        (diagnostic) => diagnostic.range[0] < relexStart,
+      ),
+      ...errors,
+    ];
+
+    const shifted = oldTokens
+      .slice(resume)
+      .map((token) =>
+        delta === 0
+          ? token
+          : { ...token, pos: token.pos.map((offset) => offset + delta) },
+      );
+    this.tokens = [...oldTokens.slice(0, first), ...scanned, ...shifted];
+    return {
+      first,
+      changedEnd: first + scanned.length,
+      tokenDelta: scanned.length - (resume - first),
+    };
+  }
+
+  // Parse items from tokens[index] until the input ends or stop(index,
+  // unterminated, lastDiagnostic) is true at an item boundary
+  parseItems(index, unterminated, lastDiagnostic, stop) {
+    const parser = new Parser(this.tokens, this.systemLookup, {
+      ...this.parseOptions,
+      source: this.text,
+    });
+    parser.seek(index);
+    parser.unterminated = unterminated;
+    // The parser drops a diagnostic at the same place as the one before it
+    parser.diagnostics = lastDiagnostic ? [lastDiagnostic] : [];
+
+    const items = [];
+    while (parser.current.type !== "End") {
+      const start = parser.position - 1;
+      if (stop(start, parser.unterminated, parser.diagnostics.at(-1))) {
+        break;
+      }
+      const reported = parser.diagnostics.length;
+      parser.horizon = start;
+      const node = parser.parseTopLevel();
+      items.push({
+        node,
+        start,
+        end: parser.position - 1,
+        horizon: parser.horizon,
+        diagnostics: parser.diagnostics.slice(reported),
+        unterminated: parser.unterminated,
+      });
+    }
+    return items;
+  }
+}
+
+// Lexer messages end with the offset they start at, which moves with the
+// range
+function shiftDiagnostic(diagnostic, shiftOffset) {
+  return {
+    ...diagnostic,
+    message: diagnostic.message.replace(
+      / at position (\d+)$/,
+      (_, offset) => ` at position ${shiftOffset(Number(offset))}`,
+    ),
+    range: diagnostic.range.map(shiftOffset),
+  };
+}
+
+function isComment(token) {
+  return token.type === "String" && token.kind === "comment";
+}
+
+// Index of the token starting at offset, searching from index from
+function findToken(tokens, offset, from) {
+  let low = from;
+  let high = tokens.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const start = tokens[mid].pos[0];
+    if (start === offset) {
+      return mid;
+    }
+    if (start < offset) {
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return -1;
+}
+
+function sameToken(old, token, delta) {
+  return (
+    old.type === token.type &&
+    old.value === token.value &&
+    old.kind === token.kind &&
+    old.original === token.original &&
+    old.pos.every((offset, i) => offset + delta === token.pos[i])
+  );
+}
+
+// Move the pos and loc of every node in a reused subtree by delta. Nodes
+// can share pos arrays, so arrays are replaced rather than changed
+function shiftPositions(value, delta, locate, seen) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => shiftPositions(item, delta, locate, seen));
+    return;
+  }
+  if (value === null || typeof value !== "object" || seen.has(value)) {
+    return;
+  }
+  seen.add(value);
+  for (const [key, item] of Object.entries(value)) {
+    if (key === "pos" && Array.isArray(item)) {
+      value.pos = item.map((offset) => offset + delta);
+    } else if (key === "loc" && item && locate) {
+      value.loc = rangeToSpan(
+        [item.start.offset + delta, item.end.offset + delta],
+        locate,
+      );
+    } else if (key !== "systemInfo") {
+      shiftPositions(item, delta, locate, seen);
+    }
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * RiX Syntax Errors
+ * Structured errors thrown by the tokenizer and parser
+ */
+
+// Stable error codes; tooling should match on these rather than messages
+export const ERROR_CODES = {
+  E_SYNTAX: "Generic syntax error",
+  E_UNEXPECTED_TOKEN: "A token appeared where it cannot be used",
+  E_UNEXPECTED_END: "The input ended in the middle of a construct",
+  E_UNCLOSED_PAREN: "A ( has no matching )",
+  E_UNCLOSED_BRACKET: "A [ or ~[ has no matching ]",
+  E_UNCLOSED_BRACE: "A { or ~{ has no matching }",
+  E_UNCLOSED_CODE_BLOCK: "A {{ has no matching }}",
+  E_DELIMITER_UNMATCHED:
+    "A string, backtick or comment delimiter is not closed",
+  E_TERNARY_INCOMPLETE: "A ?? ternary is missing its ?: branch",
+  E_INVALID_METADATA_KEY: "A metadata key is not an identifier or string",
+  E_MIXED_CONTAINER: "A container mixes incompatible element kinds",
+  E_INVALID_CONTAINER: "A brace container does not follow its container rules",
+  E_INVALID_PARAMETER: "A function parameter is malformed",
+  E_INVALID_ARGUMENT: "A function call argument is malformed",
+  E_INVALID_EMBEDDED_HEADER: "An embedded language header is malformed",
+  E_INVALID_UNIT: "A unit expression is malformed",
+  E_INVALID_COMPREHENSION: "A comprehension clause is malformed",
+  E_INVALID_CONTROL:
+    "An IF, WHILE, FOR or REPEAT statement or functional form is malformed",
+  E_MISPLACED_CONTROL:
+    "A BREAK or CONTINUE is outside a loop, or a RETURN outside a function",
+  E_INVALID_SCOPE:
+    "An @ outer-scope variable is malformed or reaches past the enclosing scopes",
+  E_MISSING_SEPARATOR:
+    "Two top-level expressions have no separator between them",
+};
+
+export class RixSyntaxError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "RixSyntaxError";
+    this.code = details.code || "E_SYNTAX";
+    // Message without the position prefix
+    this.reason = details.reason || message;
+    // Offending token, when the error comes from the parser
+    this.token = details.token || null;
+    // Offset range and { start, end } line/column span of the offending text
+    this.range = details.range || null;
+    this.span = details.span || null;
+    // Token values that would have been accepted here
+    this.expected = details.expected || [];
+    // { value, range, span } of the opening delimiter for unclosed groups
+    this.openDelimiter = details.openDelimiter || null;
+  }
+
+  // Diagnostic record as returned by parse(input, lookup, { recover: true })
+  toDiagnostic() {
+    return {
+      code: this.code,
+      message: this.reason,
+      severity: "error",
+      range: this.range || [0, 0],
+    };
+  }
+}
@@ -0,0 +1,823 @@
+/**
+ * RiX Formatter
+ * Turns an AST from parse() back into canonical RiX source.
+ * parse(format(ast)) is structurally equal to ast (ignoring pos/original/loc)
+ */
+
+import { PRECEDENCE, SYMBOL_TABLE } from "./parser.js";
+
+const DEFAULT_OPTIONS = {
+  indent: 2, // Spaces per level, or the indent string itself
+  lineWidth: 80, // Containers wider than this are broken over lines
+  operatorSpacing: true, // Spaces around infix operators
+  systemLookup: null, // Precedence of keyword and custom operators
+};
+
+// Infix node types that carry their operator in the node type
+const INFIX_NODES = {
+  Pipe: { operator: "|>", left: "left", right: "right" },
+  ExplicitPipe: { operator: "||>", left: "left", right: "right" },
+  PipeMap: { operator: "|>>", left: "left", right: "right" },
+  PipeFilter: { operator: "|>?", left: "left", right: "right" },
+  PipeReduce: { operator: "|>:", left: "left", right: "right" },
+  IntervalStepping: { operator: ":+", left: "interval", right: "step" },
+  IntervalDivision: { operator: "::", left: "interval", right: "count" },
+  IntervalPartition: { operator: ":/:", left: "interval", right: "count" },
+  IntervalMediants: { operator: ":~", left: "interval", right: "levels" },
+  IntervalMediantPartition: {
+    operator: ":~/",
+    left: "interval",
+    right: "levels",
+  },
+  IntervalRandom: { operator: ":%", left: "interval", right: "parameters" },
+  IntervalRandomPartition: {
+    operator: ":/%",
+    left: "interval",
+    right: "count",
+  },
+  InfiniteSequence: { operator: "::+", left: "start", right: "step" },
+};
+// The parser gives IntervalDivision a `type: "equally_spaced"` property,
+// which replaces the node type
+INFIX_NODES.equally_spaced = INFIX_NODES.IntervalDivision;
+
+// Operators written without surrounding spaces
+const TIGHT_OPERATORS = ["."];
+
+const KEYWORD = /^[\p{L}][\p{L}\p{N}]*$/u;
+
+const FUNCTION_NODES = [
+  "FunctionLambda",
+  "FunctionDefinition",
+  "PatternMatchingFunction",
+];
+
+// Format a program (array of statements) or a single node
+export function format(ast, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const ctx = {
+    ...settings,
+    indentUnit:
+      typeof settings.indent === "number"
+        ? " ".repeat(settings.indent)
+        : settings.indent,
+    indentation: "",
+  };
+
+  if (Array.isArray(ast)) {
+    return ast
+      .map((node) => formatNode(node, ctx).replace(/\n$/, ""))
+      .join("\n");
+  }
+  return formatNode(ast, ctx);
+}
+
+function formatNode(node, ctx) {
+  if (INFIX_NODES[node.type]) {
+    const shape = INFIX_NODES[node.type];
+    return formatInfix(
+      shape.operator,
+      node[shape.left],
+      node[shape.right],
+      ctx,
+    );
+  }
+
+  switch (node.type) {
+    case "Number":
+      return node.value;
+
+    case "String":
+      // A comment read as an operand; the line must end after it
+      if (node.kind === "comment") {
+        return formatComment(node.value) + "\n" + ctx.indentation;
+      }
+      return formatDelimited(node.value, '"');
+
+    case "UserIdentifier":
+    case "SystemIdentifier":
+      return node.name;
+
+    case "ScopedIdentifier":
+      return "@".repeat(node.depth) + node.name;
+
+    case "PlaceHolder":
+      return "_" + node.place;
+
+    case "NULL":
+      return "_";
+
+    case "Comment":
+      return formatComment(node.value);
+
+    case "Statement":
+      return formatNode(node.expression, ctx) + ";";
+
+    case "BinaryOperation":
+      if (node.implicit) {
+        return formatImplicit(node, ctx);
+      }
+      return formatInfix(node.operator, node.left, node.right, ctx);
+
+    case "ScopedAssignment":
+      return formatInfix(":@=", node.target, node.value, ctx);
+
+    case "UnaryOperation":
+      return formatUnary(node, ctx);
+
+    case "CustomOperation":
+      return formatCustom(node, ctx);
+
+    case "TernaryOperation":
+      return formatTernary(node, ctx);
+
+    case "Grouping":
+      if (node.expression.type === "ParameterList") {
+        return formatParameterList(node.expression.parameters, ctx);
+      }
+      return "(" + formatNode(node.expression, ctx) + ")";
+
+    case "Tuple":
+      if (node.elements.length === 1) {
+        return "(" + formatNode(node.elements[0], ctx) + ",)";
+      }
+      return formatList("(", node.elements, ")", ctx);
+
+    case "Array":
+      return formatList("[", node.elements, "]", ctx);
+
+    case "Matrix":
+      return formatRows(
+        node.rows.map((row, index) => ({
+          row,
+          separatorLevel: index < node.rows.length - 1 ? 1 : 0,
+        })),
+        ctx,
+      );
+
+    case "Tensor":
+      return formatRows(node.structure, ctx);
+
+    case "WithMetadata":
+      return formatWithMetadata(node, ctx);
+
+    case "SetLiteral":
+    case "MapLiteral":
+      return formatList("{", node.elements, "}", ctx);
+
+    case "EquationSystem":
+      return formatList("{", node.elements, "}", ctx, ";");
+
+    case "CodeBlock":
+      return formatList("{{", node.statements, "}}", ctx, ";", true);
+
+    case "Comprehension":
+      return formatComprehension(node, ctx);
+
+    case "ControlStructure":
+      return formatControl(node, ctx);
+
+    case "GeneratorChain":
+      return formatGeneratorChain(node, ctx);
+
+    case "FunctionCall":
+      return (
+        formatPostfixTarget(node.function, ctx) +
+        formatArguments(node.arguments, ctx)
+      );
+
+    case "Call":
+      return (
+        formatPostfixTarget(node.target, ctx) +
+        formatArguments(node.arguments, ctx)
+      );
+
+    case "PropertyAccess":
+      return (
+        formatPostfixTarget(node.object, ctx) +
+        "[" +
+        formatNode(node.property, ctx) +
+        "]"
+      );
+
+    case "At":
+      return (
+        formatPostfixTarget(node.target, ctx) +
+        "@(" +
+        formatNode(node.arg, ctx) +
+        ")"
+      );
+
+    case "Ask":
+      return (
+        formatPostfixTarget(node.target, ctx) +
+        "?(" +
+        formatNode(node.arg, ctx) +
+        ")"
+      );
+
+    case "ScientificUnit":
+      return formatPostfixTarget(node.target, ctx) + "~[" + node.unit + "]";
+
+    case "MathematicalUnit":
+      return formatPostfixTarget(node.target, ctx) + "~{" + node.unit + "}";
+
+    case "Derivative":
+      return (
+        formatOperand(
+          node.function,
+          { precedence: PRECEDENCE.CALCULUS },
+          "left",
+          ctx,
+        ) +
+        "'".repeat(node.order) +
+        formatCalculusSuffix(node, ctx)
+      );
+
+    case "Integral":
+      return (
+        "'".repeat(node.order) +
+        formatNode(node.function, ctx) +
+        formatCalculusSuffix(node, ctx)
+      );
+
+    case "FunctionLambda":
+      return formatLambda(node.parameters, node.body, ctx);
+
+    case "FunctionDefinition":
+      return formatFunctionDefinition(node, ctx);
+
+    case "PatternMatchingFunction":
+      return formatPatternMatching(node, ctx);
+
+    case "EmbeddedLanguage":
+      return formatEmbedded(node);
+
+    case "InterpolatedString":
+      return formatInterpolated(node, ctx);
+
+    default:
+      throw new Error(`Cannot format node type: ${node.type}`);
+  }
+}
+
+// Binding strength of a node when it appears as an operand. Atoms and
+// postfix forms bind tightest; null means unknown (never parenthesize).
+// ctx only needs systemLookup
+export function precedenceOf(node, ctx) {
+  if (INFIX_NODES[node.type]) {
+    return operatorInfo(INFIX_NODES[node.type].operator, ctx);
+  }
+  switch (node.type) {
+    case "BinaryOperation":
+      return node.implicit
+        ? { precedence: PRECEDENCE.IMPLICIT, associativity: "left" }
+        : operatorInfo(node.operator, ctx);
+    case "UnaryOperation":
+      return node.postfix
+        ? { precedence: PRECEDENCE.POSTFIX }
+        : { precedence: PRECEDENCE.UNARY };
+    case "CustomOperation":
+      return operatorInfo(node.operator, ctx);
+    case "TernaryOperation":
+      return { precedence: PRECEDENCE.CONDITION, associativity: "right" };
+    case "FunctionLambda":
+      return { precedence: PRECEDENCE.ARROW, associativity: "right" };
+    case "FunctionDefinition":
+    case "PatternMatchingFunction":
+    case "ScopedAssignment":
+      return { precedence: PRECEDENCE.ASSIGNMENT, associativity: "right" };
+    case "Integral":
+    case "Derivative":
+      return { precedence: PRECEDENCE.CALCULUS };
+    default:
+      return { precedence: Infinity };
+  }
+}
+
+export function operatorInfo(operator, ctx) {
+  if (SYMBOL_TABLE[operator]) {
+    return {
+      precedence: SYMBOL_TABLE[operator].precedence,
+      associativity: SYMBOL_TABLE[operator].associativity || "left",
+    };
+  }
+  const lookup = ctx.systemLookup;
+  if (lookup && typeof lookup.lookupOperator === "function") {
+    const definition = lookup.lookupOperator(operator);
+    if (definition) {
+      return {
+        precedence: definition.precedence,
+        associativity: definition.associativity || "left",
+      };
+    }
+  }
+  if (typeof lookup === "function" && KEYWORD.test(operator)) {
+    const info = lookup(operator);
+    if (info && info.type === "operator") {
+      return {
+        precedence: info.precedence || PRECEDENCE.MULTIPLICATION,
+        associativity: info.associativity || "left",
+      };
+    }
+  }
+  return null;
+}
+
+// Format an operand, adding parentheses when it binds looser than its
+// context. side is "left" or "right" of an operator with the given info
+function formatOperand(node, parentInfo, side, ctx) {
+  const text = formatNode(node, ctx);
+  const info = precedenceOf(node, ctx);
+  if (!parentInfo || !info) {
+    return text;
+  }
+  const looser =
+    info.precedence < parentInfo.precedence ||
+    (info.precedence === parentInfo.precedence &&
+      side !== (parentInfo.associativity === "right" ? "right" : "left"));
+  return looser ? "(" + text + ")" : text;
+}
+
+function formatPostfixTarget(node, ctx) {
+  return formatOperand(node, { precedence: PRECEDENCE.POSTFIX }, "left", ctx);
+}
+
+function joinOperator(left, operator, right, ctx) {
+  // Tight operators keep their spaces when a digit would fuse into a
+  // decimal, whatever operatorSpacing says
+  if (TIGHT_OPERATORS.includes(operator)) {
+    return /\d$/.test(left) || /^\d/.test(right)
+      ? left + " " + operator + " " + right
+      : left + operator + right;
+  }
+  if (ctx.operatorSpacing || KEYWORD.test(operator)) {
+    return left + " " + operator + " " + right;
+  }
+  // Keep a space where the operand would otherwise fuse with the operator
+  return (
+    left + operator + (/^[-+*/:=<>?|^~@.'%]/.test(right) ? " " : "") + right
+  );
+}
+
+function formatInfix(operator, left, right, ctx) {
+  const info = operatorInfo(operator, ctx);
+  return joinOperator(
+    formatOperand(left, info, "left", ctx),
+    operator,
+    formatOperand(right, info, "right", ctx),
+    ctx,
+  );
+}
+
+// Juxtaposition: 3x, 2 x y, (a + b) c. A number runs straight into an
+// identifier unless the letter would read as an exponent. Rewritten trees
+// whose operands can't be juxtaposed (the right side would read as call
+// arguments or a subtraction) fall back to an explicit *
+function formatImplicit(node, ctx) {
+  const info = { precedence: PRECEDENCE.IMPLICIT, associativity: "left" };
+  const left = formatOperand(node.left, info, "left", ctx);
+  const right = formatOperand(node.right, info, "right", ctx);
+  // 2(x + 1) and (a + b)(a - b): after a number or a grouping a parenthesis
+  // multiplies, after anything else it calls
+  if (
+    node.right.type === "Grouping" &&
+    (/\d$/.test(left) ||
+      (node.left.type === "Grouping" &&
+        !FUNCTION_NODES.includes(node.left.expression.type)))
+  ) {
+    return left + right;
+  }
+  if (!/[\p{L}\p{N})]$/u.test(left) || !/^(\.?\d|\p{Ll})/u.test(right)) {
+    return joinOperator(left, "*", right, ctx);
+  }
+  const tight =
+    node.left.type === "Number" && /^\p{Ll}/u.test(right) && !/^e/.test(right);
+  return left + (tight ? "" : " ") + right;
+}
+
+function formatUnary(node, ctx) {
+  const info = { precedence: PRECEDENCE.UNARY, associativity: "right" };
+  if (node.postfix) {
+    return (
+      formatOperand(
+        node.operand,
+        { precedence: PRECEDENCE.POSTFIX },
+        "left",
+        ctx,
+      ) +
+      " " +
+      node.operator
+    );
+  }
+  const operand = formatOperand(node.operand, info, "right", ctx);
+  // "- 2" stays an operation; "-2" would read as a negative literal
+  const space =
+    KEYWORD.test(node.operator) || /^[-+.\d]/.test(operand) ? " " : "";
+  return node.operator + space + operand;
+}
+
+function formatCustom(node, ctx) {
+  const info = operatorInfo(node.operator, ctx);
+  const space = KEYWORD.test(node.operator) ? " " : "";
+  if (node.operatorType === "prefix") {
+    return (
+      node.operator + space + formatOperand(node.operand, info, "right", ctx)
+    );
+  }
+  if (node.operatorType === "postfix") {
+    return (
+      formatOperand(node.operand, info, "left", ctx) + space + node.operator
+    );
+  }
+  return formatInfix(node.operator, node.left, node.right, ctx);
+}
+
+function formatTernary(node, ctx) {
+  const info = { precedence: PRECEDENCE.CONDITION, associativity: "right" };
+  return (
+    formatOperand(node.condition, info, "left", ctx) +
+    " ?? " +
+    formatOperand(
+      node.trueExpression,
+      { precedence: PRECEDENCE.CONDITION + 5 },
+      "right",
+      ctx,
+    ) +
+    " ?: " +
+    formatOperand(node.falseExpression, info, "right", ctx)
+  );
+}
+
+// Bracketed, separated list that breaks one item per line when too wide
+function formatList(open, items, close, ctx, separator = ",", spaced = false) {
+  const inner = { ...ctx, indentation: ctx.indentation + ctx.indentUnit };
+  // Items are nodes or already formatted text
+  const parts = items.map((item) =>
+    typeof item === "string" ? item : formatNode(item, inner),
+  );
+  if (parts.length === 0) {
+    return open + close;
+  }
+
+  // "{ {a} }" must not run together into the code block delimiters
+  const pad =
+    spaced ||
+    (open === "{" && (parts[0].startsWith("{") || parts.at(-1).endsWith("}")))
+      ? " "
+      : "";
+  const flat = open + pad + parts.join(separator + " ") + pad + close;
+  if (fits(flat, ctx)) {
+    return flat;
+  }
+  // The closer starts a new line anyway, also after a trailing comment
+  parts.push(parts.pop().replace(/\n[ \t]*$/, ""));
+  return (
+    open +
+    "\n" +
+    parts.map((part) => inner.indentation + part).join(separator + "\n") +
+    "\n" +
+    ctx.indentation +
+    close
+  );
+}
+
+function fits(text, ctx) {
+  return (
+    !text.includes("\n") &&
+    ctx.indentation.length + text.length <= ctx.lineWidth
+  );
+}
+
+// Matrix and tensor rows: ";" between rows, ";;" between layers, ...
+function formatRows(structure, ctx) {
+  const inner = { ...ctx, indentation: ctx.indentation + ctx.indentUnit };
+  const rows = structure.map(
+    (item) =>
+      item.row.map((element) => formatNode(element, inner)).join(", ") +
+      ";".repeat(item.separatorLevel),
+  );
+  const flat = "[" + rows.join(" ").trim() + "]";
+  if (fits(flat, ctx)) {
+    return flat;
+  }
+  return (
+    "[\n" +
+    rows.map((row) => inner.indentation + row).join("\n") +
+    "\n" +
+    ctx.indentation +
+    "]"
+  );
+}
+
+// "key := value" entries of a metadata map; non-identifier keys are quoted
+function formatMetadata(metadata, ctx) {
+  return Object.entries(metadata).map(
+    ([key, value]) =>
+      (KEYWORD.test(key) ? key : formatDelimited(key, '"')) +
+      " := " +
+      formatNode(value, ctx),
+  );
+}
+
+function formatWithMetadata(node, ctx) {
+  const entries = formatMetadata(node.metadata, ctx);
+  const primary = node.primary;
+  // An empty primary is what the parser fills in for "[key := value]"
+  const isPlaceholder =
+    primary.type === "Array" && primary.elements.length === 0;
+  const items = isPlaceholder
+    ? entries
+    : [formatNode(primary, ctx), ...entries];
+  return formatList("[", items, "]", ctx);
+}
+
+function formatComprehension(node, ctx) {
+  const [open, close] = node.container === "set" ? ["{", "}"] : ["[", "]"];
+  const clauses = node.clauses.map((clause) =>
+    clause.type === "ComprehensionFilter"
+      ? clause.keyword + " " + formatNode(clause.condition, ctx)
+      : [
+          clause.keyword,
+          clause.variable,
+          clause.inKeyword,
+          formatNode(clause.source, ctx),
+        ].join(" "),
+  );
+  return (
+    open + [formatNode(node.expression, ctx), ...clauses].join(" ") + close
+  );
+}
+
+// Arguments of the functional control forms, such as WHILE(condition, body)
+const FUNCTIONAL_ARGUMENTS = {
+  conditional: ["condition", "thenBranch", "elseBranch"],
+  while_loop: ["condition", "body"],
+  for_loop: ["init", "condition", "increment", "body"],
+  repeat_loop: ["body", "condition"],
+};
+
+// Control statements. A for_loop from FOR i := a TO b keeps the start in
+// init and the bound on the right of its i <= b condition
+function formatControl(node, ctx) {
+  if (node.functionalOrigin) {
+    // WHILE(c, a; b) parses its ;-sequenced argument into a CodeBlock
+    const args = FUNCTIONAL_ARGUMENTS[node.structure]
+      .filter((key) => node[key])
+      .map((key) =>
+        node[key].type === "CodeBlock" && node[key].statements.length > 1
+          ? node[key].statements.map((item) => formatNode(item, ctx)).join("; ")
+          : formatNode(node[key], ctx),
+      );
+    return node.keyword + "(" + args.join(", ") + ")";
+  }
+  const parts = [node.keyword];
+  switch (node.structure) {
+    case "conditional":
+      parts.push(
+        formatNode(node.condition, ctx),
+        formatNode(node.thenBranch, ctx),
+      );
+      if (node.elseBranch) {
+        parts.push(node.elseKeyword, formatNode(node.elseBranch, ctx));
+      }
+      break;
+    case "while_loop":
+      parts.push(formatNode(node.condition, ctx), formatNode(node.body, ctx));
+      break;
+    case "for_loop":
+      parts.push(
+        formatNode(node.init, ctx),
+        node.toKeyword,
+        formatNode(node.condition.right, ctx),
+        formatNode(node.body, ctx),
+      );
+      break;
+    case "for_each":
+      parts.push(
+        node.variable,
+        node.inKeyword,
+        formatNode(node.source, ctx),
+        formatNode(node.body, ctx),
+      );
+      break;
+    case "repeat_loop":
+      parts.push(
+        formatNode(node.body, ctx),
+        node.untilKeyword,
+        formatNode(node.condition, ctx),
+      );
+      break;
+    case "return":
+      if (node.value) {
+        parts.push(formatNode(node.value, ctx));
+      }
+      break;
+  }
+  return parts.join(" ");
+}
+
+function formatGeneratorChain(node, ctx) {
+  const info = { precedence: PRECEDENCE.PIPE, associativity: "left" };
+  const steps = node.operators.map(
+    (step) =>
+      step.operator + " " + formatOperand(step.operand, info, "right", ctx),
+  );
+  const start = node.start
+    ? [formatOperand(node.start, info, "left", ctx)]
+    : [];
+  return [...start, ...steps].join(" ");
+}
+
+function formatArguments(args, ctx) {
+  const items = args.positional.map((arg) => formatNode(arg, ctx));
+  const keyword = Object.entries(args.keyword).map(
+    ([key, value]) => key + " := " + formatNode(value, ctx),
+  );
+  return formatSections(items, keyword, ctx);
+}
+
+// "(a, b; k := 1)" - positional items then the keyword section
+function formatSections(positional, keyword, ctx, forceSemicolon = false) {
+  let text = positional.join(", ");
+  if (keyword.length > 0 || forceSemicolon) {
+    text += (positional.length > 0 ? "; " : ";") + keyword.join(", ");
+  }
+  return "(" + text.trimEnd() + ")";
+}
+
+// Parameters as call-style arguments, used by FunctionDefinition:
+// defaults are "name := value" and conditions follow as "? condition"
+function formatCallParameters(parameters, ctx) {
+  const conditions = [...(parameters.conditionals || [])];
+  const describe = (param) => {
+    let text = param.name;
+    if (param.defaultValue) {
+      text += " := " + formatNode(param.defaultValue, ctx);
+    }
+    if (conditions.length > 0) {
+      text += " ? " + formatNode(conditions.shift(), ctx);
+    }
+    return text;
+  };
+  const positional = parameters.positional.map(describe);
+  const keyword = parameters.keyword.map(describe);
+  return formatSections(positional, keyword, ctx);
+}
+
+// Parameters in a ";" parameter list, as in "(x, y; n := 2) -> body".
+// A condition after a default would be read as part of it, so conditions
+// attach to the parameters without defaults
+function formatParameterList(parameters, ctx) {
+  const conditions = [...(parameters.conditionals || [])];
+  const describe = (param) => {
+    if (param.defaultValue) {
+      return param.name + " := " + formatNode(param.defaultValue, ctx);
+    }
+    if (conditions.length > 0) {
+      return param.name + " ? " + formatNode(conditions.shift(), ctx);
+    }
+    return param.name;
+  };
+  const positional = parameters.positional.map(describe);
+  const keyword = parameters.keyword.map(describe);
+  return formatSections(positional, keyword, ctx, true);
+}
+
+function formatLambdaParameters(parameters, ctx) {
+  const { positional, keyword } = parameters;
+  const conditionals = parameters.conditionals || [];
+  const plain =
+    keyword.length === 0 && positional.every((param) => !param.defaultValue);
+
+  if (plain && conditionals.length === 0) {
+    if (positional.length === 1) {
+      return "(" + positional[0].name + ")";
+    }
+    return "(" + positional.map((param) => param.name).join(", ") + ")";
+  }
+  if (plain && positional.length === 1 && conditionals.length === 1) {
+    return (
+      "(" + positional[0].name + " ? " + formatNode(conditionals[0], ctx) + ")"
+    );
+  }
+  return formatParameterList(parameters, ctx);
+}
+
+function formatLambda(parameters, body, ctx) {
+  const info = { precedence: PRECEDENCE.ARROW, associativity: "right" };
+  return joinOperator(
+    formatLambdaParameters(parameters, ctx),
+    "->",
+    formatOperand(body, info, "right", ctx),
+    ctx,
+  );
+}
+
+function formatFunctionDefinition(node, ctx) {
+  const info = { precedence: PRECEDENCE.ASSIGNMENT, associativity: "right" };
+  // Without parameters the definition is written "name :-> body"
+  const hasParameters =
+    node.parameters.positional.length > 0 || node.parameters.keyword.length > 0;
+  const head = hasParameters
+    ? formatPostfixTarget(node.name, ctx) +
+      formatCallParameters(node.parameters, ctx)
+    : formatOperand(node.name, info, "left", ctx);
+  return joinOperator(
+    head,
+    ":->",
+    formatOperand(node.body, info, "right", ctx),
+    ctx,
+  );
+}
+
+function formatPatternMatching(node, ctx) {
+  const info = { precedence: PRECEDENCE.ASSIGNMENT, associativity: "right" };
+  const hasParameters =
+    node.parameters.positional.length > 0 || node.parameters.keyword.length > 0;
+  const head = hasParameters
+    ? formatPostfixTarget(node.name, ctx) +
+      formatCallParameters(node.parameters, ctx)
+    : formatOperand(node.name, info, "left", ctx);
+
+  const patterns = node.patterns.map((pattern) =>
+    formatLambda(pattern.parameters, pattern.body, ctx),
+  );
+  const entries = formatMetadata(node.metadata || {}, ctx);
+  let body;
+  if (entries.length > 0) {
+    body = formatList(
+      "[",
+      [formatList("[", patterns, "]", ctx), ...entries],
+      "]",
+      ctx,
+    );
+  } else if (patterns.length === 1) {
+    body = patterns[0];
+  } else {
+    body = formatList("[", patterns, "]", ctx);
+  }
+  return joinOperator(head, ":=>", body, ctx);
+}
+
+// Trailing [variables] and (evaluation) / (operations) of calculus nodes
+function formatCalculusSuffix(node, ctx) {
+  let text = "";
+  if (node.variables) {
+    text +=
+      "[" + node.variables.map((variable) => variable.name).join(", ") + "]";
+  }
+  const args = node.evaluation || node.operations;
+  if (args) {
+    text += "(" + args.map((arg) => formatNode(arg, ctx)).join(", ") + ")";
+  }
+  return text;
+}
+
+function formatEmbedded(node) {
+  let content;
+  if (node.language === "RiX-String") {
+    // A colon in the body would otherwise be read as a header separator
+    content = node.body.includes(":") ? ":" + node.body : node.body;
+  } else {
+    const context = node.context !== null ? "(" + node.context + ")" : "";
+    content = (node.language || "") + context + ":" + node.body;
+  }
+  return formatDelimited(content, "`");
+}
+
+function formatInterpolated(node, ctx) {
+  const content = node.parts
+    .map((part, index) => {
+      if (index % 2 === 0) {
+        return part;
+      }
+      // "${{" would open a code block, so a leading brace gets a space
+      const text = formatNode(part, ctx);
+      return text.startsWith("{") ? "${ " + text + " }" : "${" + text + "}";
+    })
+    .join("");
+  // A colon before the first ${ would otherwise be read as a header
+  return formatDelimited(
+    node.parts[0].includes(":") ? ":" + content : content,
+    "`",
+  );
+}
+
+// Wrap text in the shortest run of delimiter characters that does not
+// occur inside it
+function formatDelimited(text, delimiter) {
+  const runs = text.match(new RegExp(`${delimiter}+`, "g")) || [];
+  const longest = Math.max(0, ...runs.map((run) => run.length));
+  const fence = delimiter.repeat(longest + 1);
+  return fence + text + fence;
+}
+
+function formatComment(value) {
+  if (!value.includes("\n")) {
+    return "#" + value;
+  }
+  const runs = value.match(/\*+(?=\/)/g) || [];
+  const stars = "*".repeat(Math.max(0, ...runs.map((run) => run.length)) + 1);
+  return "/" + stars + value + stars + "/";
+}
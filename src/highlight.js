@@ -0,0 +1,306 @@
+/**
+ * RiX Highlighting
+ * Semantic classification of source ranges for syntax highlighters, and
+ * an HTML renderer built on it. Tokens alone can't tell a user function
+ * from a variable or a parameter, or AND from SIN, so classification
+ * combines the tokens, the AST and a SystemLoader
+ */
+
+import { tokenize } from "./tokenizer.js";
+import { parse } from "./parser.js";
+import { visit } from "./visitor.js";
+import { tokenRange } from "./locations.js";
+import { numberFormat } from "./numbers.js";
+import { defaultSystemLoader } from "./system-loader.js";
+
+// Every category classify() can return. Numbers also carry their literal
+// format as subtype, e.g. { category: "number", subtype: "mixed" }
+export const CATEGORIES = [
+  "number",
+  "interval",
+  "unit",
+  "placeholder",
+  "keyword",
+  "system-function",
+  "constant",
+  "function",
+  "variable",
+  "parameter",
+  "string",
+  "embedded-language",
+  "embedded",
+  "comment",
+  "doc-comment",
+  "operator",
+  "punctuation",
+];
+
+const PUNCTUATION = new Set([
+  "(",
+  ")",
+  "[",
+  "]",
+  "{",
+  "}",
+  "{{",
+  "}}",
+  ",",
+  ";",
+]);
+
+const UNIT_CLOSERS = { "~[": "]", "~{": "}" };
+
+// Classify source into [{ start, end, category, subtype? }], one range
+// per token (a unit such as ~[m/s] is one range) in source order.
+// Whitespace is not covered. loader is the SystemLoader that decides what
+// System identifiers are (default: defaultSystemLoader)
+export function classify(source, loader = defaultSystemLoader) {
+  const lookup = loader.createParserLookup();
+  const tokens = tokenize(source, {
+    operators: lookup.operatorSymbols(),
+    onError: () => {},
+  });
+  const { ast } = parse(tokens, lookup, {
+    recover: true,
+    locations: true,
+    source,
+  });
+  return classifyTokens(tokens, ast, loader);
+}
+
+// classify() for tokens already parsed, e.g. those of a document. ast
+// must have been parsed with locations
+export function classifyTokens(tokens, ast, loader = defaultSystemLoader) {
+  const roles = collectRoles(ast);
+  const ranges = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const [start, end] = tokenRange(token);
+    if (token.type === "End" || start === end) {
+      continue;
+    }
+
+    const unitEnd = UNIT_CLOSERS[token.value]
+      ? findUnitEnd(tokens, i, UNIT_CLOSERS[token.value])
+      : -1;
+    if (unitEnd !== -1) {
+      ranges.push({
+        start,
+        end: tokenRange(tokens[unitEnd])[1],
+        category: "unit",
+      });
+      i = unitEnd;
+      continue;
+    }
+
+    if (token.type === "String" && token.kind === "backtick") {
+      ranges.push(...embeddedRanges(token, roles.embedded.get(start)));
+      continue;
+    }
+    ranges.push({ start, end, ...classifyToken(token, start, roles, loader) });
+  }
+  return ranges;
+}
+
+function classifyToken(token, start, roles, loader) {
+  switch (token.type) {
+    case "Number": {
+      const format = numberFormat(token.value);
+      return format === "interval"
+        ? { category: "interval" }
+        : { category: "number", subtype: format };
+    }
+    case "PlaceHolder":
+      return { category: "placeholder" };
+    case "String":
+      if (token.kind !== "comment") {
+        return { category: "string" };
+      }
+      // /** ... **/ and longer block comments are doc comments
+      return {
+        category: /^\/\*\*/.test(token.original.trimStart())
+          ? "doc-comment"
+          : "comment",
+      };
+    case "Identifier":
+      return token.kind === "System"
+        ? { category: systemCategory(loader.lookup(token.value)) }
+        : { category: userCategory(token.value, start, roles) };
+    case "Symbol":
+      if (token.value === "_") {
+        return { category: "constant" };
+      }
+      return {
+        category: PUNCTUATION.has(token.value) ? "punctuation" : "operator",
+      };
+    default:
+      return { category: "punctuation" };
+  }
+}
+
+function systemCategory(info) {
+  if (!info.id) {
+    return "variable"; // Not registered
+  }
+  if (info.controlType || info.type === "operator") {
+    return "keyword";
+  }
+  switch (info.type) {
+    case "constant":
+      return "constant";
+    case "function":
+    case "constructor":
+      return "system-function";
+    default:
+      return "keyword";
+  }
+}
+
+// A parameter of an enclosing function, else a function if the name is
+// defined or called as one, else a variable
+function userCategory(name, offset, roles) {
+  const isParameter = roles.scopes.some(
+    (scope) =>
+      scope.start <= offset && offset < scope.end && scope.names.has(name),
+  );
+  if (isParameter) {
+    return "parameter";
+  }
+  if (roles.functions.has(offset) || roles.functionNames.has(name)) {
+    return "function";
+  }
+  return "variable";
+}
+
+// What the AST says about identifiers: the offsets of those used as
+// functions, the names defined as functions, the parameter scopes and the
+// EmbeddedLanguage node of each backtick token
+function collectRoles(ast) {
+  const roles = {
+    functions: new Set(),
+    functionNames: new Set(),
+    scopes: [],
+    embedded: new Map(),
+  };
+  const markFunction = (node, defines) => {
+    if (node && node.type === "UserIdentifier") {
+      roles.functions.add(tokenRange(node)[0]);
+      if (defines) {
+        roles.functionNames.add(node.name);
+      }
+    }
+  };
+  const addScope = (start, end, parameters) => {
+    roles.scopes.push({
+      start,
+      end,
+      names: new Set(
+        [...parameters.positional, ...parameters.keyword].map((p) => p.name),
+      ),
+    });
+  };
+
+  visit(ast, {
+    FunctionDefinition(node) {
+      markFunction(node.name, true);
+      if (node.loc) {
+        const start =
+          node.name && node.name.loc ? node.name.loc.end : node.loc.start;
+        addScope(start.offset, node.loc.end.offset, node.parameters);
+      }
+    },
+    PatternMatchingFunction(node) {
+      markFunction(node.name, true);
+      // Patterns aren't nodes: each one runs from the end of the one before
+      // to the end of its body
+      let start = node.name && node.name.loc ? node.name.loc.end.offset : 0;
+      for (const pattern of node.patterns) {
+        if (pattern.body && pattern.body.loc) {
+          addScope(start, pattern.body.loc.end.offset, pattern.parameters);
+          start = pattern.body.loc.end.offset;
+        }
+      }
+    },
+    FunctionLambda(node) {
+      if (node.loc) {
+        addScope(node.loc.start.offset, node.loc.end.offset, node.parameters);
+      }
+    },
+    BinaryOperation(node) {
+      if (node.operator === ":=" && node.right.type === "FunctionLambda") {
+        markFunction(node.left, true);
+      }
+    },
+    FunctionCall: (node) => markFunction(node.function, false),
+    Call: (node) => markFunction(node.target, false),
+    Derivative: (node) => markFunction(node.function, false),
+    Integral: (node) => markFunction(node.function, false),
+    EmbeddedLanguage(node) {
+      if (node.pos) {
+        roles.embedded.set(tokenRange(node)[0], node);
+      }
+    },
+  });
+  return roles;
+}
+
+// Index of the token closing the unit opened at tokens[index], or -1 if
+// the unit isn't closed before the statement ends
+function findUnitEnd(tokens, index, closer) {
+  for (let i = index + 1; i < tokens.length; i++) {
+    const { type, value } = tokens[i];
+    if (value === closer) {
+      return i;
+    }
+    if (type === "End" || value === ";" || type === "String") {
+      return -1;
+    }
+  }
+  return -1;
+}
+
+// A backtick string with a language header (`P(x): x^2`) is the header,
+// with the opening backticks, and the body; plain backtick text is a
+// string
+function embeddedRanges(token, node) {
+  const [start, end] = tokenRange(token);
+  if (!node || node.language === "RiX-String") {
+    return [{ start, end, category: "string" }];
+  }
+  const headerEnd = token.pos[1] + token.value.length - node.body.length;
+  return [
+    { start, end: headerEnd, category: "embedded-language" },
+    { start: headerEnd, end, category: "embedded" },
+  ];
+}
+
+// Render source as highlighted HTML: each classified range becomes a
+// <span> with the classes rix-<category> (and rix-<category>-<subtype>),
+// inside <pre class="rix"><code>. options.classPrefix replaces "rix-";
+// options.wrap = false leaves out the <pre><code>
+export function renderHtml(source, loader = defaultSystemLoader, options = {}) {
+  const prefix = options.classPrefix ?? "rix-";
+  let html = "";
+  let offset = 0;
+  for (const range of classify(source, loader)) {
+    html += escapeHtml(source.slice(offset, range.start));
+    const classes = [`${prefix}${range.category}`];
+    if (range.subtype) {
+      classes.push(`${prefix}${range.category}-${range.subtype}`);
+    }
+    html += `<span class="${classes.join(" ")}">${escapeHtml(source.slice(range.start, range.end))}</span>`;
+    offset = range.end;
+  }
+  html += escapeHtml(source.slice(offset));
+  return options.wrap === false
+    ? html
+    : `<pre class="${prefix.replace(/-$/, "")}"><code>${html}</code></pre>`;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
@@ -0,0 +1,570 @@
+/**
+ * RiX Language Server
+ * The Language Server Protocol over JSON-RPC: diagnostics, semantic
+ * tokens, hover for System identifiers, document symbols, folding ranges
+ * and formatting. Every open file is a document (document.js), so edits
+ * are re-parsed incrementally. bin/rix-language-server.js serves it over
+ * stdio
+ */
+
+import { createDocument } from "./document.js";
+import { format } from "./formatter.js";
+import { visit, getChildNodes } from "./visitor.js";
+import { createLocator, tokenRange } from "./locations.js";
+import { SystemLoader } from "./system-loader.js";
+import { classifyTokens } from "./highlight.js";
+
+// JSON-RPC error codes
+const ERRORS = {
+  ParseError: -32700,
+  InvalidRequest: -32600,
+  MethodNotFound: -32601,
+  InternalError: -32603,
+  ServerNotInitialized: -32002,
+};
+
+const TEXT_DOCUMENT_SYNC_INCREMENTAL = 2;
+const DIAGNOSTIC_SEVERITY_ERROR = 1;
+const MESSAGE_TYPE_ERROR = 1;
+const SYMBOL_KIND_FUNCTION = 12;
+const SYMBOL_KIND_VARIABLE = 13;
+
+// Semantic token legend; a token's type and modifiers are indices into
+// these
+export const SEMANTIC_TOKEN_TYPES = [
+  "keyword",
+  "function",
+  "variable",
+  "parameter",
+  "number",
+  "string",
+  "comment",
+  "operator",
+  "type",
+  "macro",
+];
+export const SEMANTIC_TOKEN_MODIFIERS = [
+  "readonly",
+  "defaultLibrary",
+  "documentation",
+];
+
+// Highlighting category (highlight.js) -> semantic token type and
+// modifiers. Punctuation gets no token
+const SEMANTIC_TOKENS = {
+  number: ["number"],
+  interval: ["number"],
+  unit: ["type"],
+  placeholder: ["parameter"],
+  keyword: ["keyword"],
+  "system-function": ["function", "defaultLibrary"],
+  constant: ["variable", "readonly", "defaultLibrary"],
+  function: ["function"],
+  variable: ["variable"],
+  parameter: ["parameter"],
+  string: ["string"],
+  "embedded-language": ["macro"],
+  embedded: ["string"],
+  comment: ["comment"],
+  "doc-comment": ["comment", "documentation"],
+  operator: ["operator"],
+};
+
+// Request method -> server method. Requests other than initialize are
+// refused until the server is initialized
+const REQUESTS = new Map([
+  ["initialize", "initialize"],
+  ["shutdown", "shutdown"],
+  ["textDocument/hover", "hover"],
+  ["textDocument/documentSymbol", "documentSymbols"],
+  ["textDocument/foldingRange", "foldingRanges"],
+  ["textDocument/semanticTokens/full", "semanticTokens"],
+  ["textDocument/formatting", "formatting"],
+]);
+
+// Notification method -> server method, once initialized
+const NOTIFICATIONS = new Map([
+  ["textDocument/didOpen", "didOpen"],
+  ["textDocument/didChange", "didChange"],
+  ["textDocument/didClose", "didClose"],
+]);
+
+export class RixLanguageServer {
+  // options: send(message) for outgoing messages, onExit(code), a
+  // systemLoader (default a new SystemLoader) and parseOptions for the
+  // documents (separators, implicitMultiplication, ...)
+  constructor(options = {}) {
+    this.send = options.send || (() => {});
+    this.onExit = options.onExit || (() => {});
+    this.systemLoader = options.systemLoader || new SystemLoader();
+    this.systemLookup = this.systemLoader.createParserLookup();
+    this.parseOptions = options.parseOptions || {};
+    // uri -> { document, version }
+    this.documents = new Map();
+    // "starting" until initialize, "stopping" after shutdown
+    this.state = "starting";
+  }
+
+  // Handle one incoming JSON-RPC message
+  handle(message) {
+    if (message.id === undefined || message.id === null) {
+      if (message.method) {
+        this.notification(message);
+      }
+      return;
+    }
+    if (!message.method) {
+      return; // A response; the server sends no requests
+    }
+
+    const { id, method } = message;
+    if (!REQUESTS.has(method)) {
+      this.respondError(
+        id,
+        ERRORS.MethodNotFound,
+        `Unhandled method ${method}`,
+      );
+    } else if (this.state === "starting" && method !== "initialize") {
+      this.respondError(
+        id,
+        ERRORS.ServerNotInitialized,
+        "Server not initialized",
+      );
+    } else if (this.state === "stopping") {
+      this.respondError(id, ERRORS.InvalidRequest, "Server is shutting down");
+    } else {
+      let result;
+      try {
+        result = this[REQUESTS.get(method)](message.params || {});
+      } catch (error) {
+        this.respondError(id, ERRORS.InternalError, error.message);
+        return;
+      }
+      this.send({ jsonrpc: "2.0", id, result: result ?? null });
+    }
+  }
+
+  // A notification gets no reply, so a failing one is logged instead
+  notification({ method, params }) {
+    if (method === "exit") {
+      this.onExit(this.state === "stopping" ? 0 : 1);
+    } else if (NOTIFICATIONS.has(method) && this.state === "running") {
+      try {
+        this[NOTIFICATIONS.get(method)](params || {});
+      } catch (error) {
+        this.send({
+          jsonrpc: "2.0",
+          method: "window/logMessage",
+          params: {
+            type: MESSAGE_TYPE_ERROR,
+            message: `${method} failed: ${error.message}`,
+          },
+        });
+      }
+    }
+  }
+
+  respondError(id, code, message) {
+    this.send({ jsonrpc: "2.0", id, error: { code, message } });
+  }
+
+  initialize() {
+    this.state = "running";
+    return {
+      capabilities: {
+        textDocumentSync: {
+          openClose: true,
+          change: TEXT_DOCUMENT_SYNC_INCREMENTAL,
+        },
+        hoverProvider: true,
+        documentSymbolProvider: true,
+        foldingRangeProvider: true,
+        documentFormattingProvider: true,
+        semanticTokensProvider: {
+          legend: {
+            tokenTypes: SEMANTIC_TOKEN_TYPES,
+            tokenModifiers: SEMANTIC_TOKEN_MODIFIERS,
+          },
+          full: true,
+        },
+      },
+      serverInfo: { name: "rix-language-server" },
+    };
+  }
+
+  shutdown() {
+    this.state = "stopping";
+    return null;
+  }
+
+  didOpen({ textDocument }) {
+    this.documents.set(textDocument.uri, {
+      document: createDocument(textDocument.text, {
+        ...this.parseOptions,
+        locations: true,
+        systemLookup: this.systemLookup,
+      }),
+      version: textDocument.version,
+    });
+    this.publishDiagnostics(textDocument.uri);
+  }
+
+  didChange({ textDocument, contentChanges }) {
+    const entry = this.documents.get(textDocument.uri);
+    if (!entry) {
+      return;
+    }
+    const { document } = entry;
+    for (const change of contentChanges) {
+      if (change.range) {
+        document.applyEdit({
+          start: offsetAt(document.text, change.range.start),
+          end: offsetAt(document.text, change.range.end),
+          text: change.text,
+        });
+      } else {
+        document.applyEdit({
+          start: 0,
+          end: document.text.length,
+          text: change.text,
+        });
+      }
+    }
+    entry.version = textDocument.version;
+    this.publishDiagnostics(textDocument.uri);
+  }
+
+  didClose({ textDocument }) {
+    this.documents.delete(textDocument.uri);
+    this.send({
+      jsonrpc: "2.0",
+      method: "textDocument/publishDiagnostics",
+      params: { uri: textDocument.uri, diagnostics: [] },
+    });
+  }
+
+  publishDiagnostics(uri) {
+    const { document, version } = this.documents.get(uri);
+    const locate = createLocator(document.text);
+    this.send({
+      jsonrpc: "2.0",
+      method: "textDocument/publishDiagnostics",
+      params: {
+        uri,
+        version,
+        diagnostics: document.diagnostics.map((diagnostic) => ({
+          range: toRange(diagnostic.range, locate),
+          severity: DIAGNOSTIC_SEVERITY_ERROR,
+          code: diagnostic.code,
+          source: "rix",
+          message: diagnostic.message,
+        })),
+      },
+    });
+  }
+
+  // The open document for a textDocument parameter, or null
+  documentFor(textDocument) {
+    const entry = textDocument && this.documents.get(textDocument.uri);
+    return entry ? entry.document : null;
+  }
+
+  // Hover over a System identifier shows its registry entry
+  hover({ textDocument, position }) {
+    const document = this.documentFor(textDocument);
+    if (!document) {
+      return null;
+    }
+    const offset = offsetAt(document.text, position);
+    const token = document.tokens.find((candidate) => {
+      const [start, end] = tokenRange(candidate);
+      return (
+        candidate.type === "Identifier" &&
+        candidate.kind === "System" &&
+        start <= offset &&
+        offset <= end
+      );
+    });
+    if (!token) {
+      return null;
+    }
+    const { id } = this.systemLoader.lookup(token.value);
+    const entry = id ? this.systemLoader.getEntry(id) : null;
+    if (!entry) {
+      return null;
+    }
+    return {
+      contents: { kind: "markdown", value: describeEntry(token.value, entry) },
+      range: toRange(tokenRange(token), createLocator(document.text)),
+    };
+  }
+
+  // Function definitions and assignments, nested as in the source
+  documentSymbols({ textDocument }) {
+    const document = this.documentFor(textDocument);
+    return document ? document.ast.flatMap(collectSymbols) : null;
+  }
+
+  // {{ }} code blocks and matrices that span lines
+  foldingRanges({ textDocument }) {
+    const document = this.documentFor(textDocument);
+    if (!document) {
+      return null;
+    }
+    const ranges = [];
+    const fold = (node) => {
+      if (node.loc && node.loc.end.line > node.loc.start.line) {
+        ranges.push({
+          startLine: node.loc.start.line - 1,
+          endLine: node.loc.end.line - 1,
+        });
+      }
+    };
+    visit(document.ast, { CodeBlock: fold, Matrix: fold, Tensor: fold });
+    return ranges;
+  }
+
+  semanticTokens({ textDocument }) {
+    const document = this.documentFor(textDocument);
+    if (!document) {
+      return null;
+    }
+    const locate = createLocator(document.text);
+    const data = [];
+    let line = 0;
+    let character = 0;
+    const ranges = classifyTokens(
+      document.tokens,
+      document.ast,
+      this.systemLoader,
+    );
+    for (const range of ranges) {
+      if (!SEMANTIC_TOKENS[range.category]) {
+        continue;
+      }
+      const [type, ...modifiers] = SEMANTIC_TOKENS[range.category];
+      // One entry per line, since clients needn't support tokens that
+      // span lines
+      for (const [start, end] of splitLines(document.text, range)) {
+        const { line: tokenLine, column } = locate(start);
+        data.push(
+          tokenLine - 1 - line,
+          tokenLine - 1 === line ? column - character : column,
+          end - start,
+          SEMANTIC_TOKEN_TYPES.indexOf(type),
+          modifiers.reduce(
+            (bits, modifier) =>
+              bits | (1 << SEMANTIC_TOKEN_MODIFIERS.indexOf(modifier)),
+            0,
+          ),
+        );
+        line = tokenLine - 1;
+        character = column;
+      }
+    }
+    return { data };
+  }
+
+  // The whole document in canonical form. Documents with errors are left
+  // alone, since the formatter would drop what failed to parse
+  formatting({ textDocument, options = {} }) {
+    const document = this.documentFor(textDocument);
+    if (!document || document.diagnostics.length > 0) {
+      return [];
+    }
+    let formatted = format(document.ast, {
+      indent: options.insertSpaces === false ? "\t" : options.tabSize,
+      systemLookup: this.systemLookup,
+    });
+    if (document.text.endsWith("\n") && !formatted.endsWith("\n")) {
+      formatted += "\n";
+    }
+    if (formatted === document.text) {
+      return [];
+    }
+    const locate = createLocator(document.text);
+    return [
+      {
+        range: toRange([0, document.text.length], locate),
+        newText: formatted,
+      },
+    ];
+  }
+}
+
+// Serve a language server over a byte stream pair, e.g. process.stdin and
+// process.stdout. options are those of RixLanguageServer apart from send
+export function listen(input, output, options = {}) {
+  const server = new RixLanguageServer({
+    ...options,
+    send: (message) => output.write(encodeMessage(message)),
+  });
+  input.on(
+    "data",
+    createMessageReader((body) => {
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        server.respondError(null, ERRORS.ParseError, error.message);
+        return;
+      }
+      server.handle(message);
+    }),
+  );
+  return server;
+}
+
+// Frame a message with its Content-Length header
+export function encodeMessage(message) {
+  const body = JSON.stringify(message);
+  return `Content-Length: ${Buffer.byteLength(body, "utf8")}\r\n\r\n${body}`;
+}
+
+// Returns a function to feed chunks of a framed byte stream to; onMessage
+// gets the body of every complete message
+export function createMessageReader(onMessage) {
+  let buffer = Buffer.alloc(0);
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, Buffer.from(chunk)]);
+    for (;;) {
+      const headerEnd = buffer.indexOf("\r\n\r\n");
+      if (headerEnd === -1) {
+        return;
+      }
+      const header = buffer.subarray(0, headerEnd).toString("ascii");
+      const match = /^Content-Length: *(\d+)/im.exec(header);
+      const bodyStart = headerEnd + 4;
+      if (!match) {
+        buffer = buffer.subarray(bodyStart); // Skip a header we can't read
+        continue;
+      }
+      const bodyEnd = bodyStart + Number(match[1]);
+      if (buffer.length < bodyEnd) {
+        return;
+      }
+      const body = buffer.subarray(bodyStart, bodyEnd).toString("utf8");
+      buffer = buffer.subarray(bodyEnd);
+      onMessage(body);
+    }
+  };
+}
+
+// Offset of an LSP position. Lines are 0-based, characters count UTF-16
+// code units like JavaScript strings, and a character past the end of its
+// line means the end of the line
+function offsetAt(text, { line, character }) {
+  let lineStart = 0;
+  for (let i = 0; i < line; i++) {
+    const next = text.indexOf("\n", lineStart);
+    if (next === -1) {
+      return text.length;
+    }
+    lineStart = next + 1;
+  }
+  const lineEnd = text.indexOf("\n", lineStart);
+  return Math.min(
+    lineStart + character,
+    lineEnd === -1 ? text.length : lineEnd,
+  );
+}
+
+function toPosition(offset, locate) {
+  const { line, column } = locate(offset);
+  return { line: line - 1, character: column };
+}
+
+function toRange([start, end], locate) {
+  return { start: toPosition(start, locate), end: toPosition(end, locate) };
+}
+
+function spanToRange(loc) {
+  return {
+    start: { line: loc.start.line - 1, character: loc.start.column },
+    end: { line: loc.end.line - 1, character: loc.end.column },
+  };
+}
+
+// The non-empty pieces of a { start, end } range between line breaks
+function splitLines(text, { start, end }) {
+  const pieces = [];
+  let from = start;
+  while (from < end) {
+    const lineBreak = text.indexOf("\n", from);
+    const to = lineBreak === -1 || lineBreak > end ? end : lineBreak;
+    if (to > from) {
+      pieces.push([from, to]);
+    }
+    from = to + 1;
+  }
+  return pieces;
+}
+
+// Hover text for a registry entry
+function describeEntry(name, entry) {
+  const details = [];
+  if (entry.arity !== undefined) {
+    details.push(`arity ${entry.arity === -1 ? "variadic" : entry.arity}`);
+  }
+  for (const key of ["category", "precedence", "associativity"]) {
+    if (entry[key] !== undefined) {
+      details.push(`${key} ${entry[key]}`);
+    }
+  }
+  const lines = [`**${name}** (${entry.type})`];
+  if (entry.description) {
+    lines.push(entry.description);
+  }
+  if (details.length > 0) {
+    lines.push(details.join(", "));
+  }
+  lines.push(`Registry entry \`${entry.id}\``);
+  return lines.join("\n\n");
+}
+
+// Document symbols for a node: its own if it defines something, holding
+// those of its subtree, or else those of its subtree
+function collectSymbols(node) {
+  const nested = getChildNodes(node).flatMap(collectSymbols);
+  const symbol = toSymbol(node);
+  if (!symbol) {
+    return nested;
+  }
+  symbol.children = nested;
+  return [symbol];
+}
+
+function toSymbol(node) {
+  if (!node.loc) {
+    return null;
+  }
+  if (
+    (node.type === "FunctionDefinition" ||
+      node.type === "PatternMatchingFunction") &&
+    node.name &&
+    node.name.loc
+  ) {
+    const parameters = node.parameters.positional.map((p) => p.name);
+    return {
+      name: node.name.name,
+      detail: `(${parameters.join(", ")})`,
+      kind: SYMBOL_KIND_FUNCTION,
+      range: spanToRange(node.loc),
+      selectionRange: spanToRange(node.name.loc),
+    };
+  }
+  if (
+    node.type === "BinaryOperation" &&
+    node.operator === ":=" &&
+    node.left.type === "UserIdentifier" &&
+    node.left.loc
+  ) {
+    return {
+      name: node.left.name,
+      kind: SYMBOL_KIND_VARIABLE,
+      range: spanToRange(node.loc),
+      selectionRange: spanToRange(node.left.loc),
+    };
+  }
+  return null;
+}
@@ -0,0 +1,748 @@
+/**
+ * RiX LaTeX Renderer
+ * Typesets an AST from parse() as LaTeX math. Operands get parentheses
+ * where the parse needs them, except where the layout already groups them
+ * (fractions, exponents, brackets). Nodes without a mathematical notation
+ * are shown as code in \texttt
+ */
+
+import { PRECEDENCE } from "./parser.js";
+import { format, precedenceOf, operatorInfo } from "./formatter.js";
+import { numberFormat } from "./numbers.js";
+
+const DEFAULT_OPTIONS = {
+  style: "inline", // "inline" or "display"
+  delimiters: false, // Wrap the result in \( \) or \[ \]
+  systemLookup: null, // Precedence of keyword and custom operators
+};
+
+// Operators with a math symbol. Others are shown as code
+const OPERATORS = {
+  ":=": "\\mathrel{:=}",
+  ":=:": "=",
+  ":<:": "<",
+  ":>:": ">",
+  ":<=:": "\\leq",
+  ":>=:": "\\geq",
+  "=": "=",
+  "!=": "\\neq",
+  "==": "\\equiv",
+  "?=": "\\stackrel{?}{=}",
+  "<": "<",
+  ">": ">",
+  "<=": "\\leq",
+  ">=": "\\geq",
+  "?<": "\\stackrel{?}{<}",
+  "?>": "\\stackrel{?}{>}",
+  "?<=": "\\stackrel{?}{\\leq}",
+  "?>=": "\\stackrel{?}{\\geq}",
+  "+": "+",
+  "-": "-",
+  "*": "\\cdot",
+  "%": "\\bmod",
+  "->": "\\to",
+  "=>": "\\Rightarrow",
+  "?": "\\mid",
+  AND: "\\land",
+  OR: "\\lor",
+  NOT: "\\lnot",
+  IN: "\\in",
+  UNION: "\\cup",
+  INTERSECT: "\\cap",
+};
+
+// System identifiers with a LaTeX name
+const SYSTEM_NAMES = {
+  SIN: "\\sin",
+  COS: "\\cos",
+  TAN: "\\tan",
+  LOG: "\\log",
+  LN: "\\ln",
+  EXP: "\\exp",
+  MAX: "\\max",
+  MIN: "\\min",
+  PI: "\\pi",
+  EX: "e",
+  I: "i",
+  INFINITY: "\\infty",
+  ...OPERATORS,
+};
+
+const GREEK = new Set([
+  "alpha",
+  "beta",
+  "gamma",
+  "delta",
+  "epsilon",
+  "zeta",
+  "eta",
+  "theta",
+  "iota",
+  "kappa",
+  "lambda",
+  "mu",
+  "nu",
+  "xi",
+  "pi",
+  "rho",
+  "sigma",
+  "tau",
+  "upsilon",
+  "phi",
+  "chi",
+  "psi",
+  "omega",
+]);
+
+const POWER = ["^", "**"];
+
+// Node types rendered inside their own brackets
+const BRACKETED = [
+  "Grouping",
+  "Tuple",
+  "Array",
+  "SetLiteral",
+  "Matrix",
+  "Tensor",
+];
+
+// Node types that need no parentheses as the base of a power
+const ATOMIC_BASES = [
+  "UserIdentifier",
+  "SystemIdentifier",
+  "Grouping",
+  "Tuple",
+  "Array",
+  "Matrix",
+  "FunctionCall",
+  "PropertyAccess",
+];
+
+// Render a program (array of statements) or a single node as LaTeX.
+// options.style is "inline" (default) or "display"; options.delimiters
+// wraps the result in \( \) or \[ \]
+export function toLatex(ast, options = {}) {
+  const ctx = { ...DEFAULT_OPTIONS, ...options };
+  const display = ctx.style === "display";
+  let latex;
+  if (Array.isArray(ast)) {
+    // Comments have no place in typeset math
+    const lines = ast
+      .filter((node) => node.type !== "Comment")
+      .map((node) => latexNode(node, ctx));
+    latex =
+      display && lines.length > 1
+        ? "\\begin{gathered}\n" + lines.join(" \\\\\n") + "\n\\end{gathered}"
+        : lines.join(";\\quad ");
+  } else {
+    latex = latexNode(ast, ctx);
+  }
+  if (ctx.delimiters) {
+    return display ? "\\[" + latex + "\\]" : "\\(" + latex + "\\)";
+  }
+  return display ? "\\displaystyle " + latex : latex;
+}
+
+function latexNode(node, ctx) {
+  switch (node.type) {
+    case "Number":
+      return latexNumber(node.value);
+
+    case "String":
+      return "\\text{``" + escapeText(node.value) + "''}";
+
+    case "UserIdentifier":
+      return latexIdentifier(node.name);
+
+    case "SystemIdentifier":
+      return latexSystemName(node.name);
+
+    case "PlaceHolder":
+      return "\\square_{" + node.place + "}";
+
+    case "Statement":
+      return latexNode(node.expression, ctx);
+
+    case "BinaryOperation":
+      return latexBinary(node, ctx);
+
+    case "UnaryOperation":
+      return latexUnary(node, ctx);
+
+    case "CustomOperation":
+      if (node.operatorType === "prefix" || node.operatorType === "postfix") {
+        return latexUnary(
+          { ...node, postfix: node.operatorType === "postfix" },
+          ctx,
+        );
+      }
+      return latexInfix(node.operator, node.left, node.right, ctx);
+
+    case "TernaryOperation":
+      return latexCases(
+        [
+          [node.trueExpression, node.condition],
+          [node.falseExpression, null],
+        ],
+        ctx,
+      );
+
+    case "Grouping":
+      if (node.expression.type === "ParameterList") {
+        return latexCode(node);
+      }
+      // (a:b) is already bracketed as [a, b]
+      return isBracketed(node.expression)
+        ? latexNode(node.expression, ctx)
+        : paren(latexNode(node.expression, ctx));
+
+    case "Tuple":
+      return paren(latexList(node.elements, ctx));
+
+    case "Array":
+      return "\\left[" + latexList(node.elements, ctx) + "\\right]";
+
+    case "SetLiteral":
+      return "\\left\\{" + latexList(node.elements, ctx) + "\\right\\}";
+
+    case "EquationSystem":
+      return latexCases(
+        node.elements.map((element) => [element, undefined]),
+        ctx,
+      );
+
+    case "Matrix":
+      return latexMatrix(node.rows, ctx);
+
+    case "Tensor":
+      return latexTensor(node.structure, ctx);
+
+    case "FunctionCall":
+      return latexCall(node.function, node.arguments, ctx);
+
+    case "Call":
+      return latexCall(node.target, node.arguments, ctx);
+
+    case "PropertyAccess":
+      return (
+        latexOperand(
+          node.object,
+          { precedence: PRECEDENCE.POSTFIX },
+          "left",
+          ctx,
+        ) +
+        "_{" +
+        latexNode(node.property, ctx) +
+        "}"
+      );
+
+    case "ScientificUnit":
+      return (
+        latexPostfixTarget(node.target, ctx) + "\\," + latexUnit(node.unit)
+      );
+
+    case "MathematicalUnit":
+      return (
+        latexPostfixTarget(node.target, ctx) + latexMathematicalUnit(node.unit)
+      );
+
+    case "Derivative":
+      return latexDerivative(node, ctx);
+
+    case "Integral":
+      return latexIntegral(node, ctx);
+
+    case "FunctionLambda":
+      return latexLambda(node, ctx);
+
+    case "FunctionDefinition":
+      return latexFunctionDefinition(node, ctx);
+
+    default:
+      return latexCode(node);
+  }
+}
+
+// Nodes shown as their RiX source
+function latexCode(node) {
+  return "\\texttt{" + escapeText(format(node)) + "}";
+}
+
+// How tightly a node's LaTeX binds as an operand. Fractions, intervals and
+// cases group themselves; powers read as binding tighter than a sign, the
+// way -x^{2} is read
+function latexPrecedence(node, ctx) {
+  switch (node.type) {
+    case "Number":
+      return /^-/.test(node.value)
+        ? { precedence: PRECEDENCE.UNARY }
+        : { precedence: Infinity };
+    case "BinaryOperation":
+      if (!node.implicit && ["/", ":"].includes(node.operator)) {
+        return { precedence: Infinity };
+      }
+      if (!node.implicit && POWER.includes(node.operator)) {
+        return { precedence: PRECEDENCE.POSTFIX };
+      }
+      break;
+    case "TernaryOperation":
+      return { precedence: Infinity };
+  }
+  return precedenceOf(node, ctx);
+}
+
+// An operand, in parentheses when it binds looser than its context. side
+// is "left" or "right" of an operator with the given info
+function latexOperand(node, parentInfo, side, ctx) {
+  const latex = latexNode(node, ctx);
+  const info = latexPrecedence(node, ctx);
+  if (!parentInfo || !info) {
+    return latex;
+  }
+  const looser =
+    info.precedence < parentInfo.precedence ||
+    (info.precedence === parentInfo.precedence &&
+      side !== (parentInfo.associativity === "right" ? "right" : "left"));
+  return looser ? paren(latex) : latex;
+}
+
+// Parentheses from the source are dropped where the layout groups the
+// node anyway, as in a numerator or an exponent
+function latexUngrouped(node, ctx) {
+  while (node.type === "Grouping" && node.expression.type !== "ParameterList") {
+    node = node.expression;
+  }
+  return latexNode(node, ctx);
+}
+
+function isBracketed(node) {
+  return (
+    BRACKETED.includes(node.type) ||
+    (node.type === "BinaryOperation" &&
+      !node.implicit &&
+      node.operator === ":") ||
+    (node.type === "Number" && numberFormat(node.value) === "interval")
+  );
+}
+
+function latexPostfixTarget(node, ctx) {
+  return latexOperand(node, { precedence: PRECEDENCE.POSTFIX }, "left", ctx);
+}
+
+function paren(latex) {
+  return "\\left(" + latex + "\\right)";
+}
+
+function latexList(nodes, ctx) {
+  return nodes.map((node) => latexNode(node, ctx)).join(", ");
+}
+
+function latexBinary(node, ctx) {
+  if (node.implicit) {
+    const info = { precedence: PRECEDENCE.IMPLICIT, associativity: "left" };
+    const left = latexOperand(node.left, info, "left", ctx);
+    const right = latexOperand(node.right, info, "right", ctx);
+    // 2 3 would read as 23; 2(x + 1) needs no space
+    if (/^\d/.test(right)) {
+      return left + " \\cdot " + right;
+    }
+    return left + (right.startsWith("\\left(") ? "" : " ") + right;
+  }
+  switch (node.operator) {
+    case "/":
+      return (
+        "\\frac{" +
+        latexUngrouped(node.left, ctx) +
+        "}{" +
+        latexUngrouped(node.right, ctx) +
+        "}"
+      );
+    case "^":
+    case "**":
+      return latexPower(node.left, latexUngrouped(node.right, ctx), ctx);
+    case ":":
+      return (
+        "\\left[" +
+        latexNode(node.left, ctx) +
+        ", " +
+        latexNode(node.right, ctx) +
+        "\\right]"
+      );
+    default:
+      return latexInfix(node.operator, node.left, node.right, ctx);
+  }
+}
+
+function latexInfix(operator, left, right, ctx) {
+  const info = operatorInfo(operator, ctx);
+  const rightLatex = latexOperand(right, info, "right", ctx);
+  return (
+    latexOperand(left, info, "left", ctx) +
+    " " +
+    latexOperator(operator) +
+    " " +
+    // x - (-2) rather than x - -2
+    (/^[-+]/.test(rightLatex) ? paren(rightLatex) : rightLatex)
+  );
+}
+
+function latexOperator(operator) {
+  return (
+    OPERATORS[operator] || "\\mathbin{\\texttt{" + escapeText(operator) + "}}"
+  );
+}
+
+// base^{exponent}. Anything but a plain name, number or bracketed form is
+// parenthesized as a base, since x^{2} reads as applying to x alone
+function latexPower(base, exponent, ctx) {
+  const atomic =
+    ATOMIC_BASES.includes(base.type) ||
+    (base.type === "Number" && /^\d+(\.\d+)?$/.test(base.value));
+  const latex = latexNode(base, ctx);
+  return (atomic ? latex : paren(latex)) + "^{" + exponent + "}";
+}
+
+function latexUnary(node, ctx) {
+  const operator = latexOperator(node.operator);
+  if (node.postfix) {
+    return latexPostfixTarget(node.operand, ctx) + operator;
+  }
+  const info = { precedence: PRECEDENCE.UNARY, associativity: "right" };
+  const operand = latexOperand(node.operand, info, "right", ctx);
+  return operator + (/^\\[a-z]+$/i.test(operator) ? " " : "") + operand;
+}
+
+// \begin{cases} from [value, condition] rows. A null condition is
+// "otherwise"; an undefined one leaves the row without a condition
+function latexCases(rows, ctx) {
+  const lines = rows.map(([value, condition]) => {
+    if (condition === undefined) {
+      return latexNode(value, ctx);
+    }
+    return (
+      latexNode(value, ctx) +
+      " & " +
+      (condition === null
+        ? "\\text{otherwise}"
+        : "\\text{if } " + latexNode(condition, ctx))
+    );
+  });
+  return "\\begin{cases}" + lines.join(" \\\\ ") + "\\end{cases}";
+}
+
+function latexMatrix(rows, ctx) {
+  return (
+    "\\begin{pmatrix}" +
+    rows
+      .map((row) => row.map((element) => latexNode(element, ctx)).join(" & "))
+      .join(" \\\\ ") +
+    "\\end{pmatrix}"
+  );
+}
+
+// A tensor is a row of pmatrix blocks, split at its highest separator
+// level and nested down to plain matrices at level 1
+function latexTensor(structure, ctx) {
+  const level = Math.max(...structure.map((item) => item.separatorLevel));
+  if (level <= 1) {
+    return latexMatrix(
+      structure.map((item) => item.row),
+      ctx,
+    );
+  }
+  const blocks = [[]];
+  structure.forEach((item, index) => {
+    blocks.at(-1).push({
+      row: item.row,
+      separatorLevel: item.separatorLevel >= level ? 0 : item.separatorLevel,
+    });
+    if (item.separatorLevel >= level && index < structure.length - 1) {
+      blocks.push([]);
+    }
+  });
+  return (
+    "\\begin{pmatrix}" +
+    blocks.map((block) => latexTensor(block, ctx)).join(" & ") +
+    "\\end{pmatrix}"
+  );
+}
+
+function latexCall(target, args, ctx) {
+  const positional = args.positional;
+  if (target.type === "SystemIdentifier" && positional.length === 1) {
+    if (target.name === "SQRT") {
+      return "\\sqrt{" + latexNode(positional[0], ctx) + "}";
+    }
+    if (target.name === "ABS") {
+      return "\\left|" + latexNode(positional[0], ctx) + "\\right|";
+    }
+  }
+  const keyword = Object.entries(args.keyword).map(
+    ([key, value]) => latexIdentifier(key) + " = " + latexNode(value, ctx),
+  );
+  const items = positional.map((arg) => latexNode(arg, ctx)).join(", ");
+  const text = keyword.length > 0 ? items + "; " + keyword.join(", ") : items;
+  // 2(x + 1) is a product
+  return latexPostfixTarget(target, ctx) + paren(text);
+}
+
+// Leibniz notation for derivatives with respect to named variables
+// (partial for more than one), primes otherwise
+function latexDerivative(node, ctx) {
+  const order = node.order;
+  const power = order > 1 ? "^{" + order + "}" : "";
+  let latex;
+  if (node.variables && node.variables.length > 0) {
+    const partial = node.variables.length > 1;
+    const d = partial ? "\\partial" : "\\mathrm{d}";
+    const denominator = partial
+      ? node.variables
+          .map((variable) => d + " " + latexIdentifier(variable.name))
+          .join(" \\, ")
+      : d + latexIdentifier(node.variables[0].name) + power;
+    const named = ["UserIdentifier", "SystemIdentifier"].includes(
+      node.function.type,
+    );
+    latex = named
+      ? "\\frac{" +
+        d +
+        power +
+        " " +
+        latexNode(node.function, ctx) +
+        "}{" +
+        denominator +
+        "}"
+      : "\\frac{" +
+        d +
+        power +
+        "}{" +
+        denominator +
+        "} " +
+        latexOperand(
+          node.function,
+          { precedence: PRECEDENCE.CALCULUS },
+          "right",
+          ctx,
+        );
+  } else {
+    const target = latexOperand(
+      node.function,
+      { precedence: PRECEDENCE.CALCULUS },
+      "left",
+      ctx,
+    );
+    latex = target + (order <= 3 ? "'".repeat(order) : "^{(" + order + ")}");
+  }
+  return latex + latexCalculusArguments(node.evaluation, node.operations, ctx);
+}
+
+// \int, \iint, \iiint by order, with bounds for a single variable
+// evaluated at two points and a differential per variable
+function latexIntegral(node, ctx) {
+  const order = node.order;
+  let symbol =
+    order <= 3
+      ? "\\" + "i".repeat(order - 1) + "int"
+      : "\\int ".repeat(order).trim();
+  let evaluation = node.evaluation;
+  if (order === 1 && evaluation && evaluation.length === 2) {
+    symbol +=
+      "_{" +
+      latexNode(evaluation[0], ctx) +
+      "}^{" +
+      latexNode(evaluation[1], ctx) +
+      "}";
+    evaluation = null;
+  }
+  const differentials = (node.variables || [])
+    .map((variable) => " \\, \\mathrm{d}" + latexIdentifier(variable.name))
+    .join("");
+  return (
+    symbol +
+    " " +
+    latexOperand(
+      node.function,
+      { precedence: PRECEDENCE.CALCULUS },
+      "right",
+      ctx,
+    ) +
+    differentials +
+    latexCalculusArguments(evaluation, node.operations, ctx)
+  );
+}
+
+function latexCalculusArguments(evaluation, operations, ctx) {
+  const args = evaluation || operations;
+  return args ? paren(latexList(args, ctx)) : "";
+}
+
+function latexParameters(parameters, ctx) {
+  return [...parameters.positional, ...parameters.keyword].map(
+    (param) =>
+      latexIdentifier(param.name) +
+      (param.defaultValue ? " = " + latexNode(param.defaultValue, ctx) : ""),
+  );
+}
+
+// Conditions on parameters follow the definition: f(x) := x, \quad x > 0
+function latexConditions(parameters, ctx) {
+  const conditions = parameters.conditionals || [];
+  return conditions.length > 0 ? ", \\quad " + latexList(conditions, ctx) : "";
+}
+
+function latexLambda(node, ctx) {
+  const params = latexParameters(node.parameters, ctx);
+  const head = params.length === 1 ? params[0] : paren(params.join(", "));
+  const info = { precedence: PRECEDENCE.ARROW, associativity: "right" };
+  return (
+    head +
+    " \\mapsto " +
+    latexOperand(node.body, info, "right", ctx) +
+    latexConditions(node.parameters, ctx)
+  );
+}
+
+function latexFunctionDefinition(node, ctx) {
+  const params = latexParameters(node.parameters, ctx);
+  const name = latexPostfixTarget(node.name, ctx);
+  const head = params.length > 0 ? name + paren(params.join(", ")) : name;
+  const info = { precedence: PRECEDENCE.ASSIGNMENT, associativity: "right" };
+  return (
+    head +
+    " \\mathrel{:=} " +
+    latexOperand(node.body, info, "right", ctx) +
+    latexConditions(node.parameters, ctx)
+  );
+}
+
+// Number literals in their written form: 3/4 as a fraction, 1..3/4 as a
+// mixed number, 0.12#45 with an overline, 1.2E3 with a power of ten and
+// a:b as an interval
+function latexNumber(text) {
+  const format = numberFormat(text);
+  const sign = text.startsWith("-") ? "-" : "";
+  const digits = sign ? text.slice(1) : text;
+  let match;
+  switch (format) {
+    case "interval": {
+      const colon = text.indexOf(":");
+      return (
+        "\\left[" +
+        latexNumber(text.slice(0, colon)) +
+        ", " +
+        latexNumber(text.slice(colon + 1)) +
+        "\\right]"
+      );
+    }
+    case "decimal-uncertainty":
+      return latexUncertainty(text);
+    case "scientific": {
+      const [, base, exponent] = text.match(/^(.+)[Ee]([+-]?\d+)$/);
+      return (
+        latexNumber(base) + " \\times 10^{" + exponent.replace(/^\+/, "") + "}"
+      );
+    }
+    case "mixed":
+      match = digits.match(/^(\d+)\.\.(\d+)\/(\d+)$/);
+      return sign + match[1] + "\\frac{" + match[2] + "}{" + match[3] + "}";
+    case "repeating": {
+      match = digits.match(/^(\d*)(?:\.(\d*))?#(\d+)$/);
+      const [, whole, fraction = "", repeat] = match;
+      return (
+        sign + (whole || "0") + "." + fraction + "\\overline{" + repeat + "}"
+      );
+    }
+    case "rational":
+      match = digits.match(/^(\d+)\/(\d+)$/);
+      return sign + "\\frac{" + match[1] + "}{" + match[2] + "}";
+    default:
+      return text;
+  }
+}
+
+// 1.23[56:67] as the interval [1.2356, 1.2367]; 1.23[+5,-6] as
+// 1.23^{+0.005}_{-0.006}, the offsets being in the next decimal place
+function latexUncertainty(text) {
+  const [, decimal, bounds] = text.match(/^(-?\d*\.\d+)\[(.+)\]$/);
+  const range = bounds.match(/^(\d+):(\d+)$/);
+  if (range) {
+    return (
+      "\\left[" + decimal + range[1] + ", " + decimal + range[2] + "\\right]"
+    );
+  }
+  const places = decimal.length - decimal.indexOf(".");
+  const offsets = bounds
+    .split(",")
+    .map((offset) => {
+      const padded = offset.slice(1).padStart(places + 1, "0");
+      return {
+        value: Number(offset),
+        text:
+          offset[0] + padded.slice(0, -places) + "." + padded.slice(-places),
+      };
+    })
+    .sort((a, b) => b.value - a.value);
+  return decimal + "^{" + offsets[0].text + "}_{" + offsets[1].text + "}";
+}
+
+// Single letters as they are, Greek letter names as symbols, a trailing
+// number as a subscript (x1 -> x_{1}) and longer names in italics
+function latexIdentifier(name) {
+  const match = name.match(/^(\D+?)(\d+)$/);
+  if (match) {
+    return latexIdentifier(match[1]) + "_{" + match[2] + "}";
+  }
+  if (GREEK.has(name)) {
+    return "\\" + name;
+  }
+  if ([...name].length === 1 || !/^[A-Za-z]+$/.test(name)) {
+    return name;
+  }
+  return "\\mathit{" + name + "}";
+}
+
+function latexSystemName(name) {
+  return SYSTEM_NAMES[name] || "\\operatorname{" + escapeText(name) + "}";
+}
+
+// ~[m/s] -> \mathrm{m/s}, with * as \cdot and exponents raised
+function latexUnit(unit) {
+  return (
+    "\\mathrm{" +
+    escapeText(unit)
+      .replace(/\*/g, " \\cdot ")
+      .replace(/\\\^\{\}(-?\d+)/g, "^{$1}") +
+    "}"
+  );
+}
+
+// ~{i} -> i, ~{sqrt2} -> \sqrt{2}, ~{cbrt5} -> \sqrt[3]{5}
+function latexMathematicalUnit(unit) {
+  let match;
+  if ((match = unit.match(/^sqrt(\d+)$/))) {
+    return "\\sqrt{" + match[1] + "}";
+  }
+  if ((match = unit.match(/^cbrt(\d+)$/))) {
+    return "\\sqrt[3]{" + match[1] + "}";
+  }
+  if (unit === "i" || unit === "e") {
+    return unit;
+  }
+  return GREEK.has(unit) ? "\\" + unit : "\\mathrm{" + escapeText(unit) + "}";
+}
+
+// Text for \text and \texttt, with LaTeX's special characters escaped
+function escapeText(text) {
+  return text.replace(/[\\{}$&#^_%~]/g, (char) => {
+    switch (char) {
+      case "\\":
+        return "\\textbackslash{}";
+      case "^":
+        return "\\^{}";
+      case "~":
+        return "\\~{}";
+      default:
+        return "\\" + char;
+    }
+  });
+}
@@ -0,0 +1,44 @@
+/**
+ * RiX Source Locations
+ * Converts character offsets into line/column positions
+ */
+
+// Build a function mapping offsets to { line, column, offset }
+// Lines are 1-based and columns 0-based
+export function createLocator(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === "\n") {
+      lineStarts.push(i + 1);
+    }
+  }
+
+  return function locate(offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low], offset };
+  };
+}
+
+// Source range [start, end] of a token's text, excluding leading whitespace
+export function tokenRange(token) {
+  if (!token || !token.pos) {
+    return [0, 0];
+  }
+  const original = token.original || "";
+  const start = token.pos[0] + (original.length - original.trimStart().length);
+  return [Math.min(start, token.pos[2]), token.pos[2]];
+}
+
+// Line/column span for a [start, end] offset range
+export function rangeToSpan(range, locate) {
+  return { start: locate(range[0]), end: locate(range[1]) };
+}
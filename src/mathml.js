@@ -0,0 +1,1312 @@
+/**
+ * RiX MathML Export
+ * Renders an AST from parse() as presentation MathML, for display and
+ * screen readers, or content MathML, which carries what the expression
+ * means: an interval rather than a bracketed pair, a boolean test rather
+ * than an assertion. RiX forms without a MathML counterpart become
+ * <csymbol cd="rix"> applications in content mode
+ */
+
+import { PRECEDENCE } from "./parser.js";
+import { format, precedenceOf, operatorInfo } from "./formatter.js";
+import { numberFormat, decodeNumber } from "./numbers.js";
+
+const DEFAULT_OPTIONS = {
+  mode: "presentation", // "presentation" or "content"
+  style: "inline", // "inline" or "display" (display="block")
+  systemLookup: null, // Precedence of keyword and custom operators
+};
+
+const NAMESPACE = "http://www.w3.org/1998/Math/MathML";
+
+// Presentation operator characters
+const OPERATORS = {
+  ":=": "≔",
+  "=": "=",
+  "!=": "≠",
+  "==": "≡",
+  "<": "<",
+  ">": ">",
+  "<=": "≤",
+  ">=": "≥",
+  "+": "+",
+  "-": "−",
+  "*": "⋅",
+  "%": "mod",
+  "->": "→",
+  "=>": "⇒",
+  "?": "∣",
+  AND: "∧",
+  OR: "∨",
+  NOT: "¬",
+  IN: "∈",
+  UNION: "∪",
+  INTERSECT: "∩",
+};
+
+// Boolean tests, shown as the relation with a ? above it
+const TESTS = {
+  "?=": "eq",
+  "?<": "lt",
+  "?>": "gt",
+  "?<=": "leq",
+  "?>=": "geq",
+};
+// Equations and inequalities to solve, shown as the relation with a :
+// above it
+const SOLVE = {
+  ":=:": "eq",
+  ":<:": "lt",
+  ":>:": "gt",
+  ":<=:": "leq",
+  ":>=:": "geq",
+};
+const RELATION_SYMBOLS = { eq: "=", lt: "<", gt: ">", leq: "≤", geq: "≥" };
+
+// Content MathML elements of operators
+const CONTENT_OPERATORS = {
+  "+": "plus",
+  "-": "minus",
+  "*": "times",
+  "/": "divide",
+  "^": "power",
+  "**": "power",
+  "%": "rem",
+  "//": "quotient",
+  "=": "eq",
+  "!=": "neq",
+  "==": "equivalent",
+  "<": "lt",
+  ">": "gt",
+  "<=": "leq",
+  ">=": "geq",
+  "=>": "implies",
+  AND: "and",
+  OR: "or",
+  NOT: "not",
+  IN: "in",
+  UNION: "union",
+  INTERSECT: "intersect",
+};
+
+// System identifiers as presentation text and content elements
+const SYSTEM_NAMES = {
+  SIN: ["sin", "<sin/>"],
+  COS: ["cos", "<cos/>"],
+  TAN: ["tan", "<tan/>"],
+  LOG: ["log", "<log/>"],
+  LN: ["ln", "<ln/>"],
+  EXP: ["exp", "<exp/>"],
+  MAX: ["max", "<max/>"],
+  MIN: ["min", "<min/>"],
+  ABS: ["abs", "<abs/>"],
+  SQRT: ["sqrt", "<root/>"],
+  PI: ["π", "<pi/>"],
+  EX: ["e", "<exponentiale/>"],
+  I: ["i", "<imaginaryi/>"],
+  INFINITY: ["∞", "<infinity/>"],
+};
+
+// Infix node types, with their operator and content symbol
+const PIPES = {
+  Pipe: { operator: "|>", symbol: null },
+  ExplicitPipe: { operator: "||>", symbol: null },
+  PipeMap: { operator: "|>>", symbol: "pipe_map" },
+  PipeFilter: { operator: "|>?", symbol: "pipe_filter" },
+  PipeReduce: { operator: "|>:", symbol: "pipe_reduce" },
+};
+
+const GREEK = {
+  alpha: "α",
+  beta: "β",
+  gamma: "γ",
+  delta: "δ",
+  epsilon: "ε",
+  zeta: "ζ",
+  eta: "η",
+  theta: "θ",
+  iota: "ι",
+  kappa: "κ",
+  lambda: "λ",
+  mu: "μ",
+  nu: "ν",
+  xi: "ξ",
+  pi: "π",
+  rho: "ρ",
+  sigma: "σ",
+  tau: "τ",
+  upsilon: "υ",
+  phi: "φ",
+  chi: "χ",
+  psi: "ψ",
+  omega: "ω",
+};
+
+const POWER = ["^", "**"];
+
+// Node types rendered inside their own brackets
+const BRACKETED = [
+  "Grouping",
+  "Tuple",
+  "Array",
+  "SetLiteral",
+  "MapLiteral",
+  "Matrix",
+  "Tensor",
+];
+
+// Node types that need no parentheses as the base of a power
+const ATOMIC_BASES = [
+  ...BRACKETED,
+  "UserIdentifier",
+  "SystemIdentifier",
+  "FunctionCall",
+  "PropertyAccess",
+];
+
+const INVISIBLE_TIMES = "<mo>&#x2062;</mo>";
+const APPLY_FUNCTION = "<mo>&#x2061;</mo>";
+
+// Render a program (array of statements) or a single node as MathML, one
+// <math> element per statement. options.mode is "presentation" (default)
+// or "content"; options.style "display" gives display="block"
+export function toMathML(ast, options = {}) {
+  const ctx = { ...DEFAULT_OPTIONS, ...options };
+  if (ctx.mode !== "presentation" && ctx.mode !== "content") {
+    throw new Error(`Unknown MathML mode: ${ctx.mode}`);
+  }
+  const render = ctx.mode === "content" ? contentNode : presentationNode;
+  const display = ctx.style === "display" ? ' display="block"' : "";
+  const nodes = Array.isArray(ast)
+    ? ast.filter((node) => node.type !== "Comment")
+    : [ast];
+  return nodes
+    .map(
+      (node) =>
+        `<math xmlns="${NAMESPACE}"${display}>` + render(node, ctx) + "</math>",
+    )
+    .join("\n");
+}
+
+function element(name, content, attributes = "") {
+  return `<${name}${attributes}>${content}</${name}>`;
+}
+
+const mrow = (...parts) => element("mrow", parts.join(""));
+const mo = (text) => element("mo", escapeXml(text));
+const mn = (text) => element("mn", escapeXml(text));
+const mi = (text) => element("mi", escapeXml(text));
+
+function fenced(open, content, close) {
+  return mrow(mo(open), content, mo(close));
+}
+
+function paren(content) {
+  return fenced("(", content, ")");
+}
+
+function separated(parts) {
+  return parts.join(mo(","));
+}
+
+// Presentation MathML
+
+function presentationNode(node, ctx) {
+  if (PIPES[node.type]) {
+    return presentationInfix(
+      PIPES[node.type].operator,
+      node.left,
+      node.right,
+      ctx,
+    );
+  }
+
+  switch (node.type) {
+    case "Number":
+      return presentationNumber(node.value);
+
+    case "String":
+      return element("ms", escapeXml(node.value));
+
+    case "UserIdentifier":
+      return presentationIdentifier(node.name);
+
+    case "SystemIdentifier":
+      if (SYSTEM_NAMES[node.name]) {
+        return mi(SYSTEM_NAMES[node.name][0]);
+      }
+      return OPERATORS[node.name]
+        ? mo(OPERATORS[node.name])
+        : element("mi", escapeXml(node.name), ' mathvariant="normal"');
+
+    case "PlaceHolder":
+      return element("msub", mi("□") + mn(String(node.place)));
+
+    case "Statement":
+      return presentationNode(node.expression, ctx);
+
+    case "BinaryOperation":
+      return presentationBinary(node, ctx);
+
+    case "UnaryOperation":
+      return presentationUnary(node, ctx);
+
+    case "CustomOperation":
+      if (node.operatorType === "prefix" || node.operatorType === "postfix") {
+        return presentationUnary(
+          { ...node, postfix: node.operatorType === "postfix" },
+          ctx,
+        );
+      }
+      return presentationInfix(node.operator, node.left, node.right, ctx);
+
+    case "TernaryOperation":
+      return presentationCases(
+        [
+          [node.trueExpression, node.condition],
+          [node.falseExpression, null],
+        ],
+        ctx,
+      );
+
+    case "Grouping":
+      if (node.expression.type === "ParameterList") {
+        return presentationCode(node);
+      }
+      // (a:b) is already bracketed as [a, b]
+      return isBracketed(node.expression)
+        ? presentationNode(node.expression, ctx)
+        : paren(presentationNode(node.expression, ctx));
+
+    case "Tuple":
+      return paren(presentationList(node.elements, ctx));
+
+    case "Array":
+      return fenced("[", presentationList(node.elements, ctx), "]");
+
+    case "SetLiteral":
+    case "MapLiteral":
+      return fenced("{", presentationList(node.elements, ctx), "}");
+
+    case "EquationSystem":
+      return presentationCases(
+        node.elements.map((item) => [item, undefined]),
+        ctx,
+      );
+
+    case "Matrix":
+      return paren(presentationTable(node.rows, ctx));
+
+    case "Tensor":
+      return presentationTensor(node.structure, ctx);
+
+    case "FunctionCall":
+      return presentationCall(node.function, node.arguments, ctx);
+
+    case "Call":
+      return presentationCall(node.target, node.arguments, ctx);
+
+    case "PropertyAccess":
+      return element(
+        "msub",
+        presentationPostfixTarget(node.object, ctx) +
+          presentationNode(node.property, ctx),
+      );
+
+    case "ScientificUnit":
+      return mrow(
+        presentationPostfixTarget(node.target, ctx),
+        INVISIBLE_TIMES,
+        presentationUnit(node.unit),
+      );
+
+    case "MathematicalUnit":
+      return mrow(
+        presentationPostfixTarget(node.target, ctx),
+        INVISIBLE_TIMES,
+        presentationMathematicalUnit(node.unit),
+      );
+
+    case "Derivative":
+      return presentationDerivative(node, ctx);
+
+    case "Integral":
+      return presentationIntegral(node, ctx);
+
+    case "FunctionLambda":
+      return presentationFunction(
+        null,
+        node.parameters,
+        "↦",
+        node.body,
+        { precedence: PRECEDENCE.ARROW, associativity: "right" },
+        ctx,
+      );
+
+    case "FunctionDefinition":
+      return presentationFunction(
+        presentationPostfixTarget(node.name, ctx),
+        node.parameters,
+        "≔",
+        node.body,
+        { precedence: PRECEDENCE.ASSIGNMENT, associativity: "right" },
+        ctx,
+      );
+
+    default:
+      return presentationCode(node);
+  }
+}
+
+// Nodes shown as their RiX source
+function presentationCode(node) {
+  return element("mtext", escapeXml(format(node)));
+}
+
+// How tightly a node's layout binds as an operand. Fractions, intervals
+// and tables group themselves; powers read as binding tighter than a sign
+function layoutPrecedence(node, ctx) {
+  switch (node.type) {
+    case "Number":
+      return /^-/.test(node.value)
+        ? { precedence: PRECEDENCE.UNARY }
+        : { precedence: Infinity };
+    case "BinaryOperation":
+      if (!node.implicit && ["/", ":"].includes(node.operator)) {
+        return { precedence: Infinity };
+      }
+      if (!node.implicit && POWER.includes(node.operator)) {
+        return { precedence: PRECEDENCE.POSTFIX };
+      }
+      break;
+    case "TernaryOperation":
+    case "EquationSystem":
+      return { precedence: Infinity };
+  }
+  return precedenceOf(node, ctx);
+}
+
+function presentationOperand(node, parentInfo, side, ctx) {
+  const content = presentationNode(node, ctx);
+  const info = layoutPrecedence(node, ctx);
+  if (!parentInfo || !info) {
+    return content;
+  }
+  const looser =
+    info.precedence < parentInfo.precedence ||
+    (info.precedence === parentInfo.precedence &&
+      side !== (parentInfo.associativity === "right" ? "right" : "left"));
+  return looser ? paren(content) : content;
+}
+
+function presentationPostfixTarget(node, ctx) {
+  return presentationOperand(
+    node,
+    { precedence: PRECEDENCE.POSTFIX },
+    "left",
+    ctx,
+  );
+}
+
+// Parentheses from the source are dropped where the layout groups the
+// node anyway, as in a numerator or an exponent
+function presentationUngrouped(node, ctx) {
+  while (node.type === "Grouping" && node.expression.type !== "ParameterList") {
+    node = node.expression;
+  }
+  return presentationNode(node, ctx);
+}
+
+function isBracketed(node) {
+  return (
+    BRACKETED.includes(node.type) ||
+    (node.type === "BinaryOperation" &&
+      !node.implicit &&
+      node.operator === ":") ||
+    (node.type === "Number" && numberFormat(node.value) === "interval")
+  );
+}
+
+function presentationList(nodes, ctx) {
+  return separated(nodes.map((node) => presentationNode(node, ctx)));
+}
+
+function presentationBinary(node, ctx) {
+  if (node.implicit) {
+    const info = { precedence: PRECEDENCE.IMPLICIT, associativity: "left" };
+    return mrow(
+      presentationOperand(node.left, info, "left", ctx),
+      INVISIBLE_TIMES,
+      presentationOperand(node.right, info, "right", ctx),
+    );
+  }
+  switch (node.operator) {
+    case "/":
+      return element(
+        "mfrac",
+        presentationUngrouped(node.left, ctx) +
+          presentationUngrouped(node.right, ctx),
+      );
+    case "^":
+    case "**":
+      return presentationPower(
+        node.left,
+        presentationUngrouped(node.right, ctx),
+        ctx,
+      );
+    case ":":
+      return fenced(
+        "[",
+        separated([
+          presentationNode(node.left, ctx),
+          presentationNode(node.right, ctx),
+        ]),
+        "]",
+      );
+    default:
+      return presentationInfix(node.operator, node.left, node.right, ctx);
+  }
+}
+
+function presentationInfix(operator, left, right, ctx) {
+  const info = operatorInfo(operator, ctx);
+  const rightContent = presentationOperand(right, info, "right", ctx);
+  return mrow(
+    presentationOperand(left, info, "left", ctx),
+    presentationOperator(operator),
+    // x − (−2) rather than x − −2
+    isSigned(right) ? paren(rightContent) : rightContent,
+  );
+}
+
+function isSigned(node) {
+  return (
+    (node.type === "Number" && /^-/.test(node.value)) ||
+    (node.type === "UnaryOperation" &&
+      !node.postfix &&
+      ["-", "+"].includes(node.operator))
+  );
+}
+
+function presentationOperator(operator) {
+  if (TESTS[operator]) {
+    return element("mover", mo(RELATION_SYMBOLS[TESTS[operator]]) + mo("?"));
+  }
+  if (SOLVE[operator]) {
+    return element("mover", mo(RELATION_SYMBOLS[SOLVE[operator]]) + mo(":"));
+  }
+  return mo(OPERATORS[operator] || operator);
+}
+
+// base^exponent. Anything but a name, an unsigned number or a bracketed
+// form is parenthesized as a base, since x^2 reads as applying to x alone
+function presentationPower(base, exponent, ctx) {
+  const atomic =
+    ATOMIC_BASES.includes(base.type) ||
+    (base.type === "Number" && /^\d+(\.\d+)?$/.test(base.value));
+  const content = presentationNode(base, ctx);
+  return element("msup", (atomic ? content : paren(content)) + exponent);
+}
+
+function presentationUnary(node, ctx) {
+  const operator = presentationOperator(node.operator);
+  if (node.postfix) {
+    return mrow(presentationPostfixTarget(node.operand, ctx), operator);
+  }
+  const info = { precedence: PRECEDENCE.UNARY, associativity: "right" };
+  return mrow(operator, presentationOperand(node.operand, info, "right", ctx));
+}
+
+// A brace and a table of [value, condition] rows. A null condition is
+// "otherwise"; an undefined one leaves the row without a condition
+function presentationCases(rows, ctx) {
+  const table = rows.map(([value, condition]) => {
+    const cells = [presentationNode(value, ctx)];
+    if (condition === null) {
+      cells.push(element("mtext", "otherwise"));
+    } else if (condition !== undefined) {
+      cells.push(
+        mrow(element("mtext", "if&#xA0;"), presentationNode(condition, ctx)),
+      );
+    }
+    return element("mtr", cells.map((cell) => element("mtd", cell)).join(""));
+  });
+  return mrow(
+    mo("{"),
+    element("mtable", table.join(""), ' columnalign="left"'),
+  );
+}
+
+function presentationTable(rows, ctx) {
+  return element(
+    "mtable",
+    rows
+      .map((row) =>
+        element(
+          "mtr",
+          row
+            .map((item) => element("mtd", presentationNode(item, ctx)))
+            .join(""),
+        ),
+      )
+      .join(""),
+  );
+}
+
+// A tensor is a row of matrix blocks, split at its highest separator
+// level and nested down to plain matrices at level 1
+function presentationTensor(structure, ctx) {
+  const level = Math.max(...structure.map((item) => item.separatorLevel));
+  if (level <= 1) {
+    return paren(
+      presentationTable(
+        structure.map((item) => item.row),
+        ctx,
+      ),
+    );
+  }
+  const blocks = splitTensor(structure, level);
+  return paren(
+    element(
+      "mtable",
+      element(
+        "mtr",
+        blocks
+          .map((block) => element("mtd", presentationTensor(block, ctx)))
+          .join(""),
+      ),
+    ),
+  );
+}
+
+// The blocks of a tensor structure between separators of the given level
+function splitTensor(structure, level) {
+  const blocks = [[]];
+  structure.forEach((item, index) => {
+    blocks.at(-1).push({
+      row: item.row,
+      separatorLevel: item.separatorLevel >= level ? 0 : item.separatorLevel,
+    });
+    if (item.separatorLevel >= level && index < structure.length - 1) {
+      blocks.push([]);
+    }
+  });
+  return blocks;
+}
+
+function presentationCall(target, args, ctx) {
+  const positional = args.positional;
+  if (target.type === "SystemIdentifier" && positional.length === 1) {
+    if (target.name === "SQRT") {
+      return element("msqrt", presentationNode(positional[0], ctx));
+    }
+    if (target.name === "ABS") {
+      return fenced("|", presentationNode(positional[0], ctx), "|");
+    }
+  }
+  const items = positional.map((arg) => presentationNode(arg, ctx));
+  const keyword = Object.entries(args.keyword).map(([key, value]) =>
+    mrow(presentationIdentifier(key), mo("="), presentationNode(value, ctx)),
+  );
+  const content =
+    keyword.length > 0
+      ? separated(items) + mo(";") + separated(keyword)
+      : separated(items);
+  // 2(x + 1) is a product
+  return mrow(
+    presentationPostfixTarget(target, ctx),
+    target.type === "Number" ? INVISIBLE_TIMES : APPLY_FUNCTION,
+    paren(content),
+  );
+}
+
+const PRIMES = ["", "′", "″", "‴"];
+
+// Leibniz notation for derivatives with respect to named variables
+// (partial for more than one), primes otherwise
+function presentationDerivative(node, ctx) {
+  const order = node.order;
+  const raise = (base) =>
+    order > 1 ? element("msup", base + mn(String(order))) : base;
+  let content;
+  if (node.variables && node.variables.length > 0) {
+    const partial = node.variables.length > 1;
+    const d = mi(partial ? "∂" : "d");
+    const denominator = partial
+      ? mrow(
+          ...node.variables.map((variable) =>
+            mrow(d, presentationIdentifier(variable.name)),
+          ),
+        )
+      : mrow(d, raise(presentationIdentifier(node.variables[0].name)));
+    const named = ["UserIdentifier", "SystemIdentifier"].includes(
+      node.function.type,
+    );
+    const fraction = element(
+      "mfrac",
+      (named
+        ? mrow(raise(d), presentationNode(node.function, ctx))
+        : raise(d)) + denominator,
+    );
+    content = named
+      ? fraction
+      : mrow(
+          fraction,
+          presentationOperand(
+            node.function,
+            { precedence: PRECEDENCE.CALCULUS },
+            "right",
+            ctx,
+          ),
+        );
+  } else {
+    const target = presentationOperand(
+      node.function,
+      { precedence: PRECEDENCE.CALCULUS },
+      "left",
+      ctx,
+    );
+    content = element(
+      "msup",
+      target + (order <= 3 ? mo(PRIMES[order]) : paren(mn(String(order)))),
+    );
+  }
+  return presentationCalculusArguments(content, node, node.evaluation, ctx);
+}
+
+// ∫, ∬, ∭ by order, with limits for a single variable evaluated at two
+// points and a differential per variable
+function presentationIntegral(node, ctx) {
+  const order = node.order;
+  let symbol =
+    order <= 3 ? mo(["∫", "∬", "∭"][order - 1]) : mo("∫").repeat(order);
+  let evaluation = node.evaluation;
+  if (order === 1 && evaluation && evaluation.length === 2) {
+    symbol = element(
+      "msubsup",
+      symbol +
+        presentationNode(evaluation[0], ctx) +
+        presentationNode(evaluation[1], ctx),
+    );
+    evaluation = null;
+  }
+  const differentials = (node.variables || []).map((variable) =>
+    mrow(mi("d"), presentationIdentifier(variable.name)),
+  );
+  const content = mrow(
+    symbol,
+    presentationOperand(
+      node.function,
+      { precedence: PRECEDENCE.CALCULUS },
+      "right",
+      ctx,
+    ),
+    ...differentials,
+  );
+  return presentationCalculusArguments(content, node, evaluation, ctx);
+}
+
+function presentationCalculusArguments(content, node, evaluation, ctx) {
+  const args = evaluation || node.operations;
+  return args
+    ? mrow(content, APPLY_FUNCTION, paren(presentationList(args, ctx)))
+    : content;
+}
+
+function presentationFunction(head, parameters, arrow, body, info, ctx) {
+  const params = [...parameters.positional, ...parameters.keyword].map(
+    (param) =>
+      param.defaultValue
+        ? mrow(
+            presentationIdentifier(param.name),
+            mo("="),
+            presentationNode(param.defaultValue, ctx),
+          )
+        : presentationIdentifier(param.name),
+  );
+  const signature =
+    head === null
+      ? params.length === 1
+        ? params[0]
+        : paren(separated(params))
+      : params.length > 0
+        ? mrow(head, APPLY_FUNCTION, paren(separated(params)))
+        : head;
+  const conditions = (parameters.conditionals || []).map((condition) =>
+    presentationNode(condition, ctx),
+  );
+  return mrow(
+    signature,
+    mo(arrow),
+    presentationOperand(body, info, "right", ctx),
+    ...(conditions.length > 0
+      ? [mo(","), element("mspace", "", ' width="1em"'), separated(conditions)]
+      : []),
+  );
+}
+
+// Number literals in their written form: 3/4 as a fraction, 1..3/4 as a
+// mixed number, 0.12#45 with a bar over the repeat, 1.2E3 with a power of
+// ten and a:b as an interval
+function presentationNumber(text) {
+  const format = numberFormat(text);
+  if (/^-/.test(text) && format !== "interval") {
+    return mrow(mo("−"), presentationNumber(text.slice(1)));
+  }
+  let match;
+  switch (format) {
+    case "interval": {
+      const colon = text.indexOf(":");
+      return fenced(
+        "[",
+        separated([
+          presentationNumber(text.slice(0, colon)),
+          presentationNumber(text.slice(colon + 1)),
+        ]),
+        "]",
+      );
+    }
+    case "decimal-uncertainty":
+      return presentationUncertainty(text);
+    case "scientific": {
+      const [, base, exponent] = text.match(/^(.+)[Ee]([+-]?\d+)$/);
+      return mrow(
+        presentationNumber(base),
+        mo("×"),
+        element(
+          "msup",
+          mn("10") + presentationNumber(exponent.replace(/^\+/, "")),
+        ),
+      );
+    }
+    case "mixed":
+      match = text.match(/^(\d+)\.\.(\d+)\/(\d+)$/);
+      return mrow(mn(match[1]), element("mfrac", mn(match[2]) + mn(match[3])));
+    case "repeating": {
+      const [, whole, fraction = "", repeat] = text.match(
+        /^(\d*)(?:\.(\d*))?#(\d+)$/,
+      );
+      return mrow(
+        mn((whole || "0") + "." + fraction),
+        element("mover", mn(repeat) + mo("‾"), ' accent="true"'),
+      );
+    }
+    case "rational":
+      match = text.match(/^(\d+)\/(\d+)$/);
+      return element("mfrac", mn(match[1]) + mn(match[2]));
+    default:
+      return mn(text);
+  }
+}
+
+// 1.23[56:67] as the interval [1.2356, 1.2367]; 1.23[+5,-6] as 1.23 with
+// +0.005 above and -0.006 below
+function presentationUncertainty(text) {
+  const { decimal, range, offsets } = splitUncertainty(text);
+  if (range) {
+    return fenced(
+      "[",
+      separated(range.map((extra) => mn(decimal + extra))),
+      "]",
+    );
+  }
+  return element("msubsup", mn(decimal) + mn(offsets[1]) + mn(offsets[0]));
+}
+
+// The decimal of an uncertainty literal and either the digits appended
+// for each endpoint (range) or the offsets as decimals, largest first
+function splitUncertainty(text) {
+  const [, decimal, bounds] = text.match(/^(-?\d*\.\d+)\[(.+)\]$/);
+  const range = bounds.match(/^(\d+):(\d+)$/);
+  if (range) {
+    return { decimal, range: [range[1], range[2]] };
+  }
+  const places = decimal.length - decimal.indexOf(".");
+  const offsets = bounds
+    .split(",")
+    .sort((a, b) => Number(b) - Number(a))
+    .map((offset) => {
+      const padded = offset.slice(1).padStart(places + 1, "0");
+      return offset[0] + padded.slice(0, -places) + "." + padded.slice(-places);
+    });
+  return { decimal, offsets };
+}
+
+// Greek letter names as letters and a trailing number as a subscript
+function presentationIdentifier(name) {
+  const match = name.match(/^(\D+?)(\d+)$/);
+  if (match) {
+    return element("msub", presentationIdentifier(match[1]) + mn(match[2]));
+  }
+  return mi(GREEK[name] || name);
+}
+
+// The factors of a unit such as kg*m^2/s^2: [{ operator, name, exponent }],
+// or null for units in other forms
+function parseUnit(unit) {
+  const parts = unit.split(/([*/])/);
+  const factors = [];
+  for (let i = 0; i < parts.length; i += 2) {
+    const match = parts[i].match(/^([\p{L}°]+)(?:\^(-?\d+))?$/u);
+    if (!match) {
+      return null;
+    }
+    factors.push({
+      operator: i > 0 ? parts[i - 1] : null,
+      name: match[1],
+      exponent: match[2] || null,
+    });
+  }
+  return factors;
+}
+
+function presentationUnit(unit) {
+  const upright = (text) =>
+    element("mi", escapeXml(text), ' mathvariant="normal"');
+  const factors = parseUnit(unit);
+  if (!factors) {
+    return upright(unit);
+  }
+  return mrow(
+    ...factors.map(
+      ({ operator, name, exponent }) =>
+        (operator ? mo(operator === "*" ? "⋅" : "/") : "") +
+        (exponent
+          ? element("msup", upright(name) + mn(exponent))
+          : upright(name)),
+    ),
+  );
+}
+
+// ~{i} -> i, ~{sqrt2} -> √2, ~{cbrt5} -> ∛5
+function presentationMathematicalUnit(unit) {
+  let match;
+  if ((match = unit.match(/^sqrt(\d+)$/))) {
+    return element("msqrt", mn(match[1]));
+  }
+  if ((match = unit.match(/^cbrt(\d+)$/))) {
+    return element("mroot", mn(match[1]) + mn("3"));
+  }
+  return mi(GREEK[unit] || unit);
+}
+
+// Content MathML
+
+const symbol = (name) => element("csymbol", escapeXml(name), ' cd="rix"');
+const apply = (...parts) => element("apply", parts.join(""));
+const ci = (name) => element("ci", escapeXml(name));
+
+function contentNode(node, ctx) {
+  if (PIPES[node.type]) {
+    return contentPipe(node, ctx);
+  }
+
+  switch (node.type) {
+    case "Number":
+      return contentNumber(node.value);
+
+    case "String":
+      return element("cs", escapeXml(node.value));
+
+    case "UserIdentifier":
+      return ci(node.name);
+
+    case "SystemIdentifier":
+      if (SYSTEM_NAMES[node.name]) {
+        return SYSTEM_NAMES[node.name][1];
+      }
+      return CONTENT_OPERATORS[node.name]
+        ? `<${CONTENT_OPERATORS[node.name]}/>`
+        : symbol(node.name);
+
+    case "PlaceHolder":
+      return apply(symbol("placeholder"), element("cn", node.place));
+
+    case "Statement":
+    case "Grouping":
+      if (
+        node.type === "Grouping" &&
+        node.expression.type === "ParameterList"
+      ) {
+        return contentCode(node);
+      }
+      return contentNode(node.expression, ctx);
+
+    case "BinaryOperation":
+      return contentBinary(node, ctx);
+
+    case "UnaryOperation":
+    case "CustomOperation": {
+      const operands =
+        node.operand !== undefined ? [node.operand] : [node.left, node.right];
+      return apply(
+        contentOperator(node.operator),
+        ...operands.map((operand) => contentNode(operand, ctx)),
+      );
+    }
+
+    case "TernaryOperation":
+      return element(
+        "piecewise",
+        element(
+          "piece",
+          contentNode(node.trueExpression, ctx) +
+            contentNode(node.condition, ctx),
+        ) + element("otherwise", contentNode(node.falseExpression, ctx)),
+      );
+
+    case "Tuple":
+      return apply(symbol("tuple"), contentList(node.elements, ctx));
+
+    case "Array":
+      return element("list", contentList(node.elements, ctx));
+
+    case "SetLiteral":
+      return element("set", contentList(node.elements, ctx));
+
+    case "MapLiteral":
+      return apply(
+        symbol("map"),
+        ...node.elements.map((entry) =>
+          entry.type === "BinaryOperation" && entry.operator === ":="
+            ? apply(
+                symbol("entry"),
+                contentNode(entry.left, ctx),
+                contentNode(entry.right, ctx),
+              )
+            : contentNode(entry, ctx),
+        ),
+      );
+
+    case "EquationSystem":
+      return apply(symbol("system"), contentList(node.elements, ctx));
+
+    case "Matrix":
+      return contentMatrix(node.rows, ctx);
+
+    case "Tensor":
+      return contentTensor(node.structure, ctx);
+
+    case "FunctionCall":
+      return contentCall(node.function, node.arguments, ctx);
+
+    case "Call":
+      // 2(x + 1) is a product
+      return node.target.type === "Number"
+        ? apply(
+            "<times/>",
+            contentNode(node.target, ctx),
+            contentList(node.arguments.positional, ctx),
+          )
+        : contentCall(node.target, node.arguments, ctx);
+
+    case "PropertyAccess":
+      return apply(
+        "<selector/>",
+        contentNode(node.object, ctx),
+        contentNode(node.property, ctx),
+      );
+
+    case "ScientificUnit":
+      return apply(
+        "<times/>",
+        contentNode(node.target, ctx),
+        contentUnit(node.unit),
+      );
+
+    case "MathematicalUnit":
+      return apply(
+        "<times/>",
+        contentNode(node.target, ctx),
+        contentMathematicalUnit(node.unit),
+      );
+
+    case "Derivative":
+      return contentDerivative(node, ctx);
+
+    case "Integral":
+      return contentIntegral(node, ctx);
+
+    case "FunctionLambda":
+      return contentLambda(node.parameters, node.body, ctx);
+
+    case "FunctionDefinition":
+      return apply(
+        symbol("assign"),
+        contentNode(node.name, ctx),
+        contentLambda(node.parameters, node.body, ctx),
+      );
+
+    default:
+      return contentCode(node);
+  }
+}
+
+// Nodes without a content form, as their RiX source
+function contentCode(node) {
+  return apply(symbol("source"), element("cs", escapeXml(format(node))));
+}
+
+function contentList(nodes, ctx) {
+  return nodes.map((node) => contentNode(node, ctx)).join("");
+}
+
+function contentOperator(operator) {
+  return CONTENT_OPERATORS[operator]
+    ? `<${CONTENT_OPERATORS[operator]}/>`
+    : symbol(operator);
+}
+
+// Assertions (=, <) are relations; boolean tests (?=, ?<) and equations to
+// solve (:=:, :<:) apply test and solve to the relation
+function contentBinary(node, ctx) {
+  const left = contentNode(node.left, ctx);
+  const right = contentNode(node.right, ctx);
+  if (node.implicit) {
+    return apply("<times/>", left, right);
+  }
+  const operator = node.operator;
+  if (TESTS[operator]) {
+    return apply(symbol("test"), apply(`<${TESTS[operator]}/>`, left, right));
+  }
+  if (SOLVE[operator]) {
+    return apply(symbol("solve"), apply(`<${SOLVE[operator]}/>`, left, right));
+  }
+  switch (operator) {
+    case ":":
+      return element("interval", left + right, ' closure="closed"');
+    case ":=":
+      return apply(symbol("assign"), left, right);
+    case "?":
+      return apply(symbol("condition"), left, right);
+    default:
+      return apply(contentOperator(operator), left, right);
+  }
+}
+
+// a |> f is f(a); a ||> f spreads a tuple into the arguments; |>>, |>?
+// and |>: map, filter and reduce the left side with the right
+function contentPipe(node, ctx) {
+  const pipe = PIPES[node.type];
+  const target = contentNode(node.right, ctx);
+  if (pipe.symbol) {
+    return apply(symbol(pipe.symbol), target, contentNode(node.left, ctx));
+  }
+  const args =
+    node.type === "ExplicitPipe" && node.left.type === "Tuple"
+      ? contentList(node.left.elements, ctx)
+      : contentNode(node.left, ctx);
+  return apply(target, args);
+}
+
+function contentCall(target, args, ctx) {
+  const keyword = Object.entries(args.keyword).map(([key, value]) =>
+    apply(symbol("keyword"), ci(key), contentNode(value, ctx)),
+  );
+  return apply(
+    contentNode(target, ctx),
+    contentList(args.positional, ctx),
+    ...keyword,
+  );
+}
+
+function contentMatrix(rows, ctx) {
+  return element(
+    "matrix",
+    rows.map((row) => element("matrixrow", contentList(row, ctx))).join(""),
+  );
+}
+
+// Tensors are lists of blocks down to matrices, as in presentation
+function contentTensor(structure, ctx) {
+  const level = Math.max(...structure.map((item) => item.separatorLevel));
+  if (level <= 1) {
+    return contentMatrix(
+      structure.map((item) => item.row),
+      ctx,
+    );
+  }
+  return element(
+    "list",
+    splitTensor(structure, level)
+      .map((block) => contentTensor(block, ctx))
+      .join(""),
+  );
+}
+
+function bvar(name, order = 1) {
+  return element(
+    "bvar",
+    ci(name) +
+      (order > 1
+        ? element("degree", element("cn", String(order), ' type="integer"'))
+        : ""),
+  );
+}
+
+// <diff/> of one variable, <partialdiff/> of several; without variables
+// the derivative is of the function itself
+function contentDerivative(node, ctx) {
+  const variables = node.variables || [];
+  const target = contentNode(node.function, ctx);
+  let content;
+  if (variables.length > 1) {
+    content = apply(
+      "<partialdiff/>",
+      ...variables.map((variable) => bvar(variable.name)),
+      target,
+    );
+  } else if (variables.length === 1) {
+    content = apply("<diff/>", bvar(variables[0].name, node.order), target);
+  } else {
+    content = target;
+    for (let i = 0; i < node.order; i++) {
+      content = apply("<diff/>", content);
+    }
+  }
+  return contentCalculusArguments(
+    content,
+    node.evaluation || node.operations,
+    ctx,
+  );
+}
+
+// One <int/> per order, innermost first; a single variable evaluated at
+// two points gives the limits
+function contentIntegral(node, ctx) {
+  const variables = node.variables || [];
+  let evaluation = node.evaluation;
+  let limits = "";
+  if (node.order === 1 && evaluation && evaluation.length === 2) {
+    limits =
+      element("lowlimit", contentNode(evaluation[0], ctx)) +
+      element("uplimit", contentNode(evaluation[1], ctx));
+    evaluation = null;
+  }
+  let content = contentNode(node.function, ctx);
+  for (let i = 0; i < node.order; i++) {
+    content = apply(
+      "<int/>",
+      variables[i] ? bvar(variables[i].name) : "",
+      i === 0 ? limits : "",
+      content,
+    );
+  }
+  return contentCalculusArguments(content, evaluation || node.operations, ctx);
+}
+
+function contentCalculusArguments(content, args, ctx) {
+  return args ? apply(content, contentList(args, ctx)) : content;
+}
+
+function contentLambda(parameters, body, ctx) {
+  const params = [...parameters.positional, ...parameters.keyword];
+  const conditions = parameters.conditionals || [];
+  return element(
+    "lambda",
+    params.map((param) => bvar(param.name)).join("") +
+      (conditions.length > 0
+        ? element(
+            "condition",
+            conditions.length === 1
+              ? contentNode(conditions[0], ctx)
+              : apply("<and/>", contentList(conditions, ctx)),
+          )
+        : "") +
+      contentNode(body, ctx),
+  );
+}
+
+// Exact values: <cn type="rational"> for fractions, mixed numbers and
+// repeating decimals, <interval> for interval literals
+function contentNumber(text) {
+  const format = numberFormat(text);
+  switch (format) {
+    case "integer":
+      return element("cn", text, ' type="integer"');
+    case "decimal":
+      return element("cn", text, ' type="real"');
+    case "scientific": {
+      const [, base, exponent] = text.match(/^(.+)[Ee]([+-]?\d+)$/);
+      if (["integer", "decimal"].includes(numberFormat(base))) {
+        return element(
+          "cn",
+          base + "<sep/>" + exponent.replace(/^\+/, ""),
+          ' type="e-notation"',
+        );
+      }
+      return contentRational(decodeNumber(text));
+    }
+    case "interval":
+    case "decimal-uncertainty": {
+      const { low, high } = decodeNumber(text);
+      return element(
+        "interval",
+        contentRational(low) + contentRational(high),
+        ' closure="closed"',
+      );
+    }
+    default:
+      return contentRational(decodeNumber(text));
+  }
+}
+
+function contentRational({ numerator, denominator }) {
+  return denominator === 1n
+    ? element("cn", String(numerator), ' type="integer"')
+    : element("cn", numerator + "<sep/>" + denominator, ' type="rational"');
+}
+
+function contentUnit(unit) {
+  const unitSymbol = (name) =>
+    element("csymbol", escapeXml(name), ' cd="units"');
+  const factors = parseUnit(unit);
+  if (!factors) {
+    return unitSymbol(unit);
+  }
+  return factors.reduce((content, { operator, name, exponent }) => {
+    const factor = exponent
+      ? apply(
+          "<power/>",
+          unitSymbol(name),
+          element("cn", exponent, ' type="integer"'),
+        )
+      : unitSymbol(name);
+    if (!operator) {
+      return factor;
+    }
+    return apply(operator === "*" ? "<times/>" : "<divide/>", content, factor);
+  }, "");
+}
+
+function contentMathematicalUnit(unit) {
+  let match;
+  if ((match = unit.match(/^sqrt(\d+)$/))) {
+    return apply("<root/>", element("cn", match[1], ' type="integer"'));
+  }
+  if ((match = unit.match(/^cbrt(\d+)$/))) {
+    return apply(
+      "<root/>",
+      element("degree", element("cn", "3", ' type="integer"')),
+      element("cn", match[1], ' type="integer"'),
+    );
+  }
+  switch (unit) {
+    case "i":
+      return "<imaginaryi/>";
+    case "e":
+      return "<exponentiale/>";
+    case "pi":
+      return "<pi/>";
+    default:
+      return ci(unit);
+  }
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
@@ -0,0 +1,60 @@
+/**
+ * RiX AST Migration
+ * Node type renames between AST versions. Map used to name both the |>>
+ * pipe and brace maps; the pipes and brace containers now have a type
+ * each, and migrateAst brings older ASTs up to date
+ */
+
+// Current node type -> name used before the rename
+export const LEGACY_NODE_TYPES = {
+  PipeMap: "Map",
+  PipeFilter: "Filter",
+  PipeReduce: "Reduce",
+  MapLiteral: "Map",
+  SetLiteral: "Set",
+  EquationSystem: "System",
+};
+
+// Legacy name -> current type. Legacy brace maps are the Map nodes with
+// elements
+const CURRENT_NODE_TYPES = {
+  Map: (node) => (Array.isArray(node.elements) ? "MapLiteral" : "PipeMap"),
+  Filter: () => "PipeFilter",
+  Reduce: () => "PipeReduce",
+  Set: () => "SetLiteral",
+  System: () => "EquationSystem",
+};
+
+// Rewrite an AST (array of statements or a single node) that uses the
+// legacy node type names. Returns a copy; current names pass through, so
+// migrating twice is harmless
+export function migrateAst(ast) {
+  return renameTypes(ast, (node) => {
+    const rename = CURRENT_NODE_TYPES[node.type];
+    return rename ? rename(node) : node.type;
+  });
+}
+
+// The reverse, for the parser's legacyNodeTypes option
+export function toLegacyNodeTypes(ast) {
+  return renameTypes(ast, (node) => LEGACY_NODE_TYPES[node.type] || node.type);
+}
+
+// Copy a tree, renaming every node. The AST is walked structurally rather
+// than through VISITOR_KEYS, which only know the current names
+function renameTypes(value, rename) {
+  if (Array.isArray(value)) {
+    return value.map((item) => renameTypes(item, rename));
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = key === "systemInfo" ? item : renameTypes(item, rename);
+  }
+  if (typeof value.type === "string") {
+    copy.type = rename(value);
+  }
+  return copy;
+}
@@ -0,0 +1,208 @@
+/**
+ * RiX Number Literals
+ * Decodes Number token/node text into exact values: BigInt rationals and
+ * intervals of rationals, following design/numberspec.txt
+ */
+
+// Classify a literal's text; checked in this order since the outer form
+// wins (an interval of mixed numbers is an interval)
+const FORMATS = [
+  ["decimal-uncertainty", /\[/],
+  ["interval", /:/],
+  ["scientific", /[Ee]/],
+  ["mixed", /\.\./],
+  ["repeating", /#/],
+  ["rational", /\//],
+  ["decimal", /\./],
+  ["integer", /^-?\d+$/],
+];
+
+export const NUMBER_FORMATS = FORMATS.map(([format]) => format);
+
+const DECIMAL = /^(-?)(\d*)\.(\d+)$/;
+const REPEATING = /^(-?)(\d*)(?:\.(\d*))?#(\d+)$/;
+const RATIONAL = /^(-?\d+)\/(\d+)$/;
+const MIXED = /^(-?)(\d+)\.\.(\d+)\/(\d+)$/;
+const SCIENTIFIC = /^(.+)[Ee]([+-]?\d+)$/;
+const UNCERTAINTY = /^(-?\d*\.\d+)\[(.+)\]$/;
+
+// Format tag of a number literal, e.g. "1..3/4" -> "mixed"
+export function numberFormat(text) {
+  const found = FORMATS.find(([, pattern]) => pattern.test(text));
+  return found ? found[0] : null;
+}
+
+// Decode a Number node, token or literal text. Rationals are
+//   { format, kind: "rational", numerator, denominator }
+// with BigInt parts in lowest terms and a positive denominator. Intervals
+// and decimal uncertainties are
+//   { format, kind: "interval", low, high }
+// whose endpoints are decoded rationals (each tagged with its own format).
+// Decimals and scientific notation are exact: 1.23 is 123/100
+export function decodeNumber(number) {
+  const text = typeof number === "string" ? number : number.value;
+  const format = numberFormat(text);
+  switch (format) {
+    case "decimal-uncertainty":
+      return decodeUncertainty(text);
+    case "interval":
+      return decodeInterval(text);
+    default: {
+      const value = decodeRational(text);
+      if (!value) {
+        throw new Error(`Invalid number literal: ${text}`);
+      }
+      return value;
+    }
+  }
+}
+
+function gcd(a, b) {
+  a = a < 0n ? -a : a;
+  b = b < 0n ? -b : b;
+  while (b) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+function rational(format, numerator, denominator, text) {
+  if (denominator === 0n) {
+    throw new Error(`Zero denominator in number literal: ${text}`);
+  }
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+  const divisor = gcd(numerator, denominator) || 1n;
+  return {
+    format,
+    kind: "rational",
+    numerator: numerator / divisor,
+    denominator: denominator / divisor,
+  };
+}
+
+const pow10 = (exponent) => 10n ** BigInt(exponent);
+const digits = (text) => BigInt(text || "0");
+
+// Any non-interval literal, or null if the text is not one
+function decodeRational(text) {
+  const format = numberFormat(text);
+  let match;
+
+  if (format === "integer") {
+    return rational(format, BigInt(text), 1n, text);
+  }
+
+  if (format === "decimal" && (match = text.match(DECIMAL))) {
+    const [, sign, whole, fraction] = match;
+    const numerator = digits(whole + fraction);
+    return rational(
+      format,
+      sign ? -numerator : numerator,
+      pow10(fraction.length),
+      text,
+    );
+  }
+
+  if (format === "repeating" && (match = text.match(REPEATING))) {
+    // I.F#R = (IFR - IF) / (10^|F| * (10^|R| - 1))
+    const [, sign, whole, fraction = "", repeat] = match;
+    const numerator =
+      digits(whole + fraction + repeat) - digits(whole + fraction);
+    const denominator = pow10(fraction.length) * (pow10(repeat.length) - 1n);
+    return rational(format, sign ? -numerator : numerator, denominator, text);
+  }
+
+  if (format === "rational" && (match = text.match(RATIONAL))) {
+    return rational(format, BigInt(match[1]), BigInt(match[2]), text);
+  }
+
+  if (format === "mixed" && (match = text.match(MIXED))) {
+    const [, sign, whole, numerator, denominator] = match;
+    const total = BigInt(whole) * BigInt(denominator) + BigInt(numerator);
+    return rational(format, sign ? -total : total, BigInt(denominator), text);
+  }
+
+  if (format === "scientific" && (match = text.match(SCIENTIFIC))) {
+    const base = decodeRational(match[1]);
+    if (!base || numberFormat(match[1]) === "scientific") {
+      return null;
+    }
+    const exponent = Number(match[2]);
+    return exponent >= 0
+      ? rational(
+          format,
+          base.numerator * pow10(exponent),
+          base.denominator,
+          text,
+        )
+      : rational(
+          format,
+          base.numerator,
+          base.denominator * pow10(-exponent),
+          text,
+        );
+  }
+
+  return null;
+}
+
+function interval(format, low, high) {
+  return { format, kind: "interval", low, high };
+}
+
+// a:b, each endpoint any non-interval literal
+function decodeInterval(text) {
+  const colon = text.indexOf(":");
+  const low = decodeRational(text.slice(0, colon));
+  const high = decodeRational(text.slice(colon + 1));
+  if (!low || !high) {
+    throw new Error(`Invalid number literal: ${text}`);
+  }
+  return interval("interval", low, high);
+}
+
+// 1.23[56:67] appends digits to the decimal for each endpoint:
+// 1.2356:1.2367. 1.23[+5,-6] gives offsets in the next decimal place:
+// 1.23 - 0.006 : 1.23 + 0.005
+function decodeUncertainty(text) {
+  const match = text.match(UNCERTAINTY);
+  if (!match) {
+    throw new Error(`Invalid number literal: ${text}`);
+  }
+  const [, decimal, bounds] = match;
+
+  let endpoints = null;
+  const range = bounds.match(/^(\d+):(\d+)$/);
+  const offsets = bounds.match(/^([+-]\d+),([+-]\d+)$/);
+  if (range) {
+    endpoints = [range[1], range[2]].map((extra) =>
+      decodeRational(decimal + extra),
+    );
+  } else if (offsets) {
+    const base = decodeRational(decimal);
+    const scale = pow10(decimal.length - decimal.indexOf("."));
+    endpoints = [offsets[1], offsets[2]].map((offset) =>
+      rational(
+        "decimal",
+        base.numerator * scale + BigInt(offset) * base.denominator,
+        base.denominator * scale,
+        text,
+      ),
+    );
+  } else {
+    throw new Error(`Invalid number literal: ${text}`);
+  }
+
+  // Negative decimals list their endpoints high to low
+  const [low, high] =
+    compare(endpoints[0], endpoints[1]) <= 0 ? endpoints : endpoints.reverse();
+  return interval("decimal-uncertainty", low, high);
+}
+
+function compare(a, b) {
+  const difference = a.numerator * b.denominator - b.numerator * a.denominator;
+  return difference < 0n ? -1 : difference > 0n ? 1 : 0;
+}
@@ -3,7 +3,12 @@
  * Implements a Pratt parser for the RiX mathematical expression language
  */
 
-import { tokenize } from "./tokenizer.js";
+import { tokenize, scanTokens } from "./tokenizer.js";
+import { RixSyntaxError } from "./errors.js";
+import { createLocator, tokenRange, rangeToSpan } from "./locations.js";
+import { getChildNodes } from "./visitor.js";
+import { numberFormat } from "./numbers.js";
+import { toLegacyNodeTypes } from "./migrate.js";
 
 // Precedence levels (higher numbers bind tighter)
 const PRECEDENCE = {
@@ -19,6 +24,7 @@ const PRECEDENCE = {
   INTERVAL: 70, // :
   ADDITION: 80, // +, -
   MULTIPLICATION: 90, // *, /, //, %, /^, /~, /%
+  IMPLICIT: 95, // juxtaposition: 3x, x y
   EXPONENTIATION: 100, // ^, **
   UNARY: 110, // unary -, +, NOT
   CALCULUS: 115, // derivatives ('), integrals (')
@@ -39,6 +45,11 @@ const SYMBOL_TABLE = {
     associativity: "right",
     type: "infix",
   },
+  ":@=": {
+    precedence: PRECEDENCE.ASSIGNMENT,
+    associativity: "right",
+    type: "infix",
+  },
   ":<:": {
     precedence: PRECEDENCE.ASSIGNMENT,
     associativity: "right",
@@ -347,18 +358,75 @@ const SYMBOL_TABLE = {
   },
 };
 
-class Parser {
-  constructor(tokens, systemLookup) {
+// Closing delimiters, used for resynchronisation in recover mode
+const CLOSING_DELIMITERS = [")", "]", "}", "}}"];
+const UNCLOSED_CODES = {
+  ")": "E_UNCLOSED_PAREN",
+  "]": "E_UNCLOSED_BRACKET",
+  "}": "E_UNCLOSED_BRACE",
+  "}}": "E_UNCLOSED_CODE_BLOCK",
+};
+const OPENING_DELIMITERS = ["(", "[", "{", "{{", "~[", "~{"];
+
+// Keyword roles that start a comprehension clause and so end the
+// expression before them. Keywords get their role from the SystemLoader
+// keyword registry, so a localized keyword set keeps the syntax
+const CLAUSE_ROLES = ["for", "if"];
+
+// Keyword roles that start a control statement (IF c {{ }}, WHILE, FOR,
+// REPEAT) and the jumps, which may only appear inside a loop (BREAK,
+// CONTINUE) or a function (RETURN)
+const CONTROL_ROLES = ["if", "while", "for", "repeat"];
+const JUMP_ROLES = ["break", "continue", "return"];
+const LOOP_STRUCTURES = ["while_loop", "for_loop", "for_each", "repeat_loop"];
+const FUNCTION_NODES = [
+  "FunctionLambda",
+  "FunctionDefinition",
+  "PatternMatchingFunction",
+];
+
+// What may separate top-level expressions that don't end in ";":
+// "semicolon" requires one, "newline" also accepts a line break and "any"
+// accepts plain juxtaposition
+const SEPARATOR_POLICIES = ["semicolon", "newline", "any"];
+
+export class Parser {
+  constructor(tokens, systemLookup, options = {}) {
     this.tokens = tokens;
     this.systemLookup = systemLookup || (() => ({ type: "identifier" }));
+    this.isKeyword = keywordTest(this.systemLookup);
+    this.recover = Boolean(options.recover);
+    this.source = options.source ?? null;
+    this.locate = null;
+    this.locatorSource = null;
+    this.diagnostics = [];
+    this.locations = Boolean(options.locations);
+    this.implicitMultiplication = options.implicitMultiplication ?? true;
+    this.separators = options.separators ?? "newline";
+    // End offset of the last top-level statement when it had no ";"
+    this.unterminated = null;
+    // Index of the furthest token looked at, so an editor knows which
+    // statements a changed token can affect
+    this.horizon = 0;
+    if (!SEPARATOR_POLICIES.includes(this.separators)) {
+      throw new Error(`Unknown separators policy: ${this.separators}`);
+    }
+    // Set while parsing a control statement's condition, whose block ends it
+    this.inHeader = false;
+    // Last token of the latest control statement, which ends every
+    // expression around it
+    this.controlEnd = null;
     this.position = 0;
     this.current = null;
+    this.previous = null;
     this.advance();
   }
 
   advance() {
+    this.previous = this.current;
     if (this.position < this.tokens.length) {
       this.current = this.tokens[this.position];
+      this.horizon = Math.max(this.horizon, this.position);
       this.position++;
     } else {
       this.current = {
@@ -372,6 +440,7 @@ class Parser {
 
   peek() {
     if (this.position < this.tokens.length) {
+      this.horizon = Math.max(this.horizon, this.position);
       return this.tokens[this.position];
     }
     return { type: "End", value: null };
@@ -387,15 +456,201 @@ class Parser {
     return node;
   }
 
-  error(message) {
-    const pos = this.current ? this.current.pos : [0, 0, 0];
-    throw new Error(`Parse error at position ${pos[0]}: ${message}`);
+  // Source text of the tokens from the one at pos through the last consumed
+  // one, for nodes whose operands follow their first token
+  spanOriginal(pos) {
+    const end = this.previous ? this.previous.pos[2] : pos[2];
+    return this.tokens
+      .filter((token) => token.pos[0] >= pos[0] && token.pos[2] <= end)
+      .map((token) => token.original)
+      .join("");
+  }
+
+  // details: { code, expected, openToken, range } - see ERROR_CODES in
+  // errors.js. range defaults to the current token
+  error(message, details = {}) {
+    throw this.createError(message, details);
+  }
+
+  createError(message, details = {}) {
+    const token = this.current;
+    const range = details.range || tokenRange(token);
+    const position = details.range ? range[0] : token ? token.pos[0] : 0;
+    const code =
+      details.code ||
+      (token && token.type === "End" ? "E_UNEXPECTED_END" : "E_SYNTAX");
+
+    let openDelimiter = null;
+    if (details.openToken) {
+      const openRange = tokenRange(details.openToken);
+      openDelimiter = {
+        value: details.openToken.value,
+        range: openRange,
+        span: rangeToSpan(openRange, this.getLocator()),
+      };
+    }
+
+    return new RixSyntaxError(
+      `Parse error at position ${position}: ${message}`,
+      {
+        code,
+        reason: message,
+        token,
+        range,
+        span: rangeToSpan(range, this.getLocator()),
+        expected: details.expected,
+        openDelimiter,
+      },
+    );
+  }
+
+  // Offset to line/column conversion for the parsed source
+  getLocator() {
+    if (!this.locate) {
+      const source =
+        this.source ??
+        this.tokens.map((token) => token.original || "").join("");
+      this.locatorSource = source;
+      this.locate = createLocator(source);
+    }
+    return this.locate;
+  }
+
+  // Attach a line/column loc running from start (a token or offset) to the
+  // end of the last consumed token. No-op unless the locations option is set
+  finishNode(node, start) {
+    if (!this.locations || !node) {
+      return node;
+    }
+    const startOffset =
+      typeof start === "number" ? start : tokenRange(start)[0];
+    const endOffset = this.previous ? this.previous.pos[2] : startOffset;
+    node.loc = rangeToSpan(
+      [startOffset, Math.max(startOffset, endOffset)],
+      this.getLocator(),
+    );
+    return node;
+  }
+
+  // Fill in loc for nodes built outside the prefix/infix loop (parameter
+  // lists, generator steps, ...) from their own token and their children
+  fillLocations(node) {
+    const children = getChildNodes(node);
+    let range = node.loc
+      ? [node.loc.start.offset, node.loc.end.offset]
+      : node.pos
+        ? tokenRange(node)
+        : null;
+    for (const child of children) {
+      const childLoc = this.fillLocations(child);
+      if (!node.loc && childLoc) {
+        range = range
+          ? [
+              Math.min(range[0], childLoc.start.offset),
+              Math.max(range[1], childLoc.end.offset),
+            ]
+          : [childLoc.start.offset, childLoc.end.offset];
+      }
+    }
+    if (!node.loc && range) {
+      node.loc = rangeToSpan(range, this.getLocator());
+    }
+    return node.loc;
+  }
+
+  // Record a parse error as a diagnostic (recover mode)
+  report(error) {
+    const diagnostic = error.toDiagnostic();
+    const last = this.diagnostics[this.diagnostics.length - 1];
+    if (last && last.range[0] === diagnostic.range[0]) {
+      return; // One diagnostic per location; later ones are cascades
+    }
+    this.diagnostics.push(diagnostic);
+  }
+
+  // Consume the closing delimiter of a group, recovering if it is missing
+  expectClosing(closer, message, openToken) {
+    if (this.current.value === closer) {
+      this.advance();
+      return;
+    }
+    const details = {
+      code: UNCLOSED_CODES[closer],
+      expected: [closer],
+      openToken,
+    };
+    if (!this.recover) {
+      this.error(message, details);
+    }
+    this.report(this.createError(message, details));
+    this.synchronize([closer]);
+    if (this.current.value === closer) {
+      this.advance();
+    }
+  }
+
+  // Skip tokens until one of stopValues or a closing delimiter is reached
+  // outside any nested group
+  synchronize(stopValues) {
+    let depth = 0;
+    while (this.current.type !== "End") {
+      const value = this.current.value;
+      if (depth === 0) {
+        if (
+          stopValues.includes(value) ||
+          CLOSING_DELIMITERS.includes(value) ||
+          (stopValues.includes(";") &&
+            this.current.type === "SemicolonSequence")
+        ) {
+          break;
+        }
+      }
+      if (OPENING_DELIMITERS.includes(value)) {
+        depth++;
+      } else if (CLOSING_DELIMITERS.includes(value) && depth > 0) {
+        depth--;
+      }
+      this.advance();
+    }
+  }
+
+  // Run a parse function, turning a failure into an Error node in recover mode
+  parseRecoverable(parseFn, stopValues) {
+    if (!this.recover) {
+      return parseFn();
+    }
+    const startIndex = this.position - 1;
+    const startToken = this.current;
+    try {
+      return parseFn();
+    } catch (error) {
+      if (!(error instanceof RixSyntaxError)) {
+        throw error;
+      }
+      this.report(error);
+      this.synchronize(stopValues);
+      const node = this.createNode("Error", {
+        message: error.reason,
+        pos: startToken.pos,
+        original: this.tokens
+          .slice(startIndex, this.position - 1)
+          .map((token) => token.original)
+          .join(""),
+      });
+      return this.finishNode(node, startToken);
+    }
   }
 
   // Get symbol info, including system identifier lookup
   getSymbolInfo(token) {
     if (token.type === "Symbol") {
-      return SYMBOL_TABLE[token.value] || { precedence: 0, type: "unknown" };
+      return (
+        SYMBOL_TABLE[token.value] ||
+        this.getCustomOperatorInfo(token.value) || {
+          precedence: 0,
+          type: "unknown",
+        }
+      );
     } else if (token.type === "SemicolonSequence") {
       // Semicolon sequences should not be treated as binary operators
       return { precedence: 0, type: "separator" };
@@ -413,9 +668,34 @@ class Parser {
     return { precedence: 0, type: "operand" };
   }
 
+  // Get symbol info for operators registered through SystemLoader.registerOperator
+  getCustomOperatorInfo(symbol) {
+    if (typeof this.systemLookup.lookupOperator !== "function") {
+      return null;
+    }
+    const definition = this.systemLookup.lookupOperator(symbol);
+    if (!definition) {
+      return null;
+    }
+    return {
+      precedence: definition.precedence,
+      associativity: definition.associativity || "left",
+      type: definition.operatorType || "infix",
+      custom: true,
+      registry: definition.source || "operator",
+    };
+  }
+
   // Parse expression with given minimum precedence
   parseExpression(minPrec = 0) {
-    const left = this.parsePrefix();
+    const startToken = this.current;
+    if (this.atControlStatement()) {
+      // A control statement takes no operators after its block
+      const statement = this.parseControlStatement();
+      this.controlEnd = this.previous;
+      return this.finishNode(statement, startToken);
+    }
+    const left = this.finishNode(this.parsePrefix(), startToken);
     return this.parseExpressionRec(left, minPrec, false);
   }
 
@@ -428,6 +708,8 @@ class Parser {
         this.advance();
         return this.createNode("Number", {
           value: token.value,
+          format: numberFormat(token.value),
+          pos: token.pos,
           original: token.original,
         });
 
@@ -439,22 +721,33 @@ class Parser {
           return this.createNode("String", {
             value: token.value,
             kind: token.kind,
+            pos: token.pos,
             original: token.original,
           });
         }
 
       case "Identifier":
-        this.advance();
         if (token.kind === "System") {
           const systemInfo = this.systemLookup(token.value);
+          if (
+            systemInfo.type === "operator" &&
+            systemInfo.operatorType === "prefix"
+          ) {
+            // Prefix keyword operator such as NOT
+            return this.parseKeywordPrefix(systemInfo);
+          }
+          this.advance();
           return this.createNode("SystemIdentifier", {
             name: token.value,
             systemInfo: systemInfo,
+            pos: token.pos,
             original: token.original,
           });
         } else {
+          this.advance();
           return this.createNode("UserIdentifier", {
             name: token.value,
+            pos: token.pos,
             original: token.original,
           });
         }
@@ -463,6 +756,7 @@ class Parser {
         this.advance();
         return this.createNode("PlaceHolder", {
           place: token.place,
+          pos: token.pos,
           original: token.original,
         });
 
@@ -475,6 +769,8 @@ class Parser {
           return this.parseBraceContainer();
         } else if (token.value === "{{") {
           return this.parseCodeBlock();
+        } else if (token.value === "@" && this.peek().value !== "(") {
+          return this.parseScopedIdentifier();
         } else if (token.value === "+" || token.value === "-") {
           // Check if this is a function call (operator followed by parentheses)
           if (this.peek().value === "(") {
@@ -482,6 +778,7 @@ class Parser {
             this.advance();
             return this.createNode("UserIdentifier", {
               name: token.value,
+              pos: token.pos,
               original: token.original,
             });
           } else {
@@ -494,20 +791,36 @@ class Parser {
           // Underscore is always a null symbol
           this.advance();
           return this.createNode("NULL", {
+            pos: token.pos,
             original: token.original,
           });
+        } else if (
+          CLOSING_DELIMITERS.includes(token.value) ||
+          token.value === ";" ||
+          token.value === ","
+        ) {
+          this.error(`Unexpected "${token.value}"`, {
+            code: "E_UNEXPECTED_TOKEN",
+          });
+        } else if (this.getSymbolInfo(token).type === "prefix") {
+          // Prefix operator registered through the SystemLoader
+          return this.parseCustomPrefix(this.getSymbolInfo(token));
         } else {
           // Treat other symbols as user identifiers for function call syntax
           this.advance();
           return this.createNode("UserIdentifier", {
             name: token.value,
+            pos: token.pos,
             original: token.original,
           });
         }
         break;
 
       default:
-        this.error(`Unexpected token: ${token.type}`);
+        this.error(`Unexpected token: ${token.type}`, {
+          code:
+            token.type === "End" ? "E_UNEXPECTED_END" : "E_UNEXPECTED_TOKEN",
+        });
     }
   }
 
@@ -521,17 +834,17 @@ class Parser {
       (left.type === "UserIdentifier" || left.type === "SystemIdentifier")
     ) {
       this.advance(); // consume '('
-      const args = this.parseFunctionCallArgs();
-      if (this.current.value !== ")") {
-        this.error("Expected closing parenthesis in function call");
-      }
-      this.advance(); // consume ')'
-      return this.createNode("FunctionCall", {
-        function: left,
-        arguments: args,
-        pos: left.pos,
-        original: left.original + operator.original,
-      });
+      const args = this.parseCallArguments(left);
+      this.expectClosing(
+        ")",
+        "Expected closing parenthesis in function call",
+        operator,
+      );
+      return this.createFunctionCall(
+        left,
+        args,
+        left.original + operator.original,
+      );
     }
 
     this.advance();
@@ -542,13 +855,59 @@ class Parser {
     }
 
     let right;
-    if (operator.value === "[" && symbolInfo.type === "postfix") {
+    if (symbolInfo.custom) {
+      // Operator registered through the SystemLoader
+      if (symbolInfo.type === "postfix") {
+        return this.createNode("CustomOperation", {
+          operator: operator.value,
+          operatorType: "postfix",
+          registry: symbolInfo.registry,
+          operand: left,
+          pos: left.pos,
+          original: this.spanOriginal(left.pos),
+        });
+      }
+      right = this.parseExpression(rightPrec);
+      return this.createNode("CustomOperation", {
+        operator: operator.value,
+        operatorType: "infix",
+        registry: symbolInfo.registry,
+        left: left,
+        right: right,
+        pos: left.pos,
+        original: this.spanOriginal(left.pos),
+      });
+    } else if (operator.value === ":@=") {
+      // @x :@= value assigns x in the scope @x reaches
+      if (left.type !== "ScopedIdentifier") {
+        this.error("Expected an @ variable before :@=", {
+          code: "E_INVALID_SCOPE",
+          range: tokenRange(operator),
+        });
+      }
+      right = this.parseExpression(rightPrec);
+      return this.createNode("ScopedAssignment", {
+        target: left,
+        value: right,
+        pos: left.pos,
+        original: left.original + operator.original,
+      });
+    } else if (
+      operator.type === "Identifier" &&
+      symbolInfo.type === "postfix"
+    ) {
+      // Postfix keyword operator from the system registry
+      return this.createNode("UnaryOperation", {
+        operator: operator.value,
+        operand: left,
+        postfix: true,
+        pos: left.pos,
+        original: left.original + operator.original,
+      });
+    } else if (operator.value === "[" && symbolInfo.type === "postfix") {
       // Array/property access
       right = this.parseExpression(0);
-      if (this.current.value !== "]") {
-        this.error("Expected closing bracket");
-      }
-      this.advance();
+      this.expectClosing("]", "Expected closing bracket", operator);
       return this.createNode("PropertyAccess", {
         object: left,
         property: right,
@@ -561,7 +920,12 @@ class Parser {
 
       // Extract parameters if left side is a function call syntax
       let funcName = left;
-      let parameters = { positional: [], keyword: [], metadata: {} };
+      let parameters = {
+        positional: [],
+        keyword: [],
+        conditionals: [],
+        metadata: {},
+      };
 
       if (left.type === "FunctionCall") {
         funcName = left.function;
@@ -653,7 +1017,8 @@ class Parser {
               paramExpr.operator === "?"
             ) {
               // (x ? condition) format
-              const paramName = paramExpr.left.name || paramExpr.left.value;
+              const paramName =
+                paramExpr.left.name ?? paramExpr.left.value ?? null;
               patternFunc.parameters.positional.push({
                 name: paramName,
                 defaultValue: null,
@@ -718,7 +1083,7 @@ class Parser {
         ) {
           // Conditional parameter: (x ? condition) -> expr
           const paramName =
-            left.expression.left.name || left.expression.left.value;
+            left.expression.left.name ?? left.expression.left.value ?? null;
           parameters.positional.push({ name: paramName, defaultValue: null });
           parameters.conditionals.push(left.expression.right);
         }
@@ -785,7 +1150,7 @@ class Parser {
     } else if (operator.value === "|>>") {
       // Map operator
       right = this.parseExpression(rightPrec);
-      return this.createNode("Map", {
+      return this.createNode("PipeMap", {
         left: left,
         right: right,
         pos: left.pos,
@@ -794,7 +1159,7 @@ class Parser {
     } else if (operator.value === "|>?") {
       // Filter operator
       right = this.parseExpression(rightPrec);
-      return this.createNode("Filter", {
+      return this.createNode("PipeFilter", {
         left: left,
         right: right,
         pos: left.pos,
@@ -803,7 +1168,7 @@ class Parser {
     } else if (operator.value === "|>:") {
       // Reduce operator
       right = this.parseExpression(rightPrec);
-      return this.createNode("Reduce", {
+      return this.createNode("PipeReduce", {
         left: left,
         right: right,
         pos: left.pos,
@@ -889,7 +1254,10 @@ class Parser {
       const trueExpr = this.parseExpression(PRECEDENCE.CONDITION + 5);
 
       if (this.current.value !== "?:") {
-        this.error('Expected "?:" in ternary operator after true expression');
+        this.error('Expected "?:" in ternary operator after true expression', {
+          code: "E_TERNARY_INCOMPLETE",
+          expected: ["?:"],
+        });
       }
 
       this.advance(); // consume '?:'
@@ -939,6 +1307,7 @@ class Parser {
 
     while (tempPos < this.tokens.length) {
       const token = this.tokens[tempPos];
+      this.horizon = Math.max(this.horizon, tempPos);
       if (token.value === "(") parenDepth++;
       else if (token.value === ")") {
         if (parenDepth === 0) break;
@@ -978,7 +1347,10 @@ class Parser {
       });
     } else {
       // Parse as regular grouped expression
-      const expr = this.parseExpression(0);
+      const expr = this.parseRecoverable(
+        () => this.parseExpression(0),
+        [",", ";"],
+      );
       result = this.createNode("Grouping", {
         expression: expr,
         pos: startToken.pos,
@@ -986,10 +1358,7 @@ class Parser {
       });
     }
 
-    if (this.current.value !== ")") {
-      this.error("Expected closing parenthesis");
-    }
-    this.advance(); // consume ')'
+    this.expectClosing(")", "Expected closing parenthesis", startToken);
 
     return result;
   }
@@ -1008,7 +1377,9 @@ class Parser {
       // Check for consecutive commas (syntax error)
       if (this.current.value === "," || this.current.value === ")") {
         if (this.current.value === ",") {
-          this.error("Consecutive commas not allowed in tuples");
+          this.error("Consecutive commas not allowed in tuples", {
+            code: "E_UNEXPECTED_TOKEN",
+          });
         }
         // Trailing comma case - we're done
         break;
@@ -1024,7 +1395,7 @@ class Parser {
 
   parseTupleElement() {
     // Parse regular expression (underscore is handled by parsePrefix)
-    return this.parseExpression(0);
+    return this.parseRecoverable(() => this.parseExpression(0), [",", ";"]);
   }
 
   parseArray() {
@@ -1034,10 +1405,7 @@ class Parser {
     // Check if this might be a matrix/tensor by looking for semicolons
     const result = this.parseMatrixOrArray(startToken);
 
-    if (this.current.value !== "]") {
-      this.error("Expected closing bracket");
-    }
-    this.advance(); // consume ']'
+    this.expectClosing("]", "Expected closing bracket", startToken);
 
     return result;
   }
@@ -1088,13 +1456,84 @@ class Parser {
     });
   }
 
+  // Juxtaposition multiplies when the last token ends a number, identifier,
+  // grouping or call and the current one, on the same line, is a number or
+  // value name. A "(" multiplies only after a number or a grouping, so
+  // 2(x+1) and (x+1)(x-1) are products while f(x), f(x)(y) and
+  // ((x) -> x)(2) stay calls
+  atImplicitMultiplication(left) {
+    if (
+      !this.implicitMultiplication ||
+      !this.previous ||
+      this.gapBefore(this.current).includes("\n")
+    ) {
+      return false;
+    }
+    const previous = this.previous;
+    if (this.current.value === "(") {
+      return (
+        previous.type === "Number" ||
+        (left.type === "Grouping" &&
+          !FUNCTION_NODES.includes(left.expression.type))
+      );
+    }
+    const endsOperand =
+      previous.type === "Number" ||
+      this.isValueName(previous) ||
+      (previous.type === "Symbol" && previous.value === ")");
+    return endsOperand && this.startsOperand(this.current);
+  }
+
+  startsOperand(token) {
+    return token.type === "Number" || this.isValueName(token);
+  }
+
+  // A user identifier, or a system name the lookup knows as a value such as
+  // PI or SIN. Keyword and operator words (NOT, AND, TO) and system names
+  // the lookup doesn't know are never factors of a product
+  isValueName(token) {
+    if (token.type !== "Identifier") {
+      return false;
+    }
+    if (token.kind !== "System") {
+      return true;
+    }
+    const info = this.systemLookup(token.value);
+    return (
+      Boolean(info) &&
+      info.type !== "identifier" &&
+      !this.isKeyword(token.value)
+    );
+  }
+
+  // left (right), binding tighter than * and / but looser than ^, unary
+  // minus and property access: 2x^2 is 2*(x^2), 1/2x is 1/(2*x), -a b is
+  // (-a)*b and 2a.b is 2*(a.b)
+  parseImplicitMultiplication(left) {
+    const right = this.parseExpression(PRECEDENCE.IMPLICIT + 1);
+    return this.createNode("BinaryOperation", {
+      operator: "*",
+      implicit: true,
+      left,
+      right,
+      pos: left.pos,
+      original: left.original,
+    });
+  }
+
   parseExpressionUntilGenerator() {
     // Parse just the prefix expression and return it
     // Don't parse infix operations that might include generators
-    return this.parsePrefix();
+    const startToken = this.current;
+    return this.finishNode(this.parsePrefix(), startToken);
   }
 
   parseExpressionRec(left, minPrec, stopAtGenerators = false) {
+    // Every infix/postfix node starts where its left operand does
+    const start = left && left.loc ? left.loc.start.offset : null;
+    const finish = (node) =>
+      start === null ? node : this.finishNode(node, start);
+
     while (this.current.type !== "End") {
       // Check for statement terminators
       if (
@@ -1114,22 +1553,51 @@ class Parser {
         break;
       }
 
+      // [x^2 FOR x IN 1:10 IF x > 2]: the result ends at FOR, the source at
+      // IF
+      if (CLAUSE_ROLES.includes(this.keywordRole(this.current))) {
+        break;
+      }
+
+      // FOR i := 1 TO 10: the start value ends at TO, and a condition ends
+      // at its statement's block
+      if (
+        this.keywordRole(this.current) === "to" ||
+        (this.inHeader &&
+          (this.current.value === "{{" || this.current.value === "{"))
+      ) {
+        break;
+      }
+
+      // Nor do the expressions around it: x := IF a {{ 1 }} + 3 is not
+      // (x := IF a {{ 1 }}) + 3
+      if (this.previous === this.controlEnd) {
+        break;
+      }
+
       // Special case for function calls - now works on any expression
       if (this.current.value === "(") {
-        left = this.parseCall(left);
+        if (!this.atImplicitMultiplication(left)) {
+          left = finish(this.parseCall(left));
+          continue;
+        }
+        if (PRECEDENCE.IMPLICIT < minPrec) {
+          break;
+        }
+        left = finish(this.parseImplicitMultiplication(left));
         continue;
       }
 
       // Special case for postfix @ operator (AT metadata access)
       if (this.current.value === "@" && this.peek().value === "(") {
-        left = this.parseAt(left);
+        left = finish(this.parseAt(left));
         continue;
       }
 
       // Special case for postfix ? operator (ASK metadata access)
       // Must distinguish from infix ? (condition operator)
       if (this.current.value === "?" && this.peek().value === "(") {
-        left = this.parseAsk(left);
+        left = finish(this.parseAsk(left));
         continue;
       }
 
@@ -1143,17 +1611,30 @@ class Parser {
           left.type === "Derivative" ||
           left.type === "Integral")
       ) {
-        left = this.parseDerivative(left);
+        left = finish(this.parseDerivative(left));
         continue;
       }
 
       // Special case for unit operators ~[ and ~{
       if (this.current.value === "~[") {
-        left = this.parseScientificUnit(left);
+        left = finish(this.parseScientificUnit(left));
         continue;
       }
       if (this.current.value === "~{") {
-        left = this.parseMathematicalUnit(left);
+        left = finish(this.parseMathematicalUnit(left));
+        continue;
+      }
+
+      // Implicit multiplication: an operand directly followed by another.
+      // With the option off, the expression ends there instead
+      if (this.startsOperand(this.current)) {
+        if (
+          !this.atImplicitMultiplication(left) ||
+          PRECEDENCE.IMPLICIT < minPrec
+        ) {
+          break;
+        }
+        left = finish(this.parseImplicitMultiplication(left));
         continue;
       }
 
@@ -1167,12 +1648,17 @@ class Parser {
         break;
       }
 
+      // A prefix operator cannot continue an expression
+      if (symbolInfo.type === "prefix") {
+        break;
+      }
+
       // Stop at generator operators if flag is set
       if (stopAtGenerators && this.isGeneratorOperator(this.current.value)) {
         break;
       }
 
-      left = this.parseInfix(left, symbolInfo);
+      left = finish(this.parseInfix(left, symbolInfo));
     }
 
     return left;
@@ -1218,6 +1704,18 @@ class Parser {
         current.right,
         current,
       );
+      if (this.locations && current.left.loc && current.right.loc) {
+        // The step runs from its operator to the end of its operand
+        const locate = this.getLocator();
+        const operatorStart = this.locatorSource.indexOf(
+          current.operator,
+          current.left.loc.end.offset,
+        );
+        operatorNode.loc = rangeToSpan(
+          [operatorStart, current.right.loc.end.offset],
+          locate,
+        );
+      }
       operators.unshift(operatorNode);
 
       current = current.left;
@@ -1280,7 +1778,10 @@ class Parser {
           element = this.parseGeneratorChain();
         } else {
           // Parse expression normally first
-          element = this.parseExpression(0);
+          element = this.parseRecoverable(
+            () => this.parseExpression(0),
+            [",", ";"],
+          );
 
           // Check if this element is actually a generator chain (parsed as binary operations)
           if (
@@ -1291,11 +1792,21 @@ class Parser {
           }
         }
 
+        if (
+          elements.length === 0 &&
+          !hasMetadata &&
+          !hasSemicolons &&
+          this.keywordRole(this.current) === "for"
+        ) {
+          return this.parseComprehension(element, "array", startToken);
+        }
+
         // Check if this is a metadata assignment (key := value)
         if (element.type === "BinaryOperation" && element.operator === ":=") {
           if (hasSemicolons) {
             this.error(
               "Cannot mix matrix/tensor syntax with metadata - use nested array syntax",
+              { code: "E_MIXED_CONTAINER" },
             );
           }
           hasMetadata = true;
@@ -1308,7 +1819,9 @@ class Parser {
           } else if (element.left.type === "String") {
             key = element.left.value;
           } else {
-            this.error("Metadata key must be an identifier or string");
+            this.error("Metadata key must be an identifier or string", {
+              code: "E_INVALID_METADATA_KEY",
+            });
           }
           metadataMap[key] = element.right;
         } else {
@@ -1317,6 +1830,7 @@ class Parser {
           if (hasMetadata) {
             this.error(
               "Cannot mix array elements with metadata - use nested array syntax like [[1,2,3], key := value]",
+              { code: "E_MIXED_CONTAINER" },
             );
           }
           if (nonMetadataCount === 1) {
@@ -1334,7 +1848,9 @@ class Parser {
           this.current.type === "SemicolonSequence"
         ) {
           if (hasMetadata) {
-            this.error("Cannot mix matrix/tensor syntax with metadata");
+            this.error("Cannot mix matrix/tensor syntax with metadata", {
+              code: "E_MIXED_CONTAINER",
+            });
           }
           hasSemicolons = true;
           const semicolonCount = this.consumeSemicolonSequence();
@@ -1363,6 +1879,7 @@ class Parser {
     if (hasMetadata && nonMetadataCount > 1) {
       this.error(
         "Cannot mix array elements with metadata - use nested array syntax like [[1,2,3], key := value]",
+        { code: "E_MIXED_CONTAINER" },
       );
     }
 
@@ -1452,7 +1969,19 @@ class Parser {
 
     if (this.current.value !== "}") {
       do {
-        const element = this.parseExpression(0);
+        const element = this.parseRecoverable(
+          () => this.parseExpression(0),
+          [",", ";"],
+        );
+        if (elements.length === 0 && this.keywordRole(this.current) === "for") {
+          const comprehension = this.parseComprehension(
+            element,
+            "set",
+            startToken,
+          );
+          this.expectClosing("}", "Expected closing brace", startToken);
+          return comprehension;
+        }
         elements.push(element);
 
         // Check for type indicators
@@ -1460,6 +1989,7 @@ class Parser {
           // Immediately throw error for pattern matching in braces
           this.error(
             "Pattern matching should use array syntax [ ] with sequential evaluation, not brace syntax { }. Use format: name :=> [ pattern1, pattern2, ... ]",
+            { code: "E_INVALID_CONTAINER" },
           );
         } else if (element.type === "BinaryOperation") {
           if (element.operator === ":=") {
@@ -1486,39 +2016,40 @@ class Parser {
       } while (this.current.value !== "}" && this.current.type !== "End");
     }
 
-    if (this.current.value !== "}") {
-      this.error("Expected closing brace");
-    }
-    this.advance(); // consume '}'
+    this.expectClosing("}", "Expected closing brace", startToken);
 
     // Determine container type based on contents
     if (hasEquations) {
       if (!hasSemicolons) {
         this.error(
           "System containers must contain only equations with equation operators separated by semicolons",
+          { code: "E_INVALID_CONTAINER" },
         );
       }
       if (hasAssignments || hasPatternMatches) {
-        this.error("Cannot mix equations with other assignment types");
+        this.error("Cannot mix equations with other assignment types", {
+          code: "E_MIXED_CONTAINER",
+        });
       }
-      containerType = "System";
+      containerType = "EquationSystem";
     } else if (hasAssignments) {
-      containerType = "Map";
+      containerType = "MapLiteral";
     } else {
       // All literals or expressions without special operators
-      containerType = "Set";
+      containerType = "SetLiteral";
     }
 
     // Validate type homogeneity
-    if (containerType === "Map") {
+    if (containerType === "MapLiteral") {
       for (const element of elements) {
         if (element.type !== "BinaryOperation" || element.operator !== ":=") {
           this.error(
             "Map containers must contain only key-value pairs with :=",
+            { code: "E_MIXED_CONTAINER" },
           );
         }
       }
-    } else if (containerType === "System") {
+    } else if (containerType === "EquationSystem") {
       for (const element of elements) {
         if (
           element.type !== "BinaryOperation" ||
@@ -1526,6 +2057,7 @@ class Parser {
         ) {
           this.error(
             "System containers must contain only equations with equation operators",
+            { code: "E_MIXED_CONTAINER" },
           );
         }
       }
@@ -1538,39 +2070,462 @@ class Parser {
     });
   }
 
-  parseCodeBlock() {
+  // The role of a System keyword token, from its keyword definition (FOR
+  // has role "for"), or null
+  keywordRole(token) {
+    if (token.type !== "Identifier" || token.kind !== "System") {
+      return null;
+    }
+    return this.systemLookup(token.value).role || null;
+  }
+
+  // The clauses of [expression FOR x IN source IF condition ...] after the
+  // result expression, starting at a FOR: bindings and filters in any
+  // order. container is "array" for [ ] and "set" for { }
+  parseComprehension(expression, container, startToken) {
+    const clauses = [];
+    while (CLAUSE_ROLES.includes(this.keywordRole(this.current))) {
+      const keyword = this.current;
+      this.advance();
+      if (this.keywordRole(keyword) === "if") {
+        const condition = this.parseExpression(0);
+        clauses.push(
+          this.finishNode(
+            this.createNode("ComprehensionFilter", {
+              keyword: keyword.value,
+              condition,
+              pos: keyword.pos,
+              original: keyword.original,
+            }),
+            keyword,
+          ),
+        );
+        continue;
+      }
+
+      const variable = this.current;
+      if (variable.type !== "Identifier" || variable.kind !== "User") {
+        this.error(`Expected a variable after ${keyword.value}`, {
+          code: "E_INVALID_COMPREHENSION",
+        });
+      }
+      this.advance();
+      if (this.keywordRole(this.current) !== "in") {
+        this.error(
+          `Expected IN after ${keyword.value} ${variable.value} in comprehension`,
+          { code: "E_INVALID_COMPREHENSION", expected: ["IN"] },
+        );
+      }
+      const inKeyword = this.current.value;
+      this.advance();
+      let source = this.parseExpression(0);
+      if (
+        source.type === "BinaryOperation" &&
+        this.isGeneratorOperator(source.operator)
+      ) {
+        source = this.convertBinaryChainToGeneratorChain(source);
+      }
+      clauses.push(
+        this.finishNode(
+          this.createNode("ComprehensionBinding", {
+            keyword: keyword.value,
+            variable: variable.value,
+            inKeyword,
+            source,
+            pos: keyword.pos,
+            original: keyword.original,
+          }),
+          keyword,
+        ),
+      );
+    }
+
+    return this.createNode("Comprehension", {
+      container,
+      expression,
+      clauses,
+      pos: startToken.pos,
+      original: startToken.original,
+    });
+  }
+
+  // Whether the current token starts a keyword-form control statement.
+  // IF(c, a, b) is a call (the functional form), but IF (c) {{ a }} is a
+  // statement with a parenthesized condition
+  atControlStatement() {
+    const role = this.keywordRole(this.current);
+    if (JUMP_ROLES.includes(role)) {
+      return true;
+    }
+    if (!CONTROL_ROLES.includes(role)) {
+      return false;
+    }
+    return this.peek().value !== "(" || this.blockAfterGroup();
+  }
+
+  // Whether the group opened by the next token is followed by a block
+  blockAfterGroup() {
+    let depth = 0;
+    for (let index = this.position; index < this.tokens.length; index++) {
+      const token = this.tokens[index];
+      if (token.type !== "Symbol") {
+        continue;
+      }
+      if (OPENING_DELIMITERS.includes(token.value)) {
+        depth++;
+      } else if (CLOSING_DELIMITERS.includes(token.value) && --depth === 0) {
+        const next = this.tokens[index + 1];
+        this.horizon = Math.max(this.horizon, index + 1);
+        return Boolean(next) && (next.value === "{{" || next.value === "{");
+      }
+    }
+    return false;
+  }
+
+  // Keyword-form control statements: IF c {{ }} ELSE {{ }}, WHILE c {{ }},
+  // FOR i := a TO b {{ }}, FOR x IN source {{ }}, REPEAT {{ }} UNTIL c,
+  // BREAK, CONTINUE and RETURN value. They build the ControlStructure
+  // shapes of SystemLoader.transformFunctionalForm; keywords keep their
+  // source spelling for the formatter
+  parseControlStatement() {
+    const keyword = this.current;
+    const role = this.keywordRole(keyword);
+    this.advance();
+    const control = (properties) =>
+      this.createNode("ControlStructure", {
+        keyword: keyword.value,
+        ...properties,
+        pos: keyword.pos,
+        original: keyword.original,
+      });
+
+    switch (role) {
+      case "if": {
+        const condition = this.parseHeader();
+        const thenBranch = this.parseBody(keyword);
+        if (this.keywordRole(this.current) !== "else") {
+          return control({ condition, thenBranch, structure: "conditional" });
+        }
+        const elseKeyword = this.current;
+        this.advance();
+        // ELSE IF chains nest the next conditional as the else branch
+        const elseBranch =
+          this.keywordRole(this.current) === "if"
+            ? this.parseExpression(0)
+            : this.parseBody(elseKeyword);
+        return control({
+          condition,
+          thenBranch,
+          elseBranch,
+          elseKeyword: elseKeyword.value,
+          structure: "conditional",
+        });
+      }
+
+      case "while": {
+        const condition = this.parseHeader();
+        const body = this.parseBody(keyword);
+        return control({ condition, body, structure: "while_loop" });
+      }
+
+      case "for":
+        return this.parseForStatement(keyword, control);
+
+      case "repeat": {
+        const body = this.parseBody(keyword);
+        if (this.keywordRole(this.current) !== "until") {
+          this.error(`Expected UNTIL after the ${keyword.value} block`, {
+            code: "E_INVALID_CONTROL",
+            expected: ["UNTIL"],
+          });
+        }
+        const untilKeyword = this.current.value;
+        this.advance();
+        const condition = this.parseExpression(0);
+        return control({
+          body,
+          untilKeyword,
+          condition,
+          structure: "repeat_loop",
+        });
+      }
+
+      case "return":
+        if (this.atExpressionEnd()) {
+          return control({ structure: "return" });
+        }
+        return control({ value: this.parseExpression(0), structure: "return" });
+
+      default:
+        return control({ structure: role });
+    }
+  }
+
+  // FOR x IN source {{ }} is a for_each loop. FOR i := a TO b {{ }} is the
+  // for_loop FOR(i := a, i <= b, i := i + 1, {{ }}), with the nodes the
+  // TO form leaves implicit positioned at TO
+  parseForStatement(keyword, control) {
+    const variable = this.current;
+    if (variable.type !== "Identifier" || variable.kind !== "User") {
+      this.error(`Expected a loop variable after ${keyword.value}`, {
+        code: "E_INVALID_CONTROL",
+      });
+    }
+    this.advance();
+
+    if (this.keywordRole(this.current) === "in") {
+      const inKeyword = this.current.value;
+      this.advance();
+      let source = this.parseHeader();
+      if (
+        source.type === "BinaryOperation" &&
+        this.isGeneratorOperator(source.operator)
+      ) {
+        source = this.convertBinaryChainToGeneratorChain(source);
+      }
+      const body = this.parseBody(keyword);
+      return control({
+        variable: variable.value,
+        inKeyword,
+        source,
+        body,
+        structure: "for_each",
+      });
+    }
+
+    if (this.current.value !== ":=") {
+      this.error(`Expected := or IN after ${keyword.value} ${variable.value}`, {
+        code: "E_INVALID_CONTROL",
+        expected: [":=", "IN"],
+      });
+    }
+    const assign = this.current;
+    this.advance();
+    const start = this.parseHeader();
+    if (this.keywordRole(this.current) !== "to") {
+      this.error(
+        `Expected TO after the start of ${keyword.value} ${variable.value}`,
+        {
+          code: "E_INVALID_CONTROL",
+          expected: ["TO"],
+        },
+      );
+    }
+    const to = this.current;
+    this.advance();
+    const end = this.parseHeader();
+    const body = this.parseBody(keyword);
+
+    const name = () =>
+      this.createNode("UserIdentifier", {
+        name: variable.value,
+        pos: variable.pos,
+        original: variable.original,
+      });
+    const binary = (operator, left, right, token) =>
+      this.createNode("BinaryOperation", {
+        operator,
+        left,
+        right,
+        pos: token.pos,
+        original: token.original,
+      });
+    const one = this.createNode("Number", {
+      value: "1",
+      format: numberFormat("1"),
+      pos: to.pos,
+      original: to.original,
+    });
+    return control({
+      init: this.createNode("BinaryOperation", {
+        operator: ":=",
+        left: name(),
+        right: start,
+        pos: variable.pos,
+        original: variable.original + assign.original,
+      }),
+      condition: binary("<=", name(), end, to),
+      increment: binary(":=", name(), binary("+", name(), one, to), to),
+      body,
+      toKeyword: to.value,
+      structure: "for_loop",
+    });
+  }
+
+  // A control statement's condition or bound. The { or {{ of its block
+  // ends it rather than applying to it
+  parseHeader() {
+    const outer = this.inHeader;
+    this.inHeader = true;
+    try {
+      return this.parseExpression(0);
+    } finally {
+      this.inHeader = outer;
+    }
+  }
+
+  // The {{ }} or { } block of a control statement, as a CodeBlock
+  parseBody(keyword) {
+    const startToken = this.current;
+    if (startToken.value !== "{{" && startToken.value !== "{") {
+      this.error(`Expected a {{ }} or { } block for ${keyword.value}`, {
+        code: "E_INVALID_CONTROL",
+        expected: ["{{", "{"],
+      });
+    }
+    const closer = startToken.value === "{{" ? "}}" : "}";
+    return this.finishNode(this.parseCodeBlock(closer), startToken);
+  }
+
+  // Whether the current token ends an expression, so an optional operand
+  // (RETURN's value) is absent
+  atExpressionEnd() {
+    const token = this.current;
+    return (
+      token.type === "End" ||
+      token.type === "SemicolonSequence" ||
+      (token.type === "String" && token.kind === "comment") ||
+      token.value === ";" ||
+      token.value === "," ||
+      CLOSING_DELIMITERS.includes(token.value)
+    );
+  }
+
+  // Report nesting errors in a top-level statement: BREAK and CONTINUE
+  // outside a loop body, RETURN outside a function, and an @x reaching more
+  // scopes out than enclose it. A function starts afresh for jumps (a loop
+  // around it does not make a BREAK inside it valid) and is one scope
+  // together with its {{ }} body; other code blocks are a scope each
+  checkNesting(
+    node,
+    context = { loop: false, function: false, scopes: 0, functionBody: false },
+  ) {
+    let problem = null;
+    if (
+      node.type === "ControlStructure" &&
+      JUMP_ROLES.includes(node.structure)
+    ) {
+      const place = node.structure === "return" ? "function" : "loop";
+      if (!context[place]) {
+        problem = [
+          `${node.keyword} outside a ${place}`,
+          "E_MISPLACED_CONTROL",
+          tokenRange(node),
+        ];
+      }
+    } else if (
+      node.type === "ScopedIdentifier" &&
+      node.depth > context.scopes
+    ) {
+      const start = tokenRange(node)[0];
+      const plural = node.depth === 1 ? "" : "s";
+      const enclosing =
+        context.scopes === 0
+          ? "no block or function encloses it"
+          : `only ${context.scopes} enclose${context.scopes === 1 ? "s" : ""} it`;
+      problem = [
+        `${"@".repeat(node.depth)}${node.name} reaches ${node.depth} scope${plural} out, but ${enclosing}`,
+        "E_INVALID_SCOPE",
+        [start, start + node.depth + node.name.length],
+      ];
+    }
+    if (problem) {
+      const [message, code, range] = problem;
+      const error = this.createError(message, { code, range });
+      if (!this.recover) {
+        throw error;
+      }
+      this.report(error);
+    }
+
+    let inner = context;
+    let bodies = [];
+    if (FUNCTION_NODES.includes(node.type)) {
+      inner = { loop: false, function: true, scopes: context.scopes + 1 };
+      bodies =
+        node.type === "PatternMatchingFunction"
+          ? node.patterns.map((pattern) => pattern.body)
+          : [node.body];
+    } else if (node.type === "CodeBlock" && !context.functionBody) {
+      inner = { ...context, scopes: context.scopes + 1 };
+    }
+    const isLoop =
+      node.type === "ControlStructure" &&
+      LOOP_STRUCTURES.includes(node.structure);
+    for (const child of getChildNodes(node)) {
+      this.checkNesting(child, {
+        ...inner,
+        loop: inner.loop || (isLoop && child === node.body),
+        functionBody: bodies.includes(child),
+      });
+    }
+  }
+
+  // @x, @@x, ...: the variable x, one scope further out per @
+  parseScopedIdentifier() {
+    const startToken = this.current;
+    let depth = 0;
+    while (this.current.value === "@" && this.current.type === "Symbol") {
+      if (depth > 0 && this.gapBefore(this.current) !== "") {
+        break;
+      }
+      depth++;
+      this.advance();
+    }
+    const name = this.current;
+    if (
+      name.type !== "Identifier" ||
+      name.kind !== "User" ||
+      this.gapBefore(name) !== ""
+    ) {
+      this.error(`Expected a variable name after ${"@".repeat(depth)}`, {
+        code: "E_INVALID_SCOPE",
+      });
+    }
+    this.advance();
+    return this.createNode("ScopedIdentifier", {
+      name: name.value,
+      depth,
+      pos: startToken.pos,
+      original: startToken.original,
+    });
+  }
+
+  // A {{ }} code block, or with closer "}" the { } block of a control
+  // statement
+  parseCodeBlock(closer = "}}") {
     const startToken = this.current;
-    this.advance(); // consume '{{'
+    this.advance(); // consume '{{' or '{'
 
     const statements = [];
 
-    if (this.current.value !== "}}") {
+    if (this.current.value !== closer) {
       do {
-        const statement = this.parseExpression(0);
+        const statement = this.parseRecoverable(
+          () => this.parseExpression(0),
+          [";"],
+        );
         statements.push(statement);
 
         // Check what token we're at after parsing the expression
         if (this.current.value === ";") {
           this.advance(); // consume semicolon and continue
-          if (this.current.value === "}}") {
+          if (this.current.value === closer) {
             break; // End after semicolon if we hit closing braces
           }
-        } else if (this.current.value === "}}") {
+        } else if (this.current.value === closer) {
           break; // End if we hit closing braces
         } else if (this.current.type === "End") {
-          this.error("Expected closing }}");
+          break; // Reported as a missing closing }} below
         } else {
           // If we have more tokens but no semicolon, we might have multiple statements
           // For now, just break to handle single expressions
           break;
         }
-      } while (this.current.value !== "}}" && this.current.type !== "End");
+      } while (this.current.value !== closer && this.current.type !== "End");
     }
 
-    if (this.current.value !== "}}") {
-      this.error("Expected closing }}");
-    }
-    this.advance(); // consume '}}'
+    this.expectClosing(closer, `Expected closing ${closer}`, startToken);
 
     // Always return a CodeBlock regardless of statement count
     return this.createNode("CodeBlock", {
@@ -1593,6 +2548,38 @@ class Parser {
     });
   }
 
+  // Parse prefix keyword operators (NOT and any registered prefix keyword)
+  parseKeywordPrefix(systemInfo) {
+    const operator = this.current;
+    this.advance();
+    const operand = this.parseExpression(
+      systemInfo.precedence || PRECEDENCE.UNARY,
+    );
+
+    return this.createNode("UnaryOperation", {
+      operator: operator.value,
+      operand: operand,
+      pos: operator.pos,
+      original: operator.original,
+    });
+  }
+
+  // Parse prefix operators registered through the SystemLoader
+  parseCustomPrefix(symbolInfo) {
+    const operator = this.current;
+    this.advance();
+    const operand = this.parseExpression(symbolInfo.precedence);
+
+    return this.createNode("CustomOperation", {
+      operator: operator.value,
+      operatorType: "prefix",
+      registry: symbolInfo.registry,
+      operand: operand,
+      pos: operator.pos,
+      original: this.spanOriginal(operator.pos),
+    });
+  }
+
   // Parse derivatives (postfix quotes)
   parseDerivative(left) {
     const quotes = [];
@@ -1608,10 +2595,15 @@ class Parser {
     // Check for bracket notation for variables: f'[x,y]
     let variables = null;
     if (this.current.value === "[") {
+      const openBracket = this.current;
       this.advance(); // consume '['
       variables = this.parseVariableList();
       if (this.current.value !== "]") {
-        this.error("Expected closing bracket after variable list");
+        this.error("Expected closing bracket after variable list", {
+          code: "E_UNCLOSED_BRACKET",
+          expected: ["]"],
+          openToken: openBracket,
+        });
       }
       originalText += this.current.original;
       this.advance(); // consume ']'
@@ -1672,16 +2664,24 @@ class Parser {
       }
       this.advance();
     } else {
-      this.error("Expected function name after integral operator");
+      this.error("Expected function name after integral operator", {
+        code: "E_UNEXPECTED_TOKEN",
+        expected: ["identifier"],
+      });
     }
 
     // Check for bracket notation for variables: 'f[x,y]
     let variables = null;
     if (this.current.value === "[") {
+      const openBracket = this.current;
       this.advance(); // consume '['
       variables = this.parseVariableList();
       if (this.current.value !== "]") {
-        this.error("Expected closing bracket after variable list");
+        this.error("Expected closing bracket after variable list", {
+          code: "E_UNCLOSED_BRACKET",
+          expected: ["]"],
+          openToken: openBracket,
+        });
       }
       originalText += this.current.original;
       this.advance(); // consume ']'
@@ -1726,7 +2726,10 @@ class Parser {
           });
           this.advance();
         } else {
-          this.error("Expected variable name in variable list");
+          this.error("Expected variable name in variable list", {
+            code: "E_UNEXPECTED_TOKEN",
+            expected: ["identifier"],
+          });
         }
 
         if (this.current.value === ",") {
@@ -1734,7 +2737,10 @@ class Parser {
         } else if (this.current.value === "]") {
           break;
         } else {
-          this.error("Expected comma or closing bracket in variable list");
+          this.error("Expected comma or closing bracket in variable list", {
+            code: "E_UNEXPECTED_TOKEN",
+            expected: [",", "]"],
+          });
         }
       } while (true);
     }
@@ -1769,7 +2775,11 @@ class Parser {
     }
 
     if (this.current.value !== ")") {
-      this.error("Expected closing parenthesis");
+      this.error("Expected closing parenthesis", {
+        code: "E_UNCLOSED_PAREN",
+        expected: [")"],
+        openToken: startToken,
+      });
     }
 
     originalText += this.current.original;
@@ -1824,10 +2834,7 @@ class Parser {
       } while (this.current.value !== ")" && this.current.type !== "End");
     }
 
-    if (this.current.value !== ")") {
-      this.error("Expected closing parenthesis in function call");
-    }
-    this.advance(); // consume ')'
+    this.expectClosing(")", "Expected closing parenthesis in function call");
 
     return args;
   }
@@ -1889,7 +2896,10 @@ class Parser {
       param.name = this.current.value;
       this.advance();
     } else {
-      this.error("Expected parameter name");
+      this.error("Expected parameter name", {
+        code: "E_INVALID_PARAMETER",
+        expected: ["identifier"],
+      });
     }
 
     // Check for default value
@@ -1900,7 +2910,10 @@ class Parser {
 
     // Keyword-only parameters must have default values
     if (isKeywordOnly && param.defaultValue === null) {
-      this.error("Keyword-only parameters must have default values");
+      this.error("Keyword-only parameters must have default values", {
+        code: "E_INVALID_PARAMETER",
+        expected: [":="],
+      });
     }
 
     return param;
@@ -1949,11 +2962,16 @@ class Parser {
             });
           }
         } else {
-          this.error("Expected identifier for keyword argument");
+          this.error("Expected identifier for keyword argument", {
+            code: "E_INVALID_ARGUMENT",
+            expected: ["identifier"],
+          });
         }
       } else {
         // Parse positional argument
-        args.positional.push(this.parseExpression(0));
+        args.positional.push(
+          this.parseRecoverable(() => this.parseExpression(0), [",", ";"]),
+        );
       }
 
       if (this.current.value === ",") {
@@ -1966,6 +2984,58 @@ class Parser {
     return args;
   }
 
+  // Arguments of a call of target. A functional control form such as
+  // WHILE(condition, body) takes no named arguments: a ";" there sequences
+  // statements within one argument, so WHILE(i < n, s := s + i; i := i + 1)
+  // has a two-statement body, which becomes a CodeBlock
+  parseCallArguments(target) {
+    if (!this.isFunctionalControl(target)) {
+      return this.parseFunctionCallArgs();
+    }
+    const args = { positional: [], keyword: {} };
+    while (this.current.value !== ")" && this.current.type !== "End") {
+      const startToken = this.current;
+      const statements = [this.parseControlArgument()];
+      while (this.current.value === ";") {
+        this.advance();
+        if (this.current.value === "," || this.current.value === ")") {
+          break;
+        }
+        statements.push(this.parseControlArgument());
+      }
+      args.positional.push(
+        statements.length === 1
+          ? statements[0]
+          : this.finishNode(
+              this.createNode("CodeBlock", {
+                statements,
+                pos: startToken.pos,
+                original: this.spanOriginal(startToken.pos),
+              }),
+              startToken,
+            ),
+      );
+      if (this.current.value !== ",") {
+        break;
+      }
+      this.advance();
+    }
+    return args;
+  }
+
+  parseControlArgument() {
+    return this.parseRecoverable(() => this.parseExpression(0), [",", ";"]);
+  }
+
+  // A call of a control keyword that the loader turns into a ControlStructure
+  isFunctionalControl(target) {
+    return (
+      target.type === "SystemIdentifier" &&
+      Boolean(target.systemInfo && target.systemInfo.functionalForm) &&
+      typeof this.systemLookup.transformFunctionalForm === "function"
+    );
+  }
+
   convertArgsToParams(args) {
     const params = {
       positional: [],
@@ -2020,14 +3090,28 @@ class Parser {
 
   parseEmbeddedLanguage(token) {
     const content = token.value;
+    const interpolation = content.indexOf("${");
+    const firstColon = content.indexOf(":");
 
-    // If starts with colon or no colon found, treat as RiX-String
-    if (content.startsWith(":") || content.indexOf(":") === -1) {
+    // If starts with colon or no colon found, treat as RiX-String. A colon
+    // after a ${ is part of the string (or the interpolated expression)
+    if (
+      content.startsWith(":") ||
+      firstColon === -1 ||
+      (interpolation !== -1 && interpolation < firstColon)
+    ) {
       const body = content.startsWith(":") ? content.slice(1) : content;
+      if (body.includes("${")) {
+        return this.parseInterpolatedString(
+          token,
+          token.pos[1] + content.length - body.length,
+        );
+      }
       return this.createNode("EmbeddedLanguage", {
         language: "RiX-String",
         context: null,
         body: body,
+        pos: token.pos,
         original: token.original,
       });
     }
@@ -2083,7 +3167,9 @@ class Parser {
 
     // Check for unmatched closing parenthesis
     if (headerParenEnd !== -1 && headerParenStart === -1) {
-      this.error("Unmatched closing parenthesis in embedded language header");
+      this.error("Unmatched closing parenthesis in embedded language header", {
+        code: "E_INVALID_EMBEDDED_HEADER",
+      });
     }
 
     if (headerParenStart !== -1) {
@@ -2105,12 +3191,16 @@ class Parser {
 
       // Validate parentheses structure
       if (parenEnd === -1) {
-        this.error("Unmatched opening parenthesis in embedded language header");
+        this.error(
+          "Unmatched opening parenthesis in embedded language header",
+          { code: "E_INVALID_EMBEDDED_HEADER" },
+        );
       }
 
       if (parenEnd !== header.length - 1) {
         this.error(
           "Invalid embedded language header format. Expected: LANGUAGE(CONTEXT):BODY",
+          { code: "E_INVALID_EMBEDDED_HEADER" },
         );
       }
 
@@ -2119,6 +3209,7 @@ class Parser {
       if (afterCloseParen.includes("(")) {
         this.error(
           "Multiple parenthetical groups not allowed in embedded language header",
+          { code: "E_INVALID_EMBEDDED_HEADER" },
         );
       }
 
@@ -2130,10 +3221,124 @@ class Parser {
       language: language || null,
       context: context,
       body: body,
+      pos: token.pos,
       original: token.original,
     });
   }
 
+  // A backtick string with ${...} interpolations. bodyStart is the source
+  // offset of its text; each expression is scanned from the source there,
+  // so its nodes and errors carry their true positions. Text parts are
+  // strings, at even indices of parts
+  parseInterpolatedString(token, bodyStart) {
+    const bodyEnd = token.pos[1] + token.value.length;
+    const locate = this.getLocator();
+    const source = this.locatorSource.slice(0, bodyEnd);
+    const parts = [];
+    let offset = bodyStart;
+    while (true) {
+      const open = source.indexOf("${", offset);
+      if (open === -1) {
+        parts.push(source.slice(offset));
+        break;
+      }
+      parts.push(source.slice(offset, open));
+      const { tokens, close } = this.scanInterpolation(source, open, locate);
+      parts.push(this.parseInterpolation(tokens, open));
+      offset = close + 1;
+    }
+
+    return this.createNode("InterpolatedString", {
+      parts,
+      pos: token.pos,
+      original: token.original,
+    });
+  }
+
+  // Tokens of the expression in the ${ at source[open], up to the } that
+  // closes it, followed by an End token there
+  scanInterpolation(source, open, locate) {
+    const tokens = [];
+    let depth = 0;
+    const scanner = scanTokens(source, {
+      start: open + 2,
+      operators:
+        typeof this.systemLookup.operatorSymbols === "function"
+          ? this.systemLookup.operatorSymbols()
+          : [],
+      isKeyword: keywordTest(this.systemLookup),
+      isPostfix: postfixTest(this.systemLookup),
+      onError: this.recover
+        ? (error) => this.diagnostics.push(error.toDiagnostic())
+        : undefined,
+    });
+    for (const token of scanner) {
+      const [start] = tokenRange(token);
+      if (token.type === "End") {
+        const message = "Expected closing brace } for interpolation";
+        const details = {
+          code: "E_UNCLOSED_BRACE",
+          expected: ["}"],
+          range: [open, open + 2],
+        };
+        if (!this.recover) {
+          this.error(message, details);
+        }
+        this.report(this.createError(message, details));
+        return { tokens: [...tokens, token], close: source.length - 1 };
+      }
+      if (["{", "{{", "~{"].includes(token.value)) {
+        depth++;
+      } else if (["}", "}}"].includes(token.value)) {
+        // In ${x}} the first } closes the interpolation
+        if (depth === 0) {
+          const end = { type: "End", original: "", value: null };
+          end.pos = [start, start, start];
+          return { tokens: [...tokens, end], close: start };
+        }
+        depth--;
+      }
+      if (this.locations) {
+        token.loc = rangeToSpan(tokenRange(token), locate);
+      }
+      tokens.push(token);
+    }
+  }
+
+  // The expression of one interpolation, parsed by a parser of its own.
+  // In recover mode a broken expression becomes an Error node
+  parseInterpolation(tokens, open) {
+    const parser = new Parser(tokens, this.systemLookup, {
+      recover: this.recover,
+      locations: this.locations,
+      source: this.locatorSource,
+      implicitMultiplication: this.implicitMultiplication,
+    });
+    parser.locate = this.locate;
+    parser.locatorSource = this.locatorSource;
+    const expression = parser.parseRecoverable(() => {
+      if (parser.current.type === "End") {
+        parser.error("Empty interpolation", {
+          code: "E_UNEXPECTED_END",
+          range: [open, tokenRange(parser.current)[0] + 1],
+        });
+      }
+      const node = parser.parseExpression(0);
+      if (parser.current.type !== "End") {
+        parser.error("Expected closing brace } for interpolation", {
+          code: "E_UNEXPECTED_TOKEN",
+          expected: ["}"],
+        });
+      }
+      return node;
+    }, []);
+    this.diagnostics.push(...parser.diagnostics);
+    if (this.locations) {
+      parser.fillLocations(expression);
+    }
+    return expression;
+  }
+
   parseParameterFromArg(arg, inKeywordSection) {
     const result = {
       param: {
@@ -2145,7 +3350,7 @@ class Parser {
 
     if (arg.type === "BinaryOperation" && arg.operator === ":=") {
       // Parameter with default value: x := 5 or x := 5 ? condition
-      result.param.name = arg.left.name || arg.left.value;
+      result.param.name = arg.left.name ?? arg.left.value ?? null;
 
       // Check if the right side has a condition
       if (arg.right.type === "BinaryOperation" && arg.right.operator === "?") {
@@ -2156,7 +3361,7 @@ class Parser {
       }
     } else if (arg.type === "BinaryOperation" && arg.operator === "?") {
       // Parameter with condition: x ? condition
-      result.param.name = arg.left.name || arg.left.value;
+      result.param.name = arg.left.name ?? arg.left.value ?? null;
       result.condition = arg.right;
     } else if (
       arg.type === "UserIdentifier" ||
@@ -2178,12 +3383,15 @@ class Parser {
     if (this.current.type === "String" && this.current.kind === "comment") {
       const commentToken = this.current;
       this.advance();
-      return this.createNode("Comment", {
-        value: commentToken.value,
-        kind: commentToken.kind,
-        original: commentToken.original,
-        pos: commentToken.pos,
-      });
+      return this.finishNode(
+        this.createNode("Comment", {
+          value: commentToken.value,
+          kind: commentToken.kind,
+          original: commentToken.original,
+          pos: commentToken.pos,
+        }),
+        commentToken,
+      );
     }
 
     const expr = this.parseExpression(0);
@@ -2191,65 +3399,167 @@ class Parser {
     // Check for semicolon
     if (this.current.value === ";") {
       this.advance();
-      return this.createNode("Statement", {
+      const statement = this.createNode("Statement", {
         expression: expr,
         pos: expr.pos,
         original: expr.original,
       });
+      return expr.loc
+        ? this.finishNode(statement, expr.loc.start.offset)
+        : statement;
     }
 
     return expr;
   }
 
+  // Whitespace before a token
+  gapBefore(token) {
+    const original = token.original || "";
+    return original.slice(0, original.length - original.trimStart().length);
+  }
+
+  // Check the gap between an unterminated top-level expression ending at
+  // offset end and the next statement starting at offset start against the
+  // separators policy. The error covers the gap, comments included
+  checkSeparator(end, start) {
+    if (this.separators === "any") {
+      return;
+    }
+    this.getLocator();
+    const gap = this.locatorSource.slice(end, start);
+    if (this.separators === "newline" && gap.includes("\n")) {
+      return;
+    }
+    const message =
+      this.separators === "newline"
+        ? "Expected ';' or a new line between expressions"
+        : "Expected ';' between expressions";
+    const error = this.createError(message, {
+      code: "E_MISSING_SEPARATOR",
+      expected: [";"],
+      range: [end, start],
+    });
+    if (!this.recover) {
+      throw error;
+    }
+    this.report(error);
+  }
+
   // Parse the entire program (array of statements)
   parse() {
     const statements = [];
-
     while (this.current.type !== "End") {
-      // Collect standalone comments
-      if (this.current.type === "String" && this.current.kind === "comment") {
-        const commentToken = this.current;
-        this.advance();
-        statements.push(
-          this.createNode("Comment", {
-            value: commentToken.value,
-            kind: commentToken.kind,
-            original: commentToken.original,
-            pos: commentToken.pos,
-          }),
-        );
-        continue;
+      const node = this.parseTopLevel();
+      if (node) {
+        statements.push(node);
       }
+    }
+    return statements;
+  }
+
+  // Parse one top-level item at the current token: a comment, a statement
+  // or an expression without ";". Returns null after consuming a lone ";"
+  // or a token that cannot start a statement. Between calls
+  // this.unterminated holds the end offset of the last statement when it
+  // had no ";", for the separator check
+  parseTopLevel() {
+    // Collect standalone comments
+    if (this.current.type === "String" && this.current.kind === "comment") {
+      const commentToken = this.current;
+      this.advance();
+      return this.finishNode(
+        this.createNode("Comment", {
+          value: commentToken.value,
+          kind: commentToken.kind,
+          original: commentToken.original,
+          pos: commentToken.pos,
+        }),
+        commentToken,
+      );
+    }
+
+    // A lone semicolon is an empty statement
+    if (this.current.value === ";") {
+      this.advance();
+      this.unterminated = null;
+      return null;
+    }
+
+    // A closer the statement before already reported, as in x := (1 + ],
+    // gets no second Error node
+    const last = this.diagnostics[this.diagnostics.length - 1];
+    if (
+      CLOSING_DELIMITERS.includes(this.current.value) &&
+      last &&
+      last.range[0] === tokenRange(this.current)[0]
+    ) {
+      this.advance();
+      return null;
+    }
 
-      const stmt = this.parseStatement();
-      if (stmt) {
-        statements.push(stmt);
+    const startPosition = this.position;
+    const startOffset = tokenRange(this.current)[0];
+    const stmt = this.parseRecoverable(() => this.parseStatement(), [";"]);
+    // Checked once the statement parsed, so its own error comes first
+    if (this.unterminated !== null && stmt && stmt.type !== "Error") {
+      this.checkSeparator(this.unterminated, startOffset);
+    }
+    this.unterminated =
+      stmt && stmt.type !== "Statement" && stmt.type !== "Error"
+        ? this.previous.pos[2]
+        : null;
+
+    if (stmt && stmt.type === "Error") {
+      // A stray closer is part of the failed statement (x := ]), not the
+      // start of another one
+      if (CLOSING_DELIMITERS.includes(this.current.value)) {
+        stmt.original += this.current.original;
+        this.advance();
+        this.finishNode(stmt, startOffset);
+      }
+      if (this.current.value === ";") {
+        this.advance(); // consume the separator after a failed statement
       }
     }
+    if (this.position === startPosition) {
+      // Nothing could start a statement here (e.g. a stray closer); skip it
+      this.advance();
+    }
 
-    return statements;
+    if (stmt && stmt.type !== "Error") {
+      this.checkNesting(stmt);
+    }
+    if (stmt && this.locations) {
+      this.fillLocations(stmt);
+    }
+    return stmt;
+  }
+
+  // Continue parsing at tokens[index], as if everything before it had been
+  // parsed (incremental re-parsing in document.js)
+  seek(index) {
+    this.position = index;
+    this.advance();
+    this.previous = index > 0 ? this.tokens[index - 1] : null;
   }
 
   // Parse function calls - now works on any expression, not just identifiers
   parseCall(target) {
+    const openToken = this.current;
     this.advance(); // consume '('
-    const args = this.parseFunctionCallArgs();
-    if (this.current.value !== ")") {
-      this.error("Expected closing parenthesis in function call");
-    }
-    this.advance(); // consume ')'
+    const args = this.parseCallArguments(target);
+    this.expectClosing(
+      ")",
+      "Expected closing parenthesis in function call",
+      openToken,
+    );
 
     // Maintain backward compatibility: use FunctionCall for identifiers, Call for others
     if (
       target.type === "UserIdentifier" ||
       target.type === "SystemIdentifier"
     ) {
-      return this.createNode("FunctionCall", {
-        function: target,
-        arguments: args,
-        pos: target.pos,
-        original: target.original + "(...)",
-      });
+      return this.createFunctionCall(target, args, target.original + "(...)");
     } else {
       return this.createNode("Call", {
         target: target,
@@ -2260,20 +3570,73 @@ class Parser {
     }
   }
 
+  // FunctionCall of an identifier, just after its closing ")". A call of a
+  // control keyword such as WHILE(condition, body) is handed to the
+  // loader's transformFunctionalForm and becomes a ControlStructure
+  createFunctionCall(target, args, original) {
+    const call = this.createNode("FunctionCall", {
+      function: target,
+      arguments: args,
+      pos: target.pos,
+      original,
+    });
+    if (!this.isFunctionalControl(target)) {
+      return call;
+    }
+
+    // IF takes an optional else branch; other keywords have a fixed arity
+    const info = target.systemInfo;
+    const role = info.role || target.name.toLowerCase();
+    const expected =
+      role === "if" ? [2, 3] : info.arity >= 0 ? [info.arity] : null;
+    if (expected && !expected.includes(args.positional.length)) {
+      const plural = expected[expected.length - 1] === 1 ? "" : "s";
+      const problem = `${target.name} expects ${expected.join(" or ")} argument${plural}`;
+      const error = this.createError(problem, {
+        code: "E_INVALID_CONTROL",
+        range: [tokenRange(target)[0], this.previous.pos[2]],
+      });
+      if (!this.recover) {
+        throw error;
+      }
+      this.report(error);
+      return call;
+    }
+
+    const control = this.systemLookup.transformFunctionalForm(
+      target.name,
+      args.positional,
+      info,
+    );
+    if (control.type !== "ControlStructure") {
+      return call; // ELSE(x) and other keywords without a structure
+    }
+    return this.createNode("ControlStructure", {
+      ...control,
+      pos: target.pos,
+      original,
+    });
+  }
+
   // Parse @ postfix operator (AT metadata access)
   parseAt(target) {
     this.advance(); // consume '@'
     if (this.current.value !== "(") {
-      this.error("Expected opening parenthesis after @ operator");
+      this.error("Expected opening parenthesis after @ operator", {
+        code: "E_UNEXPECTED_TOKEN",
+        expected: ["("],
+      });
     }
+    const openToken = this.current;
     this.advance(); // consume '('
 
     const arg = this.parseExpression(0);
 
-    if (this.current.value !== ")") {
-      this.error("Expected closing parenthesis in @ operator");
-    }
-    this.advance(); // consume ')'
+    this.expectClosing(
+      ")",
+      "Expected closing parenthesis in @ operator",
+      openToken,
+    );
 
     return this.createNode("At", {
       target: target,
@@ -2287,16 +3650,21 @@ class Parser {
   parseAsk(target) {
     this.advance(); // consume '?'
     if (this.current.value !== "(") {
-      this.error("Expected opening parenthesis after ? operator");
+      this.error("Expected opening parenthesis after ? operator", {
+        code: "E_UNEXPECTED_TOKEN",
+        expected: ["("],
+      });
     }
+    const openToken = this.current;
     this.advance(); // consume '('
 
     const arg = this.parseExpression(0);
 
-    if (this.current.value !== ")") {
-      this.error("Expected closing parenthesis in ? operator");
-    }
-    this.advance(); // consume ')'
+    this.expectClosing(
+      ")",
+      "Expected closing parenthesis in ? operator",
+      openToken,
+    );
 
     return this.createNode("Ask", {
       target: target,
@@ -2317,7 +3685,9 @@ class Parser {
 
     while (this.current.type !== "End") {
       if (this.current.value === "[") {
-        this.error("Nested '[' not allowed inside scientific unit ~[...]");
+        this.error("Nested '[' not allowed inside scientific unit ~[...]", {
+          code: "E_INVALID_UNIT",
+        });
       } else if (this.current.value === "]") {
         break;
       }
@@ -2328,10 +3698,11 @@ class Parser {
       this.advance();
     }
 
-    if (this.current.value !== "]") {
-      this.error("Expected closing bracket ] for scientific unit");
-    }
-    this.advance(); // consume ']'
+    this.expectClosing(
+      "]",
+      "Expected closing bracket ] for scientific unit",
+      startToken,
+    );
 
     return this.createNode("ScientificUnit", {
       target: target,
@@ -2352,7 +3723,9 @@ class Parser {
 
     while (this.current.type !== "End") {
       if (this.current.value === "{") {
-        this.error("Nested '{' not allowed inside mathematical unit ~{...}");
+        this.error("Nested '{' not allowed inside mathematical unit ~{...}", {
+          code: "E_INVALID_UNIT",
+        });
       } else if (this.current.value === "}") {
         break;
       }
@@ -2363,10 +3736,11 @@ class Parser {
       this.advance();
     }
 
-    if (this.current.value !== "}") {
-      this.error("Expected closing brace } for mathematical unit");
-    }
-    this.advance(); // consume '}'
+    this.expectClosing(
+      "}",
+      "Expected closing brace } for mathematical unit",
+      startToken,
+    );
 
     return this.createNode("MathematicalUnit", {
       target: target,
@@ -2377,14 +3751,78 @@ class Parser {
   }
 }
 
+export { PRECEDENCE, SYMBOL_TABLE };
+
+// The tokenizer's isKeyword option for a lookup: keyword and operator words
+// (NOT, TO, RETURN) are not values
+export function keywordTest(systemLookup) {
+  if (typeof systemLookup !== "function") {
+    return undefined;
+  }
+  return (name) => {
+    const info = systemLookup(name);
+    return (
+      Boolean(info) && (info.type === "operator" || info.source === "keyword")
+    );
+  };
+}
+
+// The tokenizer's isPostfix option for a lookup: registered postfix
+// operators (n!, n FACT) end an operand
+export function postfixTest(systemLookup) {
+  if (typeof systemLookup !== "function") {
+    return undefined;
+  }
+  return (value) => {
+    const info =
+      (typeof systemLookup.lookupOperator === "function" &&
+        systemLookup.lookupOperator(value)) ||
+      systemLookup(value);
+    return (
+      Boolean(info) &&
+      info.type === "operator" &&
+      info.operatorType === "postfix"
+    );
+  };
+}
+
 // Main parse function
-export function parse(input, systemLookup) {
+// With { recover: true } returns { ast, diagnostics } instead of throwing
+// With { locations: true } every node gets loc: { start, end } line/columns
+export function parse(input, systemLookup, options = {}) {
+  const diagnostics = [];
   let tokens;
   if (typeof input === "string") {
-    tokens = tokenize(input);
+    tokens = tokenize(input, {
+      operators:
+        systemLookup && typeof systemLookup.operatorSymbols === "function"
+          ? systemLookup.operatorSymbols()
+          : [],
+      isKeyword: keywordTest(systemLookup),
+      isPostfix: postfixTest(systemLookup),
+      onError: options.recover
+        ? (error) => diagnostics.push(error.toDiagnostic())
+        : undefined,
+      locations: options.locations,
+    });
   } else {
     tokens = input;
   }
-  const parser = new Parser(tokens, systemLookup);
-  return parser.parse();
+  const parser = new Parser(tokens, systemLookup, {
+    ...options,
+    source: typeof input === "string" ? input : options.source,
+  });
+  let ast = parser.parse();
+  if (options.legacyNodeTypes) {
+    ast = toLegacyNodeTypes(ast);
+  }
+  if (!options.recover) {
+    return ast;
+  }
+  return {
+    ast,
+    diagnostics: [...diagnostics, ...parser.diagnostics].sort(
+      (a, b) => a.range[0] - b.range[0],
+    ),
+  };
 }
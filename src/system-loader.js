@@ -51,6 +51,12 @@ const DEFAULT_SYSTEM_REGISTRY = {
   INFO: { type: "function", arity: 1, precedence: 120, category: "meta" },
 };
 
+// Registry entry IDs, e.g. "core:SIN" or "operator:<+>". Stable across
+// loaders with the same registrations, so ASTs can refer to entries by ID
+function entryId(registry, name) {
+  return `${registry}:${name}`;
+}
+
 // Browser environment detection
 const isBrowser =
   typeof window !== "undefined" && typeof document !== "undefined";
@@ -60,7 +66,12 @@ const isBrowser =
  */
 export class SystemLoader {
   constructor(options = {}) {
-    this.coreRegistry = new Map(Object.entries(DEFAULT_SYSTEM_REGISTRY));
+    this.coreRegistry = new Map(
+      Object.entries(DEFAULT_SYSTEM_REGISTRY).map(([name, definition]) => [
+        name,
+        { ...definition, id: entryId("core", name) },
+      ]),
+    );
     this.systemRegistry = new Map(); // System tinkerer extensions
     this.operatorRegistry = new Map(); // Custom operators
     this.keywordRegistry = new Map(); // Configurable keywords
@@ -86,7 +97,9 @@ export class SystemLoader {
   }
 
   /**
-   * Initialize default configurable keywords
+   * Initialize default configurable keywords. role names the part a
+   * keyword plays in parsed syntax, so a localized keyword registered with
+   * the same role parses the same way
    */
   initializeDefaultKeywords() {
     // Logical operators
@@ -119,6 +132,7 @@ export class SystemLoader {
       structure: "conditional",
       precedence: 5,
       category: "control",
+      role: "if",
     });
 
     this.registerKeyword("ELSE", {
@@ -126,6 +140,7 @@ export class SystemLoader {
       structure: "conditional",
       precedence: 5,
       category: "control",
+      role: "else",
     });
 
     this.registerKeyword("WHILE", {
@@ -133,6 +148,7 @@ export class SystemLoader {
       structure: "loop",
       precedence: 5,
       category: "control",
+      role: "while",
     });
 
     this.registerKeyword("FOR", {
@@ -140,6 +156,57 @@ export class SystemLoader {
       structure: "loop",
       precedence: 5,
       category: "control",
+      role: "for",
+    });
+
+    this.registerKeyword("TO", {
+      type: "control",
+      structure: "loop_bound",
+      precedence: 5,
+      category: "control",
+      role: "to",
+    });
+
+    this.registerKeyword("REPEAT", {
+      type: "control",
+      structure: "loop",
+      precedence: 5,
+      category: "control",
+      role: "repeat",
+    });
+
+    this.registerKeyword("UNTIL", {
+      type: "control",
+      structure: "loop_terminator",
+      precedence: 5,
+      category: "control",
+      role: "until",
+    });
+
+    // Jumps: BREAK and CONTINUE belong inside a loop, RETURN inside a
+    // function
+    this.registerKeyword("BREAK", {
+      type: "control",
+      structure: "break",
+      precedence: 5,
+      category: "control",
+      role: "break",
+    });
+
+    this.registerKeyword("CONTINUE", {
+      type: "control",
+      structure: "continue",
+      precedence: 5,
+      category: "control",
+      role: "continue",
+    });
+
+    this.registerKeyword("RETURN", {
+      type: "control",
+      structure: "return",
+      precedence: 5,
+      category: "control",
+      role: "return",
     });
 
     // Set operations
@@ -149,6 +216,7 @@ export class SystemLoader {
       associativity: "left",
       operatorType: "infix",
       category: "set",
+      role: "in",
     });
 
     this.registerKeyword("UNION", {
@@ -189,7 +257,7 @@ export class SystemLoader {
     this.systemRegistry.set(normalizedName, {
       ...validatedDef,
       source: "system",
-      registered: Date.now(),
+      id: entryId("system", normalizedName),
     });
 
     // Trigger hooks
@@ -211,7 +279,7 @@ export class SystemLoader {
     this.keywordRegistry.set(normalizedName, {
       ...validatedDef,
       source: "keyword",
-      registered: Date.now(),
+      id: entryId("keyword", normalizedName),
     });
 
     this.triggerHook("keyword-registered", {
@@ -235,7 +303,7 @@ export class SystemLoader {
     this.operatorRegistry.set(symbol, {
       ...validatedDef,
       source: "operator",
-      registered: Date.now(),
+      id: entryId("operator", symbol),
     });
 
     this.triggerHook("operator-registered", {
@@ -287,6 +355,48 @@ export class SystemLoader {
     return { type: "identifier", name: normalizedName, source: "unknown" };
   }
 
+  /**
+   * Operator lookup for tokenizer and parser integration
+   */
+  lookupOperator(symbol) {
+    if (!this.operatorRegistry.has(symbol)) {
+      return null;
+    }
+    return this.enrichDefinition(this.operatorRegistry.get(symbol), symbol);
+  }
+
+  /**
+   * Registry entry by ID (the id of a lookup result), or null
+   */
+  getEntry(id) {
+    const separator = id.indexOf(":");
+    const registry = this.getRegistry(id.slice(0, separator));
+    const name = id.slice(separator + 1);
+    return registry && registry.has(name) ? registry.get(name) : null;
+  }
+
+  getRegistry(registryName) {
+    switch (registryName) {
+      case "core":
+        return this.coreRegistry;
+      case "system":
+        return this.systemRegistry;
+      case "keyword":
+        return this.keywordRegistry;
+      case "operator":
+        return this.operatorRegistry;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get all registered operator symbols (for tokenizer maximal munch)
+   */
+  getOperatorSymbols() {
+    return Array.from(this.operatorRegistry.keys());
+  }
+
   /**
    * Validate symbol definition
    */
@@ -356,13 +466,14 @@ export class SystemLoader {
   }
 
   /**
-   * Enrich definition with runtime information
+   * Enrich definition with runtime information. The parser embeds the
+   * result in SystemIdentifier nodes, so it must be deterministic: the same
+   * registrations always give deep-equal, JSON-serializable results
    */
   enrichDefinition(definition, name) {
     return {
       ...definition,
       name,
-      resolvedAt: Date.now(),
       context: this.getCurrentContext(),
     };
   }
@@ -525,16 +636,19 @@ export class SystemLoader {
   }
 
   /**
-   * Determine the arity (number of arguments) for control keywords in functional form
+   * Determine the arity (number of arguments) for control keywords in functional form.
+   * A keyword's role (or its name) tells IF from ELSE and FOR from WHILE
    */
   getControlArity(name, definition) {
+    const role = definition.role || name.toLowerCase();
     switch (definition.structure) {
       case "conditional":
         // IF(condition, thenExpr, elseExpr) or IF(condition, thenExpr)
-        return name === "IF" ? -1 : 1; // Variable args for IF, 1 for ELSE
+        return role === "if" ? -1 : 1; // Variable args for IF, 1 for ELSE
       case "loop":
-        // WHILE(condition, body), FOR(init, condition, increment, body)
-        return name === "FOR" ? 4 : 2;
+        // WHILE(condition, body), FOR(init, condition, increment, body),
+        // REPEAT(body, condition)
+        return role === "for" ? 4 : 2;
       case "loop_body":
       case "loop_terminator":
       case "block_end":
@@ -546,15 +660,16 @@ export class SystemLoader {
 
   /**
    * Transform functional form calls to control structures
-   * WHILE(condition, body) -> WHILE condition DO body
+   * WHILE(condition, body) -> WHILE condition DO body. The parser applies it
+   * to calls of control keywords; a localized keyword works through its role
    */
-  transformFunctionalForm(name, args, definition) {
-    switch (name) {
-      case "WHILE":
+  transformFunctionalForm(name, args, definition = {}) {
+    switch (definition.role || name.toLowerCase()) {
+      case "while":
         if (args.length >= 2) {
           return {
             type: "ControlStructure",
-            keyword: "WHILE",
+            keyword: name,
             condition: args[0],
             body: args[1],
             structure: "while_loop",
@@ -563,28 +678,28 @@ export class SystemLoader {
         }
         break;
 
-      case "IF":
-        if (args.length >= 2) {
+      case "if":
+        if (args.length === 2 || args.length === 3) {
           const result = {
             type: "ControlStructure",
-            keyword: "IF",
+            keyword: name,
             condition: args[0],
             thenBranch: args[1],
             structure: "conditional",
             functionalOrigin: true,
           };
-          if (args.length >= 3) {
+          if (args.length === 3) {
             result.elseBranch = args[2];
           }
           return result;
         }
         break;
 
-      case "FOR":
+      case "for":
         if (args.length >= 4) {
           return {
             type: "ControlStructure",
-            keyword: "FOR",
+            keyword: name,
             init: args[0],
             condition: args[1],
             increment: args[2],
@@ -594,6 +709,19 @@ export class SystemLoader {
           };
         }
         break;
+
+      case "repeat":
+        if (args.length >= 2) {
+          return {
+            type: "ControlStructure",
+            keyword: name,
+            body: args[0],
+            condition: args[1],
+            structure: "repeat_loop",
+            functionalOrigin: true,
+          };
+        }
+        break;
     }
 
     // Default: return as regular function call
@@ -629,7 +757,12 @@ export class SystemLoader {
    * Generate system lookup function for parser
    */
   createParserLookup() {
-    return (name) => this.lookup(name);
+    const lookup = (name) => this.lookup(name);
+    lookup.lookupOperator = (symbol) => this.lookupOperator(symbol);
+    lookup.operatorSymbols = () => this.getOperatorSymbols();
+    lookup.transformFunctionalForm = (name, args, definition) =>
+      this.transformFunctionalForm(name, args, definition);
+    return lookup;
   }
 
   /**
@@ -651,19 +784,25 @@ export class SystemLoader {
   importConfig(config) {
     if (config.system) {
       config.system.forEach(([name, def]) =>
-        this.systemRegistry.set(name, def),
+        this.systemRegistry.set(name, { ...def, id: entryId("system", name) }),
       );
     }
 
     if (config.keywords) {
       config.keywords.forEach(([name, def]) =>
-        this.keywordRegistry.set(name, def),
+        this.keywordRegistry.set(name, {
+          ...def,
+          id: entryId("keyword", name),
+        }),
       );
     }
 
     if (config.operators) {
       config.operators.forEach(([symbol, def]) =>
-        this.operatorRegistry.set(symbol, def),
+        this.operatorRegistry.set(symbol, {
+          ...def,
+          id: entryId("operator", symbol),
+        }),
       );
     }
 
@@ -731,14 +870,14 @@ export function createWebPageSystemLoader(options = {}) {
     window.RiX.defineControlFlow = () => {
       // Control keywords with functional form support
       const controlKeywords = {
-        IF: { structure: "conditional", precedence: 5 },
-        ELSE: { structure: "conditional", precedence: 5 },
-        WHILE: { structure: "loop", precedence: 5 },
-        FOR: { structure: "loop", precedence: 5 },
+        IF: { structure: "conditional", precedence: 5, role: "if" },
+        ELSE: { structure: "conditional", precedence: 5, role: "else" },
+        WHILE: { structure: "loop", precedence: 5, role: "while" },
+        FOR: { structure: "loop", precedence: 5, role: "for" },
         DO: { structure: "loop_body", precedence: 4 },
-        RETURN: { structure: "return", precedence: 5 },
-        BREAK: { structure: "break", precedence: 5 },
-        CONTINUE: { structure: "continue", precedence: 5 },
+        RETURN: { structure: "return", precedence: 5, role: "return" },
+        BREAK: { structure: "break", precedence: 5, role: "break" },
+        CONTINUE: { structure: "continue", precedence: 5, role: "continue" },
       };
 
       Object.entries(controlKeywords).forEach(([keyword, config]) => {
@@ -748,6 +887,7 @@ export function createWebPageSystemLoader(options = {}) {
           precedence: config.precedence,
           category: "control",
           functionalForm: true,
+          ...(config.role && { role: config.role }),
         });
       });
     };
@@ -3,6 +3,9 @@
  * Implements tokenization according to the specification in tokenizing-spec.txt
  */
 
+import { RixSyntaxError } from "./errors.js";
+import { createLocator, tokenRange, rangeToSpan } from "./locations.js";
+
 // Unicode patterns for identifiers
 const identifierStart = /[\p{L}]/u;
 const identifierPart = /[\p{L}\p{N}]/u;
@@ -10,6 +13,7 @@ const identifierPart = /[\p{L}\p{N}]/u;
 // Symbol patterns (sorted longest to shortest for maximal munch)
 const symbols = [
   ":=:",
+  ":@=",
   ":>=:",
   ":<=:",
   ":>:",
@@ -82,9 +86,39 @@ const symbols = [
   "?",
 ];
 
-function tokenize(input) {
-  const tokens = [];
-  let position = 0;
+function tokenize(input, options = {}) {
+  const tokens = [...scanTokens(input, options)];
+
+  if (options.locations) {
+    const locate = createLocator(input);
+    for (const token of tokens) {
+      token.loc = rangeToSpan(tokenRange(token), locate);
+    }
+  }
+
+  return tokens;
+}
+
+// Yield the tokens of input one at a time, ending with the End token.
+// Scanning starts at options.start (default 0), which must be a token
+// boundary; options.previous is then the last non-comment token before it.
+// Incremental re-lexing (document.js) resumes here mid-input
+function* scanTokens(input, options = {}) {
+  let position = options.start || 0;
+
+  // Operators registered through the SystemLoader, longest first
+  const customSymbols = [...(options.operators || [])].sort(
+    (a, b) => b.length - a.length,
+  );
+
+  // Last token other than a comment, for telling "x-1" from "x -1"
+  let previous = options.previous || null;
+  // Whether a System name is a keyword or operator word (NOT, TO), after
+  // which "-1" is still a literal
+  const isKeyword = options.isKeyword || (() => false);
+  // Whether a registered operator is postfix (n!), after which "-" is
+  // subtraction
+  const isPostfix = options.isPostfix || (() => false);
 
   while (position < input.length) {
     const startPos = position;
@@ -95,23 +129,29 @@ function tokenize(input) {
     }
 
     if (position >= input.length) {
-      // Add End token with any remaining whitespace
-      tokens.push({
+      // End token with any remaining whitespace
+      yield {
         type: "End",
         original: input.slice(startPos),
         value: null,
         pos: [startPos, startPos, input.length],
-      });
-      break;
+      };
+      return;
     }
 
     let token = null;
 
     // Try to match numbers first (before comments, since numbers can contain #)
-    token = tryMatchNumber(input, position);
+    // After an operand a leading "-" is the subtraction operator
+    if (
+      input[position] !== "-" ||
+      !endsOperand(previous, isKeyword, isPostfix)
+    ) {
+      token = tryMatchNumber(input, position);
+    }
     if (!token) {
       // Try to match strings (quotes, backticks, comments)
-      token = tryMatchString(input, position);
+      token = tryMatchString(input, position, options.onError);
     }
     if (!token) {
       // Try to match identifiers
@@ -123,7 +163,7 @@ function tokenize(input) {
     }
     if (!token) {
       // Try to match symbols
-      token = tryMatchSymbol(input, position);
+      token = tryMatchSymbol(input, position, customSymbols);
     }
 
     if (token) {
@@ -136,32 +176,61 @@ function tokenize(input) {
       if (token.type !== "String") {
         token.pos[1] = position;
       }
-      tokens.push(token);
+      if (!(token.type === "String" && token.kind === "comment")) {
+        previous = token;
+      }
       position += token.original.length - whitespace.length;
+      yield token;
     } else {
       // If nothing matched, skip this character
       position++;
     }
   }
 
-  // Always add End token if not already added
-  if (tokens.length === 0 || tokens[tokens.length - 1].type !== "End") {
-    tokens.push({
-      type: "End",
-      original: "",
-      value: null,
-      pos: [input.length, input.length, input.length],
-    });
-  }
+  yield {
+    type: "End",
+    original: "",
+    value: null,
+    pos: [input.length, input.length, input.length],
+  };
+}
 
-  return tokens;
+// Closing delimiters that end an operand
+const OPERAND_CLOSERS = [")", "]", "}", "}}"];
+
+// Whether a token can end an operand, so that a following "-" is binary
+function endsOperand(token, isKeyword, isPostfix) {
+  if (!token) {
+    return false;
+  }
+  switch (token.type) {
+    case "Identifier":
+      return (
+        !(token.kind === "System" && isKeyword(token.value)) ||
+        isPostfix(token.value)
+      );
+    case "Number":
+    case "PlaceHolder":
+      return true;
+    case "String":
+      return token.kind !== "comment";
+    case "Symbol":
+      // f'-1 after a derivative quote
+      return (
+        OPERAND_CLOSERS.includes(token.value) ||
+        token.value === "'" ||
+        isPostfix(token.value)
+      );
+    default:
+      return false;
+  }
 }
 
-function tryMatchString(input, position) {
+function tryMatchString(input, position, onError) {
   const remaining = input.slice(position);
 
   // Try line comments (# marker)
-  const lineCommentMatch = remaining.match(/^#(.*)$/m);
+  const lineCommentMatch = remaining.match(/^#([^\r\n]*)/);
   if (lineCommentMatch) {
     return {
       type: "String",
@@ -193,10 +262,16 @@ function tryMatchString(input, position) {
         ],
       };
     }
-    // If we reach here, block comment was not closed - throw error
+    // If we reach here, block comment was not closed
     const remainder = input.slice(position);
-    throw new Error(
+    return unterminatedString(
+      input,
+      position,
+      blockCommentMatch[0].length,
+      "comment",
       `Delimiter unmatched. Need ${starCount} stars followed by slash. Remainder: "${remainder}" at position ${position}`,
+      onError,
+      "*".repeat(starCount) + "/",
     );
   }
 
@@ -224,8 +299,14 @@ function tryMatchString(input, position) {
     }
     // Unmatched quote delimiter - throw error only if we started parsing quotes
     const remainder = input.slice(position);
-    throw new Error(
+    return unterminatedString(
+      input,
+      position,
+      quoteCount,
+      "quote",
       `Delimiter unmatched. Need ${quoteCount} closing quotes. Remainder: "${remainder}" at position ${position}`,
+      onError,
+      '"'.repeat(quoteCount),
     );
   }
 
@@ -252,14 +333,59 @@ function tryMatchString(input, position) {
     }
     // Unmatched backtick delimiter - throw error only if we started parsing backticks
     const remainder = input.slice(position);
-    throw new Error(
+    return unterminatedString(
+      input,
+      position,
+      backtickCount,
+      "backtick",
       `Delimiter unmatched. Need ${backtickCount} closing backticks. Remainder: "${remainder}" at position ${position}`,
+      onError,
+      "`".repeat(backtickCount),
     );
   }
 
   return null;
 }
 
+// Unclosed string or comment: throw, or with an onError handler report it and
+// let the token run to the end of the input
+function unterminatedString(
+  input,
+  position,
+  delimiterLength,
+  kind,
+  message,
+  onError,
+  expected,
+) {
+  const locate = createLocator(input);
+  const range = [position, input.length];
+  const openRange = [position, position + delimiterLength];
+  const error = new RixSyntaxError(message, {
+    code: "E_DELIMITER_UNMATCHED",
+    range,
+    span: rangeToSpan(range, locate),
+    expected: [expected],
+    openDelimiter: {
+      value: input.slice(position, position + delimiterLength),
+      range: openRange,
+      span: rangeToSpan(openRange, locate),
+    },
+  });
+  if (!onError) {
+    throw error;
+  }
+  onError(error);
+  return {
+    type: "String",
+    original: input.slice(position),
+    value: input.slice(position + delimiterLength),
+    kind: kind,
+    unterminated: true,
+    pos: [position, position + delimiterLength, input.length],
+  };
+}
+
 function tryMatchNumber(input, position) {
   const remaining = input.slice(position);
 
@@ -465,12 +591,18 @@ function tryMatchSemicolonSequence(input, position) {
   return null;
 }
 
-function tryMatchSymbol(input, position) {
+function tryMatchSymbol(input, position, customSymbols = []) {
   const remaining = input.slice(position);
 
+  // Registered operators take part in maximal munch alongside built-in symbols
+  const custom = customSymbols.find((symbol) => remaining.startsWith(symbol));
+
   // Try to match symbols using maximal munch (longest first)
   for (const symbol of symbols) {
     if (remaining.startsWith(symbol)) {
+      if (custom && custom.length > symbol.length) {
+        break;
+      }
       return {
         type: "Symbol",
         original: symbol,
@@ -480,6 +612,15 @@ function tryMatchSymbol(input, position) {
     }
   }
 
+  if (custom) {
+    return {
+      type: "Symbol",
+      original: custom,
+      value: custom,
+      pos: [position, position, position + custom.length],
+    };
+  }
+
   // If no multi-character symbol matches, try single characters
   if (remaining.length > 0) {
     const char = remaining[0];
@@ -497,4 +638,4 @@ function tryMatchSymbol(input, position) {
   return null;
 }
 
-export { tokenize };
+export { tokenize, scanTokens };
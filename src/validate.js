@@ -0,0 +1,165 @@
+/**
+ * RiX AST Validator
+ * Checks an AST against the JSON Schema in ast-schema.js. Implements the
+ * subset of JSON Schema the AST schema uses, so no validator dependency
+ * is needed
+ */
+
+import { AST_SCHEMA } from "./ast-schema.js";
+
+// Validate a parse() result (array of statements) or a single node.
+// Returns { valid, errors } where each error is { path, message } and
+// path lists the keys leading to the offending value, as in visit()
+export function validateAst(ast) {
+  const errors = [];
+  const root = Array.isArray(ast) ? "Program" : "Node";
+  check(AST_SCHEMA.$defs[root], ast, [], errors);
+  return { valid: errors.length === 0, errors };
+}
+
+function resolve(schema) {
+  while (schema.$ref) {
+    schema = AST_SCHEMA.$defs[schema.$ref.replace("#/$defs/", "")];
+  }
+  return schema;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function describe(value) {
+  return value === undefined ? "undefined" : JSON.stringify(value);
+}
+
+function check(schema, value, path, errors) {
+  schema = resolve(schema);
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`expected ${types.join(" or ")}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if ("const" in schema && value !== schema.const) {
+    fail(`expected ${describe(schema.const)}, got ${describe(value)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(
+      `expected one of ${schema.enum.map(describe).join(", ")}, ` +
+        `got ${describe(value)}`,
+    );
+  }
+  if (schema.oneOf) {
+    checkOneOf(schema.oneOf, value, path, errors);
+  }
+  if (schema.anyOf) {
+    checkAnyOf(schema.anyOf, value, path, errors);
+  }
+  if (typeOf(value) === "object") {
+    checkObject(schema, value, path, errors);
+  }
+  if (Array.isArray(value)) {
+    checkArray(schema, value, path, errors);
+  }
+}
+
+function checkObject(schema, value, path, errors) {
+  const properties = schema.properties || {};
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) {
+      errors.push({ path, message: `missing property "${key}"` });
+    }
+  }
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) {
+      continue;
+    }
+    if (properties[key]) {
+      check(properties[key], item, [...path, key], errors);
+    } else if (schema.additionalProperties === false) {
+      const where = value.type ? ` on ${value.type}` : "";
+      errors.push({ path, message: `unexpected property "${key}"${where}` });
+    } else if (typeof schema.additionalProperties === "object") {
+      check(schema.additionalProperties, item, [...path, key], errors);
+    }
+  }
+}
+
+function checkArray(schema, value, path, errors) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({
+      path,
+      message: `expected at least ${schema.minItems} items`,
+    });
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push({ path, message: `expected at most ${schema.maxItems} items` });
+  }
+  if (schema.items) {
+    value.forEach((item, index) =>
+      check(schema.items, item, [...path, index], errors),
+    );
+  }
+}
+
+// The type const of a node definition, used as a discriminator
+function nodeTypes(schema) {
+  const type = resolve(schema).properties?.type;
+  if (!type) return null;
+  return type.enum || ("const" in type ? [type.const] : null);
+}
+
+function checkOneOf(branches, value, path, errors) {
+  // Node unions are discriminated by type: report against the matching
+  // definition rather than listing every failed alternative
+  if (typeOf(value) === "object" && branches.every(nodeTypes)) {
+    const branch = branches.find((b) => nodeTypes(b).includes(value.type));
+    if (branch) {
+      check(branch, value, path, errors);
+    } else {
+      errors.push({
+        path,
+        message: `unknown node type ${describe(value.type)}`,
+      });
+    }
+    return;
+  }
+
+  const passing = branches.filter((b) => attempt(b, value, path).length === 0);
+  if (passing.length !== 1) {
+    errors.push({
+      path,
+      message: `expected exactly one alternative to match, ${passing.length} did`,
+    });
+  }
+}
+
+function checkAnyOf(branches, value, path, errors) {
+  const results = branches.map((branch) => attempt(branch, value, path));
+  if (results.some((result) => result.length === 0)) {
+    return;
+  }
+  // Report the alternative that got furthest into the value
+  const depth = (result) => Math.max(...result.map((e) => e.path.length));
+  const closest = results.reduce((best, result) =>
+    depth(result) > depth(best) ? result : best,
+  );
+  errors.push(...closest);
+}
+
+function attempt(schema, value, path) {
+  const errors = [];
+  check(schema, value, path, errors);
+  return errors;
+}
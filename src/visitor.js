@@ -0,0 +1,271 @@
+/**
+ * RiX AST Visitor
+ * Generic traversal (visit) and rewriting (transform) of parser ASTs,
+ * driven by the child-key table below
+ */
+
+// Child properties of every node type the parser emits, in source order.
+// A child slot holds a node, an array of nodes (possibly nested, as in
+// Matrix rows), or a plain object whose values are nodes or records
+// containing nodes (keyword arguments, metadata maps, parameter lists).
+// Missing or null slots are skipped
+export const VISITOR_KEYS = {
+  // Leaves
+  Number: [],
+  String: [],
+  UserIdentifier: [],
+  SystemIdentifier: [],
+  PlaceHolder: [],
+  NULL: [],
+  Comment: [],
+  EmbeddedLanguage: [],
+  ScopedIdentifier: [],
+  Error: [],
+
+  // Strings
+  InterpolatedString: ["parts"],
+
+  Statement: ["expression"],
+
+  // Operators
+  BinaryOperation: ["left", "right"],
+  ScopedAssignment: ["target", "value"],
+  UnaryOperation: ["operand"],
+  CustomOperation: ["left", "operand", "right"],
+  TernaryOperation: ["condition", "trueExpression", "falseExpression"],
+
+  // Groupings and containers
+  Grouping: ["expression"],
+  ParameterList: ["parameters"],
+  Tuple: ["elements"],
+  Array: ["elements"],
+  Matrix: ["rows"],
+  Tensor: ["structure"],
+  WithMetadata: ["primary", "metadata"],
+  SetLiteral: ["elements"],
+  MapLiteral: ["elements"],
+  EquationSystem: ["elements"],
+  CodeBlock: ["statements"],
+  Comprehension: ["expression", "clauses"],
+  ComprehensionBinding: ["source"],
+  ComprehensionFilter: ["condition"],
+
+  // Control flow
+  ControlStructure: [
+    "init",
+    "source",
+    "condition",
+    "increment",
+    "thenBranch",
+    "elseBranch",
+    "body",
+    "value",
+  ],
+
+  // Generators
+  GeneratorChain: ["start", "operators"],
+  GeneratorAdd: ["operand"],
+  GeneratorMultiply: ["operand"],
+  GeneratorFunction: ["operand"],
+  GeneratorFilter: ["operand"],
+  GeneratorLimit: ["operand"],
+  GeneratorLazyLimit: ["operand"],
+
+  // Calls and postfix operators
+  FunctionCall: ["function", "arguments"],
+  Call: ["target", "arguments"],
+  PropertyAccess: ["object", "property"],
+  At: ["target", "arg"],
+  Ask: ["target", "arg"],
+  ScientificUnit: ["target"],
+  MathematicalUnit: ["target"],
+
+  // Calculus
+  Derivative: ["function", "evaluation", "operations"],
+  Integral: ["function", "evaluation", "operations"],
+
+  // Functions
+  FunctionLambda: ["parameters", "body"],
+  FunctionDefinition: ["name", "parameters", "body"],
+  PatternMatchingFunction: ["name", "parameters", "patterns", "metadata"],
+
+  // Pipes
+  Pipe: ["left", "right"],
+  ExplicitPipe: ["left", "right"],
+  PipeMap: ["left", "right"],
+  PipeFilter: ["left", "right"],
+  PipeReduce: ["left", "right"],
+
+  // Intervals and sequences
+  IntervalStepping: ["interval", "step"],
+  IntervalDivision: ["interval", "count"],
+  // IntervalDivision's `type: "equally_spaced"` property replaces its type
+  equally_spaced: ["interval", "count"],
+  IntervalPartition: ["interval", "count"],
+  IntervalMediants: ["interval", "levels"],
+  IntervalMediantPartition: ["interval", "levels"],
+  IntervalRandom: ["interval", "parameters"],
+  IntervalRandomPartition: ["interval", "count"],
+  InfiniteSequence: ["start", "step"],
+};
+
+// Return from an enter hook to leave the node's children unvisited
+export const SKIP = Symbol("SKIP");
+// Return from a transform hook to delete the node
+export const REMOVE = Symbol("REMOVE");
+
+function isNode(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    typeof value.type === "string"
+  );
+}
+
+function childKeys(node) {
+  const keys = VISITOR_KEYS[node.type];
+  if (!keys) {
+    throw new Error(`Unknown node type: ${node.type}`);
+  }
+  return keys;
+}
+
+// Direct child nodes of a node, in child-key order
+export function getChildNodes(node) {
+  const children = [];
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (isNode(value)) {
+      children.push(value);
+    } else if (value !== null && typeof value === "object") {
+      Object.values(value).forEach(collect);
+    }
+  };
+  for (const key of childKeys(node)) {
+    collect(node[key]);
+  }
+  return children;
+}
+
+// Walk the AST calling visitor hooks. visitors may contain
+//   enter(node, info) / leave(node, info) - called for every node
+//   [NodeType](node, info) or [NodeType]: { enter, leave } - per type
+// info is { parent, key, path }: key is the property name or index under
+// which the node was found and path the keys leading to it from the root
+export function visit(ast, visitors) {
+  traverse(ast, visitors, false);
+}
+
+// Like visit, but a hook may return a node to replace the current one or
+// REMOVE to delete it (from arrays and maps; other slots become null).
+// Returns the new AST; nodes along changed paths are copied, the input is
+// left untouched
+export function transform(ast, visitors) {
+  const result = traverse(ast, visitors, true);
+  return result === REMOVE ? null : result;
+}
+
+function traverse(ast, visitors, rewrite) {
+  return walkValue({ visitors, rewrite }, ast, null, []);
+}
+
+function hooksFor(visitors, type, phase) {
+  const hooks = [];
+  const specific = visitors[type];
+  if (phase === "enter") {
+    if (visitors.enter) hooks.push(visitors.enter);
+    if (typeof specific === "function") hooks.push(specific);
+    else if (specific && specific.enter) hooks.push(specific.enter);
+  } else {
+    if (specific && typeof specific.leave === "function") {
+      hooks.push(specific.leave);
+    }
+    if (visitors.leave) hooks.push(visitors.leave);
+  }
+  return hooks;
+}
+
+// Run hooks in order; a replacement is passed on to the following hooks
+function runHooks(walker, node, phase, info) {
+  let current = node;
+  let skip = false;
+  for (const hook of hooksFor(walker.visitors, current.type, phase)) {
+    const result = hook(current, info);
+    if (result === SKIP) {
+      skip = true;
+    } else if (walker.rewrite && result === REMOVE) {
+      return { node: REMOVE, skip: true };
+    } else if (walker.rewrite && isNode(result)) {
+      current = result;
+    }
+  }
+  return { node: current, skip };
+}
+
+function visitNode(walker, node, parent, path) {
+  childKeys(node); // Reject unknown types before calling any hook
+  const info = { parent, key: path[path.length - 1], path };
+
+  const entered = runHooks(walker, node, "enter", info);
+  if (entered.node === REMOVE) {
+    return REMOVE;
+  }
+  let current = entered.node;
+
+  if (!entered.skip) {
+    let copied = false;
+    for (const key of childKeys(current)) {
+      const value = current[key];
+      if (value === undefined || value === null) {
+        continue;
+      }
+      const updated = walkValue(walker, value, current, [...path, key]);
+      if (walker.rewrite && updated !== value) {
+        if (!copied) {
+          current = { ...current };
+          copied = true;
+        }
+        current[key] = updated === REMOVE ? null : updated;
+      }
+    }
+  }
+
+  const left = runHooks(walker, current, "leave", info);
+  return left.node;
+}
+
+// Walk a child slot: a node, an array or a plain object of children
+function walkValue(walker, value, parent, path) {
+  if (isNode(value)) {
+    return visitNode(walker, value, parent, path);
+  }
+
+  if (Array.isArray(value)) {
+    let changed = false;
+    const result = [];
+    value.forEach((item, index) => {
+      const updated = walkValue(walker, item, parent, [...path, index]);
+      changed = changed || updated !== item;
+      if (updated !== REMOVE) {
+        result.push(updated);
+      }
+    });
+    return changed ? result : value;
+  }
+
+  if (value !== null && typeof value === "object") {
+    let changed = false;
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      const updated = walkValue(walker, item, parent, [...path, key]);
+      changed = changed || updated !== item;
+      if (updated !== REMOVE) {
+        result[key] = updated;
+      }
+    }
+    return changed ? result : value;
+  }
+
+  return value;
+}
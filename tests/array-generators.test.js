@@ -49,17 +49,17 @@ describe("RiX Array Generators", () => {
             elements: [
               {
                 type: "GeneratorChain",
-                start: { type: "Number", value: "1" },
+                start: { type: "Number", value: "1", format: "integer" },
                 operators: [
                   {
                     type: "GeneratorAdd",
                     operator: "|+",
-                    operand: { type: "Number", value: "2" }
+                    operand: { type: "Number", value: "2", format: "integer" }
                   },
                   {
                     type: "GeneratorLimit",
                     operator: "|^",
-                    operand: { type: "Number", value: "5" }
+                    operand: { type: "Number", value: "5", format: "integer" }
                   }
                 ]
               }
@@ -79,17 +79,17 @@ describe("RiX Array Generators", () => {
             elements: [
               {
                 type: "GeneratorChain",
-                start: { type: "Number", value: "2" },
+                start: { type: "Number", value: "2", format: "integer" },
                 operators: [
                   {
                     type: "GeneratorMultiply",
                     operator: "|*",
-                    operand: { type: "Number", value: "3" }
+                    operand: { type: "Number", value: "3", format: "integer" }
                   },
                   {
                     type: "GeneratorLimit",
                     operator: "|^",
-                    operand: { type: "Number", value: "4" }
+                    operand: { type: "Number", value: "4", format: "integer" }
                   }
                 ]
               }
@@ -107,10 +107,10 @@ describe("RiX Array Generators", () => {
           expression: {
             type: "Array",
             elements: [
-              { type: "Number", value: "1" },
+              { type: "Number", value: "1", format: "integer" },
               {
                 type: "GeneratorChain",
-                start: { type: "Number", value: "1" },
+                start: { type: "Number", value: "1", format: "integer" },
                 operators: [
                   {
                     type: "GeneratorFunction",
@@ -138,7 +138,7 @@ describe("RiX Array Generators", () => {
                   {
                     type: "GeneratorLimit",
                     operator: "|^",
-                    operand: { type: "Number", value: "10" }
+                    operand: { type: "Number", value: "10", format: "integer" }
                   }
                 ]
               }
@@ -160,12 +160,12 @@ describe("RiX Array Generators", () => {
             elements: [
               {
                 type: "GeneratorChain",
-                start: { type: "Number", value: "1" },
+                start: { type: "Number", value: "1", format: "integer" },
                 operators: [
                   {
                     type: "GeneratorAdd",
                     operator: "|+",
-                    operand: { type: "Number", value: "1" }
+                    operand: { type: "Number", value: "1", format: "integer" }
                   },
                   {
                     type: "GeneratorFilter",
@@ -188,16 +188,16 @@ describe("RiX Array Generators", () => {
                           type: "BinaryOperation",
                           operator: "%",
                           left: { type: "UserIdentifier", name: "a" },
-                          right: { type: "Number", value: "2" }
+                          right: { type: "Number", value: "2", format: "integer" }
                         },
-                        right: { type: "Number", value: "0" }
+                        right: { type: "Number", value: "0", format: "integer" }
                       }
                     }
                   },
                   {
                     type: "GeneratorLimit",
                     operator: "|^",
-                    operand: { type: "Number", value: "5" }
+                    operand: { type: "Number", value: "5", format: "integer" }
                   }
                 ]
               }
@@ -214,7 +214,7 @@ describe("RiX Array Generators", () => {
       expect(stripMetadata(ast)[0].expression.elements[0].operators[1]).toEqual({
         type: "GeneratorLimit",
         operator: "|^",
-        operand: { type: "Number", value: "5" }
+        operand: { type: "Number", value: "5", format: "integer" }
       });
     });
 
@@ -238,7 +238,7 @@ describe("RiX Array Generators", () => {
             type: "BinaryOperation",
             operator: ">",
             left: { type: "UserIdentifier", name: "a" },
-            right: { type: "Number", value: "10" }
+            right: { type: "Number", value: "10", format: "integer" }
           }
         }
       });
@@ -249,7 +249,7 @@ describe("RiX Array Generators", () => {
       expect(stripMetadata(ast)[0].expression.elements[0].operators[1]).toEqual({
         type: "GeneratorLazyLimit",
         operator: "|^:",
-        operand: { type: "Number", value: "5" }
+        operand: { type: "Number", value: "5", format: "integer" }
       });
     });
 
@@ -273,7 +273,7 @@ describe("RiX Array Generators", () => {
             type: "BinaryOperation",
             operator: ">",
             left: { type: "UserIdentifier", name: "a" },
-            right: { type: "Number", value: "10" }
+            right: { type: "Number", value: "10", format: "integer" }
           }
         }
       });
@@ -289,7 +289,7 @@ describe("RiX Array Generators", () => {
           expression: {
             type: "Array",
             elements: [
-              { type: "Number", value: "1" },
+              { type: "Number", value: "1", format: "integer" },
               {
                 type: "GeneratorChain",
                 start: null,
@@ -297,12 +297,12 @@ describe("RiX Array Generators", () => {
                   {
                     type: "GeneratorAdd",
                     operator: "|+",
-                    operand: { type: "Number", value: "2" }
+                    operand: { type: "Number", value: "2", format: "integer" }
                   },
                   {
                     type: "GeneratorLimit",
                     operator: "|^",
-                    operand: { type: "Number", value: "5" }
+                    operand: { type: "Number", value: "5", format: "integer" }
                   }
                 ]
               }
@@ -320,10 +320,10 @@ describe("RiX Array Generators", () => {
           expression: {
             type: "Array",
             elements: [
-              { type: "Number", value: "1" },
+              { type: "Number", value: "1", format: "integer" },
               {
                 type: "GeneratorChain",
-                start: { type: "Number", value: "1" },
+                start: { type: "Number", value: "1", format: "integer" },
                 operators: [
                   {
                     type: "GeneratorFunction",
@@ -351,7 +351,7 @@ describe("RiX Array Generators", () => {
                   {
                     type: "GeneratorLimit",
                     operator: "|^",
-                    operand: { type: "Number", value: "10" }
+                    operand: { type: "Number", value: "10", format: "integer" }
                   }
                 ]
               },
@@ -362,17 +362,17 @@ describe("RiX Array Generators", () => {
                   {
                     type: "GeneratorMultiply",
                     operator: "|*",
-                    operand: { type: "Number", value: "3" }
+                    operand: { type: "Number", value: "3", format: "integer" }
                   },
                   {
                     type: "GeneratorLimit",
                     operator: "|^",
-                    operand: { type: "Number", value: "5" }
+                    operand: { type: "Number", value: "5", format: "integer" }
                   }
                 ]
               },
-              { type: "Number", value: "100" },
-              { type: "Number", value: "112" }
+              { type: "Number", value: "100", format: "integer" },
+              { type: "Number", value: "112", format: "integer" }
             ]
           }
         }
@@ -389,12 +389,12 @@ describe("RiX Array Generators", () => {
             elements: [
               {
                 type: "GeneratorChain",
-                start: { type: "Number", value: "3" },
+                start: { type: "Number", value: "3", format: "integer" },
                 operators: [
                   {
                     type: "GeneratorAdd",
                     operator: "|+",
-                    operand: { type: "Number", value: "3" }
+                    operand: { type: "Number", value: "3", format: "integer" }
                   },
                   {
                     type: "GeneratorFilter",
@@ -414,14 +414,14 @@ describe("RiX Array Generators", () => {
                         type: "BinaryOperation",
                         operator: "<",
                         left: { type: "UserIdentifier", name: "a" },
-                        right: { type: "Number", value: "10" }
+                        right: { type: "Number", value: "10", format: "integer" }
                       }
                     }
                   },
                   {
                     type: "GeneratorLimit",
                     operator: "|^",
-                    operand: { type: "Number", value: "10" }
+                    operand: { type: "Number", value: "10", format: "integer" }
                   }
                 ]
               }
@@ -448,12 +448,12 @@ describe("RiX Array Generators", () => {
                   {
                     type: "GeneratorAdd",
                     operator: "|+",
-                    operand: { type: "Number", value: "2" }
+                    operand: { type: "Number", value: "2", format: "integer" }
                   },
                   {
                     type: "GeneratorLimit",
                     operator: "|^",
-                    operand: { type: "Number", value: "5" }
+                    operand: { type: "Number", value: "5", format: "integer" }
                   }
                 ]
               }
@@ -473,12 +473,12 @@ describe("RiX Array Generators", () => {
             elements: [
               {
                 type: "GeneratorChain",
-                start: { type: "Number", value: "1" },
+                start: { type: "Number", value: "1", format: "integer" },
                 operators: [
                   {
                     type: "GeneratorAdd",
                     operator: "|+",
-                    operand: { type: "Number", value: "2" }
+                    operand: { type: "Number", value: "2", format: "integer" }
                   }
                 ]
               }
@@ -498,17 +498,17 @@ describe("RiX Array Generators", () => {
             elements: [
               {
                 type: "GeneratorChain",
-                start: { type: "Number", value: "1" },
+                start: { type: "Number", value: "1", format: "integer" },
                 operators: [
                   {
                     type: "GeneratorAdd",
                     operator: "|+",
-                    operand: { type: "Number", value: "2" }
+                    operand: { type: "Number", value: "2", format: "integer" }
                   },
                   {
                     type: "GeneratorMultiply",
                     operator: "|*",
-                    operand: { type: "Number", value: "3" }
+                    operand: { type: "Number", value: "3", format: "integer" }
                   }
                 ]
               }
@@ -0,0 +1,117 @@
+import { test, expect, describe } from "bun:test";
+import { SystemLoader } from "../src/system-loader.js";
+import { parse, format, validateAst } from "../index.js";
+
+function parseWith(code, loader = new SystemLoader()) {
+  return parse(code, loader.createParserLookup());
+}
+
+describe("Comprehensions", () => {
+  test("array comprehension over an interval", () => {
+    const [ast] = parseWith("[x^2 FOR x IN 1:10]");
+    expect(ast).toMatchObject({
+      type: "Comprehension",
+      container: "array",
+      expression: { type: "BinaryOperation", operator: "^" },
+      clauses: [
+        {
+          type: "ComprehensionBinding",
+          keyword: "FOR",
+          variable: "x",
+          inKeyword: "IN",
+          source: { type: "Number", value: "1:10" },
+        },
+      ],
+    });
+  });
+
+  test("set comprehension with several bindings and a filter", () => {
+    const [ast] = parseWith("{(x, y) FOR x IN [1, 2] FOR y IN 1:3 IF x < y}");
+    expect(ast.type).toBe("Comprehension");
+    expect(ast.container).toBe("set");
+    expect(ast.expression.type).toBe("Tuple");
+    expect(ast.clauses.map((clause) => clause.type)).toEqual([
+      "ComprehensionBinding",
+      "ComprehensionBinding",
+      "ComprehensionFilter",
+    ]);
+    expect(ast.clauses[0].source.type).toBe("Array");
+    expect(ast.clauses[2].condition).toMatchObject({
+      type: "BinaryOperation",
+      operator: "<",
+    });
+  });
+
+  test("generator chains as sources; filters may come between bindings", () => {
+    const [ast] = parseWith("[x + y FOR x IN 1 |+ 2 |^ 5 IF x > 2 FOR y IN s]");
+    expect(ast.clauses[0].source.type).toBe("GeneratorChain");
+    expect(ast.clauses[0].source.operators).toHaveLength(2);
+    expect(ast.clauses[1].type).toBe("ComprehensionFilter");
+    expect(ast.clauses[2].variable).toBe("y");
+  });
+
+  test("IN still works as an operator inside clauses", () => {
+    const [ast] = parseWith("[x FOR x IN a IF x IN b]");
+    expect(ast.clauses[1].condition).toMatchObject({
+      type: "BinaryOperation",
+      operator: "IN",
+    });
+  });
+
+  test("keywords come from the SystemLoader keyword registry", () => {
+    const loader = new SystemLoader();
+    loader.registerKeyword("PARA", {
+      type: "control",
+      structure: "loop",
+      precedence: 5,
+      category: "control",
+      role: "for",
+    });
+    loader.registerKeyword("EN", {
+      type: "operator",
+      precedence: 60,
+      operatorType: "infix",
+      role: "in",
+    });
+    loader.registerKeyword("SI", {
+      type: "control",
+      structure: "conditional",
+      precedence: 5,
+      role: "if",
+    });
+
+    const ast = parseWith("[x PARA x EN 1:5 SI x > 1]", loader);
+    expect(ast[0].clauses).toMatchObject([
+      { keyword: "PARA", variable: "x", inKeyword: "EN" },
+      { keyword: "SI" },
+    ]);
+    expect(format(ast)).toBe("[x PARA x EN 1:5 SI x > 1]");
+
+    // Without a role, a keyword does not start a clause
+    expect(parse("[x FOR x IN 1:5]")[0].type).not.toBe("Comprehension");
+  });
+
+  test("formats and validates", () => {
+    const ast = parseWith("{x*y FOR x IN a FOR y IN b IF x!=y}");
+    expect(format(ast)).toBe("{x * y FOR x IN a FOR y IN b IF x != y}");
+    expect(validateAst(ast).valid).toBe(true);
+  });
+
+  test("malformed clauses report E_INVALID_COMPREHENSION", () => {
+    for (const [code, message] of [
+      ["[x FOR 3 IN y]", "Expected a variable after FOR"],
+      ["[x FOR x y]", "Expected IN after FOR x in comprehension"],
+    ]) {
+      try {
+        parseWith(code);
+        throw new Error(`${code} parsed`);
+      } catch (error) {
+        expect(error.code).toBe("E_INVALID_COMPREHENSION");
+        expect(error.message).toContain(message);
+      }
+    }
+    expect(() => parseWith("[x FOR x IN a, 2]")).toThrow(
+      "Expected closing bracket",
+    );
+  });
+});
@@ -0,0 +1,208 @@
+import { test, expect, describe } from "bun:test";
+import { SystemLoader } from "../src/system-loader.js";
+import { parse, format, validateAst } from "../index.js";
+
+function parseWith(code, loader = new SystemLoader(), options) {
+  return parse(code, loader.createParserLookup(), options);
+}
+
+describe("Control statements", () => {
+  test("WHILE and IF ... ELSE with code block bodies", () => {
+    const [loop] = parseWith("WHILE x > 0 {{ x := x - 1 }}");
+    expect(loop).toMatchObject({
+      type: "ControlStructure",
+      keyword: "WHILE",
+      condition: { type: "BinaryOperation", operator: ">" },
+      body: { type: "CodeBlock", statements: [{ operator: ":=" }] },
+      structure: "while_loop",
+    });
+    expect(loop.functionalOrigin).toBeUndefined();
+
+    const [conditional] = parseWith(
+      "IF a {{ 1 }} ELSE IF (b) {{ 2 }} ELSE {{ 3 }}",
+    );
+    expect(conditional).toMatchObject({
+      keyword: "IF",
+      structure: "conditional",
+      thenBranch: { type: "CodeBlock" },
+      elseKeyword: "ELSE",
+      elseBranch: {
+        type: "ControlStructure",
+        condition: { type: "Grouping" },
+        elseBranch: { type: "CodeBlock" },
+      },
+    });
+  });
+
+  test("FOR ... TO is the functional for_loop shape", () => {
+    const [loop] = parseWith("FOR i := 1 TO n { s := s + i; }");
+    expect(loop).toMatchObject({
+      keyword: "FOR",
+      structure: "for_loop",
+      toKeyword: "TO",
+      init: { operator: ":=", left: { name: "i" }, right: { value: "1" } },
+      condition: { operator: "<=", left: { name: "i" }, right: { name: "n" } },
+      increment: {
+        operator: ":=",
+        left: { name: "i" },
+        right: { operator: "+", left: { name: "i" }, right: { value: "1" } },
+      },
+      body: { type: "CodeBlock" },
+    });
+    expect(loop.body.statements).toHaveLength(1);
+  });
+
+  test("FOR ... IN and REPEAT ... UNTIL", () => {
+    const [each] = parseWith("FOR x IN 1 |+ 2 |^ 5 {{ s := s + x }}");
+    expect(each).toMatchObject({
+      structure: "for_each",
+      variable: "x",
+      inKeyword: "IN",
+      source: { type: "GeneratorChain" },
+    });
+
+    const [repeat] = parseWith("REPEAT {{ x := x + 1 }} UNTIL x > 10");
+    expect(repeat).toMatchObject({
+      keyword: "REPEAT",
+      structure: "repeat_loop",
+      untilKeyword: "UNTIL",
+      body: { type: "CodeBlock" },
+      condition: { operator: ">" },
+    });
+  });
+
+  test("a call with no block after it is the functional form", () => {
+    const [call] = parseWith("IF(a, b, c)");
+    expect(call).toMatchObject({
+      type: "ControlStructure",
+      functionalOrigin: true,
+    });
+    const [statement] = parseWith("WHILE (x > 0) {{ x }}");
+    expect(statement.condition.type).toBe("Grouping");
+    expect(statement.functionalOrigin).toBeUndefined();
+    // Without a loader lookup the keywords have no role
+    expect(parse("WHILE(x, y)")[0].type).toBe("FunctionCall");
+  });
+
+  test("a control statement ends the expressions around it", () => {
+    expect(() => parseWith("x := IF a {{ 1 }} ELSE {{ 2 }} + 3")).toThrow(
+      "Expected ';' or a new line between expressions",
+    );
+    const { ast, diagnostics } = parseWith(
+      "x := WHILE a {{ b }} + 3",
+      undefined,
+      { recover: true },
+    );
+    expect(ast[0]).toMatchObject({
+      operator: ":=",
+      right: { type: "ControlStructure", structure: "while_loop" },
+    });
+    expect(diagnostics.map((d) => d.code)).toEqual(["E_MISSING_SEPARATOR"]);
+    // Inside a call the argument list goes on
+    const [call] = parseWith("f(IF a {{ 1 }}, 2)");
+    expect(call.arguments.positional).toHaveLength(2);
+  });
+
+  test("a minus after a keyword starts a negative literal", () => {
+    const [loop] = parseWith("FOR i := 5 TO -1 {{ }}");
+    expect(loop.condition.right).toMatchObject({ type: "Number", value: "-1" });
+    expect(parseWith("NOT -1")[0]).toMatchObject({
+      type: "UnaryOperation",
+      operator: "NOT",
+      operand: { type: "Number", value: "-1" },
+    });
+    const [returned] = parseWith("f := (x) -> {{ RETURN -1 }}")[0].right.body
+      .statements;
+    expect(returned.value).toMatchObject({ type: "Number", value: "-1" });
+  });
+
+  test("formats, round-trips and validates", () => {
+    const loader = new SystemLoader();
+    for (const code of [
+      "FOR i := 1 TO 10 {{ IF i > 5 {{ BREAK }} ELSE {{ CONTINUE }} }}",
+      "FOR x IN arr {{ s := s + x }}",
+      "REPEAT {{ x := x + 1 }} UNTIL x > 10",
+      "f := (x) -> {{ WHILE x > 1 {{ x := x / 2 }}; RETURN x }}",
+      "y := IF a {{ 1 }} ELSE {{ 2 }}",
+    ]) {
+      const ast = parseWith(code, loader);
+      expect(format(ast)).toBe(code);
+      expect(validateAst(ast).valid).toBe(true);
+    }
+  });
+
+  test("BREAK, CONTINUE and RETURN must be inside a loop or function", () => {
+    for (const [code, message] of [
+      ["BREAK", "BREAK outside a loop"],
+      ["IF a {{ CONTINUE }}", "CONTINUE outside a loop"],
+      ["RETURN 3", "RETURN outside a function"],
+      ["WHILE a {{ g := (x) -> {{ BREAK }} }}", "BREAK outside a loop"],
+    ]) {
+      try {
+        parseWith(code);
+        throw new Error(`${code} parsed`);
+      } catch (error) {
+        expect(error.code).toBe("E_MISPLACED_CONTROL");
+        expect(error.reason).toBe(message);
+      }
+    }
+
+    const { ast, diagnostics } = parseWith(
+      "x := 1;\nRETURN x;\nFOR i := 1 TO 3 {{ BREAK }}",
+      undefined,
+      { recover: true },
+    );
+    expect(ast).toHaveLength(3);
+    expect(diagnostics).toEqual([
+      {
+        code: "E_MISPLACED_CONTROL",
+        message: "RETURN outside a function",
+        severity: "error",
+        range: [8, 14],
+      },
+    ]);
+  });
+
+  test("malformed statements report E_INVALID_CONTROL", () => {
+    for (const [code, message] of [
+      ["WHILE x > 0 x", "Expected a {{ }} or { } block for WHILE"],
+      ["FOR 3 IN a {{ }}", "Expected a loop variable after FOR"],
+      ["FOR i 3 {{ }}", "Expected := or IN after FOR i"],
+      ["FOR i := 1 {{ }}", "Expected TO after the start of FOR i"],
+      ["REPEAT {{ }} x", "Expected UNTIL after the REPEAT block"],
+    ]) {
+      try {
+        parseWith(code);
+        throw new Error(`${code} parsed`);
+      } catch (error) {
+        expect(error.code).toBe("E_INVALID_CONTROL");
+        expect(error.reason).toBe(message);
+      }
+    }
+  });
+
+  test("keywords come from the registry roles", () => {
+    const loader = new SystemLoader();
+    loader.registerKeyword("MIENTRAS", {
+      type: "control",
+      structure: "loop",
+      precedence: 5,
+      category: "control",
+      role: "while",
+    });
+    loader.registerKeyword("ROMPER", {
+      type: "control",
+      structure: "break",
+      precedence: 5,
+      category: "control",
+      role: "break",
+    });
+    const ast = parseWith("MIENTRAS x {{ ROMPER }}", loader);
+    expect(ast[0]).toMatchObject({
+      keyword: "MIENTRAS",
+      structure: "while_loop",
+      body: { statements: [{ keyword: "ROMPER", structure: "break" }] },
+    });
+    expect(format(ast)).toBe("MIENTRAS x {{ ROMPER }}");
+  });
+});
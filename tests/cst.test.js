@@ -0,0 +1,104 @@
+import { describe, test, expect } from "bun:test";
+import { parseCST, print } from "../index.js";
+
+const samples = [
+  "x := 1 + 2;",
+  "  x  :=  1 ;\n\n\ty := x  +  2 ;  \n",
+  "# leading comment\na := [1, 2;\n     3, 4];  # trailing\n",
+  "f(x, n := 2) :-> x ^ n; /* block */ f(3)",
+  "v := 3.2~[m/s] ;\ns := [1 |+ 2 |^ 5];",
+  "m := {a := 1, b := (2, 3)};\n{{ t := 1; t + 1 }}",
+  'greeting := "hi" ; `P(x): x^2 + 1`',
+  "",
+  "   \n  ",
+];
+
+function findNode(cst, type) {
+  if (cst.kind === "node" && cst.type === type) {
+    return cst;
+  }
+  for (const child of cst.children || []) {
+    const found = findNode(child, type);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+describe("Concrete syntax tree", () => {
+  test("print reproduces the input byte-for-byte", () => {
+    for (const code of samples) {
+      expect(print(parseCST(code))).toBe(code);
+    }
+  });
+
+  test("comments inside expressions are trivia, not terminators", () => {
+    const cst = parseCST("x := 1 + # one\n  2;");
+    const statement = cst.children[0];
+    expect(statement.type).toBe("Statement");
+    expect(statement.node.expression.right.type).toBe("BinaryOperation");
+    const plus = findNode(cst, "BinaryOperation").children[2].children[1];
+    expect(plus.text).toBe("+");
+    expect(plus.trailingTrivia).toEqual([
+      { type: "Whitespace", text: " " },
+      { type: "Comment", text: "# one" },
+    ]);
+  });
+
+  test("trailing trivia stops at the end of the line", () => {
+    const cst = parseCST("a;  \n  b");
+    const semicolon = cst.children[0].children[1];
+    expect(semicolon.text).toBe(";");
+    expect(semicolon.trailingTrivia).toEqual([
+      { type: "Whitespace", text: "  " },
+    ]);
+    const b = cst.children[1];
+    expect(b.type).toBe("UserIdentifier");
+    expect(b.children[0].leadingTrivia).toEqual([
+      { type: "Whitespace", text: "\n  " },
+    ]);
+  });
+
+  test("trivia after the last token belongs to the End token", () => {
+    const cst = parseCST("a; # done\n\n");
+    const end = cst.children[cst.children.length - 1];
+    expect(end.type).toBe("End");
+    expect(end.text).toBe("");
+    expect(end.leadingTrivia).toEqual([{ type: "Whitespace", text: "\n\n" }]);
+  });
+
+  test("nodes wrap their AST node and tokens", () => {
+    const cst = parseCST("f(a,  b)");
+    const call = cst.children[0];
+    expect(call.type).toBe("FunctionCall");
+    expect(call.node.type).toBe("FunctionCall");
+    expect(call.children.map((child) => child.type)).toEqual([
+      "UserIdentifier",
+      "Symbol",
+      "UserIdentifier",
+      "Symbol",
+      "UserIdentifier",
+      "Symbol",
+    ]);
+    expect(print(call)).toBe("f(a,  b)");
+  });
+
+  test("a sub-expression can be rewritten keeping the rest intact", () => {
+    const code = "x := (a +  b) * 2;  # scale\ny := 3";
+    const cst = parseCST(code);
+    const group = findNode(cst, "Grouping");
+    expect(print(group)).toBe("(a +  b) ");
+    // Replace the group's tokens with one token, keeping its trailing space
+    const close = group.children[group.children.length - 1];
+    group.children = [{ ...close, value: "c", text: "c" }];
+    expect(print(cst)).toBe("x := c * 2;  # scale\ny := 3");
+  });
+
+  test("recover mode returns diagnostics alongside the tree", () => {
+    const code = "a := [1, , 3];\nb := 2";
+    const { cst, diagnostics } = parseCST(code, undefined, { recover: true });
+    expect(diagnostics.length).toBe(1);
+    expect(print(cst)).toBe(code);
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, test, expect } from "bun:test";
+import { parse, tokenize, createDocument } from "../index.js";
+import { SystemLoader } from "../src/system-loader.js";
+
+const SOURCE = `x := 1;
+s := "two
+lines";
+/** doc
+comment **/
+p := \`P(x): x^2\`;
+f(a, b) :-> a + b
+y := 3x - 1
+`;
+
+function edit(doc, start, end, text) {
+  return doc.applyEdit({ start, end, text });
+}
+
+// The document must always agree with a full parse of its text
+function expectInSync(doc, lookup, options = {}) {
+  const full = parse(doc.text, lookup, { ...options, recover: true });
+  expect(doc.ast).toEqual(full.ast);
+  expect(doc.diagnostics).toEqual(full.diagnostics);
+  expect(doc.tokens).toEqual(
+    tokenize(doc.text, {
+      operators: lookup ? lookup.operatorSymbols() : [],
+      onError: () => {},
+    }),
+  );
+}
+
+describe("createDocument", () => {
+  test("starts out equal to parse", () => {
+    expectInSync(createDocument(SOURCE));
+    expectInSync(createDocument(""));
+    expectInSync(createDocument("a := (1 + ; b := 2"));
+  });
+
+  test("stays equal to parse through a series of edits", () => {
+    const doc = createDocument(SOURCE);
+    const at = (text) => doc.text.indexOf(text);
+    const edits = [
+      () => edit(doc, at("1;"), at("1;") + 1, "42"),
+      // Opening and closing a string
+      () => edit(doc, at("x :="), at("x :="), '"'),
+      () => edit(doc, 0, 1, ""),
+      // Ending and re-opening a multi-line string
+      () => edit(doc, at("two") + 3, at("two") + 3, '"'),
+      () => edit(doc, at('two"'), at('two"') + 4, "two"),
+      // Breaking the /** **/ comment and the embedded block
+      () => edit(doc, at("comment **/") + 8, at("comment **/") + 9, ""),
+      () => edit(doc, at("comment *") + 8, at("comment *") + 8, "*"),
+      () => edit(doc, at("`P"), at("`P"), "``"),
+      () => edit(doc, at("x^2`") + 3, at("x^2`") + 3, "``"),
+      // Separators, implicit multiplication and a trailing edit
+      () => edit(doc, at("a + b") + 5, at("a + b") + 6, " "),
+      () => edit(doc, at("3x"), at("3x") + 2, "3 x"),
+      () => edit(doc, doc.text.length, doc.text.length, "z := 1 -\n2"),
+      () => edit(doc, 0, doc.text.length, ""),
+    ];
+    for (const apply of edits) {
+      apply();
+      expectInSync(doc);
+    }
+    expect(doc.version).toBe(edits.length);
+  });
+
+  test("follows parse options and registered operators", () => {
+    const loader = new SystemLoader();
+    loader.registerOperator("<+>", { type: "operator", precedence: 50 });
+    const lookup = loader.createParserLookup();
+    const options = { locations: true, separators: "semicolon" };
+    const doc = createDocument("a <+> b;\nc := SIN(x)", {
+      ...options,
+      systemLookup: lookup,
+    });
+    expectInSync(doc, lookup, options);
+    edit(doc, 0, 0, "q\n");
+    expectInSync(doc, lookup, options);
+    edit(doc, 4, 5, "<");
+    expectInSync(doc, lookup, options);
+  });
+});
+
+describe("applyEdit", () => {
+  test("re-parses only the statements an edit can reach", () => {
+    const doc = createDocument("a := 1;\nb := 2;\nc := 3;\nd := 4;");
+    const [a, b, c, d] = doc.ast;
+
+    const { changed, removed } = edit(doc, 13, 14, "20");
+    expect(changed).toEqual([1]);
+    expect(removed).toEqual([b]);
+    expect(doc.ast[0]).toBe(a);
+    expect(doc.ast[2]).toBe(c);
+    expect(doc.ast[3]).toBe(d);
+    // Reused statements move with the text
+    expect(doc.ast[3].pos).toEqual([24, 25, 26]);
+    expect(doc.ast[3]).toEqual(parse(doc.text)[3]);
+  });
+
+  test("updates locations of reused statements", () => {
+    const doc = createDocument("a := 1;\nb := 2;", { locations: true });
+    const b = doc.ast[1];
+    edit(doc, 4, 4, "\n\n");
+    expect(doc.ast[1]).toBe(b);
+    expect(b.loc.start).toEqual({ line: 4, column: 0, offset: 10 });
+    // Same length, but a line break moves
+    edit(doc, 0, 2, "\na");
+    expect(doc.ast[1]).toBe(b);
+    expect(b.loc.start).toEqual({ line: 5, column: 0, offset: 10 });
+    expectInSync(doc, undefined, { locations: true });
+  });
+
+  test("an unclosed string swallows the rest until it is closed", () => {
+    const doc = createDocument("a := 1;\nb := 2;\nc := 3;");
+    const c = doc.ast[2];
+    expect(edit(doc, 5, 5, '"').changed).toEqual([0]);
+    expect(doc.ast.length).toBe(1);
+    expect(doc.diagnostics[0].code).toBe("E_DELIMITER_UNMATCHED");
+    edit(doc, 7, 7, '"');
+    expect(doc.ast.length).toBe(3);
+    expect(doc.ast[2]).not.toBe(c);
+    expectInSync(doc);
+  });
+
+  test("diagnostics match a full parse after edits between statements", () => {
+    // A line break inside a comment separates the statements around it
+    for (const [text, at] of [
+      ["a /* c */ b", 5],
+      ["x := 1 /* note */ y := 2", 10],
+    ]) {
+      const doc = createDocument(text);
+      expect(doc.diagnostics.map((d) => d.code)).toEqual([
+        "E_MISSING_SEPARATOR",
+      ]);
+      edit(doc, at, at, "\n");
+      expect(doc.diagnostics).toEqual([]);
+      expectInSync(doc);
+    }
+
+    // A statement's own error moving onto the one before it is dropped
+    const stray = createDocument("f(~[m] ]");
+    edit(stray, 4, 5, "");
+    expect(stray.diagnostics.map((d) => d.range)).toEqual([
+      [4, 5],
+      [6, 7],
+    ]);
+    expectInSync(stray);
+
+    // Lexer messages name the offset they moved to
+    const embedded = createDocument('y := 1\ns := `v ${ "abc }`\nz');
+    edit(embedded, 0, 0, "yy");
+    expect(embedded.diagnostics[1].message).toEndWith("at position 20");
+    expectInSync(embedded);
+  });
+
+  test("rejects ranges outside the document", () => {
+    const doc = createDocument("a;");
+    expect(() => edit(doc, 1, 5, "")).toThrow(RangeError);
+    expect(() => edit(doc, 2, 1, "")).toThrow(RangeError);
+  });
+});
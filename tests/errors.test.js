@@ -0,0 +1,130 @@
+import { describe, test, expect } from "bun:test";
+import { parse, tokenize, RixSyntaxError, ERROR_CODES } from "../index.js";
+
+function catchError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected an error to be thrown");
+}
+
+describe("RixSyntaxError", () => {
+  test("parser errors are RixSyntaxError instances", () => {
+    const error = catchError(() => parse("[1, 2;"));
+    expect(error).toBeInstanceOf(RixSyntaxError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe("RixSyntaxError");
+  });
+
+  test("messages keep the position prefix", () => {
+    const error = catchError(() => parse("[1, 2"));
+    expect(error.message).toBe(
+      "Parse error at position 5: Expected closing bracket",
+    );
+    expect(error.reason).toBe("Expected closing bracket");
+  });
+
+  test("unclosed groups report the opening delimiter", () => {
+    const error = catchError(() => parse("x := [1,\n  2"));
+    expect(error.code).toBe("E_UNCLOSED_BRACKET");
+    expect(error.expected).toEqual(["]"]);
+    expect(error.openDelimiter).toEqual({
+      value: "[",
+      range: [5, 6],
+      span: {
+        start: { line: 1, column: 5, offset: 5 },
+        end: { line: 1, column: 6, offset: 6 },
+      },
+    });
+    expect(error.token.type).toBe("End");
+    expect(error.span.start).toEqual({ line: 2, column: 3, offset: 12 });
+  });
+
+  test("each delimiter has its own unclosed code", () => {
+    expect(catchError(() => parse("(1 + 2")).code).toBe("E_UNCLOSED_PAREN");
+    expect(catchError(() => parse("{a, b")).code).toBe("E_UNCLOSED_BRACE");
+    expect(catchError(() => parse("{{ a := 1")).code).toBe(
+      "E_UNCLOSED_CODE_BLOCK",
+    );
+    expect(catchError(() => parse("f(1, 2")).code).toBe("E_UNCLOSED_PAREN");
+    expect(catchError(() => parse("3~[m")).code).toBe("E_UNCLOSED_BRACKET");
+  });
+
+  test("unexpected tokens carry the token and line/column span", () => {
+    const error = catchError(() => parse("a := 1;\nb := )"));
+    expect(error.code).toBe("E_UNEXPECTED_TOKEN");
+    expect(error.token.value).toBe(")");
+    expect(error.range).toEqual([13, 14]);
+    expect(error.span).toEqual({
+      start: { line: 2, column: 5, offset: 13 },
+      end: { line: 2, column: 6, offset: 14 },
+    });
+  });
+
+  test("running out of input is E_UNEXPECTED_END", () => {
+    expect(catchError(() => parse("x :=")).code).toBe("E_UNEXPECTED_END");
+  });
+
+  test("construct-specific codes", () => {
+    expect(catchError(() => parse("a ?? b")).code).toBe("E_TERNARY_INCOMPLETE");
+    expect(catchError(() => parse("a ?? b")).expected).toEqual(["?:"]);
+    expect(catchError(() => parse("[1, 2, name := 3]")).code).toBe(
+      "E_MIXED_CONTAINER",
+    );
+    expect(catchError(() => parse("[obj, (x + y) := 1]")).code).toBe(
+      "E_INVALID_METADATA_KEY",
+    );
+    expect(catchError(() => parse("{x :=: 3, y :=: 2}")).code).toBe(
+      "E_INVALID_CONTAINER",
+    );
+    expect(catchError(() => parse("f(x; 2)")).code).toBe("E_INVALID_ARGUMENT");
+    expect(catchError(() => parse("`P(x:1`")).code).toBe(
+      "E_INVALID_EMBEDDED_HEADER",
+    );
+  });
+
+  test("tokenizer delimiter errors are structured", () => {
+    const error = catchError(() => tokenize('x := "abc'));
+    expect(error).toBeInstanceOf(RixSyntaxError);
+    expect(error.code).toBe("E_DELIMITER_UNMATCHED");
+    expect(error.expected).toEqual(['"']);
+    expect(error.openDelimiter.value).toBe('"');
+    expect(error.openDelimiter.range).toEqual([5, 6]);
+    expect(error.message).toMatch(/Delimiter unmatched/);
+  });
+
+  test("block comment errors expect the matching star count", () => {
+    const error = catchError(() => tokenize("/** never closed"));
+    expect(error.code).toBe("E_DELIMITER_UNMATCHED");
+    expect(error.expected).toEqual(["**/"]);
+    expect(error.openDelimiter.value).toBe("/**");
+  });
+
+  test("every code used has a description", () => {
+    const samples = [
+      "[1, 2",
+      "(1",
+      "{a",
+      "{{ a",
+      "x :=",
+      ")",
+      "a ?? b",
+      "[1, n := 2, 3]",
+    ];
+    for (const code of samples) {
+      expect(ERROR_CODES[catchError(() => parse(code)).code]).toBeDefined();
+    }
+  });
+
+  test("toDiagnostic produces the recover-mode shape", () => {
+    const error = catchError(() => parse("[1, 2"));
+    expect(error.toDiagnostic()).toEqual({
+      code: "E_UNCLOSED_BRACKET",
+      message: "Expected closing bracket",
+      severity: "error",
+      range: [5, 5],
+    });
+  });
+});
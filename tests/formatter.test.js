@@ -0,0 +1,203 @@
+import { describe, test, expect } from "bun:test";
+import { parse, format } from "../index.js";
+
+// Remove position and lookup data so ASTs compare structurally
+function stripMetadata(value) {
+  return JSON.parse(
+    JSON.stringify(value, (key, v) =>
+      key === "pos" ||
+      key === "original" ||
+      key === "loc" ||
+      key === "systemInfo"
+        ? undefined
+        : v,
+    ),
+  );
+}
+
+function expectRoundTrip(code) {
+  const ast = parse(code);
+  const formatted = format(ast);
+  expect(stripMetadata(parse(formatted))).toEqual(stripMetadata(ast));
+  return formatted;
+}
+
+describe("Formatter", () => {
+  test("emits canonical spacing", () => {
+    expect(format(parse("x:=a+b*c;"))).toBe("x := a + b * c;");
+    expect(format(parse("f( a ,b;k:=2 );"))).toBe("f(a, b; k := 2);");
+    expect(format(parse("a . b;"))).toBe("a.b;");
+    // A digit next to the dot would read as a decimal point
+    expect(expectRoundTrip("3 - 4 . 5;")).toBe("3 - 4 . 5;");
+    expect(expectRoundTrip("x.5;")).toBe("x .5;");
+  });
+
+  test("statements and comments go on their own lines", () => {
+    expect(format(parse("a := 1; b := 2; # done"))).toBe(
+      "a := 1;\nb := 2;\n# done",
+    );
+    // A comment inside an expression stays a comment and ends its line
+    expect(expectRoundTrip("x := 1 + # one\n  2;")).toBe("x := 1 + # one\n2;");
+    expect(expectRoundTrip("f(1 + # c\n, 2);")).toBe("f(1 + # c\n, 2);");
+    expect(expectRoundTrip("[1 + # c\n];")).toBe("[\n  1 + # c\n];");
+  });
+
+  test("round-trips operators, calls and postfix forms", () => {
+    for (const code of [
+      "x := y := 2 ^ 3 ^ 4;",
+      "(a - b) - c + (d - e);",
+      "x ?? y ?: z ?? w ?: v;",
+      "a |> f |>> g |>? h |>: k;",
+      "a ||> f(_1, __2);",
+      "f(x)(y)@(3)?(z);",
+      "a[1].b;",
+      "1:10 :+ 2; 1:10 :: 5; 1:10 :/: 3; 1 ::+ 2;",
+      "x := - 2; y := -x; z := - -2;",
+    ]) {
+      expectRoundTrip(code);
+    }
+  });
+
+  test("round-trips implicit multiplication", () => {
+    expect(expectRoundTrip("3x+2 x y;")).toBe("3x + 2x y;");
+    expect(expectRoundTrip("(a+b)c;")).toBe("(a + b) c;");
+    expect(expectRoundTrip("2x^2;")).toBe("2x ^ 2;");
+    expect(expectRoundTrip("1/2x; 2 e; f(x) g(x);")).toBe(
+      "1/2x;\n2 e;\nf(x) g(x);",
+    );
+    expect(expectRoundTrip(".5 .123; 3 .5;")).toBe(".5 .123;\n3 .5;");
+    expect(expectRoundTrip("2 (x+1); (x+1) (x-1);")).toBe(
+      "2(x + 1);\n(x + 1)(x - 1);",
+    );
+    // A rewritten right operand that would read as call arguments
+    const [statement] = parse("2x;");
+    statement.expression.right = parse("(a + b);")[0].expression.expression;
+    expect(format(statement)).toBe("2 * (a + b);");
+  });
+
+  test("round-trips containers", () => {
+    expect(expectRoundTrip("[1,2;3,4];")).toBe("[1, 2; 3, 4];");
+    expect(expectRoundTrip("[1, 2;; 3, 4;;; 5];")).toBe("[1, 2;; 3, 4;;; 5];");
+    expect(expectRoundTrip("[;1];")).toBe("[; 1];");
+    expect(expectRoundTrip("{a := 1, b := {2, 3} };")).toBe(
+      "{ a := 1, b := {2, 3} };",
+    );
+    expectRoundTrip("{x :=: 1; y :>: 2};");
+    expectRoundTrip("{ {3} };");
+    expectRoundTrip("[x, meta := 1]; [k := 1]; (a,); ();");
+    expectRoundTrip("{{ a := 1; b := a + 1 }};");
+  });
+
+  test("round-trips generator chains", () => {
+    expect(expectRoundTrip("[1|+2|^5];")).toBe("[1 |+ 2 |^ 5];");
+    expectRoundTrip("[|+ 2 |* 3 |: f |? g |^: 10];");
+  });
+
+  test("round-trips functions and pattern matching", () => {
+    for (const code of [
+      "f(x, y := 2 ? y > 0; n := 3) :-> x + y;",
+      "f :-> 3;",
+      "(x, y; n := 2) -> x ^ n;",
+      "(x ? x > 0) -> x;",
+      "(a, b) -> a * b;",
+      "g :=> [(x ? x < 0) -> -x, (x) -> x];",
+      "g :=> [[(x) -> x + n, (y) -> y], n := 4];",
+    ]) {
+      expectRoundTrip(code);
+    }
+  });
+
+  test("round-trips calculus, units and embedded languages", () => {
+    for (const code of [
+      "f''[x, y](1, 2);",
+      "'f(a, b);",
+      "3.2~[m/s^2] + x~{kg};",
+      "`P(x): x^2 + 1`;",
+      "`plain text`;",
+    ]) {
+      expectRoundTrip(code);
+    }
+  });
+
+  test("embedded languages use enough backticks", () => {
+    expect(
+      format({
+        type: "EmbeddedLanguage",
+        language: "RiX-String",
+        context: null,
+        body: "a `b` c",
+      }),
+    ).toBe("``a `b` c``");
+    expect(expectRoundTrip("``has ` tick``;")).toBe("``has ` tick``;");
+  });
+
+  test("interpolated strings format their expressions", () => {
+    expect(expectRoundTrip("`Hello ${ name }, ${a+1}!`;")).toBe(
+      "`Hello ${name}, ${a + 1}!`;",
+    );
+    expect(expectRoundTrip("`:Time: ${t}`;")).toBe("`:Time: ${t}`;");
+    expect(expectRoundTrip("``a ${ `b ${c}` }``;")).toBe("``a ${`b ${c}`}``;");
+    // ${{ would open a code block
+    expect(expectRoundTrip("`s ${ {1, 2} } c ${ {{ x }} }`;")).toBe(
+      "`s ${ {1, 2} } c ${ {{ x }} }`;",
+    );
+  });
+
+  test("adds parentheses needed by hand-built trees", () => {
+    const number = (value) => ({ type: "Number", value });
+    const sum = {
+      type: "BinaryOperation",
+      operator: "+",
+      left: number("1"),
+      right: number("2"),
+    };
+    expect(
+      format({
+        type: "BinaryOperation",
+        operator: "*",
+        left: sum,
+        right: number("3"),
+      }),
+    ).toBe("(1 + 2) * 3");
+    expect(
+      format({
+        type: "BinaryOperation",
+        operator: "-",
+        left: number("1"),
+        right: { ...sum, operator: "-" },
+      }),
+    ).toBe("1 - (1 - 2)");
+  });
+
+  test("breaks wide containers using indent and lineWidth", () => {
+    const ast = parse("{{ a := 1; b := [10, 20, 30] }};");
+    expect(format(ast, { lineWidth: 20, indent: 4 })).toBe(
+      "{{\n    a := 1;\n    b := [10, 20, 30]\n}};",
+    );
+    expect(format(ast, { lineWidth: 20, indent: "\t" })).toBe(
+      "{{\n\ta := 1;\n\tb := [10, 20, 30]\n}};",
+    );
+  });
+
+  test("operator spacing can be turned off", () => {
+    const formatted = format(parse("x := a + b * c - -1;"), {
+      operatorSpacing: false,
+    });
+    expect(formatted).toBe("x:=a+b*c- -1;");
+    expect(stripMetadata(parse(formatted))).toEqual(
+      stripMetadata(parse("x := a + b * c - -1;")),
+    );
+    // The dot still keeps a digit from fusing into a decimal
+    const dotted = format(parse("1 . 5; a . b;"), { operatorSpacing: false });
+    expect(dotted).toBe("1 . 5;\na.b;");
+    expect(stripMetadata(parse(dotted))).toEqual(
+      stripMetadata(parse("1 . 5; a . b;")),
+    );
+  });
+
+  test("unknown node types are rejected", () => {
+    expect(() => format({ type: "Mystery" })).toThrow(
+      "Cannot format node type: Mystery",
+    );
+  });
+});
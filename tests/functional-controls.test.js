@@ -1,6 +1,6 @@
 import { test, expect, describe } from "bun:test";
 import { SystemLoader } from "../src/system-loader.js";
-import { parse, tokenize } from "../index.js";
+import { parse, tokenize, format } from "../index.js";
 
 describe("Functional Control Structures", () => {
   test("SystemLoader enables functional form for control keywords", () => {
@@ -52,7 +52,7 @@ describe("Functional Control Structures", () => {
     expect(forInfo.arity).toBe(4); // init, condition, increment, body
   });
 
-  test("parser recognizes WHILE as function call", () => {
+  test("parser turns WHILE(condition, body) into a ControlStructure", () => {
     const systemLoader = new SystemLoader();
 
     systemLoader.registerKeyword("WHILE", {
@@ -67,13 +67,17 @@ describe("Functional Control Structures", () => {
     const ast = parse(tokens, systemLoader.createParserLookup());
 
     expect(ast.length).toBe(1);
-    expect(ast[0].type).toBe("FunctionCall");
-    expect(ast[0].function.type).toBe("SystemIdentifier");
-    expect(ast[0].function.name).toBe("WHILE");
-    expect(ast[0].arguments.positional.length).toBe(2);
+    expect(ast[0]).toMatchObject({
+      type: "ControlStructure",
+      keyword: "WHILE",
+      condition: { type: "BinaryOperation", operator: "<" },
+      body: { type: "BinaryOperation", operator: ":=" },
+      structure: "while_loop",
+      functionalOrigin: true,
+    });
   });
 
-  test("parser recognizes IF as function call with multiple arguments", () => {
+  test("parser turns IF with an else branch into a ControlStructure", () => {
     const systemLoader = new SystemLoader();
 
     systemLoader.registerKeyword("IF", {
@@ -88,9 +92,10 @@ describe("Functional Control Structures", () => {
     const ast = parse(tokens, systemLoader.createParserLookup());
 
     expect(ast.length).toBe(1);
-    expect(ast[0].type).toBe("FunctionCall");
-    expect(ast[0].function.name).toBe("IF");
-    expect(ast[0].arguments.positional.length).toBe(3);
+    expect(ast[0].type).toBe("ControlStructure");
+    expect(ast[0].keyword).toBe("IF");
+    expect(ast[0].structure).toBe("conditional");
+    expect(ast[0].elseBranch.right.type).toBe("UnaryOperation");
   });
 
   test("nested functional controls parse correctly", () => {
@@ -110,13 +115,13 @@ describe("Functional Control Structures", () => {
     const ast = parse(tokens, systemLoader.createParserLookup());
 
     expect(ast.length).toBe(1);
-    expect(ast[0].type).toBe("FunctionCall");
-    expect(ast[0].function.name).toBe("IF");
+    expect(ast[0].type).toBe("ControlStructure");
+    expect(ast[0].keyword).toBe("IF");
 
     // Check nested WHILE in then branch
-    const thenBranch = ast[0].arguments.positional[1];
-    expect(thenBranch.type).toBe("FunctionCall");
-    expect(thenBranch.function.name).toBe("WHILE");
+    const thenBranch = ast[0].thenBranch;
+    expect(thenBranch.type).toBe("ControlStructure");
+    expect(thenBranch.structure).toBe("while_loop");
   });
 
   test("mixed functional and traditional syntax tokens correctly", () => {
@@ -173,11 +178,11 @@ describe("Functional Control Structures", () => {
     const ast = parse(tokens, systemLoader.createParserLookup());
 
     expect(ast.length).toBe(1);
-    expect(ast[0].type).toBe("FunctionCall");
-    expect(ast[0].arguments.positional.length).toBe(2);
+    expect(ast[0].type).toBe("ControlStructure");
+    expect(ast[0].body.type).toBe("Grouping");
 
-    // First argument should be a complex binary operation
-    const condition = ast[0].arguments.positional[0];
+    // The condition should be a complex binary operation
+    const condition = ast[0].condition;
     expect(condition.type).toBe("BinaryOperation");
     expect(condition.operator).toBe("<");
   });
@@ -217,10 +222,10 @@ describe("Functional Control Structures", () => {
     expect(ast[0].type).toBe("BinaryOperation");
     expect(ast[0].operator).toBe(":=");
 
-    // Right side should be IF function call
+    // Right side should be the IF control structure
     const rightSide = ast[0].right;
-    expect(rightSide.type).toBe("FunctionCall");
-    expect(rightSide.function.name).toBe("IF");
+    expect(rightSide.type).toBe("ControlStructure");
+    expect(rightSide.keyword).toBe("IF");
   });
 
   test("multiple control structures in sequence", () => {
@@ -251,13 +256,13 @@ describe("Functional Control Structures", () => {
     expect(stmt0.type).toBe("BinaryOperation"); // sum := 0
 
     const stmt1 = getNode(ast[1]);
-    expect(stmt1.type).toBe("FunctionCall"); // WHILE(...)
-    expect(stmt1.function.name).toBe("WHILE");
+    expect(stmt1.type).toBe("ControlStructure"); // WHILE(...)
+    expect(stmt1.keyword).toBe("WHILE");
 
     const stmt2 = getNode(ast[2]);
     expect(stmt2.type).toBe("BinaryOperation"); // result := IF(...)
-    expect(stmt2.right.type).toBe("FunctionCall");
-    expect(stmt2.right.function.name).toBe("IF");
+    expect(stmt2.right.type).toBe("ControlStructure");
+    expect(stmt2.right.keyword).toBe("IF");
   });
 
   test("browser integration functions work", () => {
@@ -298,22 +303,100 @@ describe("Functional Control Structures", () => {
       category: "control",
     });
 
-    // Test cases that should still parse but might not execute correctly
+    // The argument count is checked against getControlArity
     const errorCases = [
       "WHILE()", // No arguments
       "WHILE(x)", // Too few arguments
-      "WHILE(x, y, z)", // Too many arguments (but parser should still work)
+      "WHILE(x, y, z)", // Too many arguments
     ];
 
     errorCases.forEach((code) => {
       const tokens = tokenize(code);
-      // Should parse without throwing
-      expect(() => {
-        const ast = parse(tokens, systemLoader.createParserLookup());
-        expect(ast.length).toBe(1);
-        expect(ast[0].type).toBe("FunctionCall");
-      }).not.toThrow();
+      expect(() => parse(tokens, systemLoader.createParserLookup())).toThrow(
+        "WHILE expects 2 arguments",
+      );
+    });
+  });
+
+  test("arity errors name the keyword and its expected arguments", () => {
+    const lookup = new SystemLoader().createParserLookup();
+
+    for (const [code, message] of [
+      ["FOR(i := 0, i < 3, i := i + 1)", "FOR expects 4 arguments"],
+      ["IF(x)", "IF expects 2 or 3 arguments"],
+      ["UNTIL(a, b)", "UNTIL expects 1 argument"],
+    ]) {
+      try {
+        parse(code, lookup);
+        throw new Error(`${code} parsed`);
+      } catch (error) {
+        expect(error.code).toBe("E_INVALID_CONTROL");
+        expect(error.reason).toBe(message);
+      }
+    }
+
+    // In recover mode the call is kept and the error reported
+    const { ast, diagnostics } = parse("y := FOR(a, b)", lookup, {
+      recover: true,
+    });
+    expect(ast[0].right.type).toBe("FunctionCall");
+    expect(diagnostics).toMatchObject([
+      { code: "E_INVALID_CONTROL", range: [5, 14] },
+    ]);
+  });
+
+  test("a ; sequences statements within one argument", () => {
+    const lookup = new SystemLoader().createParserLookup();
+    const [loop] = parse("WHILE(i < n, sum := sum + i; i := i + 1)", lookup);
+    expect(loop).toMatchObject({
+      type: "ControlStructure",
+      condition: { operator: "<" },
+      body: {
+        type: "CodeBlock",
+        statements: [
+          { operator: ":=", left: { name: "sum" } },
+          { operator: ":=", left: { name: "i" } },
+        ],
+      },
     });
+
+    const nested =
+      "IF(n > 0, WHILE(i < n, sum := sum + i; i := i + 1), sum := 0)";
+    const [conditional] = parse(nested, lookup);
+    expect(conditional.thenBranch.body.statements).toHaveLength(2);
+    expect(conditional.elseBranch.operator).toBe(":=");
+    expect(format(parse(nested, lookup))).toBe(nested);
+
+    // A sequence counts as one argument
+    expect(() => parse("WHILE(a; b)", lookup)).toThrow(
+      "WHILE expects 2 arguments",
+    );
+  });
+
+  test("keywords registered after the lookup was created transform too", () => {
+    const systemLoader = new SystemLoader();
+    const lookup = systemLoader.createParserLookup();
+
+    systemLoader.registerKeyword("MIENTRAS", {
+      type: "control",
+      structure: "loop",
+      precedence: 5,
+      category: "control",
+      functionalForm: true,
+      role: "while",
+    });
+
+    const ast = parse("MIENTRAS(x > 0, x := x - 1)", lookup);
+    expect(ast[0]).toMatchObject({
+      type: "ControlStructure",
+      keyword: "MIENTRAS",
+      structure: "while_loop",
+      functionalOrigin: true,
+    });
+    expect(format(ast)).toBe("MIENTRAS(x > 0, x := x - 1)");
+
+    // ELSE has a functional form but no structure of its own
+    expect(parse("ELSE(x)", lookup)[0].type).toBe("FunctionCall");
   });
 });
 
@@ -339,18 +422,19 @@ describe("Real-world functional control usage", () => {
     // Find the WHILE statement
     const whileStmt = ast.find(
       (stmt) =>
-        (stmt.type === "FunctionCall" && stmt.function?.name === "WHILE") ||
+        (stmt.type === "ControlStructure" && stmt.keyword === "WHILE") ||
         (stmt.type === "Statement" &&
-          stmt.expression?.type === "FunctionCall" &&
-          stmt.expression.function?.name === "WHILE"),
+          stmt.expression?.type === "ControlStructure" &&
+          stmt.expression.keyword === "WHILE"),
     );
 
-    // Get the actual function call node
-    const actualWhileCall =
+    // Get the actual control structure node
+    const actualWhile =
       whileStmt.type === "Statement" ? whileStmt.expression : whileStmt;
 
     expect(whileStmt).toBeDefined();
-    expect(actualWhileCall.arguments.positional.length).toBe(2);
+    expect(actualWhile.condition.operator).toBe("<=");
+    expect(actualWhile.body.type).toBe("Grouping");
   });
 
   test("conditional logic with functional IF", () => {
@@ -375,10 +459,10 @@ describe("Real-world functional control usage", () => {
     expect(stmt.type).toBe("BinaryOperation");
     expect(stmt.operator).toBe(":=");
 
-    const ifCall = stmt.right;
-    expect(ifCall.type).toBe("FunctionCall");
-    expect(ifCall.function.name).toBe("IF");
-    expect(ifCall.arguments.positional.length).toBe(3);
+    const ifControl = stmt.right;
+    expect(ifControl.type).toBe("ControlStructure");
+    expect(ifControl.keyword).toBe("IF");
+    expect(ifControl.elseBranch).toBeDefined();
   });
 
   test("mixed functional and mathematical operations", () => {
@@ -0,0 +1,137 @@
+import { describe, test, expect } from "bun:test";
+import { classify, renderHtml, CATEGORIES, parse } from "../index.js";
+import { SystemLoader } from "../src/system-loader.js";
+import { tokenRange } from "../src/locations.js";
+
+// [text, category, subtype?] for every range of source
+function classified(source, loader) {
+  return classify(source, loader).map((range) => {
+    const row = [source.slice(range.start, range.end), range.category];
+    return range.subtype ? [...row, range.subtype] : row;
+  });
+}
+
+describe("classify", () => {
+  test("numbers carry their format; intervals and units are their own", () => {
+    expect(classified("u := 3.2~[m/s] + 1..1/2 + 1.2:1.5 + 1.2#3 + 7")).toEqual(
+      [
+        ["u", "variable"],
+        [":=", "operator"],
+        ["3.2", "number", "decimal"],
+        ["~[m/s]", "unit"],
+        ["+", "operator"],
+        ["1..1/2", "number", "mixed"],
+        ["+", "operator"],
+        ["1.2:1.5", "interval"],
+        ["+", "operator"],
+        ["1.2#3", "number", "repeating"],
+        ["+", "operator"],
+        ["7", "number", "integer"],
+      ],
+    );
+  });
+
+  test("user functions, parameters and variables", () => {
+    const rows = classified(
+      "f(a, b) :-> a + b; g := (n) -> n * k; f(k, 2) + g(a)",
+    );
+    const names = rows.filter(([, category]) =>
+      ["function", "parameter", "variable"].includes(category),
+    );
+    expect(names).toEqual([
+      ["f", "function"],
+      ["a", "parameter"],
+      ["b", "parameter"],
+      ["a", "parameter"],
+      ["b", "parameter"],
+      ["g", "function"],
+      ["n", "parameter"],
+      ["n", "parameter"],
+      ["k", "variable"],
+      ["f", "function"],
+      ["k", "variable"],
+      ["g", "function"],
+      // Outside f, a is not a parameter
+      ["a", "variable"],
+    ]);
+  });
+
+  test("System identifiers follow the SystemLoader", () => {
+    const loader = new SystemLoader();
+    loader.registerSystem("GCD", { type: "function", arity: 2 });
+    expect(
+      classified("WHILE(x AND GCD(PI, _), SIN(x)) + NOPE", loader).filter(
+        ([, category]) => category !== "punctuation",
+      ),
+    ).toEqual([
+      ["WHILE", "keyword"],
+      ["x", "variable"],
+      ["AND", "keyword"],
+      ["GCD", "system-function"],
+      ["PI", "constant"],
+      ["_", "constant"],
+      ["SIN", "system-function"],
+      ["x", "variable"],
+      ["+", "operator"],
+      ["NOPE", "variable"],
+    ]);
+  });
+
+  test("comments, doc comments and embedded blocks", () => {
+    expect(
+      classified('/** doc **/ p := `P(x): x^2`; s := `plain` # note\n"str"'),
+    ).toEqual([
+      ["/** doc **/", "doc-comment"],
+      ["p", "variable"],
+      [":=", "operator"],
+      ["`P(x):", "embedded-language"],
+      [" x^2`", "embedded"],
+      [";", "punctuation"],
+      ["s", "variable"],
+      [":=", "operator"],
+      ["`plain`", "string"],
+      ["# note", "comment"],
+      ['"str"', "string"],
+    ]);
+  });
+
+  test("ranges cover every token in order, even with syntax errors", () => {
+    const source = "a := (1 + ; b := [2, 3";
+    const ranges = classify(source);
+    for (let i = 1; i < ranges.length; i++) {
+      expect(ranges[i].start).toBeGreaterThanOrEqual(ranges[i - 1].end);
+    }
+    for (const range of ranges) {
+      expect(CATEGORIES).toContain(range.category);
+      expect(source.slice(range.start, range.end).trim()).not.toBe("");
+    }
+    expect(ranges.at(-1).end).toBe(source.length);
+  });
+
+  test("EmbeddedLanguage nodes point at their own token", () => {
+    const source = "p := `P(x): x^2`;";
+    const [statement] = parse(source);
+    expect(tokenRange(statement.expression.right)).toEqual([5, 16]);
+  });
+});
+
+describe("renderHtml", () => {
+  test("wraps ranges in classed spans and escapes text", () => {
+    expect(renderHtml('a < 1/2 & "x"')).toBe(
+      '<pre class="rix"><code><span class="rix-variable">a</span> ' +
+        '<span class="rix-operator">&lt;</span> ' +
+        '<span class="rix-number rix-number-rational">1/2</span> ' +
+        '<span class="rix-operator">&amp;</span> ' +
+        '<span class="rix-string">&quot;x&quot;</span></code></pre>',
+    );
+  });
+
+  test("classPrefix and wrap options", () => {
+    expect(renderHtml("PI", undefined, { classPrefix: "hl-" })).toBe(
+      '<pre class="hl"><code><span class="hl-constant">PI</span></code></pre>',
+    );
+    expect(renderHtml("x\n", undefined, { wrap: false })).toBe(
+      '<span class="rix-variable">x</span>\n',
+    );
+  });
+});
@@ -0,0 +1,342 @@
+import { describe, test, expect } from "bun:test";
+import { PassThrough } from "stream";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import {
+  listen,
+  encodeMessage,
+  createMessageReader,
+  SEMANTIC_TOKEN_TYPES,
+} from "../src/language-server.js";
+import { SystemLoader } from "../src/system-loader.js";
+
+const URI = "file:///test.rix";
+
+// A scripted JSON-RPC client talking to a server over in-memory streams
+function startClient(options = {}) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const messages = [];
+  const pending = new Map();
+  const client = { messages, exitCode: null };
+  listen(input, output, {
+    ...options,
+    onExit: (code) => {
+      client.exitCode = code;
+    },
+  });
+  output.on(
+    "data",
+    createMessageReader((body) => {
+      const message = JSON.parse(body);
+      messages.push(message);
+      if (pending.has(message.id)) {
+        pending.get(message.id)(message);
+        pending.delete(message.id);
+      }
+    }),
+  );
+
+  let nextId = 1;
+  client.request = (method, params) => {
+    const id = nextId++;
+    // Registered first: the streams may answer within write()
+    const reply = new Promise((resolve) => pending.set(id, resolve));
+    input.write(encodeMessage({ jsonrpc: "2.0", id, method, params }));
+    return reply;
+  };
+  client.notify = (method, params) => {
+    input.write(encodeMessage({ jsonrpc: "2.0", method, params }));
+  };
+  // Messages are handled in order, so everything sent so far has been
+  // handled once any request is answered
+  client.sync = () => client.request("$/sync");
+  client.diagnostics = () =>
+    messages
+      .filter((message) => message.method === "textDocument/publishDiagnostics")
+      .map((message) => message.params);
+  client.open = async (text) => {
+    client.notify("textDocument/didOpen", {
+      textDocument: { uri: URI, languageId: "rix", version: 1, text },
+    });
+    await client.sync();
+  };
+  return client;
+}
+
+async function initializedClient(options) {
+  const client = startClient(options);
+  await client.request("initialize", { capabilities: {} });
+  client.notify("initialized", {});
+  return client;
+}
+
+// Semantic token data as [line, character, length, type] rows
+function decodeTokens(data) {
+  const rows = [];
+  let line = 0;
+  let character = 0;
+  for (let i = 0; i < data.length; i += 5) {
+    line += data[i];
+    character = data[i] === 0 ? character + data[i + 1] : data[i + 1];
+    rows.push([
+      line,
+      character,
+      data[i + 2],
+      SEMANTIC_TOKEN_TYPES[data[i + 3]],
+    ]);
+  }
+  return rows;
+}
+
+describe("Language server lifecycle", () => {
+  test("initialize, shutdown and exit", async () => {
+    const client = startClient();
+    const early = await client.request("textDocument/hover", {});
+    expect(early.error.code).toBe(-32002);
+
+    const { result } = await client.request("initialize", { capabilities: {} });
+    expect(result.capabilities.textDocumentSync.change).toBe(2);
+    expect(
+      result.capabilities.semanticTokensProvider.legend.tokenTypes,
+    ).toEqual(SEMANTIC_TOKEN_TYPES);
+    expect((await client.request("workspace/unknown", {})).error.code).toBe(
+      -32601,
+    );
+
+    expect((await client.request("shutdown")).result).toBeNull();
+    expect((await client.request("textDocument/hover", {})).error.code).toBe(
+      -32600,
+    );
+    client.notify("exit");
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(client.exitCode).toBe(0);
+  });
+
+  test("answers malformed JSON with a parse error", async () => {
+    const reply = new Promise((resolve) => {
+      const input = new PassThrough();
+      const output = new PassThrough();
+      listen(input, output);
+      output.on(
+        "data",
+        createMessageReader((body) => resolve(JSON.parse(body))),
+      );
+      input.write("Content-Length: 5\r\n\r\n{oops");
+    });
+    expect((await reply).error.code).toBe(-32700);
+  });
+
+  test("a failing notification is logged and the server keeps going", async () => {
+    const client = await initializedClient();
+    await client.open("x := 1");
+    client.notify("textDocument/didOpen", {});
+    client.notify("textDocument/didChange", {
+      textDocument: { uri: URI, version: 2 },
+    });
+    const { result } = await client.request("textDocument/documentSymbol", {
+      textDocument: { uri: URI },
+    });
+    expect(result.map((symbol) => symbol.name)).toEqual(["x"]);
+    const logged = client.messages.filter(
+      (message) => message.method === "window/logMessage",
+    );
+    expect(logged.map((message) => message.params.type)).toEqual([1, 1]);
+    expect(logged[0].params.message).toStartWith("textDocument/didOpen failed");
+    expect(client.exitCode).toBeNull();
+  });
+
+  test("the message reader handles split chunks and multi-byte text", () => {
+    const bodies = [];
+    const read = createMessageReader((body) => bodies.push(body));
+    const framed = Buffer.from(
+      encodeMessage({ jsonrpc: "2.0", method: "m", params: "π ≈ 3" }) +
+        encodeMessage({ jsonrpc: "2.0", method: "n" }),
+    );
+    // Split inside the header and inside the two-byte "π"
+    read(framed.subarray(0, 10));
+    read(framed.subarray(10, framed.indexOf("π") + 1));
+    read(framed.subarray(framed.indexOf("π") + 1));
+    expect(bodies.map((body) => JSON.parse(body).params)).toEqual([
+      "π ≈ 3",
+      undefined,
+    ]);
+  });
+
+  test("bin/rix-language-server.js speaks LSP over stdio", () => {
+    const bin = fileURLToPath(
+      new URL("../bin/rix-language-server.js", import.meta.url),
+    );
+    const input =
+      encodeMessage({
+        jsonrpc: "2.0",
+        id: 1,
+        method: "initialize",
+        params: {},
+      }) +
+      encodeMessage({ jsonrpc: "2.0", id: 2, method: "shutdown" }) +
+      encodeMessage({ jsonrpc: "2.0", method: "exit" });
+    const result = spawnSync(process.execPath, [bin], {
+      input,
+      timeout: 10000,
+    });
+    expect(result.status).toBe(0);
+    const replies = [];
+    createMessageReader((body) => replies.push(JSON.parse(body)))(
+      result.stdout,
+    );
+    expect(replies.map((reply) => reply.id)).toEqual([1, 2]);
+    expect(replies[0].result.serverInfo.name).toBe("rix-language-server");
+  });
+});
+
+describe("Language server features", () => {
+  test("publishes diagnostics on open and after incremental changes", async () => {
+    const client = await initializedClient();
+    await client.open("x := (1 + 2\ny := 3");
+    const [opened] = client.diagnostics();
+    expect(opened.version).toBe(1);
+    expect(opened.diagnostics[0]).toMatchObject({
+      severity: 1,
+      code: "E_UNCLOSED_PAREN",
+      source: "rix",
+      range: { start: { line: 1, character: 0 } },
+    });
+
+    client.notify("textDocument/didChange", {
+      textDocument: { uri: URI, version: 2 },
+      contentChanges: [
+        {
+          range: {
+            start: { line: 0, character: 11 },
+            end: { line: 0, character: 11 },
+          },
+          text: ")",
+        },
+      ],
+    });
+    await client.sync();
+    const changed = client.diagnostics().at(-1);
+    expect(changed).toEqual({ uri: URI, version: 2, diagnostics: [] });
+
+    client.notify("textDocument/didClose", { textDocument: { uri: URI } });
+    await client.sync();
+    expect(client.diagnostics().at(-1)).toEqual({ uri: URI, diagnostics: [] });
+  });
+
+  test("semantic tokens classify tokens line by line", async () => {
+    const client = await initializedClient();
+    await client.open('x := SIN(PI) AND y\n"two\nlines" # note');
+    const { result } = await client.request(
+      "textDocument/semanticTokens/full",
+      { textDocument: { uri: URI } },
+    );
+    expect(decodeTokens(result.data)).toEqual([
+      [0, 0, 1, "variable"],
+      [0, 2, 2, "operator"],
+      [0, 5, 3, "function"],
+      [0, 9, 2, "variable"],
+      [0, 13, 3, "keyword"],
+      [0, 17, 1, "variable"],
+      [1, 0, 4, "string"],
+      [2, 0, 6, "string"],
+      [2, 7, 6, "comment"],
+    ]);
+    // PI is a read-only library constant
+    expect(result.data[3 * 5 + 4]).toBe(0b11);
+  });
+
+  test("hover shows the registry entry of System identifiers", async () => {
+    const systemLoader = new SystemLoader();
+    systemLoader.registerSystem("GCD", {
+      type: "function",
+      arity: 2,
+      description: "Greatest common divisor",
+    });
+    const client = await initializedClient({ systemLoader });
+    await client.open("g := GCD(12, SIN(x))");
+    const hover = (character) =>
+      client.request("textDocument/hover", {
+        textDocument: { uri: URI },
+        position: { line: 0, character },
+      });
+
+    const gcd = (await hover(6)).result;
+    expect(gcd.contents.kind).toBe("markdown");
+    expect(gcd.contents.value).toContain("**GCD** (function)");
+    expect(gcd.contents.value).toContain("Greatest common divisor");
+    expect(gcd.contents.value).toContain("`system:GCD`");
+    expect(gcd.range).toEqual({
+      start: { line: 0, character: 5 },
+      end: { line: 0, character: 8 },
+    });
+    expect((await hover(14)).result.contents.value).toContain("`core:SIN`");
+    expect((await hover(0)).result).toBeNull();
+  });
+
+  test("document symbols for functions and assignments", async () => {
+    const client = await initializedClient();
+    await client.open(
+      "x := 1\nf(a, b) :-> a + b\ng :=> [(n) -> n]\ny := {{ t := 2; t }}",
+    );
+    const { result } = await client.request("textDocument/documentSymbol", {
+      textDocument: { uri: URI },
+    });
+    const outline = (symbols) =>
+      symbols.map((symbol) => [
+        symbol.name,
+        symbol.kind,
+        outline(symbol.children),
+      ]);
+    expect(outline(result)).toEqual([
+      ["x", 13, []],
+      ["f", 12, []],
+      ["g", 12, []],
+      ["y", 13, [["t", 13, []]]],
+    ]);
+    expect(result[1].detail).toBe("(a, b)");
+    expect(result[1].range).toEqual({
+      start: { line: 1, character: 0 },
+      end: { line: 1, character: 17 },
+    });
+    expect(result[1].selectionRange.end).toEqual({ line: 1, character: 1 });
+  });
+
+  test("folding ranges for code blocks and matrices", async () => {
+    const client = await initializedClient();
+    await client.open(
+      "b := {{\n  t := 1;\n  t\n}};\nm := [1, 2;\n  3, 4];\nv := [1, 2]",
+    );
+    const { result } = await client.request("textDocument/foldingRange", {
+      textDocument: { uri: URI },
+    });
+    expect(result).toEqual([
+      { startLine: 0, endLine: 3 },
+      { startLine: 4, endLine: 5 },
+    ]);
+  });
+
+  test("formatting replaces the document with canonical source", async () => {
+    const client = await initializedClient();
+    await client.open("x:=[1,2;3,4]\nf(a):->{{t:=a;t}}\n");
+    const format = () =>
+      client.request("textDocument/formatting", {
+        textDocument: { uri: URI },
+        options: { tabSize: 2, insertSpaces: true },
+      });
+    const [edit] = (await format()).result;
+    expect(edit.newText).toBe("x := [1, 2; 3, 4]\nf(a) :-> {{ t := a; t }}\n");
+    expect(edit.range).toEqual({
+      start: { line: 0, character: 0 },
+      end: { line: 2, character: 0 },
+    });
+
+    // Documents with errors are left alone
+    client.notify("textDocument/didChange", {
+      textDocument: { uri: URI, version: 2 },
+      contentChanges: [{ text: "x := (1 +" }],
+    });
+    await client.sync();
+    expect((await format()).result).toEqual([]);
+  });
+});
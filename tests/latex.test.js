@@ -0,0 +1,111 @@
+import { describe, test, expect } from "bun:test";
+import { parse, toLatex } from "../index.js";
+import { SystemLoader } from "../src/system-loader.js";
+
+const latex = (source, options) => toLatex(parse(source)[0], options);
+
+describe("toLatex", () => {
+  test("fractions, powers and precedence-aware parentheses", () => {
+    expect(latex("(a + b)/(c - d)")).toBe(String.raw`\frac{a + b}{c - d}`);
+    expect(latex("a/b/c")).toBe(String.raw`\frac{\frac{a}{b}}{c}`);
+    expect(latex("x^(a + b) * 2")).toBe(String.raw`x^{a + b} \cdot 2`);
+    expect(latex("a^b^c")).toBe("a^{b^{c}}");
+    expect(latex("(a^b)^c")).toBe(String.raw`\left(a^{b}\right)^{c}`);
+    // -x^2 parses as (-x)^2, which LaTeX readers would take as -(x^2)
+    expect(latex("-x^2")).toBe(String.raw`\left(-x\right)^{2}`);
+    expect(latex("a - (b - c)")).toBe(String.raw`a - \left(b - c\right)`);
+    expect(latex("a - b - c")).toBe("a - b - c");
+    expect(latex("x - -2")).toBe(String.raw`x - \left(-2\right)`);
+    expect(latex("2(x + 1)")).toBe(String.raw`2\left(x + 1\right)`);
+  });
+
+  test("number literals keep their written form", () => {
+    expect(latex("1..3/4")).toBe(String.raw`1\frac{3}{4}`);
+    expect(latex("0.12#45")).toBe(String.raw`0.12\overline{45}`);
+    expect(latex("-3/4")).toBe(String.raw`-\frac{3}{4}`);
+    expect(latex("1.2E-3")).toBe(String.raw`1.2 \times 10^{-3}`);
+    expect(latex("3.2:4.5")).toBe(String.raw`\left[3.2, 4.5\right]`);
+    expect(latex("1.23[+5,-6]")).toBe("1.23^{+0.005}_{-0.006}");
+    expect(latex("(3/4)^2")).toBe(String.raw`\left(\frac{3}{4}\right)^{2}`);
+  });
+
+  test("intervals, matrices and tensors", () => {
+    expect(latex("(a:b) + 1")).toBe(String.raw`\left[a, b\right] + 1`);
+    expect(latex("[1, 2; 3, 4]")).toBe(
+      String.raw`\begin{pmatrix}1 & 2 \\ 3 & 4\end{pmatrix}`,
+    );
+    expect(latex("[1, 2; 3, 4;; 5, 6; 7, 8]")).toBe(
+      String.raw`\begin{pmatrix}\begin{pmatrix}1 & 2 \\ 3 & 4\end{pmatrix} & ` +
+        String.raw`\begin{pmatrix}5 & 6 \\ 7 & 8\end{pmatrix}\end{pmatrix}`,
+    );
+  });
+
+  test("derivatives and integrals", () => {
+    expect(latex("f'(x)")).toBe(String.raw`f'\left(x\right)`);
+    expect(latex("f''''")).toBe("f^{(4)}");
+    expect(latex("f''[x]")).toBe(
+      String.raw`\frac{\mathrm{d}^{2} f}{\mathrm{d}x^{2}}`,
+    );
+    expect(latex("f''[x, y]")).toBe(
+      String.raw`\frac{\partial^{2} f}{\partial x \, \partial y}`,
+    );
+    expect(latex("'f[x](0, 1)")).toBe(
+      String.raw`\int_{0}^{1} f \, \mathrm{d}x`,
+    );
+    expect(latex("''f[x, y]")).toBe(
+      String.raw`\iint f \, \mathrm{d}x \, \mathrm{d}y`,
+    );
+  });
+
+  test("units, identifiers and System names", () => {
+    expect(latex("3.2~[kg*m^2/s^2]")).toBe(
+      String.raw`3.2\,\mathrm{kg \cdot m^{2}/s^{2}}`,
+    );
+    expect(latex("2~{sqrt2} + 3~{i}")).toBe(String.raw`2\sqrt{2} + 3i`);
+    expect(latex("x1 + alpha + speed")).toBe(
+      String.raw`x_{1} + \alpha + \mathit{speed}`,
+    );
+    expect(latex("SIN(x)^2 + SQRT(x + 1) + ABS(y) + PI")).toBe(
+      String.raw`\sin\left(x\right)^{2} + \sqrt{x + 1} + \left|y\right| + \pi`,
+    );
+    const loader = new SystemLoader();
+    const lookup = loader.createParserLookup();
+    expect(
+      toLatex(parse("x AND NOT y OR z", lookup)[0], { systemLookup: lookup }),
+    ).toBe(String.raw`x \land \lnot y \lor z`);
+  });
+
+  test("function definitions, lambdas and cases", () => {
+    expect(latex("f(x, n := 2) :-> x^n + 1")).toBe(
+      String.raw`f\left(x, n = 2\right) \mathrel{:=} x^{n} + 1`,
+    );
+    expect(latex("f(x ? x > 0) :-> x")).toBe(
+      String.raw`f\left(x\right) \mathrel{:=} x, \quad x > 0`,
+    );
+    expect(latex("(x) -> x^2")).toBe(String.raw`x \mapsto x^{2}`);
+    expect(latex("a ?? b ?: c")).toBe(
+      String.raw`\begin{cases}b & \text{if } a \\ c & \text{otherwise}\end{cases}`,
+    );
+  });
+
+  test("strings are text and nodes without a notation are code", () => {
+    expect(latex('"50% & $5"')).toBe("\\text{``50\\% \\& \\$5''}");
+    expect(latex("a |> f")).toBe(String.raw`\texttt{a |> f}`);
+  });
+
+  test("inline and display style", () => {
+    const program = parse("x := 1/2; y := x^2");
+    expect(toLatex(program)).toBe(
+      String.raw`x \mathrel{:=} \frac{1}{2};\quad y \mathrel{:=} x^{2}`,
+    );
+    expect(toLatex(program, { style: "display", delimiters: true })).toBe(
+      "\\[\\begin{gathered}\n" +
+        String.raw`x \mathrel{:=} \frac{1}{2} \\` +
+        "\n" +
+        String.raw`y \mathrel{:=} x^{2}` +
+        "\n\\end{gathered}\\]",
+    );
+    expect(latex("x", { delimiters: true })).toBe(String.raw`\(x\)`);
+    expect(latex("x", { style: "display" })).toBe(String.raw`\displaystyle x`);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, test, expect } from "bun:test";
+import { parse, tokenize } from "../index.js";
+
+function parseWithLocations(code) {
+  return parse(code, undefined, { locations: true });
+}
+
+// Source text covered by a node's loc
+function textOf(code, node) {
+  return code.slice(node.loc.start.offset, node.loc.end.offset);
+}
+
+describe("Source locations", () => {
+  test("locations are opt-in", () => {
+    expect(tokenize("x + 1")[0].loc).toBeUndefined();
+    expect(parse("x + 1")[0].loc).toBeUndefined();
+  });
+
+  test("tokens get line/column spans without leading whitespace", () => {
+    const tokens = tokenize("a :=\n  42", { locations: true });
+    expect(tokens[2].value).toBe("42");
+    expect(tokens[2].loc).toEqual({
+      start: { line: 2, column: 2, offset: 7 },
+      end: { line: 2, column: 4, offset: 9 },
+    });
+    // pos is unchanged
+    expect(tokens[2].pos).toEqual([4, 7, 9]);
+  });
+
+  test("composite nodes span the whole construct", () => {
+    const code = "x := f(a, b) + 3;";
+    const [stmt] = parseWithLocations(code);
+    expect(textOf(code, stmt)).toBe("x := f(a, b) + 3;");
+    const assignment = stmt.expression;
+    expect(textOf(code, assignment)).toBe("x := f(a, b) + 3");
+    expect(textOf(code, assignment.right)).toBe("f(a, b) + 3");
+    expect(textOf(code, assignment.right.left)).toBe("f(a, b)");
+    expect(textOf(code, assignment.right.right)).toBe("3");
+  });
+
+  test("matrices, units and derivatives", () => {
+    const code = "m := [1, 2;\n 3, 4]; v := 3.2~[m/s]; y'(3)";
+    const [matrix, unit, derivative] = parseWithLocations(code);
+    expect(matrix.expression.right.type).toBe("Matrix");
+    expect(textOf(code, matrix.expression.right)).toBe("[1, 2;\n 3, 4]");
+    expect(matrix.expression.right.loc.end).toEqual({
+      line: 2,
+      column: 6,
+      offset: 18,
+    });
+    expect(unit.expression.right.type).toBe("ScientificUnit");
+    expect(textOf(code, unit.expression.right)).toBe("3.2~[m/s]");
+    expect(derivative.type).toBe("Derivative");
+    expect(textOf(code, derivative)).toBe("y'(3)");
+  });
+
+  test("generator chains and their steps", () => {
+    const code = "[1 |+ 2 |^ 5]";
+    const chain = parseWithLocations(code)[0].elements[0];
+    expect(chain.type).toBe("GeneratorChain");
+    expect(textOf(code, chain)).toBe("1 |+ 2 |^ 5");
+    expect(chain.operators.map((step) => textOf(code, step))).toEqual([
+      "|+ 2",
+      "|^ 5",
+    ]);
+  });
+
+  test("every node in the tree has a loc", () => {
+    const code =
+      "h(x, n := 2) :-> x^n; # note\n{a := [1, 2], b := (3, 4)}; g(t) := t ?? 1 ?: 0;";
+    const missing = [];
+    const walk = (value) => {
+      if (Array.isArray(value)) {
+        value.forEach(walk);
+      } else if (value && typeof value === "object") {
+        if (typeof value.type === "string" && !value.loc) {
+          missing.push(value.type);
+        }
+        for (const [key, child] of Object.entries(value)) {
+          if (key !== "systemInfo" && key !== "loc") {
+            walk(child);
+          }
+        }
+      }
+    };
+    walk(parseWithLocations(code));
+    expect(missing).toEqual([]);
+  });
+
+  test("single-token nodes use their own position", () => {
+    const [stmt] = parse("x + 42;");
+    expect(stmt.expression.right.pos).toEqual([3, 4, 6]);
+  });
+
+  test("error placeholders are located in recover mode", () => {
+    const code = "a := [1, , 3];";
+    const { ast } = parse(code, undefined, { recover: true, locations: true });
+    const error = ast[0].expression.right.elements[1];
+    expect(error.type).toBe("Error");
+    expect(error.loc.start.offset).toBe(9);
+  });
+});
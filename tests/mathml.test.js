@@ -0,0 +1,170 @@
+import { describe, test, expect } from "bun:test";
+import { parse, toMathML } from "../index.js";
+
+const MATH = '<math xmlns="http://www.w3.org/1998/Math/MathML">';
+
+// The markup inside the <math> element of a single statement
+function mathml(source, options) {
+  const result = toMathML(parse(source)[0], options);
+  expect(result.startsWith(MATH)).toBe(true);
+  return result.slice(MATH.length, -"</math>".length);
+}
+
+const content = (source) => mathml(source, { mode: "content" });
+
+describe("toMathML presentation", () => {
+  test("fractions, powers and parentheses", () => {
+    expect(mathml("(a + b)/c")).toBe(
+      "<mfrac><mrow><mi>a</mi><mo>+</mo><mi>b</mi></mrow><mi>c</mi></mfrac>",
+    );
+    expect(mathml("-x^2")).toBe(
+      "<msup><mrow><mo>(</mo><mrow><mo>−</mo><mi>x</mi></mrow><mo>)</mo></mrow>" +
+        "<mn>2</mn></msup>",
+    );
+    expect(mathml("2(x + 1)")).toBe(
+      "<mrow><mn>2</mn><mo>&#x2062;</mo><mrow><mo>(</mo><mrow><mi>x</mi>" +
+        "<mo>+</mo><mn>1</mn></mrow><mo>)</mo></mrow></mrow>",
+    );
+    expect(mathml("SIN(x)")).toBe(
+      "<mrow><mi>sin</mi><mo>&#x2061;</mo><mrow><mo>(</mo><mi>x</mi>" +
+        "<mo>)</mo></mrow></mrow>",
+    );
+  });
+
+  test("number literals keep their written form", () => {
+    expect(mathml("1..3/4")).toBe(
+      "<mrow><mn>1</mn><mfrac><mn>3</mn><mn>4</mn></mfrac></mrow>",
+    );
+    expect(mathml("0.12#45")).toBe(
+      '<mrow><mn>0.12</mn><mover accent="true"><mn>45</mn><mo>‾</mo></mover></mrow>',
+    );
+    expect(mathml("3.2:4.5")).toBe(
+      "<mrow><mo>[</mo><mn>3.2</mn><mo>,</mo><mn>4.5</mn><mo>]</mo></mrow>",
+    );
+    expect(mathml("1.23[+5,-6]")).toBe(
+      "<msubsup><mn>1.23</mn><mn>-0.006</mn><mn>+0.005</mn></msubsup>",
+    );
+  });
+
+  test("units, matrices, derivatives and integrals", () => {
+    expect(mathml("3~[m/s^2]")).toBe(
+      '<mrow><mn>3</mn><mo>&#x2062;</mo><mrow><mi mathvariant="normal">m</mi>' +
+        '<mo>/</mo><msup><mi mathvariant="normal">s</mi><mn>2</mn></msup></mrow></mrow>',
+    );
+    expect(mathml("[1, 2; 3, 4]")).toBe(
+      "<mrow><mo>(</mo><mtable><mtr><mtd><mn>1</mn></mtd><mtd><mn>2</mn></mtd></mtr>" +
+        "<mtr><mtd><mn>3</mn></mtd><mtd><mn>4</mn></mtd></mtr></mtable><mo>)</mo></mrow>",
+    );
+    expect(mathml("f''[x]")).toBe(
+      "<mfrac><mrow><msup><mi>d</mi><mn>2</mn></msup><mi>f</mi></mrow>" +
+        "<mrow><mi>d</mi><msup><mi>x</mi><mn>2</mn></msup></mrow></mfrac>",
+    );
+    expect(mathml("'f[x](0, 1)")).toBe(
+      "<mrow><msubsup><mo>∫</mo><mn>0</mn><mn>1</mn></msubsup><mi>f</mi>" +
+        "<mrow><mi>d</mi><mi>x</mi></mrow></mrow>",
+    );
+  });
+
+  test("boolean tests and equations to solve are marked, text is escaped", () => {
+    expect(mathml("x ?= 1")).toBe(
+      "<mrow><mi>x</mi><mover><mo>=</mo><mo>?</mo></mover><mn>1</mn></mrow>",
+    );
+    // Equations to solve are told apart from assertions
+    expect(mathml("x :=: 3")).toBe(
+      "<mrow><mi>x</mi><mover><mo>=</mo><mo>:</mo></mover><mn>3</mn></mrow>",
+    );
+    expect(mathml("x :<=: 3")).toBe(
+      "<mrow><mi>x</mi><mover><mo>≤</mo><mo>:</mo></mover><mn>3</mn></mrow>",
+    );
+    expect(mathml("a = b")).toBe("<mrow><mi>a</mi><mo>=</mo><mi>b</mi></mrow>");
+    expect(mathml("a |> f")).toBe(
+      "<mrow><mi>a</mi><mo>|&gt;</mo><mi>f</mi></mrow>",
+    );
+    expect(mathml('"a<b"')).toBe("<ms>a&lt;b</ms>");
+  });
+
+  test("placeholders are subscripted boxes", () => {
+    const box = "<msub><mi>□</mi><mn>1</mn></msub>";
+    expect(mathml("_1")).toBe(box);
+    expect(mathml("x -> _1")).toBe(`<mrow><mi>x</mi><mo>→</mo>${box}</mrow>`);
+    expect(mathml("f(_1)")).toBe(
+      `<mrow><mi>f</mi><mo>&#x2061;</mo><mrow><mo>(</mo>${box}<mo>)</mo></mrow></mrow>`,
+    );
+  });
+});
+
+describe("toMathML content", () => {
+  test("number literals are exact values", () => {
+    expect(content("3/4")).toBe('<cn type="rational">3<sep/>4</cn>');
+    expect(content("1..3/4")).toBe('<cn type="rational">7<sep/>4</cn>');
+    expect(content("0.1#6")).toBe('<cn type="rational">1<sep/>6</cn>');
+    expect(content("1.5")).toBe('<cn type="real">1.5</cn>');
+    expect(content("1:2")).toBe(
+      '<interval closure="closed"><cn type="integer">1</cn>' +
+        '<cn type="integer">2</cn></interval>',
+    );
+  });
+
+  test("assertions, boolean tests and equations to solve", () => {
+    const relation = '<apply><eq/><ci>x</ci><cn type="integer">1</cn></apply>';
+    expect(content("x = 1")).toBe(relation);
+    expect(content("x ?= 1")).toBe(
+      `<apply><csymbol cd="rix">test</csymbol>${relation}</apply>`,
+    );
+    expect(content("x :=: 1")).toBe(
+      `<apply><csymbol cd="rix">solve</csymbol>${relation}</apply>`,
+    );
+  });
+
+  test("intervals, sets, tuples, maps and systems", () => {
+    expect(content("(a:b)")).toBe(
+      '<interval closure="closed"><ci>a</ci><ci>b</ci></interval>',
+    );
+    expect(content("{a, b}")).toBe("<set><ci>a</ci><ci>b</ci></set>");
+    expect(content("(a, b)")).toBe(
+      '<apply><csymbol cd="rix">tuple</csymbol><ci>a</ci><ci>b</ci></apply>',
+    );
+    expect(content("{a := 1}")).toBe(
+      '<apply><csymbol cd="rix">map</csymbol><apply><csymbol cd="rix">entry</csymbol>' +
+        '<ci>a</ci><cn type="integer">1</cn></apply></apply>',
+    );
+    expect(content("{x :=: 1; y :=: 2}")).toMatch(
+      /^<apply><csymbol cd="rix">system<\/csymbol>(<apply><csymbol cd="rix">solve<\/csymbol>.*){2}<\/apply>$/,
+    );
+  });
+
+  test("pipes, calculus and functions", () => {
+    expect(content("(a, b) ||> f")).toBe(
+      "<apply><ci>f</ci><ci>a</ci><ci>b</ci></apply>",
+    );
+    expect(content("v |>> g")).toBe(
+      '<apply><csymbol cd="rix">pipe_map</csymbol><ci>g</ci><ci>v</ci></apply>',
+    );
+    expect(content("f'[x, y]")).toBe(
+      "<apply><partialdiff/><bvar><ci>x</ci></bvar><bvar><ci>y</ci></bvar>" +
+        "<ci>f</ci></apply>",
+    );
+    expect(content("'f[x](0, 1)")).toBe(
+      '<apply><int/><bvar><ci>x</ci></bvar><lowlimit><cn type="integer">0</cn></lowlimit>' +
+        '<uplimit><cn type="integer">1</cn></uplimit><ci>f</ci></apply>',
+    );
+    expect(content("(x) -> SIN(x)")).toBe(
+      "<lambda><bvar><ci>x</ci></bvar><apply><sin/><ci>x</ci></apply></lambda>",
+    );
+  });
+});
+
+describe("toMathML options", () => {
+  test("one math element per statement, display style and modes", () => {
+    const program = parse("x := 1; # note\ny");
+    expect(toMathML(program, { style: "display" }).split("\n")).toEqual([
+      '<math xmlns="http://www.w3.org/1998/Math/MathML" display="block">' +
+        "<mrow><mi>x</mi><mo>≔</mo><mn>1</mn></mrow></math>",
+      '<math xmlns="http://www.w3.org/1998/Math/MathML" display="block">' +
+        "<mi>y</mi></math>",
+    ]);
+    expect(() => toMathML(program, { mode: "semantic" })).toThrow(
+      "Unknown MathML mode: semantic",
+    );
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, test, expect } from "bun:test";
+import { parse, format, migrateAst, validateAst } from "../index.js";
+
+const SOURCE =
+  "{1, 2}; {a := 1}; {x :=: 1; y :>: 2}; a |>> f; a |>? g; a |>: h;";
+
+describe("Node type names", () => {
+  test("pipes and brace containers have distinct types", () => {
+    expect(parse(SOURCE).map((statement) => statement.expression.type)).toEqual(
+      [
+        "SetLiteral",
+        "MapLiteral",
+        "EquationSystem",
+        "PipeMap",
+        "PipeFilter",
+        "PipeReduce",
+      ],
+    );
+  });
+
+  test("legacyNodeTypes emits the old names", () => {
+    const legacy = parse(SOURCE, undefined, { legacyNodeTypes: true });
+    expect(legacy.map((statement) => statement.expression.type)).toEqual([
+      "Set",
+      "Map",
+      "System",
+      "Map",
+      "Filter",
+      "Reduce",
+    ]);
+    const { ast } = parse("{a := 1}", undefined, {
+      legacyNodeTypes: true,
+      recover: true,
+    });
+    expect(ast[0].type).toBe("Map");
+  });
+});
+
+describe("migrateAst", () => {
+  test("rewrites legacy ASTs to the current names", () => {
+    const legacy = parse(SOURCE, undefined, { legacyNodeTypes: true });
+    const migrated = migrateAst(legacy);
+    expect(migrated).toEqual(parse(SOURCE));
+    expect(validateAst(migrated).valid).toBe(true);
+    expect(format(migrated)).toBe(format(parse(SOURCE)));
+  });
+
+  test("tells brace maps from |>> pipes and reaches nested nodes", () => {
+    const legacy = parse("x := {k := [1, 2] |>> f};", undefined, {
+      legacyNodeTypes: true,
+    });
+    const map = migrateAst(legacy)[0].expression.right;
+    expect(map.type).toBe("MapLiteral");
+    expect(map.elements[0].right.type).toBe("PipeMap");
+  });
+
+  test("copies the input and leaves current ASTs unchanged", () => {
+    const legacy = parse("{1};", undefined, { legacyNodeTypes: true });
+    const migrated = migrateAst(legacy);
+    expect(legacy[0].expression.type).toBe("Set");
+    expect(migrateAst(migrated)).toEqual(migrated);
+    expect(migrateAst(legacy[0].expression).type).toBe("SetLiteral");
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, test, expect } from "bun:test";
+import { parse, decodeNumber } from "../index.js";
+
+const r = (numerator, denominator, format) => ({
+  format,
+  kind: "rational",
+  numerator,
+  denominator,
+});
+
+describe("decodeNumber", () => {
+  test("integers, decimals and rationals are exact", () => {
+    expect(decodeNumber("42")).toEqual(r(42n, 1n, "integer"));
+    expect(decodeNumber("-17")).toEqual(r(-17n, 1n, "integer"));
+    expect(decodeNumber("3.14")).toEqual(r(157n, 50n, "decimal"));
+    expect(decodeNumber("-.5")).toEqual(r(-1n, 2n, "decimal"));
+    expect(decodeNumber("6/8")).toEqual(r(3n, 4n, "rational"));
+    expect(decodeNumber("-5/8")).toEqual(r(-5n, 8n, "rational"));
+  });
+
+  test("repeating decimals", () => {
+    expect(decodeNumber("0.12#45")).toEqual(r(137n, 1100n, "repeating"));
+    expect(decodeNumber("7#3")).toEqual(r(22n, 3n, "repeating"));
+    expect(decodeNumber("0.#3")).toEqual(r(1n, 3n, "repeating"));
+    expect(decodeNumber("-1.2#34")).toEqual(r(-611n, 495n, "repeating"));
+  });
+
+  test("mixed numbers and scientific notation", () => {
+    expect(decodeNumber("1..3/4")).toEqual(r(7n, 4n, "mixed"));
+    expect(decodeNumber("-2..1/3")).toEqual(r(-7n, 3n, "mixed"));
+    expect(decodeNumber("1.23E-2")).toEqual(r(123n, 10000n, "scientific"));
+    expect(decodeNumber("5E6")).toEqual(r(5000000n, 1n, "scientific"));
+  });
+
+  test("intervals keep each endpoint's format", () => {
+    expect(decodeNumber("-3/4:1.23#56")).toEqual({
+      format: "interval",
+      kind: "interval",
+      low: r(-3n, 4n, "rational"),
+      high: r(12233n, 9900n, "repeating"),
+    });
+    expect(decodeNumber("1..3/4:2..1/8").high).toEqual(r(17n, 8n, "mixed"));
+  });
+
+  test("decimal uncertainty", () => {
+    expect(decodeNumber("1.23[56:67]")).toEqual({
+      format: "decimal-uncertainty",
+      kind: "interval",
+      low: r(3089n, 2500n, "decimal"),
+      high: r(12367n, 10000n, "decimal"),
+    });
+    // Offsets are in the next decimal place: 1.224 to 1.235
+    const offsets = decodeNumber("1.23[+5,-6]");
+    expect([offsets.low, offsets.high]).toEqual([
+      r(153n, 125n, "decimal"),
+      r(247n, 200n, "decimal"),
+    ]);
+    // Endpoints are ordered low to high for negative decimals
+    expect(decodeNumber("-1.23[56:67]").low).toEqual(
+      r(-12367n, 10000n, "decimal"),
+    );
+  });
+
+  test("accepts Number nodes and rejects malformed literals", () => {
+    const [statement] = parse("1..3/4;");
+    expect(decodeNumber(statement.expression)).toEqual(r(7n, 4n, "mixed"));
+    expect(() => decodeNumber("1/0")).toThrow("Zero denominator");
+    expect(() => decodeNumber("1.23[x]")).toThrow("Invalid number literal");
+  });
+});
+
+describe("Number node format", () => {
+  test("parser tags Number nodes with their format", () => {
+    const formats = parse(
+      "42; 3.14; 0.12#45; 1..3/4; 3/4; 2:5; 1.23E-2; 1.23[56:67];",
+    ).map((statement) => statement.expression.format);
+    expect(formats).toEqual([
+      "integer",
+      "decimal",
+      "repeating",
+      "mixed",
+      "rational",
+      "interval",
+      "scientific",
+      "decimal-uncertainty",
+    ]);
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, test, expect } from "bun:test";
+import { parse } from "../src/parser.js";
+
+function recover(code) {
+  return parse(code, undefined, { recover: true });
+}
+
+describe("RiX Parser - Error recovery", () => {
+  test("valid input returns the AST with no diagnostics", () => {
+    const result = recover("x := 1; y := x + 2;");
+    expect(result.diagnostics).toEqual([]);
+    expect(result.ast).toEqual(parse("x := 1; y := x + 2;"));
+  });
+
+  test("default mode still throws on the first error", () => {
+    expect(() => parse("[1, 2;")).toThrow(/Expected closing bracket/);
+  });
+
+  test("reports every error in the input", () => {
+    const result = recover("x := (2 + ; y := [1, , 3]; z := 4;");
+    expect(result.diagnostics.length).toBe(2);
+    expect(result.diagnostics.map((d) => d.severity)).toEqual([
+      "error",
+      "error",
+    ]);
+    // The last statement is still parsed
+    const last = result.ast[result.ast.length - 1];
+    expect(last.type).toBe("Statement");
+    expect(last.expression.left.name).toBe("z");
+  });
+
+  test("diagnostics carry a code, message and source range", () => {
+    const result = recover("a := [1, , 3];");
+    expect(result.diagnostics).toEqual([
+      {
+        code: "E_UNEXPECTED_TOKEN",
+        message: 'Unexpected ","',
+        severity: "error",
+        range: [9, 10],
+      },
+    ]);
+  });
+
+  test("inserts Error placeholders inside containers", () => {
+    const result = recover("[1, , 3];");
+    const array = result.ast[0].expression;
+    expect(array.type).toBe("Array");
+    expect(array.elements.map((e) => e.type)).toEqual([
+      "Number",
+      "Error",
+      "Number",
+    ]);
+  });
+
+  test("resynchronises at commas inside function calls", () => {
+    const result = recover("f(1, 2 +, 3) + 4;");
+    const call = result.ast[0].expression.left;
+    expect(call.type).toBe("FunctionCall");
+    expect(call.arguments.positional.map((a) => a.type)).toEqual([
+      "Number",
+      "Error",
+      "Number",
+    ]);
+    expect(result.diagnostics.length).toBe(1);
+  });
+
+  test("resynchronises at semicolons between statements", () => {
+    const result = recover("a :=; b := 2;");
+    expect(result.ast.map((n) => n.type)).toEqual(["Error", "Statement"]);
+    expect(result.ast[0].message).toBe('Unexpected ";"');
+  });
+
+  test("missing closing delimiters are reported and the group kept", () => {
+    const result = recover("w := {a := 1");
+    expect(result.diagnostics.length).toBe(1);
+    expect(result.diagnostics[0].message).toBe("Expected closing brace");
+    expect(result.diagnostics[0].range).toEqual([12, 12]);
+    expect(result.ast[0].right.type).toBe("MapLiteral");
+  });
+
+  test("resynchronises at code block closers", () => {
+    const result = recover("{{ a := 1; b := }}; c;");
+    const block = result.ast[0].expression;
+    expect(block.type).toBe("CodeBlock");
+    expect(block.statements.map((s) => s.type)).toEqual([
+      "BinaryOperation",
+      "Error",
+    ]);
+    expect(result.ast[1].expression.name).toBe("c");
+  });
+
+  test("stray closing delimiters are reported and skipped", () => {
+    const result = recover("a) ; b");
+    expect(result.diagnostics.map((d) => d.message)).toEqual([
+      'Unexpected ")"',
+    ]);
+    expect(result.ast[result.ast.length - 1].name).toBe("b");
+  });
+
+  test("each recovered span gets a single Error node", () => {
+    const failed = recover("x := ]; y");
+    expect(failed.diagnostics).toHaveLength(1);
+    expect(failed.ast.map((n) => n.type)).toEqual(["Error", "UserIdentifier"]);
+    expect(failed.ast[0].original).toBe("x := ]");
+
+    // The closer was already reported inside the group
+    const nested = recover("x := (1 + ]");
+    expect(nested.diagnostics).toHaveLength(1);
+    expect(nested.ast).toHaveLength(1);
+    expect(nested.ast[0].right.expression.type).toBe("Error");
+  });
+
+  test("unterminated strings become diagnostics", () => {
+    const result = recover('x := "abc');
+    expect(result.diagnostics.length).toBe(1);
+    expect(result.diagnostics[0].code).toBe("E_DELIMITER_UNMATCHED");
+    expect(result.diagnostics[0].range).toEqual([5, 9]);
+    expect(result.ast[0].right.type).toBe("String");
+  });
+});
+
+describe("RiX Parser - Statement separators", () => {
+  const juxtaposed = (code, options = {}) =>
+    parse(code, undefined, {
+      implicitMultiplication: false,
+      recover: true,
+      ...options,
+    });
+
+  test("flags expressions on one line with no separator", () => {
+    const result = juxtaposed("a  b;");
+    expect(result.diagnostics).toEqual([
+      {
+        code: "E_MISSING_SEPARATOR",
+        message: "Expected ';' or a new line between expressions",
+        severity: "error",
+        range: [1, 3],
+      },
+    ]);
+    // Both expressions are kept
+    expect(result.ast.map((node) => node.type)).toEqual([
+      "UserIdentifier",
+      "Statement",
+    ]);
+  });
+
+  test("throws without recover", () => {
+    expect(() => parse("x := 3~[m] y := 2;")).toThrow(
+      "Parse error at position 10: Expected ';' or a new line between expressions",
+    );
+  });
+
+  test("a new line separates by default", () => {
+    expect(juxtaposed("a\nb").diagnostics).toEqual([]);
+    expect(juxtaposed("a # note\nb").diagnostics).toEqual([]);
+    // A block comment is not a separator
+    expect(juxtaposed("a /* note */ b").diagnostics[0].range).toEqual([1, 13]);
+  });
+
+  test("the separators option picks the policy", () => {
+    const strict = juxtaposed("a\nb; c;", { separators: "semicolon" });
+    expect(strict.diagnostics.map((d) => [d.message, d.range])).toEqual([
+      ["Expected ';' between expressions", [1, 2]],
+    ]);
+    expect(juxtaposed("a b c", { separators: "any" }).diagnostics).toEqual([]);
+    expect(() => parse("a;", undefined, { separators: "comma" })).toThrow(
+      "Unknown separators policy: comma",
+    );
+  });
+
+  test("a new line stops implicit multiplication", () => {
+    const ast = parse("x := 2\ny := 3x");
+    expect(ast.map((node) => node.left.name)).toEqual(["x", "y"]);
+    expect(ast[1].right.implicit).toBe(true);
+  });
+});
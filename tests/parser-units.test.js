@@ -42,7 +42,7 @@ describe("RiX Parser - Unit Operators", () => {
           type: "Statement",
           expression: {
             type: "ScientificUnit",
-            target: { type: "Number", value: "3" },
+            target: { type: "Number", value: "3", format: "integer" },
             unit: "m",
           },
         },
@@ -56,7 +56,7 @@ describe("RiX Parser - Unit Operators", () => {
           type: "Statement",
           expression: {
             type: "ScientificUnit",
-            target: { type: "Number", value: "5" },
+            target: { type: "Number", value: "5", format: "integer" },
             unit: "kg/s^2",
           },
         },
@@ -70,7 +70,7 @@ describe("RiX Parser - Unit Operators", () => {
           type: "Statement",
           expression: {
             type: "ScientificUnit",
-            target: { type: "Number", value: "9.8" },
+            target: { type: "Number", value: "9.8", format: "decimal" },
             unit: "m*s^-2",
           },
         },
@@ -108,7 +108,7 @@ describe("RiX Parser - Unit Operators", () => {
             type: "ScientificUnit",
             target: {
               type: "ScientificUnit",
-              target: { type: "Number", value: "3" },
+              target: { type: "Number", value: "3", format: "integer" },
               unit: "m",
             },
             unit: "s^-1",
@@ -126,7 +126,7 @@ describe("RiX Parser - Unit Operators", () => {
           type: "Statement",
           expression: {
             type: "MathematicalUnit",
-            target: { type: "Number", value: "2" },
+            target: { type: "Number", value: "2", format: "integer" },
             unit: "i",
           },
         },
@@ -140,7 +140,7 @@ describe("RiX Parser - Unit Operators", () => {
           type: "Statement",
           expression: {
             type: "MathematicalUnit",
-            target: { type: "Number", value: "1" },
+            target: { type: "Number", value: "1", format: "integer" },
             unit: "sqrt2",
           },
         },
@@ -154,7 +154,7 @@ describe("RiX Parser - Unit Operators", () => {
           type: "Statement",
           expression: {
             type: "MathematicalUnit",
-            target: { type: "Number", value: "3" },
+            target: { type: "Number", value: "3", format: "integer" },
             unit: "pi",
           },
         },
@@ -194,7 +194,7 @@ describe("RiX Parser - Unit Operators", () => {
             type: "ScientificUnit",
             target: {
               type: "MathematicalUnit",
-              target: { type: "Number", value: "3" },
+              target: { type: "Number", value: "3", format: "integer" },
               unit: "i",
             },
             unit: "m",
@@ -213,12 +213,12 @@ describe("RiX Parser - Unit Operators", () => {
             operator: "+",
             left: {
               type: "ScientificUnit",
-              target: { type: "Number", value: "2" },
+              target: { type: "Number", value: "2", format: "integer" },
               unit: "m",
             },
             right: {
               type: "ScientificUnit",
-              target: { type: "Number", value: "3" },
+              target: { type: "Number", value: "3", format: "integer" },
               unit: "m",
             },
           },
@@ -269,7 +269,7 @@ describe("RiX Parser - Unit Operators", () => {
               positional: [
                 {
                   type: "ScientificUnit",
-                  target: { type: "Number", value: "5" },
+                  target: { type: "Number", value: "5", format: "integer" },
                   unit: "m",
                 },
                 { type: "String", value: "m", kind: "quote" },
@@ -373,12 +373,12 @@ describe("RiX Parser - Unit Operators", () => {
               elements: [
                 {
                   type: "ScientificUnit",
-                  target: { type: "Number", value: "3" },
+                  target: { type: "Number", value: "3", format: "integer" },
                   unit: "m",
                 },
                 {
                   type: "ScientificUnit",
-                  target: { type: "Number", value: "4" },
+                  target: { type: "Number", value: "4", format: "integer" },
                   unit: "m",
                 },
               ],
@@ -403,7 +403,7 @@ describe("RiX Parser - Unit Operators", () => {
                 type: "GeneratorChain",
                 start: {
                   type: "ScientificUnit",
-                  target: { type: "Number", value: "1" },
+                  target: { type: "Number", value: "1", format: "integer" },
                   unit: "m",
                 },
                 operators: [
@@ -412,14 +412,14 @@ describe("RiX Parser - Unit Operators", () => {
                     operator: "|+",
                     operand: {
                       type: "ScientificUnit",
-                      target: { type: "Number", value: "1" },
+                      target: { type: "Number", value: "1", format: "integer" },
                       unit: "m",
                     },
                   },
                   {
                     type: "GeneratorLimit",
                     operator: "|^",
-                    operand: { type: "Number", value: "5" },
+                    operand: { type: "Number", value: "5", format: "integer" },
                   },
                 ],
               },
@@ -438,10 +438,10 @@ describe("RiX Parser - Unit Operators", () => {
             type: "At",
             target: {
               type: "ScientificUnit",
-              target: { type: "Number", value: "3" },
+              target: { type: "Number", value: "3", format: "integer" },
               unit: "m",
             },
-            arg: { type: "Number", value: "0.001" },
+            arg: { type: "Number", value: "0.001", format: "decimal" },
           },
         },
       ]);
@@ -463,14 +463,14 @@ describe("RiX Parser - Unit Operators", () => {
                 type: "ScientificUnit",
                 target: {
                   type: "MathematicalUnit",
-                  target: { type: "Number", value: "2" },
+                  target: { type: "Number", value: "2", format: "integer" },
                   unit: "i",
                 },
                 unit: "V",
               },
               right: {
                 type: "ScientificUnit",
-                target: { type: "Number", value: "3" },
+                target: { type: "Number", value: "3", format: "integer" },
                 unit: "A",
               },
             },
@@ -489,7 +489,7 @@ describe("RiX Parser - Unit Operators", () => {
           expression: {
             type: "BinaryOperation",
             operator: "~",
-            left: { type: "Number", value: "3" },
+            left: { type: "Number", value: "3", format: "integer" },
             right: { type: "UserIdentifier", name: "m" },
           },
         },
@@ -503,7 +503,7 @@ describe("RiX Parser - Unit Operators", () => {
           type: "Statement",
           expression: {
             type: "ScientificUnit",
-            target: { type: "Number", value: "5" },
+            target: { type: "Number", value: "5", format: "integer" },
             unit: "m / s",
           },
         },
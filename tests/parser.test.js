@@ -81,7 +81,7 @@ describe("RiX Parser", () => {
               type: "BinaryOperation",
               operator: "+",
               left: { type: "UserIdentifier", name: "x" },
-              right: { type: "Number", value: "1" },
+              right: { type: "Number", value: "1", format: "integer" },
             },
           },
         },
@@ -99,7 +99,7 @@ describe("RiX Parser", () => {
             parameters: {
               positional: [
                 { name: "x", defaultValue: null },
-                { name: "n", defaultValue: { type: "Number", value: "5" } },
+                { name: "n", defaultValue: { type: "Number", value: "5", format: "integer" } },
               ],
               keyword: [],
               conditionals: [],
@@ -127,10 +127,10 @@ describe("RiX Parser", () => {
             parameters: {
               positional: [
                 { name: "x", defaultValue: null },
-                { name: "n", defaultValue: { type: "Number", value: "5" } },
+                { name: "n", defaultValue: { type: "Number", value: "5", format: "integer" } },
               ],
               keyword: [
-                { name: "a", defaultValue: { type: "Number", value: "0" } },
+                { name: "a", defaultValue: { type: "Number", value: "0", format: "integer" } },
               ],
               conditionals: [],
               metadata: {},
@@ -152,7 +152,7 @@ describe("RiX Parser", () => {
                 },
                 right: { type: "UserIdentifier", name: "n" },
               },
-              right: { type: "Number", value: "1" },
+              right: { type: "Number", value: "1", format: "integer" },
             },
           },
         },
@@ -177,7 +177,7 @@ describe("RiX Parser", () => {
               keyword: [
                 {
                   name: "n",
-                  defaultValue: { type: "Number", value: "2" },
+                  defaultValue: { type: "Number", value: "2", format: "integer" },
                 },
               ],
               conditionals: [
@@ -191,16 +191,16 @@ describe("RiX Parser", () => {
                       type: "BinaryOperation",
                       operator: "^",
                       left: { type: "UserIdentifier", name: "x" },
-                      right: { type: "Number", value: "2" },
+                      right: { type: "Number", value: "2", format: "integer" },
                     },
                     right: {
                       type: "BinaryOperation",
                       operator: "^",
                       left: { type: "UserIdentifier", name: "y" },
-                      right: { type: "Number", value: "2" },
+                      right: { type: "Number", value: "2", format: "integer" },
                     },
                   },
-                  right: { type: "Number", value: "1" },
+                  right: { type: "Number", value: "1", format: "integer" },
                 },
               ],
               metadata: {},
@@ -262,7 +262,7 @@ describe("RiX Parser", () => {
                       type: "BinaryOperation",
                       operator: "<",
                       left: { type: "UserIdentifier", name: "x" },
-                      right: { type: "Number", value: "0" },
+                      right: { type: "Number", value: "0", format: "integer" },
                     },
                   ],
                   metadata: {},
@@ -315,7 +315,7 @@ describe("RiX Parser", () => {
                       type: "BinaryOperation",
                       operator: "<",
                       left: { type: "UserIdentifier", name: "x" },
-                      right: { type: "Number", value: "0" },
+                      right: { type: "Number", value: "0", format: "integer" },
                     },
                   ],
                   metadata: {},
@@ -347,7 +347,7 @@ describe("RiX Parser", () => {
               },
             ],
             metadata: {
-              n: { type: "Number", value: "4" },
+              n: { type: "Number", value: "4", format: "integer" },
             },
           },
         },
@@ -364,11 +364,11 @@ describe("RiX Parser", () => {
             function: { type: "UserIdentifier", name: "f" },
             arguments: {
               positional: [
-                { type: "Number", value: "2" },
-                { type: "Number", value: "3" },
+                { type: "Number", value: "2", format: "integer" },
+                { type: "Number", value: "3", format: "integer" },
               ],
               keyword: {
-                a: { type: "Number", value: "4" },
+                a: { type: "Number", value: "4", format: "integer" },
               },
             },
           },
@@ -385,7 +385,7 @@ describe("RiX Parser", () => {
             type: "FunctionCall",
             function: { type: "UserIdentifier", name: "f" },
             arguments: {
-              positional: [{ type: "Number", value: "2" }],
+              positional: [{ type: "Number", value: "2", format: "integer" }],
               keyword: {
                 n: { type: "UserIdentifier", name: "n" },
               },
@@ -409,10 +409,10 @@ describe("RiX Parser", () => {
               parameters: {
                 positional: [
                   { name: "x", defaultValue: null },
-                  { name: "n", defaultValue: { type: "Number", value: "5" } },
+                  { name: "n", defaultValue: { type: "Number", value: "5", format: "integer" } },
                 ],
                 keyword: [
-                  { name: "a", defaultValue: { type: "Number", value: "0" } },
+                  { name: "a", defaultValue: { type: "Number", value: "0", format: "integer" } },
                 ],
                 conditionals: [],
                 metadata: {},
@@ -434,7 +434,7 @@ describe("RiX Parser", () => {
                   },
                   right: { type: "UserIdentifier", name: "n" },
                 },
-                right: { type: "Number", value: "1" },
+                right: { type: "Number", value: "1", format: "integer" },
               },
             },
           },
@@ -452,8 +452,8 @@ describe("RiX Parser", () => {
           expression: {
             type: "BinaryOperation",
             operator: "+",
-            left: { type: "Number", value: "2" },
-            right: { type: "Number", value: "3" },
+            left: { type: "Number", value: "2", format: "integer" },
+            right: { type: "Number", value: "3", format: "integer" },
           },
         },
       ]);
@@ -467,12 +467,12 @@ describe("RiX Parser", () => {
           expression: {
             type: "BinaryOperation",
             operator: "+",
-            left: { type: "Number", value: "2" },
+            left: { type: "Number", value: "2", format: "integer" },
             right: {
               type: "BinaryOperation",
               operator: "*",
-              left: { type: "Number", value: "3" },
-              right: { type: "Number", value: "4" },
+              left: { type: "Number", value: "3", format: "integer" },
+              right: { type: "Number", value: "4", format: "integer" },
             },
           },
         },
@@ -487,17 +487,159 @@ describe("RiX Parser", () => {
           expression: {
             type: "BinaryOperation",
             operator: "^",
-            left: { type: "Number", value: "2" },
+            left: { type: "Number", value: "2", format: "integer" },
             right: {
               type: "BinaryOperation",
               operator: "^",
-              left: { type: "Number", value: "3" },
-              right: { type: "Number", value: "4" },
+              left: { type: "Number", value: "3", format: "integer" },
+              right: { type: "Number", value: "4", format: "integer" },
             },
           },
         },
       ]);
     });
+
+    test("subtraction without spaces", () => {
+      for (const code of ["x-1;", "x -1;", "f(2)-3;", "2:5-1;"]) {
+        const ast = parseCode(code);
+        expect(ast).toHaveLength(1);
+        expect(ast[0].expression.type).toBe("BinaryOperation");
+        expect(ast[0].expression.operator).toBe("-");
+      }
+      // The interval operator binds looser than subtraction: a:(b-1)
+      const interval = parseCode("a:b-1;");
+      expect(interval).toHaveLength(1);
+      expect(interval[0].expression.right.operator).toBe("-");
+      expect(stripMetadata(parseCode("x-1;"))).toEqual([
+        {
+          type: "Statement",
+          expression: {
+            type: "BinaryOperation",
+            operator: "-",
+            left: { type: "UserIdentifier", name: "x" },
+            right: { type: "Number", value: "1", format: "integer" },
+          },
+        },
+      ]);
+    });
+
+    test("negative literals after operators", () => {
+      const ast = parseCode("x := -5:-2 * -3;");
+      expect(stripMetadata(ast[0].expression.right)).toEqual({
+        type: "BinaryOperation",
+        operator: "*",
+        left: { type: "Number", value: "-5:-2", format: "interval" },
+        right: { type: "Number", value: "-3", format: "integer" },
+      });
+    });
+  });
+
+  describe("Implicit multiplication", () => {
+    const implicit = (left, right) => ({
+      type: "BinaryOperation",
+      operator: "*",
+      implicit: true,
+      left,
+      right,
+    });
+    const x = { type: "UserIdentifier", name: "x" };
+    const y = { type: "UserIdentifier", name: "y" };
+
+    test("number or identifier followed by an identifier", () => {
+      expect(stripMetadata(parseCode("3x;")[0].expression)).toEqual(
+        implicit({ type: "Number", value: "3", format: "integer" }, x),
+      );
+      expect(stripMetadata(parseCode("x y;")[0].expression)).toEqual(
+        implicit(x, y),
+      );
+      expect(stripMetadata(parseCode("-3x;")[0].expression)).toEqual(
+        implicit({ type: "Number", value: "-3", format: "integer" }, x),
+      );
+    });
+
+    test("groupings and calls multiply what follows", () => {
+      const grouped = parseCode("(a + b)x;")[0].expression;
+      expect(grouped.implicit).toBe(true);
+      expect(grouped.left.type).toBe("Grouping");
+      const calls = parseCode("f(x) g(x);")[0].expression;
+      expect(calls.implicit).toBe(true);
+      expect(calls.left.type).toBe("FunctionCall");
+      expect(calls.right.type).toBe("FunctionCall");
+    });
+
+    test("a parenthesis after a number or grouping multiplies", () => {
+      const scaled = parseCode("2(x + 1);")[0].expression;
+      expect(scaled).toMatchObject({
+        operator: "*",
+        implicit: true,
+        left: { type: "Number" },
+        right: { type: "Grouping" },
+      });
+      const product = parseCode("(x + 1)(x - 1);")[0].expression;
+      expect(product.implicit).toBe(true);
+      expect(product.left.type).toBe("Grouping");
+      expect(product.right.type).toBe("Grouping");
+      // Binds like 2^3x
+      expect(parseCode("2^3(x);")[0].expression.left.operator).toBe("^");
+
+      // Calls, chained calls and lambdas in parentheses are still called
+      expect(parseCode("f(x)(y);")[0].expression.type).toBe("Call");
+      expect(parseCode("((x) -> x)(2);")[0].expression.type).toBe("Call");
+    });
+
+    test("keyword and unknown system words are not factors", () => {
+      // With a lookup NOT is a prefix operator
+      const negation = parseCode("NOT x;")[0].expression;
+      expect(negation.type).toBe("UnaryOperation");
+      // Without a lookup, system names can't be told from keywords
+      expect(() => parse("NOT x")).toThrow(
+        "Expected ';' or a new line between expressions",
+      );
+    });
+
+    test("binds between * and ^", () => {
+      const power = parseCode("2x^2;")[0].expression;
+      expect(power.implicit).toBe(true);
+      expect(power.right.operator).toBe("^");
+
+      const quotient = parseCode("1 / 2x;")[0].expression;
+      expect(quotient.operator).toBe("/");
+      expect(quotient.right.implicit).toBe(true);
+
+      const chain = parseCode("x y z;")[0].expression;
+      expect(chain.left).toEqual(expect.objectContaining({ implicit: true }));
+      expect(chain.right.name).toBe("z");
+
+      const sum = stripMetadata(parseCode("x := 3x + 2;")[0].expression.right);
+      expect(sum.operator).toBe("+");
+      expect(sum.left).toEqual(
+        implicit({ type: "Number", value: "3", format: "integer" }, x),
+      );
+    });
+
+    test("unary minus and property access bind tighter", () => {
+      const negated = parseCode("-x y;")[0].expression;
+      expect(negated.implicit).toBe(true);
+      expect(negated.left.type).toBe("UnaryOperation");
+
+      const property = parseCode("2a.b;")[0].expression;
+      expect(property.implicit).toBe(true);
+      expect(property.right.operator).toBe(".");
+    });
+
+    test("can be switched off", () => {
+      const options = { implicitMultiplication: false };
+      // The number ends its expression, leaving two juxtaposed statements
+      expect(() => parse("3x;", testSystemLookup, options)).toThrow(
+        "Expected ';' or a new line between expressions",
+      );
+      const explicit = parse("3 * x;", testSystemLookup, options);
+      expect(explicit[0].expression.implicit).toBeUndefined();
+      // and a parenthesis after a number is a call again
+      expect(parse("3(4);", testSystemLookup, options)[0].expression.type).toBe(
+        "Call",
+      );
+    });
   });
 
   describe("Assignment operations", () => {
@@ -510,7 +652,7 @@ describe("RiX Parser", () => {
             type: "BinaryOperation",
             operator: ":=",
             left: { type: "UserIdentifier", name: "x" },
-            right: { type: "Number", value: "5" },
+            right: { type: "Number", value: "5", format: "integer" },
           },
         },
       ]);
@@ -525,7 +667,7 @@ describe("RiX Parser", () => {
             type: "BinaryOperation",
             operator: ":=:",
             left: { type: "UserIdentifier", name: "x" },
-            right: { type: "Number", value: "5" },
+            right: { type: "Number", value: "5", format: "integer" },
           },
         },
       ]);
@@ -601,11 +743,60 @@ describe("RiX Parser", () => {
           expression: {
             type: "UnaryOperation",
             operator: "+",
-            operand: { type: "Number", value: "42" },
+            operand: { type: "Number", value: "42", format: "integer" },
+          },
+        },
+      ]);
+    });
+
+    test("prefix keyword operator NOT", () => {
+      const ast = parseCode("NOT x;");
+      expect(stripMetadata(ast)).toEqual([
+        {
+          type: "Statement",
+          expression: {
+            type: "UnaryOperation",
+            operator: "NOT",
+            operand: { type: "UserIdentifier", name: "x" },
+          },
+        },
+      ]);
+    });
+
+    test("NOT binds tighter than AND and OR", () => {
+      const ast = parseCode("NOT a AND b OR NOT c;");
+      expect(stripMetadata(ast)).toEqual([
+        {
+          type: "Statement",
+          expression: {
+            type: "BinaryOperation",
+            operator: "OR",
+            left: {
+              type: "BinaryOperation",
+              operator: "AND",
+              left: {
+                type: "UnaryOperation",
+                operator: "NOT",
+                operand: { type: "UserIdentifier", name: "a" },
+              },
+              right: { type: "UserIdentifier", name: "b" },
+            },
+            right: {
+              type: "UnaryOperation",
+              operator: "NOT",
+              operand: { type: "UserIdentifier", name: "c" },
+            },
           },
         },
       ]);
     });
+
+    test("NOT applies to a whole grouping", () => {
+      const ast = parseCode("NOT (a AND b);");
+      expect(ast[0].expression.type).toBe("UnaryOperation");
+      expect(ast[0].expression.operand.type).toBe("Grouping");
+      expect(ast[0].expression.operand.expression.operator).toBe("AND");
+    });
   });
 
   describe("Collections", () => {
@@ -617,9 +808,9 @@ describe("RiX Parser", () => {
           expression: {
             type: "Array",
             elements: [
-              { type: "Number", value: "1" },
-              { type: "Number", value: "2" },
-              { type: "Number", value: "3" },
+              { type: "Number", value: "1", format: "integer" },
+              { type: "Number", value: "2", format: "integer" },
+              { type: "Number", value: "3", format: "integer" },
             ],
           },
         },
@@ -632,7 +823,7 @@ describe("RiX Parser", () => {
         {
           type: "Statement",
           expression: {
-            type: "Set",
+            type: "SetLiteral",
             elements: [
               { type: "UserIdentifier", name: "a" },
               { type: "UserIdentifier", name: "b" },
@@ -649,11 +840,11 @@ describe("RiX Parser", () => {
         {
           type: "Statement",
           expression: {
-            type: "Set",
+            type: "SetLiteral",
             elements: [
-              { type: "Number", value: "3" },
-              { type: "Number", value: "5" },
-              { type: "Number", value: "6" },
+              { type: "Number", value: "3", format: "integer" },
+              { type: "Number", value: "5", format: "integer" },
+              { type: "Number", value: "6", format: "integer" },
             ],
           },
         },
@@ -666,19 +857,19 @@ describe("RiX Parser", () => {
         {
           type: "Statement",
           expression: {
-            type: "Map",
+            type: "MapLiteral",
             elements: [
               {
                 type: "BinaryOperation",
                 operator: ":=",
                 left: { type: "UserIdentifier", name: "a" },
-                right: { type: "Number", value: "4" },
+                right: { type: "Number", value: "4", format: "integer" },
               },
               {
                 type: "BinaryOperation",
                 operator: ":=",
                 left: { type: "UserIdentifier", name: "b" },
-                right: { type: "Number", value: "5" },
+                right: { type: "Number", value: "5", format: "integer" },
               },
             ],
           },
@@ -698,7 +889,7 @@ describe("RiX Parser", () => {
         {
           type: "Statement",
           expression: {
-            type: "System",
+            type: "EquationSystem",
             elements: [
               {
                 type: "BinaryOperation",
@@ -710,10 +901,10 @@ describe("RiX Parser", () => {
                   left: {
                     type: "BinaryOperation",
                     operator: "*",
-                    left: { type: "Number", value: "3" },
+                    left: { type: "Number", value: "3", format: "integer" },
                     right: { type: "UserIdentifier", name: "x" },
                   },
-                  right: { type: "Number", value: "2" },
+                  right: { type: "Number", value: "2", format: "integer" },
                 },
               },
               {
@@ -734,7 +925,7 @@ describe("RiX Parser", () => {
         {
           type: "Statement",
           expression: {
-            type: "Set",
+            type: "SetLiteral",
             elements: [],
           },
         },
@@ -750,12 +941,12 @@ describe("RiX Parser", () => {
             type: "Matrix",
             rows: [
               [
-                { type: "Number", value: "1" },
-                { type: "Number", value: "2" },
+                { type: "Number", value: "1", format: "integer" },
+                { type: "Number", value: "2", format: "integer" },
               ],
               [
-                { type: "Number", value: "3" },
-                { type: "Number", value: "4" },
+                { type: "Number", value: "3", format: "integer" },
+                { type: "Number", value: "4", format: "integer" },
               ],
             ],
           },
@@ -772,16 +963,16 @@ describe("RiX Parser", () => {
             type: "Matrix",
             rows: [
               [
-                { type: "Number", value: "1" },
-                { type: "Number", value: "2" },
+                { type: "Number", value: "1", format: "integer" },
+                { type: "Number", value: "2", format: "integer" },
               ],
               [
-                { type: "Number", value: "3" },
-                { type: "Number", value: "4" },
+                { type: "Number", value: "3", format: "integer" },
+                { type: "Number", value: "4", format: "integer" },
               ],
               [
-                { type: "Number", value: "5" },
-                { type: "Number", value: "6" },
+                { type: "Number", value: "5", format: "integer" },
+                { type: "Number", value: "6", format: "integer" },
               ],
             ],
           },
@@ -799,29 +990,29 @@ describe("RiX Parser", () => {
             structure: [
               {
                 row: [
-                  { type: "Number", value: "1" },
-                  { type: "Number", value: "2" },
+                  { type: "Number", value: "1", format: "integer" },
+                  { type: "Number", value: "2", format: "integer" },
                 ],
                 separatorLevel: 1,
               },
               {
                 row: [
-                  { type: "Number", value: "3" },
-                  { type: "Number", value: "4" },
+                  { type: "Number", value: "3", format: "integer" },
+                  { type: "Number", value: "4", format: "integer" },
                 ],
                 separatorLevel: 2,
               },
               {
                 row: [
-                  { type: "Number", value: "5" },
-                  { type: "Number", value: "6" },
+                  { type: "Number", value: "5", format: "integer" },
+                  { type: "Number", value: "6", format: "integer" },
                 ],
                 separatorLevel: 1,
               },
               {
                 row: [
-                  { type: "Number", value: "7" },
-                  { type: "Number", value: "8" },
+                  { type: "Number", value: "7", format: "integer" },
+                  { type: "Number", value: "8", format: "integer" },
                 ],
                 separatorLevel: 0,
               },
@@ -841,9 +1032,9 @@ describe("RiX Parser", () => {
             type: "Matrix",
             rows: [
               [
-                { type: "Number", value: "1" },
-                { type: "Number", value: "2" },
-                { type: "Number", value: "3" },
+                { type: "Number", value: "1", format: "integer" },
+                { type: "Number", value: "2", format: "integer" },
+                { type: "Number", value: "3", format: "integer" },
               ],
               [],
             ],
@@ -884,8 +1075,8 @@ describe("RiX Parser", () => {
             rows: [
               [],
               [
-                { type: "Number", value: "1" },
-                { type: "Number", value: "2" },
+                { type: "Number", value: "1", format: "integer" },
+                { type: "Number", value: "2", format: "integer" },
               ],
             ],
           },
@@ -901,10 +1092,10 @@ describe("RiX Parser", () => {
           expression: {
             type: "Matrix",
             rows: [
-              [{ type: "Number", value: "1" }],
-              [{ type: "Number", value: "2" }],
-              [{ type: "Number", value: "3" }],
-              [{ type: "Number", value: "4" }],
+              [{ type: "Number", value: "1", format: "integer" }],
+              [{ type: "Number", value: "2", format: "integer" }],
+              [{ type: "Number", value: "3", format: "integer" }],
+              [{ type: "Number", value: "4", format: "integer" }],
             ],
           },
         },
@@ -943,15 +1134,15 @@ describe("RiX Parser", () => {
             type: "Tensor",
             structure: [
               {
-                row: [{ type: "Number", value: "1" }],
+                row: [{ type: "Number", value: "1", format: "integer" }],
                 separatorLevel: 2,
               },
               {
-                row: [{ type: "Number", value: "2" }],
+                row: [{ type: "Number", value: "2", format: "integer" }],
                 separatorLevel: 3,
               },
               {
-                row: [{ type: "Number", value: "3" }],
+                row: [{ type: "Number", value: "3", format: "integer" }],
                 separatorLevel: 0,
               },
             ],
@@ -987,12 +1178,13 @@ describe("RiX Parser", () => {
                 {
                   type: "Number",
                   value: "1/2",
+                  format: "rational",
                 },
                 {
                   type: "BinaryOperation",
                   operator: "^",
-                  left: { type: "Number", value: "3" },
-                  right: { type: "Number", value: "4" },
+                  left: { type: "Number", value: "3", format: "integer" },
+                  right: { type: "Number", value: "4", format: "integer" },
                 },
               ],
             ],
@@ -1028,7 +1220,7 @@ describe("RiX Parser", () => {
                 type: "BinaryOperation",
                 operator: ":=",
                 left: { type: "UserIdentifier", name: "x" },
-                right: { type: "Number", value: "1" },
+                right: { type: "Number", value: "1", format: "integer" },
               },
             ],
           },
@@ -1048,13 +1240,13 @@ describe("RiX Parser", () => {
                 type: "BinaryOperation",
                 operator: ":=",
                 left: { type: "UserIdentifier", name: "x" },
-                right: { type: "Number", value: "1" },
+                right: { type: "Number", value: "1", format: "integer" },
               },
               {
                 type: "BinaryOperation",
                 operator: ":=",
                 left: { type: "UserIdentifier", name: "y" },
-                right: { type: "Number", value: "2" },
+                right: { type: "Number", value: "2", format: "integer" },
               },
             ],
           },
@@ -1097,7 +1289,7 @@ describe("RiX Parser", () => {
           type: "Statement",
           expression: {
             type: "CodeBlock",
-            statements: [{ type: "Number", value: "3" }],
+            statements: [{ type: "Number", value: "3", format: "integer" }],
           },
         },
       ]);
@@ -1106,11 +1298,11 @@ describe("RiX Parser", () => {
         {
           type: "Statement",
           expression: {
-            type: "Set",
+            type: "SetLiteral",
             elements: [
               {
-                type: "Set",
-                elements: [{ type: "Number", value: "3" }],
+                type: "SetLiteral",
+                elements: [{ type: "Number", value: "3", format: "integer" }],
               },
             ],
           },
@@ -1125,9 +1317,9 @@ describe("RiX Parser", () => {
 
       // { { } } is a set containing an empty set
       const setOfSet = parseCode("{ { } };");
-      expect(stripMetadata(setOfSet)[0].expression.type).toBe("Set");
+      expect(stripMetadata(setOfSet)[0].expression.type).toBe("SetLiteral");
       expect(stripMetadata(setOfSet)[0].expression.elements[0].type).toBe(
-        "Set",
+        "SetLiteral",
       );
     });
 
@@ -1145,7 +1337,7 @@ describe("RiX Parser", () => {
                 left: { type: "UserIdentifier", name: "a" },
                 right: {
                   type: "CodeBlock",
-                  statements: [{ type: "Number", value: "3" }],
+                  statements: [{ type: "Number", value: "3", format: "integer" }],
                 },
               },
             ],
@@ -1180,7 +1372,7 @@ describe("RiX Parser", () => {
                             type: "BinaryOperation",
                             operator: ":=",
                             left: { type: "UserIdentifier", name: "z" },
-                            right: { type: "Number", value: "42" },
+                            right: { type: "Number", value: "42", format: "integer" },
                           },
                         ],
                       },
@@ -1208,7 +1400,7 @@ describe("RiX Parser", () => {
                 type: "BinaryOperation",
                 operator: ":=",
                 left: { type: "UserIdentifier", name: "outer" },
-                right: { type: "Number", value: "1" },
+                right: { type: "Number", value: "1", format: "integer" },
               },
               {
                 type: "BinaryOperation",
@@ -1221,13 +1413,13 @@ describe("RiX Parser", () => {
                       type: "BinaryOperation",
                       operator: ":=",
                       left: { type: "UserIdentifier", name: "nested" },
-                      right: { type: "Number", value: "2" },
+                      right: { type: "Number", value: "2", format: "integer" },
                     },
                     {
                       type: "BinaryOperation",
                       operator: "+",
                       left: { type: "UserIdentifier", name: "nested" },
-                      right: { type: "Number", value: "1" },
+                      right: { type: "Number", value: "1", format: "integer" },
                     },
                   ],
                 },
@@ -1269,7 +1461,8 @@ describe('Postfix operators', () => {
                     },
                     arg: {
                         type: 'Number',
-                        value: '1e-6'
+                        value: '1e-6',
+                        format: 'scientific'
                     }
                 }
             }]);
@@ -1303,12 +1496,14 @@ describe('Postfix operators', () => {
                         type: 'Grouping',
                         expression: {
                             type: 'Number',
-                            value: '1/3'
+                            value: '1/3',
+                            format: 'rational'
                         }
                     },
                     arg: {
                         type: 'Number',
-                        value: '1e-10'
+                        value: '1e-10',
+                        format: 'scientific'
                     }
                 }
             }]);
@@ -1332,12 +1527,14 @@ describe('Postfix operators', () => {
                         },
                         arg: {
                             type: 'Number',
-                            value: '1e-3'
+                            value: '1e-3',
+                            format: 'scientific'
                         }
                     },
                     arg: {
                         type: 'Number',
-                        value: '5e-4'
+                        value: '5e-4',
+                        format: 'scientific'
                     }
                 }
             }]);
@@ -1361,7 +1558,8 @@ describe('Postfix operators', () => {
                     },
                     arg: {
                         type: 'Number',
-                        value: '3:4'
+                        value: '3:4',
+                        format: 'interval'
                     }
                 }
             }]);
@@ -1395,12 +1593,14 @@ describe('Postfix operators', () => {
                         type: 'Grouping',
                         expression: {
                             type: 'Number',
-                            value: '1/3'
+                            value: '1/3',
+                            format: 'rational'
                         }
                     },
                     arg: {
                         type: 'Number',
-                        value: '0.333:0.334'
+                        value: '0.333:0.334',
+                        format: 'interval'
                     }
                 }
             }]);
@@ -1424,7 +1624,8 @@ describe('Postfix operators', () => {
                         },
                         arg: {
                             type: 'Number',
-                            value: '3:4'
+                            value: '3:4',
+                            format: 'interval'
                         }
                     },
                     arg: {
@@ -1467,17 +1668,21 @@ describe('Postfix operators', () => {
             expect(stripMetadata(result)).toEqual([{
                 type: 'Statement',
                 expression: {
-                    type: 'Call',
-                    target: {
+                    type: 'BinaryOperation',
+                    operator: '*',
+                    implicit: true,
+                    left: {
                         type: 'Number',
-                        value: '3'
+                        value: '3',
+                        format: 'integer'
                     },
-                    arguments: {
-                        positional: [{
+                    right: {
+                        type: 'Grouping',
+                        expression: {
                             type: 'Number',
-                            value: '4'
-                        }],
-                        keyword: {}
+                            value: '4',
+                            format: 'integer'
+                        }
                     }
                 }
             }]);
@@ -1493,19 +1698,23 @@ describe('Postfix operators', () => {
                         type: 'Tuple',
                         elements: [{
                             type: 'Number',
-                            value: '2'
+                            value: '2',
+                            format: 'integer'
                         }, {
                             type: 'Number',
-                            value: '3'
+                            value: '3',
+                            format: 'integer'
                         }]
                     },
                     arguments: {
                         positional: [{
                             type: 'Number',
-                            value: '4'
+                            value: '4',
+                            format: 'integer'
                         }, {
                             type: 'Number',
-                            value: '5'
+                            value: '5',
+                            format: 'integer'
                         }],
                         keyword: {}
                     }
@@ -1557,16 +1766,20 @@ describe('Postfix operators', () => {
                     arguments: {
                         positional: [{
                             type: 'Number',
-                            value: '3'
+                            value: '3',
+                            format: 'integer'
                         }, {
                             type: 'Number',
-                            value: '4'
+                            value: '4',
+                            format: 'integer'
                         }, {
                             type: 'Number',
-                            value: '7'
+                            value: '7',
+                            format: 'integer'
                         }, {
                             type: 'Number',
-                            value: '9'
+                            value: '9',
+                            format: 'integer'
                         }],
                         keyword: {}
                     }
@@ -1587,13 +1800,16 @@ describe('Postfix operators', () => {
                     arguments: {
                         positional: [{
                             type: 'Number',
-                            value: '2'
+                            value: '2',
+                            format: 'integer'
                         }, {
                             type: 'Number',
-                            value: '3'
+                            value: '3',
+                            format: 'integer'
                         }, {
                             type: 'Number',
-                            value: '5'
+                            value: '5',
+                            format: 'integer'
                         }],
                         keyword: {}
                     }
@@ -1645,10 +1861,12 @@ describe('Postfix operators', () => {
                             arguments: {
                                 positional: [{
                                     type: 'Number',
-                                    value: '2'
+                                    value: '2',
+                                    format: 'integer'
                                 }, {
                                     type: 'Number',
-                                    value: '3'
+                                    value: '3',
+                                    format: 'integer'
                                 }],
                                 keyword: {}
                             }
@@ -1661,10 +1879,12 @@ describe('Postfix operators', () => {
                             arguments: {
                                 positional: [{
                                     type: 'Number',
-                                    value: '6'
+                                    value: '6',
+                                    format: 'integer'
                                 }, {
                                     type: 'Number',
-                                    value: '2'
+                                    value: '2',
+                                    format: 'integer'
                                 }],
                                 keyword: {}
                             }
@@ -1695,12 +1915,14 @@ describe('Postfix operators', () => {
                         },
                         arg: {
                             type: 'Number',
-                            value: '1e-3'
+                            value: '1e-3',
+                            format: 'scientific'
                         }
                     },
                     arg: {
                         type: 'Number',
-                        value: '3.141:3.142'
+                        value: '3.141:3.142',
+                        format: 'interval'
                     }
                 }
             }]);
@@ -1758,7 +1980,8 @@ describe('Postfix operators', () => {
                         },
                         arg: {
                             type: 'Number',
-                            value: '1e-6'
+                            value: '1e-6',
+                            format: 'scientific'
                         }
                     },
                     arg: {
@@ -1922,8 +2145,8 @@ describe('Pipe operations', () => {
             left: {
               type: "Tuple",
               elements: [
-                { type: "Number", value: "3" },
-                { type: "Number", value: "4" }
+                { type: "Number", value: "3", format: "integer" },
+                { type: "Number", value: "4", format: "integer" }
               ]
             },
             right: { type: "UserIdentifier", name: "f" },
@@ -1960,8 +2183,8 @@ describe('Pipe operations', () => {
             left: {
               type: "Tuple",
               elements: [
-                { type: "Number", value: "3" },
-                { type: "Number", value: "4" }
+                { type: "Number", value: "3", format: "integer" },
+                { type: "Number", value: "4", format: "integer" }
               ]
             },
             right: {
@@ -1986,13 +2209,13 @@ describe('Pipe operations', () => {
         {
           type: "Statement",
           expression: {
-            type: "Map",
+            type: "PipeMap",
             left: {
               type: "Array",
               elements: [
-                { type: "Number", value: "1" },
-                { type: "Number", value: "2" },
-                { type: "Number", value: "3" }
+                { type: "Number", value: "1", format: "integer" },
+                { type: "Number", value: "2", format: "integer" },
+                { type: "Number", value: "3", format: "integer" }
               ]
             },
             right: { type: "UserIdentifier", name: "f" },
@@ -2007,13 +2230,13 @@ describe('Pipe operations', () => {
         {
           type: "Statement",
           expression: {
-            type: "Map",
+            type: "PipeMap",
             left: {
               type: "Array",
               elements: [
-                { type: "Number", value: "1" },
-                { type: "Number", value: "2" },
-                { type: "Number", value: "3" }
+                { type: "Number", value: "1", format: "integer" },
+                { type: "Number", value: "2", format: "integer" },
+                { type: "Number", value: "3", format: "integer" }
               ]
             },
             right: {
@@ -2028,7 +2251,7 @@ describe('Pipe operations', () => {
                 type: "BinaryOperation",
                 operator: "^",
                 left: { type: "UserIdentifier", name: "x" },
-                right: { type: "Number", value: "2" }
+                right: { type: "Number", value: "2", format: "integer" }
               }
             },
           },
@@ -2042,14 +2265,14 @@ describe('Pipe operations', () => {
         {
           type: "Statement",
           expression: {
-            type: "Filter",
+            type: "PipeFilter",
             left: {
               type: "Array",
               elements: [
-                { type: "Number", value: "1" },
-                { type: "Number", value: "2" },
-                { type: "Number", value: "3" },
-                { type: "Number", value: "4" }
+                { type: "Number", value: "1", format: "integer" },
+                { type: "Number", value: "2", format: "integer" },
+                { type: "Number", value: "3", format: "integer" },
+                { type: "Number", value: "4", format: "integer" }
               ]
             },
             right: {
@@ -2064,7 +2287,7 @@ describe('Pipe operations', () => {
                 type: "BinaryOperation",
                 operator: ">",
                 left: { type: "UserIdentifier", name: "x" },
-                right: { type: "Number", value: "2" }
+                right: { type: "Number", value: "2", format: "integer" }
               }
             },
           },
@@ -2078,14 +2301,14 @@ describe('Pipe operations', () => {
         {
           type: "Statement",
           expression: {
-            type: "Reduce",
+            type: "PipeReduce",
             left: {
               type: "Array",
               elements: [
-                { type: "Number", value: "1" },
-                { type: "Number", value: "2" },
-                { type: "Number", value: "3" },
-                { type: "Number", value: "4" }
+                { type: "Number", value: "1", format: "integer" },
+                { type: "Number", value: "2", format: "integer" },
+                { type: "Number", value: "3", format: "integer" },
+                { type: "Number", value: "4", format: "integer" }
               ]
             },
             right: {
@@ -2121,9 +2344,9 @@ describe('Pipe operations', () => {
             left: {
               type: "Tuple",
               elements: [
-                { type: "Number", value: "1" },
-                { type: "Number", value: "2" },
-                { type: "Number", value: "3" }
+                { type: "Number", value: "1", format: "integer" },
+                { type: "Number", value: "2", format: "integer" },
+                { type: "Number", value: "3", format: "integer" }
               ]
             },
             right: {
@@ -2149,15 +2372,15 @@ describe('Pipe operations', () => {
         {
           type: "Statement",
           expression: {
-            type: "Filter",
+            type: "PipeFilter",
             left: {
-              type: "Map",
+              type: "PipeMap",
               left: {
                 type: "Array",
                 elements: [
-                  { type: "Number", value: "1" },
-                  { type: "Number", value: "2" },
-                  { type: "Number", value: "3" }
+                  { type: "Number", value: "1", format: "integer" },
+                  { type: "Number", value: "2", format: "integer" },
+                  { type: "Number", value: "3", format: "integer" }
                 ]
               },
               right: {
@@ -2172,7 +2395,7 @@ describe('Pipe operations', () => {
                   type: "BinaryOperation",
                   operator: "*",
                   left: { type: "UserIdentifier", name: "x" },
-                  right: { type: "Number", value: "2" }
+                  right: { type: "Number", value: "2", format: "integer" }
                 }
               }
             },
@@ -2188,7 +2411,7 @@ describe('Pipe operations', () => {
                 type: "BinaryOperation",
                 operator: ">",
                 left: { type: "UserIdentifier", name: "y" },
-                right: { type: "Number", value: "3" }
+                right: { type: "Number", value: "3", format: "integer" }
               }
             },
           },
@@ -2206,9 +2429,9 @@ describe('Pipe operations', () => {
             left: {
               type: "Array",
               elements: [
-                { type: "Number", value: "1" },
-                { type: "Number", value: "2" },
-                { type: "Number", value: "3" }
+                { type: "Number", value: "1", format: "integer" },
+                { type: "Number", value: "2", format: "integer" },
+                { type: "Number", value: "3", format: "integer" }
               ]
             },
             right: { 
@@ -2236,11 +2459,11 @@ describe('Pipe operations', () => {
               expression: {
                 type: "BinaryOperation",
                 operator: "+",
-                left: { type: "Number", value: "2" },
-                right: { type: "Number", value: "3" },
+                left: { type: "Number", value: "2", format: "integer" },
+                right: { type: "Number", value: "3", format: "integer" },
               },
             },
-            right: { type: "Number", value: "4" },
+            right: { type: "Number", value: "4", format: "integer" },
           },
         },
       ]);
@@ -2268,7 +2491,7 @@ describe('Pipe operations', () => {
           type: "Statement",
           expression: {
             type: "Grouping",
-            expression: { type: "Number", value: "3" },
+            expression: { type: "Number", value: "3", format: "integer" },
           },
         },
       ]);
@@ -2281,7 +2504,7 @@ describe('Pipe operations', () => {
           type: "Statement",
           expression: {
             type: "Tuple",
-            elements: [{ type: "Number", value: "3" }],
+            elements: [{ type: "Number", value: "3", format: "integer" }],
           },
         },
       ]);
@@ -2295,8 +2518,8 @@ describe('Pipe operations', () => {
           expression: {
             type: "Tuple",
             elements: [
-              { type: "Number", value: "3" },
-              { type: "Number", value: "4" },
+              { type: "Number", value: "3", format: "integer" },
+              { type: "Number", value: "4", format: "integer" },
             ],
           },
         },
@@ -2328,9 +2551,9 @@ describe('Pipe operations', () => {
           expression: {
             type: "Tuple",
             elements: [
-              { type: "Number", value: "3" },
+              { type: "Number", value: "3", format: "integer" },
               { type: "NULL" },
-              { type: "Number", value: "2" },
+              { type: "Number", value: "2", format: "integer" },
             ],
           },
         },
@@ -2346,7 +2569,7 @@ describe('Pipe operations', () => {
             type: "Tuple",
             elements: [
               { type: "NULL" },
-              { type: "Number", value: "5" },
+              { type: "Number", value: "5", format: "integer" },
               { type: "NULL" },
             ],
           },
@@ -2391,15 +2614,15 @@ describe('Pipe operations', () => {
               {
                 type: "Tuple",
                 elements: [
-                  { type: "Number", value: "1" },
-                  { type: "Number", value: "2" },
+                  { type: "Number", value: "1", format: "integer" },
+                  { type: "Number", value: "2", format: "integer" },
                 ],
               },
               {
                 type: "Tuple",
                 elements: [
-                  { type: "Number", value: "3" },
-                  { type: "Number", value: "4" },
+                  { type: "Number", value: "3", format: "integer" },
+                  { type: "Number", value: "4", format: "integer" },
                 ],
               },
             ],
@@ -2416,9 +2639,9 @@ describe('Pipe operations', () => {
           expression: {
             type: "Tuple",
             elements: [
-              { type: "Number", value: "1" },
-              { type: "Number", value: "2" },
-              { type: "Number", value: "3" },
+              { type: "Number", value: "1", format: "integer" },
+              { type: "Number", value: "2", format: "integer" },
+              { type: "Number", value: "3", format: "integer" },
             ],
           },
         },
@@ -2440,7 +2663,7 @@ describe('Pipe operations', () => {
             type: "BinaryOperation",
             operator: ":=",
             left: { type: "NULL" },
-            right: { type: "Number", value: "5" },
+            right: { type: "Number", value: "5", format: "integer" },
           },
         },
       ]);
@@ -2453,7 +2676,7 @@ describe('Pipe operations', () => {
       expect(stripMetadata(ast)).toEqual([
         {
           type: "Statement",
-          expression: { type: "Number", value: "3.14" },
+          expression: { type: "Number", value: "3.14", format: "decimal" },
         },
       ]);
     });
@@ -2483,7 +2706,7 @@ describe('Pipe operations', () => {
             type: "BinaryOperation",
             operator: ":=",
             left: { type: "UserIdentifier", name: "x" },
-            right: { type: "Number", value: "5" },
+            right: { type: "Number", value: "5", format: "integer" },
           },
         },
         {
@@ -2492,7 +2715,7 @@ describe('Pipe operations', () => {
             type: "BinaryOperation",
             operator: ":=",
             left: { type: "UserIdentifier", name: "y" },
-            right: { type: "Number", value: "10" },
+            right: { type: "Number", value: "10", format: "integer" },
           },
         },
       ]);
@@ -2528,7 +2751,7 @@ describe('Pipe operations', () => {
             primary: { type: "UserIdentifier", name: "obj" },
             metadata: {
               name: { type: "String", value: "foo", kind: "quote" },
-              version: { type: "Number", value: "1.2" },
+              version: { type: "Number", value: "1.2", format: "decimal" },
               active: { type: "UserIdentifier", name: "true" },
             },
           },
@@ -2548,8 +2771,8 @@ describe('Pipe operations', () => {
               size: {
                 type: "BinaryOperation",
                 operator: "+",
-                left: { type: "Number", value: "2" },
-                right: { type: "Number", value: "3" },
+                left: { type: "Number", value: "2", format: "integer" },
+                right: { type: "Number", value: "3", format: "integer" },
               },
               factor: {
                 type: "BinaryOperation",
@@ -2572,8 +2795,8 @@ describe('Pipe operations', () => {
             type: "WithMetadata",
             primary: { type: "UserIdentifier", name: "matrix" },
             metadata: {
-              ROWS: { type: "Number", value: "3" },
-              COLS: { type: "Number", value: "4" },
+              ROWS: { type: "Number", value: "3", format: "integer" },
+              COLS: { type: "Number", value: "4", format: "integer" },
             },
           },
         },
@@ -2616,7 +2839,7 @@ describe('Pipe operations', () => {
             },
             metadata: {
               name: { type: "String", value: "config", kind: "quote" },
-              version: { type: "Number", value: "2" },
+              version: { type: "Number", value: "2", format: "integer" },
             },
           },
         },
@@ -2633,14 +2856,14 @@ describe('Pipe operations', () => {
             primary: {
               type: "Array",
               elements: [
-                { type: "Number", value: "1" },
-                { type: "Number", value: "2" },
-                { type: "Number", value: "3" },
+                { type: "Number", value: "1", format: "integer" },
+                { type: "Number", value: "2", format: "integer" },
+                { type: "Number", value: "3", format: "integer" },
               ],
             },
             metadata: {
               name: { type: "String", value: "numbers", kind: "quote" },
-              count: { type: "Number", value: "3" },
+              count: { type: "Number", value: "3", format: "integer" },
             },
           },
         },
@@ -2655,9 +2878,9 @@ describe('Pipe operations', () => {
           expression: {
             type: "Array",
             elements: [
-              { type: "Number", value: "1" },
-              { type: "Number", value: "2" },
-              { type: "Number", value: "3" },
+              { type: "Number", value: "1", format: "integer" },
+              { type: "Number", value: "2", format: "integer" },
+              { type: "Number", value: "3", format: "integer" },
             ],
           },
         },
@@ -2710,8 +2933,8 @@ describe('Pipe operations', () => {
         {
           type: "BinaryOperation",
           operator: "+",
-          left: { type: "Number", value: "2" },
-          right: { type: "Number", value: "3" },
+          left: { type: "Number", value: "2", format: "integer" },
+          right: { type: "Number", value: "3", format: "integer" },
         },
       ]);
     });
@@ -2722,6 +2945,7 @@ describe('Pipe operations', () => {
         {
           type: "Number",
           value: "5",
+          format: "integer",
         },
         {
           type: "Comment",
@@ -2753,6 +2977,7 @@ describe('Pipe operations', () => {
         {
           type: "Number",
           value: "5",
+          format: "integer",
         },
         {
           type: "Comment",
@@ -2762,6 +2987,7 @@ describe('Pipe operations', () => {
         {
           type: "Number",
           value: "10",
+          format: "integer",
         },
       ]);
     });
@@ -2819,7 +3045,7 @@ describe('Pipe operations', () => {
             type: "BinaryOperation",
             operator: ":=",
             left: { type: "UserIdentifier", name: "x" },
-            right: { type: "Number", value: "5" },
+            right: { type: "Number", value: "5", format: "integer" },
           },
         },
         {
@@ -2904,16 +3130,16 @@ describe('Pipe operations', () => {
             primary: {
               type: "Array",
               elements: [
-                { type: "Number", value: "1" },
-                { type: "Number", value: "2" },
-                { type: "Number", value: "3" },
-                { type: "Number", value: "4" },
-                { type: "Number", value: "5" },
+                { type: "Number", value: "1", format: "integer" },
+                { type: "Number", value: "2", format: "integer" },
+                { type: "Number", value: "3", format: "integer" },
+                { type: "Number", value: "4", format: "integer" },
+                { type: "Number", value: "5", format: "integer" },
               ],
             },
             metadata: {
               name: { type: "String", value: "numbers", kind: "quote" },
-              size: { type: "Number", value: "5" },
+              size: { type: "Number", value: "5", format: "integer" },
             },
           },
         },
@@ -3121,6 +3347,98 @@ describe('Pipe operations', () => {
     });
   });
 
+  describe("Interpolated strings", () => {
+    test("parts alternate text and expressions", () => {
+      const ast = parseCode("`Hello ${name}, ${a + 1}!`;");
+      expect(stripMetadata(ast[0].expression)).toEqual({
+        type: "InterpolatedString",
+        parts: [
+          "Hello ",
+          { type: "UserIdentifier", name: "name" },
+          ", ",
+          {
+            type: "BinaryOperation",
+            operator: "+",
+            left: { type: "UserIdentifier", name: "a" },
+            right: { type: "Number", value: "1", format: "integer" },
+          },
+          "!",
+        ],
+      });
+    });
+
+    test("colons inside ${} or after a leading colon are not headers", () => {
+      const [interval] = parseCode("`Range ${a:b}`;");
+      expect(interval.expression.type).toBe("InterpolatedString");
+      expect(interval.expression.parts[1].operator).toBe(":");
+
+      const [plain] = parseCode("`:Time: ${t}`;");
+      expect(plain.expression.parts).toEqual([
+        "Time: ",
+        expect.objectContaining({ type: "UserIdentifier", name: "t" }),
+        "",
+      ]);
+
+      // A header before the first ${ still makes an embedded language
+      const [embedded] = parseCode("`P(x): ${y}`;");
+      expect(embedded.expression.type).toBe("EmbeddedLanguage");
+    });
+
+    test("nests with longer backtick delimiters", () => {
+      const ast = parseCode("``Outer ${ `inner ${y} ok` } done``;");
+      const outer = ast[0].expression;
+      expect(outer.parts[0]).toBe("Outer ");
+      expect(outer.parts[2]).toBe(" done");
+      expect(stripMetadata(outer.parts[1])).toEqual({
+        type: "InterpolatedString",
+        parts: ["inner ", { type: "UserIdentifier", name: "y" }, " ok"],
+      });
+    });
+
+    test("braces inside ${} are balanced", () => {
+      const ast = parseCode("`${ {1, 2} }}`;");
+      const parts = ast[0].expression.parts;
+      expect(parts[1].type).toBe("SetLiteral");
+      expect(parts[2]).toBe("}");
+    });
+
+    test("expression positions map back to the source", () => {
+      const source = "s := 1;\nt := `v = ${f(x)}`;";
+      const ast = parse(source, testSystemLookup, { locations: true });
+      const call = ast[1].expression.right.parts[1];
+      const start = source.indexOf("f(x)");
+      expect(call.type).toBe("FunctionCall");
+      expect(call.pos[1]).toBe(start);
+      expect(call.loc.start).toEqual({ line: 2, column: 12, offset: start });
+      expect(call.loc.end.offset).toBe(start + 4);
+    });
+
+    test("syntax errors inside ${} are reported where they occur", () => {
+      const source = "a := 1;\nb := `x ${(1 + )} y`;";
+      const offset = source.indexOf(")");
+      let error;
+      try {
+        parse(source, testSystemLookup);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.range).toEqual([offset, offset + 1]);
+      expect(error.span.start).toEqual({ line: 2, column: 15, offset });
+
+      const { ast, diagnostics } = parse(source, testSystemLookup, {
+        recover: true,
+      });
+      expect(diagnostics.map((d) => d.range[0])).toEqual([offset]);
+      // The rest of the string and statement still parse
+      expect(ast[1].expression.right.parts[2]).toBe(" y");
+
+      expect(() => parseCode("`a ${x`;")).toThrow(
+        "Expected closing brace } for interpolation",
+      );
+      expect(() => parseCode("`a ${ }`;")).toThrow("Empty interpolation");
+    });
+  });
+
   describe("Position information", () => {
     test("all nodes have position information", () => {
       const ast = parseCode("x + y;");
@@ -3349,7 +3667,8 @@ describe('Pipe operations', () => {
           type: 'Statement',
           expression: {
             type: 'Number',
-            value: '1:10'
+            value: '1:10',
+            format: 'interval'
           }
         }]);
       });
@@ -3360,7 +3679,8 @@ describe('Pipe operations', () => {
           type: 'Statement',
           expression: {
             type: 'Number',
-            value: '1.5:10.7'
+            value: '1.5:10.7',
+            format: 'interval'
           }
         }]);
       });
@@ -3375,9 +3695,10 @@ describe('Pipe operations', () => {
             type: 'IntervalStepping',
             interval: {
               type: 'Number',
-              value: '1:10'
+              value: '1:10',
+              format: 'interval'
             },
-            step: { type: 'Number', value: '2' }
+            step: { type: 'Number', value: '2', format: 'integer' }
           }
         }]);
       });
@@ -3390,9 +3711,10 @@ describe('Pipe operations', () => {
             type: 'IntervalStepping',
             interval: {
               type: 'Number',
-              value: '10:1'
+              value: '10:1',
+              format: 'interval'
             },
-            step: { type: 'Number', value: '-3' }
+            step: { type: 'Number', value: '-3', format: 'integer' }
           }
         }]);
       });
@@ -3407,9 +3729,10 @@ describe('Pipe operations', () => {
             type: 'IntervalDivision',
             interval: {
               type: 'Number',
-              value: '1:5'
+              value: '1:5',
+              format: 'interval'
             },
-            count: { type: 'Number', value: '3' },
+            count: { type: 'Number', value: '3', format: 'integer' },
             type: 'equally_spaced'
           }
         }]);
@@ -3423,9 +3746,10 @@ describe('Pipe operations', () => {
             type: 'IntervalPartition',
             interval: {
               type: 'Number',
-              value: '1:5'
+              value: '1:5',
+              format: 'interval'
             },
-            count: { type: 'Number', value: '2' }
+            count: { type: 'Number', value: '2', format: 'integer' }
           }
         }]);
       });
@@ -3440,9 +3764,10 @@ describe('Pipe operations', () => {
             type: 'IntervalMediants',
             interval: {
               type: 'Number',
-              value: '1:2'
+              value: '1:2',
+              format: 'interval'
             },
-            levels: { type: 'Number', value: '2' }
+            levels: { type: 'Number', value: '2', format: 'integer' }
           }
         }]);
       });
@@ -3455,9 +3780,10 @@ describe('Pipe operations', () => {
             type: 'IntervalMediantPartition',
             interval: {
               type: 'Number',
-              value: '1:2'
+              value: '1:2',
+              format: 'interval'
             },
-            levels: { type: 'Number', value: '2' }
+            levels: { type: 'Number', value: '2', format: 'integer' }
           }
         }]);
       });
@@ -3472,9 +3798,10 @@ describe('Pipe operations', () => {
             type: 'IntervalRandom',
             interval: {
               type: 'Number',
-              value: '1:10'
+              value: '1:10',
+              format: 'interval'
             },
-            parameters: { type: 'Number', value: '3' }
+            parameters: { type: 'Number', value: '3', format: 'integer' }
           }
         }]);
       });
@@ -3487,13 +3814,14 @@ describe('Pipe operations', () => {
             type: 'IntervalRandom',
             interval: {
               type: 'Number',
-              value: '1:10'
+              value: '1:10',
+              format: 'interval'
             },
             parameters: {
               type: 'Tuple',
               elements: [
-                { type: 'Number', value: '3' },
-                { type: 'Number', value: '1' }
+                { type: 'Number', value: '3', format: 'integer' },
+                { type: 'Number', value: '1', format: 'integer' }
               ]
             }
           }
@@ -3508,9 +3836,10 @@ describe('Pipe operations', () => {
             type: 'IntervalRandomPartition',
             interval: {
               type: 'Number',
-              value: '1:10'
+              value: '1:10',
+              format: 'interval'
             },
-            count: { type: 'Number', value: '3' }
+            count: { type: 'Number', value: '3', format: 'integer' }
           }
         }]);
       });
@@ -3523,8 +3852,8 @@ describe('Pipe operations', () => {
           type: 'Statement',
           expression: {
             type: 'InfiniteSequence',
-            start: { type: 'Number', value: '5' },
-            step: { type: 'Number', value: '2' }
+            start: { type: 'Number', value: '5', format: 'integer' },
+            step: { type: 'Number', value: '2', format: 'integer' }
           }
         }]);
       });
@@ -3535,8 +3864,8 @@ describe('Pipe operations', () => {
           type: 'Statement',
           expression: {
             type: 'InfiniteSequence',
-            start: { type: 'Number', value: '10' },
-            step: { type: 'Number', value: '-3' }
+            start: { type: 'Number', value: '10', format: 'integer' },
+            step: { type: 'Number', value: '-3', format: 'integer' }
           }
         }]);
       });
@@ -3553,11 +3882,12 @@ describe('Pipe operations', () => {
               type: 'IntervalStepping',
               interval: {
                 type: 'Number',
-                value: '1:10'
+                value: '1:10',
+                format: 'interval'
               },
-              step: { type: 'Number', value: '2' }
+              step: { type: 'Number', value: '2', format: 'integer' }
             },
-            count: { type: 'Number', value: '3' }
+            count: { type: 'Number', value: '3', format: 'integer' }
           }
         }]);
       });
@@ -3594,7 +3924,7 @@ describe('Pipe operations', () => {
                   type: 'BinaryOperation',
                   operator: '+',
                   left: { type: 'UserIdentifier', name: 'x' },
-                  right: { type: 'Number', value: '1' }
+                  right: { type: 'Number', value: '1', format: 'integer' }
                 }
               },
               right: {
@@ -3603,7 +3933,7 @@ describe('Pipe operations', () => {
                   type: 'BinaryOperation',
                   operator: '*',
                   left: { type: 'UserIdentifier', name: 'y' },
-                  right: { type: 'Number', value: '2' }
+                  right: { type: 'Number', value: '2', format: 'integer' }
                 }
               }
             },
@@ -3622,7 +3952,7 @@ describe('Pipe operations', () => {
           expression: {
             type: 'IntervalStepping',
             interval: { type: 'UserIdentifier', name: 'a' },
-            step: { type: 'Number', value: '3' }
+            step: { type: 'Number', value: '3', format: 'integer' }
           }
         }]);
       });
@@ -3634,7 +3964,7 @@ describe('Pipe operations', () => {
           expression: {
             type: 'IntervalDivision',
             interval: { type: 'UserIdentifier', name: 'myinterval' },
-            count: { type: 'Number', value: '5' },
+            count: { type: 'Number', value: '5', format: 'integer' },
             type: 'equally_spaced'
           }
         }]);
@@ -3647,7 +3977,7 @@ describe('Pipe operations', () => {
           expression: {
             type: 'IntervalPartition',
             interval: { type: 'UserIdentifier', name: 'range' },
-            count: { type: 'Number', value: '4' }
+            count: { type: 'Number', value: '4', format: 'integer' }
           }
         }]);
       });
@@ -3659,7 +3989,7 @@ describe('Pipe operations', () => {
           expression: {
             type: 'IntervalMediants',
             interval: { type: 'UserIdentifier', name: 'bounds' },
-            levels: { type: 'Number', value: '2' }
+            levels: { type: 'Number', value: '2', format: 'integer' }
           }
         }]);
       });
@@ -3671,7 +4001,7 @@ describe('Pipe operations', () => {
           expression: {
             type: 'IntervalRandom',
             interval: { type: 'UserIdentifier', name: 'datarange' },
-            parameters: { type: 'Number', value: '10' }
+            parameters: { type: 'Number', value: '10', format: 'integer' }
           }
         }]);
       });
@@ -0,0 +1,79 @@
+import { test, expect, describe } from "bun:test";
+import { parse, format, validateAst } from "../index.js";
+
+describe("Outer-scope variables", () => {
+  test("@ chains parse to ScopedIdentifier", () => {
+    const [block] = parse("{{ {{ @x + @@y }} }}");
+    expect(block.statements[0].statements[0]).toMatchObject({
+      type: "BinaryOperation",
+      left: { type: "ScopedIdentifier", name: "x", depth: 1 },
+      right: { type: "ScopedIdentifier", name: "y", depth: 2 },
+    });
+
+    // The postfix At operator is unchanged
+    expect(parse("PI@(1e-10)")[0].type).toBe("At");
+  });
+
+  test(":@= assigns in the scope of its @ target", () => {
+    const [assignment] = parse("f := (n) -> {{ @n :@= n + 1 }}")[0].right.body
+      .statements;
+    expect(assignment).toMatchObject({
+      type: "ScopedAssignment",
+      target: { type: "ScopedIdentifier", name: "n", depth: 1 },
+      value: { type: "BinaryOperation", operator: "+" },
+    });
+    // Right associative, like :=
+    const [chain] = parse("{{ @a :@= @b :@= 0 }}")[0].statements;
+    expect(chain.value.type).toBe("ScopedAssignment");
+  });
+
+  test("formats and validates", () => {
+    for (const code of [
+      "total := 0;\nadd := (x) -> {{ @total :@= @total + x }}",
+      "{{ {{ @@x :@= @x }} }}",
+    ]) {
+      const ast = parse(code);
+      expect(format(ast)).toBe(code);
+      expect(validateAst(ast).valid).toBe(true);
+    }
+  });
+
+  test("a depth past the enclosing blocks and functions is reported", () => {
+    for (const [code, message] of [
+      ["@x", "@x reaches 1 scope out, but no block or function encloses it"],
+      ["{{ @@x }}", "@@x reaches 2 scopes out, but only 1 encloses it"],
+      // A function and its {{ }} body are one scope
+      [
+        "f := (n) -> {{ @@n }}",
+        "@@n reaches 2 scopes out, but only 1 encloses it",
+      ],
+    ]) {
+      try {
+        parse(code);
+        throw new Error(`${code} parsed`);
+      } catch (error) {
+        expect(error.code).toBe("E_INVALID_SCOPE");
+        expect(error.reason).toBe(message);
+      }
+    }
+    expect(() => parse("g := (n) -> {{ {{ @@n }} }}")).not.toThrow();
+
+    const { ast, diagnostics } = parse("y := 1;\n{{ @@@y }}", undefined, {
+      recover: true,
+    });
+    expect(ast[1].type).toBe("CodeBlock");
+    expect(diagnostics).toMatchObject([
+      { code: "E_INVALID_SCOPE", range: [11, 15] },
+    ]);
+  });
+
+  test("malformed scoped syntax reports E_INVALID_SCOPE", () => {
+    for (const [code, message] of [
+      ["{{ @ x }}", "Expected a variable name after @"],
+      ["{{ @@3 }}", "Expected a variable name after @@"],
+      ["{{ x :@= 1 }}", "Expected an @ variable before :@="],
+    ]) {
+      expect(() => parse(code)).toThrow(message);
+    }
+  });
+});
@@ -216,6 +216,222 @@ describe('SystemLoader', () => {
     });
 });
 
+describe('Keyword operators', () => {
+    test('default NOT keyword parses as a prefix UnaryOperation', () => {
+        const systemLoader = new SystemLoader();
+        const ast = parse('NOT x', systemLoader.createParserLookup());
+        expect(ast[0].type).toBe('UnaryOperation');
+        expect(ast[0].operator).toBe('NOT');
+        expect(ast[0].operand.name).toBe('x');
+    });
+
+    test('registered prefix keyword uses its precedence', () => {
+        const systemLoader = new SystemLoader();
+        systemLoader.registerKeyword('NEG', {
+            type: 'operator',
+            precedence: 85,
+            operatorType: 'prefix'
+        });
+
+        const ast = parse('NEG a * b + c', systemLoader.createParserLookup());
+        expect(ast[0].type).toBe('BinaryOperation');
+        expect(ast[0].operator).toBe('+');
+        expect(ast[0].left.type).toBe('UnaryOperation');
+        expect(ast[0].left.operator).toBe('NEG');
+        expect(ast[0].left.operand.operator).toBe('*');
+    });
+
+    test('registered postfix keyword produces a postfix UnaryOperation', () => {
+        const systemLoader = new SystemLoader();
+        systemLoader.registerKeyword('PERCENT', {
+            type: 'operator',
+            precedence: 120,
+            operatorType: 'postfix'
+        });
+
+        const ast = parse('x PERCENT + 1', systemLoader.createParserLookup());
+        expect(ast[0].type).toBe('BinaryOperation');
+        expect(ast[0].left).toMatchObject({
+            type: 'UnaryOperation',
+            operator: 'PERCENT',
+            postfix: true,
+            operand: { type: 'UserIdentifier', name: 'x' }
+        });
+    });
+});
+
+describe('Custom operators', () => {
+    function createOperatorLoader() {
+        const systemLoader = new SystemLoader();
+        systemLoader.registerOperator('<+>', {
+            type: 'operator',
+            precedence: 85,
+            associativity: 'left',
+            operatorType: 'infix'
+        });
+        systemLoader.registerOperator('<^>', {
+            type: 'operator',
+            precedence: 100,
+            associativity: 'right',
+            operatorType: 'infix'
+        });
+        systemLoader.registerOperator('!', {
+            type: 'operator',
+            precedence: 120,
+            operatorType: 'postfix'
+        });
+        systemLoader.registerOperator('¬', {
+            type: 'operator',
+            precedence: 110,
+            operatorType: 'prefix'
+        });
+        return systemLoader;
+    }
+
+    test('tokenizer applies maximal munch to registered operators', () => {
+        const systemLoader = createOperatorLoader();
+        const tokens = tokenize('a <+> b', { operators: systemLoader.getOperatorSymbols() });
+        const symbols = tokens.filter(t => t.type === 'Symbol').map(t => t.value);
+        expect(symbols).toEqual(['<+>']);
+    });
+
+    test('built-in symbols still win when they are longer', () => {
+        const systemLoader = createOperatorLoader();
+        const tokens = tokenize('n != m', { operators: systemLoader.getOperatorSymbols() });
+        const symbols = tokens.filter(t => t.type === 'Symbol').map(t => t.value);
+        expect(symbols).toEqual(['!=']);
+    });
+
+    test('without registration the operator is split into single symbols', () => {
+        const tokens = tokenize('a <+> b');
+        const symbols = tokens.filter(t => t.type === 'Symbol').map(t => t.value);
+        expect(symbols).toEqual(['<', '+', '>']);
+    });
+
+    test('infix operator parses with declared precedence', () => {
+        const ast = parse('a <+> b * c', createOperatorLoader().createParserLookup());
+        expect(ast.length).toBe(1);
+        expect(ast[0].type).toBe('CustomOperation');
+        expect(ast[0].operator).toBe('<+>');
+        expect(ast[0].operatorType).toBe('infix');
+        expect(ast[0].registry).toBe('operator');
+        expect(ast[0].left.name).toBe('a');
+        expect(ast[0].right.type).toBe('BinaryOperation');
+        expect(ast[0].right.operator).toBe('*');
+
+        const sum = parse('a + b <+> c', createOperatorLoader().createParserLookup());
+        expect(sum[0].type).toBe('BinaryOperation');
+        expect(sum[0].operator).toBe('+');
+        expect(sum[0].right.type).toBe('CustomOperation');
+    });
+
+    test('infix operator honours associativity', () => {
+        const lookup = createOperatorLoader().createParserLookup();
+        const left = parse('a <+> b <+> c', lookup);
+        expect(left[0].left.type).toBe('CustomOperation');
+        expect(left[0].right.name).toBe('c');
+
+        const right = parse('a <^> b <^> c', lookup);
+        expect(right[0].left.name).toBe('a');
+        expect(right[0].right.type).toBe('CustomOperation');
+    });
+
+    test('prefix and postfix operators produce CustomOperation nodes', () => {
+        const ast = parse('n! + ¬x', createOperatorLoader().createParserLookup());
+        expect(ast[0].type).toBe('BinaryOperation');
+        expect(ast[0].left).toMatchObject({
+            type: 'CustomOperation',
+            operator: '!',
+            operatorType: 'postfix',
+            operand: { type: 'UserIdentifier', name: 'n' }
+        });
+        expect(ast[0].right).toMatchObject({
+            type: 'CustomOperation',
+            operator: '¬',
+            operatorType: 'prefix',
+            operand: { type: 'UserIdentifier', name: 'x' }
+        });
+    });
+
+    test('minus after a postfix operator is subtraction', () => {
+        const ast = parse('n!-1', createOperatorLoader().createParserLookup());
+        expect(ast[0]).toMatchObject({
+            type: 'BinaryOperation',
+            operator: '-',
+            left: { type: 'CustomOperation', operator: '!' },
+            right: { type: 'Number', value: '1' }
+        });
+    });
+
+    test('custom operations keep the source text of their operands', () => {
+        const ast = parse('(a + b)! <+> ¬ f(x) <+> c', createOperatorLoader().createParserLookup());
+        expect(ast[0].original).toBe('(a + b)! <+> ¬ f(x) <+> c');
+        expect(ast[0].left.original).toBe('(a + b)! <+> ¬ f(x)');
+        expect(ast[0].left.left.original).toBe('(a + b)!');
+        expect(ast[0].left.right.original).toBe(' ¬ f(x)');
+    });
+
+    test('token arrays must be tokenized with the registered operators', () => {
+        const systemLoader = createOperatorLoader();
+        const tokens = tokenize('a <+> b', { operators: systemLoader.getOperatorSymbols() });
+        const ast = parse(tokens, systemLoader.createParserLookup());
+        expect(ast[0].type).toBe('CustomOperation');
+    });
+
+    test('lookupOperator returns null for unknown symbols', () => {
+        const systemLoader = createOperatorLoader();
+        expect(systemLoader.lookupOperator('<->')).toBeNull();
+        expect(systemLoader.lookupOperator('<+>').precedence).toBe(85);
+    });
+});
+
+describe('Deterministic output', () => {
+    const source = 'y := SIN(x) + PI; a AND b; c <+> d; f := IF(x, 1, 0);';
+
+    function createLoader() {
+        const loader = new SystemLoader();
+        loader.registerSystem('GCD', { type: 'function', arity: 2 });
+        loader.registerOperator('<+>', { type: 'operator', precedence: 80 });
+        return loader;
+    }
+
+    test('parsing twice under the same registry gives equal ASTs', async () => {
+        const lookup = createLoader().createParserLookup();
+        const first = parse(source, lookup);
+        // Let the clock move on between the two parses
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        const second = parse(source, createLoader().createParserLookup());
+        expect(second).toEqual(first);
+        expect(JSON.stringify(second)).toBe(JSON.stringify(first));
+    });
+
+    test('lookups carry a registry entry ID', () => {
+        const loader = createLoader();
+        expect(loader.lookup('SIN').id).toBe('core:SIN');
+        expect(loader.lookup('GCD').id).toBe('system:GCD');
+        expect(loader.lookup('AND').id).toBe('keyword:AND');
+        expect(loader.lookupOperator('<+>').id).toBe('operator:<+>');
+        expect(loader.lookup('UNKNOWN').id).toBeUndefined();
+    });
+
+    test('getEntry resolves an ID back to its definition', () => {
+        const loader = createLoader();
+        const [statement] = parse('SIN(x);', loader.createParserLookup());
+        const { systemInfo } = statement.expression.function;
+        expect(loader.getEntry(systemInfo.id).category).toBe('trigonometric');
+        expect(loader.getEntry('operator:<+>').precedence).toBe(80);
+        expect(loader.getEntry('core:NOPE')).toBeNull();
+        expect(loader.getEntry('nowhere:SIN')).toBeNull();
+    });
+
+    test('exported configurations keep their IDs when imported', () => {
+        const loader = new SystemLoader();
+        loader.importConfig(createLoader().exportConfig());
+        expect(loader.lookup('GCD').id).toBe('system:GCD');
+        expect(loader.lookupOperator('<+>').id).toBe('operator:<+>');
+    });
+});
+
 describe('Factory functions', () => {
     test('createWebPageSystemLoader creates browser-optimized loader', () => {
         const loader = createWebPageSystemLoader();
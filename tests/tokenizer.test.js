@@ -356,12 +356,14 @@ describe("Math Oracle Tokenizer", () => {
       });
 
       test("negative integers", () => {
-        const tokens = tokenize("-3 -42 -0");
+        const tokens = tokenize("-3, -42, -0");
         expect(tokens).toEqual(
           withEnd([
             { type: "Number", original: "-3", value: "-3", pos: [0, 0, 2] },
-            { type: "Number", original: " -42", value: "-42", pos: [2, 3, 6] },
-            { type: "Number", original: " -0", value: "-0", pos: [6, 7, 9] },
+            { type: "Symbol", original: ",", value: ",", pos: [2, 2, 3] },
+            { type: "Number", original: " -42", value: "-42", pos: [3, 4, 7] },
+            { type: "Symbol", original: ",", value: ",", pos: [7, 7, 8] },
+            { type: "Number", original: " -0", value: "-0", pos: [8, 9, 11] },
           ]),
         );
       });
@@ -401,7 +403,7 @@ describe("Math Oracle Tokenizer", () => {
       });
 
       test("negative decimals", () => {
-        const tokens = tokenize("-3.14 -.5");
+        const tokens = tokenize("-3.14, -.5");
         expect(tokens).toEqual(
           withEnd([
             {
@@ -410,7 +412,8 @@ describe("Math Oracle Tokenizer", () => {
               value: "-3.14",
               pos: [0, 0, 5],
             },
-            { type: "Number", original: " -.5", value: "-.5", pos: [5, 6, 9] },
+            { type: "Symbol", original: ",", value: ",", pos: [5, 5, 6] },
+            { type: "Number", original: " -.5", value: "-.5", pos: [6, 7, 10] },
           ]),
         );
       });
@@ -453,7 +456,7 @@ describe("Math Oracle Tokenizer", () => {
       });
 
       test("negative repeating decimals", () => {
-        const tokens = tokenize("-0.12#45 -7#3");
+        const tokens = tokenize("-0.12#45, -7#3");
         expect(tokens).toEqual(
           withEnd([
             {
@@ -462,11 +465,12 @@ describe("Math Oracle Tokenizer", () => {
               value: "-0.12#45",
               pos: [0, 0, 8],
             },
+            { type: "Symbol", original: ",", value: ",", pos: [8, 8, 9] },
             {
               type: "Number",
               original: " -7#3",
               value: "-7#3",
-              pos: [8, 9, 13],
+              pos: [9, 10, 14],
             },
           ]),
         );
@@ -491,15 +495,16 @@ describe("Math Oracle Tokenizer", () => {
       });
 
       test("negative rationals", () => {
-        const tokens = tokenize("-3/4 -1/2");
+        const tokens = tokenize("-3/4, -1/2");
         expect(tokens).toEqual(
           withEnd([
             { type: "Number", original: "-3/4", value: "-3/4", pos: [0, 0, 4] },
+            { type: "Symbol", original: ",", value: ",", pos: [4, 4, 5] },
             {
               type: "Number",
               original: " -1/2",
               value: "-1/2",
-              pos: [4, 5, 9],
+              pos: [5, 6, 10],
             },
           ]),
         );
@@ -539,7 +544,7 @@ describe("Math Oracle Tokenizer", () => {
       });
 
       test("negative mixed numbers", () => {
-        const tokens = tokenize("-1..3/4 -2..1/8");
+        const tokens = tokenize("-1..3/4, -2..1/8");
         expect(tokens).toEqual(
           withEnd([
             {
@@ -548,11 +553,12 @@ describe("Math Oracle Tokenizer", () => {
               value: "-1..3/4",
               pos: [0, 0, 7],
             },
+            { type: "Symbol", original: ",", value: ",", pos: [7, 7, 8] },
             {
               type: "Number",
               original: " -2..1/8",
               value: "-2..1/8",
-              pos: [7, 8, 15],
+              pos: [8, 9, 16],
             },
           ]),
         );
@@ -596,7 +602,7 @@ describe("Math Oracle Tokenizer", () => {
       });
 
       test("negative intervals", () => {
-        const tokens = tokenize("-5:-2 -1.5:3.7");
+        const tokens = tokenize("-5:-2, -1.5:3.7");
         expect(tokens).toEqual(
           withEnd([
             {
@@ -605,11 +611,12 @@ describe("Math Oracle Tokenizer", () => {
               value: "-5:-2",
               pos: [0, 0, 5],
             },
+            { type: "Symbol", original: ",", value: ",", pos: [5, 5, 6] },
             {
               type: "Number",
               original: " -1.5:3.7",
               value: "-1.5:3.7",
-              pos: [5, 6, 14],
+              pos: [6, 7, 15],
             },
           ]),
         );
@@ -639,15 +646,16 @@ describe("Math Oracle Tokenizer", () => {
       });
 
       test("negative scientific notation", () => {
-        const tokens = tokenize("-1e5 -3.14e-2");
+        const tokens = tokenize("-1e5, -3.14e-2");
         expect(tokens).toEqual(
           withEnd([
             { type: "Number", original: "-1e5", value: "-1e5", pos: [0, 0, 4] },
+            { type: "Symbol", original: ",", value: ",", pos: [4, 4, 5] },
             {
               type: "Number",
               original: " -3.14e-2",
               value: "-3.14e-2",
-              pos: [4, 5, 13],
+              pos: [5, 6, 14],
             },
           ]),
         );
@@ -709,12 +717,9 @@ describe("Math Oracle Tokenizer", () => {
               pos: [3, 3, 4],
             },
             { type: "Symbol", original: "}", value: "}", pos: [4, 4, 5] },
-            {
-              type: "Number",
-              original: " -5",
-              value: "-5",
-              pos: [5, 6, 8],
-            },
+            // After an operand "-" is subtraction: 2i - 5j + ...
+            { type: "Symbol", original: " -", value: "-", pos: [5, 6, 7] },
+            { type: "Number", original: "5", value: "5", pos: [7, 7, 8] },
             { type: "Symbol", original: "~{", value: "~{", pos: [8, 8, 10] },
             {
               type: "Identifier",
@@ -803,6 +808,124 @@ describe("Math Oracle Tokenizer", () => {
         );
       });
     });
+
+    describe("negative literals and subtraction", () => {
+      // One literal of every format in design/numberspec.txt
+      const literals = [
+        "42",
+        "3.14",
+        ".5",
+        "0.12#45",
+        "7#3",
+        "3/4",
+        "1..3/4",
+        "2:5",
+        "3/4:1.23#56",
+        "1.23E-2",
+        "1.23[56:67]",
+      ];
+      const values = (input) =>
+        tokenize(input)
+          .filter((token) => token.type !== "End")
+          .map((token) => [token.type, token.value]);
+
+      test("minus after an operand is subtraction", () => {
+        literals.forEach((literal) => {
+          expect(values(`x-${literal}`)).toEqual([
+            ["Identifier", "x"],
+            ["Symbol", "-"],
+            ["Number", literal],
+          ]);
+          expect(values(`1 -${literal}`)).toEqual([
+            ["Number", "1"],
+            ["Symbol", "-"],
+            ["Number", literal],
+          ]);
+        });
+      });
+
+      test("minus elsewhere starts a negative literal", () => {
+        literals.forEach((literal) => {
+          expect(values(`-${literal}`)).toEqual([["Number", `-${literal}`]]);
+          expect(values(`x:=-${literal}`)).toEqual([
+            ["Identifier", "x"],
+            ["Symbol", ":="],
+            ["Number", `-${literal}`],
+          ]);
+          expect(values(`(-${literal}`)).toEqual([
+            ["Symbol", "("],
+            ["Number", `-${literal}`],
+          ]);
+        });
+        expect(values("x - -1")).toEqual([
+          ["Identifier", "x"],
+          ["Symbol", "-"],
+          ["Number", "-1"],
+        ]);
+      });
+
+      test("operands ending in a closer, string or placeholder", () => {
+        expect(values("f(2)-3")).toContainEqual(["Symbol", "-"]);
+        expect(values("a[1]-3")).toContainEqual(["Symbol", "-"]);
+        expect(values("{a}-3")).toContainEqual(["Symbol", "-"]);
+        expect(values('"s"-3')).toContainEqual(["Symbol", "-"]);
+        expect(values("_1-3")).toContainEqual(["Symbol", "-"]);
+        // Comments are skipped when looking back for an operand
+        expect(values("x /* c */ -1")).toContainEqual(["Symbol", "-"]);
+      });
+
+      test("derivative quotes and postfix operators end an operand", () => {
+        expect(values("f'-1")).toEqual([
+          ["Identifier", "f"],
+          ["Symbol", "'"],
+          ["Symbol", "-"],
+          ["Number", "1"],
+        ]);
+        expect(values("x''-1")).toContainEqual(["Symbol", "-"]);
+        const isPostfix = (value) => ["!", "FACT"].includes(value);
+        const postfixValues = (input) =>
+          tokenize(input, { operators: ["!"], isKeyword: isPostfix, isPostfix })
+            .filter((token) => token.type !== "End")
+            .map((token) => [token.type, token.value]);
+        expect(postfixValues("n!-1")).toEqual([
+          ["Identifier", "n"],
+          ["Symbol", "!"],
+          ["Symbol", "-"],
+          ["Number", "1"],
+        ]);
+        expect(postfixValues("n FACT -1")).toContainEqual(["Symbol", "-"]);
+        expect(values("n!-1")).toContainEqual(["Number", "-1"]);
+      });
+
+      test("keyword and operator words don't end an operand", () => {
+        const isKeyword = (name) => ["NOT", "RETURN", "TO"].includes(name);
+        const keywordValues = (input) =>
+          tokenize(input, { isKeyword })
+            .filter((token) => token.type !== "End")
+            .map((token) => [token.type, token.value]);
+        expect(keywordValues("NOT -1")).toEqual([
+          ["Identifier", "NOT"],
+          ["Number", "-1"],
+        ]);
+        expect(keywordValues("RETURN -1")).toContainEqual(["Number", "-1"]);
+        expect(keywordValues("1 TO -1")).toContainEqual(["Number", "-1"]);
+        // Other System names are values
+        expect(keywordValues("PI -1")).toContainEqual(["Symbol", "-"]);
+        // Without the option every identifier ends an operand
+        expect(values("NOT -1")).toContainEqual(["Symbol", "-"]);
+      });
+
+      test("negative interval endpoints stay inside the literal", () => {
+        expect(values("-5:-2")).toEqual([["Number", "-5:-2"]]);
+        expect(values("a:b-1")).toEqual([
+          ["Identifier", "a"],
+          ["Symbol", ":"],
+          ["Identifier", "b"],
+          ["Symbol", "-"],
+          ["Number", "1"],
+        ]);
+      });
+    });
   });
 
   describe("String tokens", () => {
@@ -1054,6 +1177,17 @@ describe("Math Oracle Tokenizer", () => {
         );
       });
 
+      test("line comment on a later line does not swallow earlier code", () => {
+        const tokens = tokenize("x;\n# note");
+        expect(tokens.map((t) => t.type)).toEqual([
+          "Identifier",
+          "Symbol",
+          "String",
+          "End",
+        ]);
+        expect(tokens[2].value).toBe(" note");
+      });
+
       test("block comments", () => {
         const tokens = tokenize("/* simple block */ /** doc comment **/");
         expect(tokens).toEqual(
@@ -1228,6 +1362,25 @@ describe("Math Oracle Tokenizer", () => {
         );
       });
 
+      test("scoped assignment after an @ chain", () => {
+        const tokens = tokenize("@@x:@=1");
+        expect(tokens).toEqual(
+          withEnd([
+            { type: "Symbol", original: "@", value: "@", pos: [0, 0, 1] },
+            { type: "Symbol", original: "@", value: "@", pos: [1, 1, 2] },
+            {
+              type: "Identifier",
+              original: "x",
+              value: "x",
+              kind: "User",
+              pos: [2, 2, 3],
+            },
+            { type: "Symbol", original: ":@=", value: ":@=", pos: [3, 3, 6] },
+            { type: "Number", original: "1", value: "1", pos: [6, 6, 7] },
+          ]),
+        );
+      });
+
       test("boolean operators", () => {
         const tokens = tokenize("?<= ?>= ?< ?> ?=");
         expect(tokens).toEqual(
@@ -0,0 +1,122 @@
+import { describe, test, expect } from "bun:test";
+import { readFileSync, readdirSync } from "fs";
+import { parse, validateAst, AST_SCHEMA, VISITOR_KEYS } from "../index.js";
+import { SystemLoader } from "../src/system-loader.js";
+import {
+  generateDeclarations,
+  generateJsonSchema,
+} from "../scripts/generate-types.js";
+
+const SAMPLE = `
+# Every construct the parser knows
+x := -3 + 2 * y ^ 2; a ?? b ?: c; a.b; a[1]; _1 + __2 + _;
+"text"; \`P(x): x^2\`; \`plain\`;
+(1); (1, 2); (a,); [1, 2]; [1, 2; 3, 4]; [1;; 2]; [x, k := 1];
+{1, 2}; {a := 1, b := 2}; {x :=: 1; y :>: 2}; {{ t := 1; t }};
+[1 |+ 2 |* 3 |: f |? g |^ 10]; [|^: 5];
+f(a, b; k := 2); (f + g)(x); f@(3); f?(x); 3~[m/s]; 2~{i};
+f''[x, y](1, 2); 'g(a, b); ''h;
+f(x, y := 2 ? y > 0; n := 3) :-> x + y; k :-> 1; (x, y) -> x * y;
+(x ? x > 0) -> x; (x := 1;) -> x;
+g :=> [(x ? x < 0) -> -x, (x) -> x]; h :=> [[(x) -> x + n], n := 4];
+a |> f; a ||> f(_1); a |>> f; a |>? f; a |>: f;
+1:10 :+ 2; 1:10 :: 5; 1:10 :/: 3; 1:10 :~ 2; 1:10 :~/ 2; 1:10 :% 3;
+1:10 :/% 3; 1 ::+ 2;
+/* block comment */
+`;
+
+function errorsOf(ast) {
+  return validateAst(ast).errors;
+}
+
+describe("AST schema validation", () => {
+  test("parser output matches the schema", () => {
+    const ast = parse(SAMPLE);
+    expect(errorsOf(ast)).toEqual([]);
+    expect(validateAst(ast).valid).toBe(true);
+  });
+
+  test("located and recovered ASTs match the schema", () => {
+    expect(errorsOf(parse(SAMPLE, undefined, { locations: true }))).toEqual([]);
+    const { ast } = parse("a := (1 + ; b := 2;", undefined, {
+      recover: true,
+    });
+    expect(ast.map((node) => node.type)).toContain("Error");
+    expect(errorsOf(ast)).toEqual([]);
+  });
+
+  test("system identifiers and custom operators match the schema", () => {
+    const loader = new SystemLoader();
+    loader.registerOperator("<+>", { type: "operator", precedence: 50 });
+    const lookup = loader.createParserLookup();
+    expect(errorsOf(parse("SIN(x) <+> PI;", lookup))).toEqual([]);
+  });
+
+  test("function definitions always carry conditionals", () => {
+    const [plain, called] = parse("f :-> 1; g(x) :-> x;");
+    expect(plain.expression.parameters.conditionals).toEqual([]);
+    expect(called.expression.parameters.conditionals).toEqual([]);
+  });
+
+  test("reports drift with the path to the offending value", () => {
+    const [statement] = parse("f(x) :-> x + 1;");
+    const drifted = structuredClone(statement);
+    delete drifted.expression.parameters.conditionals;
+    drifted.expression.body.right.value = 1;
+    drifted.expression.body.left.extra = true;
+
+    expect(errorsOf(drifted)).toEqual([
+      {
+        path: ["expression", "parameters"],
+        message: 'missing property "conditionals"',
+      },
+      {
+        path: ["expression", "body", "left"],
+        message: 'unexpected property "extra" on UserIdentifier',
+      },
+      {
+        path: ["expression", "body", "right", "value"],
+        message: "expected string, got integer",
+      },
+    ]);
+  });
+
+  test("rejects unknown node types", () => {
+    expect(errorsOf({ type: "Mystery" })).toEqual([
+      { path: [], message: 'unknown node type "Mystery"' },
+    ]);
+    expect(errorsOf([{ type: "Number", format: "integer" }])).toEqual([
+      { path: [0], message: 'missing property "value"' },
+    ]);
+  });
+
+  test("the schema and the visitor know the same node types", () => {
+    const nodeTypes = AST_SCHEMA.$defs.Node.oneOf.map((ref) =>
+      ref.$ref.replace("#/$defs/", ""),
+    );
+    const visitorTypes = Object.keys(VISITOR_KEYS).filter(
+      (type) => type !== "equally_spaced",
+    );
+    expect(nodeTypes.sort()).toEqual(visitorTypes.sort());
+  });
+
+  test("generated declarations and JSON schema are up to date", () => {
+    const read = (path) =>
+      readFileSync(new URL(`../${path}`, import.meta.url), "utf8");
+    expect(read("types/ast.d.ts")).toBe(generateDeclarations());
+    expect(read("schema/ast.schema.json")).toBe(generateJsonSchema());
+  });
+
+  test("declarations import each other with file extensions", () => {
+    // Required under moduleResolution node16 and nodenext
+    const types = new URL("../types/", import.meta.url);
+    for (const file of readdirSync(types)) {
+      const source = readFileSync(new URL(file, types), "utf8");
+      for (const [, path] of source.matchAll(
+        /(?:from |import\()"(\.[^"]*)"/g,
+      )) {
+        expect(path).toEndWith(".js");
+      }
+    }
+  });
+});
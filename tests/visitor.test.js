@@ -0,0 +1,166 @@
+import { describe, test, expect } from "bun:test";
+import {
+  parse,
+  format,
+  visit,
+  transform,
+  getChildNodes,
+  VISITOR_KEYS,
+  SKIP,
+  REMOVE,
+} from "../index.js";
+
+function types(ast) {
+  const seen = [];
+  visit(ast, { enter: (node) => seen.push(node.type) });
+  return seen;
+}
+
+describe("AST visitor", () => {
+  test("visits every node depth-first in source order", () => {
+    expect(types(parse("x := a + 1;"))).toEqual([
+      "Statement",
+      "BinaryOperation",
+      "UserIdentifier",
+      "BinaryOperation",
+      "UserIdentifier",
+      "Number",
+    ]);
+  });
+
+  test("reaches arguments, matrix rows, metadata and parameters", () => {
+    const names = [];
+    const ast = parse(
+      "f(a; k := b); [c, d; e, g]; [h, meta := i]; p(x := j) :-> x; 3~[m] + 'q(r);",
+    );
+    visit(ast, { UserIdentifier: (node) => names.push(node.name) });
+    expect(names).toEqual([
+      "f",
+      "a",
+      "b",
+      "c",
+      "d",
+      "e",
+      "g",
+      "h",
+      "i",
+      "p",
+      "j",
+      "x",
+      "q",
+      "r",
+    ]);
+  });
+
+  test("enter and leave hooks with parent and path info", () => {
+    const events = [];
+    visit(parse("f(1, 2);"), {
+      Number: {
+        enter(node, info) {
+          events.push(["enter", node.value, info.parent.type, info.path]);
+        },
+        leave(node, info) {
+          events.push(["leave", node.value, info.key]);
+        },
+      },
+    });
+    expect(events).toEqual([
+      [
+        "enter",
+        "1",
+        "FunctionCall",
+        [0, "expression", "arguments", "positional", 0],
+      ],
+      ["leave", "1", 0],
+      [
+        "enter",
+        "2",
+        "FunctionCall",
+        [0, "expression", "arguments", "positional", 1],
+      ],
+      ["leave", "2", 1],
+    ]);
+  });
+
+  test("returning SKIP leaves children unvisited", () => {
+    const seen = [];
+    visit(parse("f(a) + b;"), {
+      enter(node) {
+        seen.push(node.type);
+        if (node.type === "FunctionCall") {
+          return SKIP;
+        }
+      },
+    });
+    expect(seen).toEqual([
+      "Statement",
+      "BinaryOperation",
+      "FunctionCall",
+      "UserIdentifier",
+    ]);
+  });
+
+  test("throws on unknown node types", () => {
+    expect(() => visit({ type: "Mystery" }, {})).toThrow(
+      "Unknown node type: Mystery",
+    );
+    expect(() => getChildNodes({ type: "Mystery" })).toThrow();
+  });
+
+  test("child keys are exported per node type", () => {
+    expect(VISITOR_KEYS.BinaryOperation).toEqual(["left", "right"]);
+    expect(getChildNodes(parse("f(a; k := b);")[0].expression)).toHaveLength(3);
+  });
+});
+
+describe("AST transform", () => {
+  test("replaces nodes without mutating the input", () => {
+    const ast = parse("x := a + a;");
+    const renamed = transform(ast, {
+      UserIdentifier(node) {
+        if (node.name === "a") {
+          return { ...node, name: "b" };
+        }
+      },
+    });
+    expect(format(renamed)).toBe("x := b + b;");
+    expect(format(ast)).toBe("x := a + a;");
+    // Untouched subtrees are shared
+    expect(renamed[0].expression.left).toBe(ast[0].expression.left);
+  });
+
+  test("leave hooks see transformed children", () => {
+    const folded = transform(parse("1 + 2 * 3;"), {
+      BinaryOperation: {
+        leave(node) {
+          if (node.left.type === "Number" && node.right.type === "Number") {
+            const a = Number(node.left.value);
+            const b = Number(node.right.value);
+            const value = node.operator === "+" ? a + b : a * b;
+            return { type: "Number", value: String(value) };
+          }
+        },
+      },
+    });
+    expect(folded[0].expression).toEqual({ type: "Number", value: "7" });
+  });
+
+  test("REMOVE deletes from arrays and keyword maps", () => {
+    const ast = parse("[1, 2, 3]; f(a; k := 1, m := 2);");
+    const result = transform(ast, {
+      Number(node, info) {
+        if (node.value === "2" || info.key === "m") {
+          return REMOVE;
+        }
+      },
+    });
+    expect(format(result)).toBe("[1, 3];\nf(a; k := 1);");
+  });
+
+  test("REMOVE in a single-node slot leaves null", () => {
+    const result = transform(parse("-x;"), {
+      UserIdentifier: () => REMOVE,
+    });
+    expect(result[0].expression.operand).toBeNull();
+  });
+});
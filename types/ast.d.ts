@@ -0,0 +1,793 @@
+// Generated by scripts/generate-types.js from src/ast-schema.js.
+// Do not edit by hand.
+
+/** Numeric literal, kept as source text; decodeNumber gives its value */
+export interface NumberNode {
+  type: "Number";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  value: string;
+  format: "decimal-uncertainty" | "interval" | "scientific" | "mixed" | "repeating" | "rational" | "decimal" | "integer";
+}
+
+/** Quoted string literal */
+export interface StringNode {
+  type: "String";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  value: string;
+  kind: "quote" | "comment";
+}
+
+/** Lowercase-initial name */
+export interface UserIdentifierNode {
+  type: "UserIdentifier";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  name: string;
+}
+
+/** Capital-initial name with its system lookup result */
+export interface SystemIdentifierNode {
+  type: "SystemIdentifier";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  name: string;
+  systemInfo: { [key: string]: unknown };
+}
+
+/** Positional placeholder _1, __2 */
+export interface PlaceHolderNode {
+  type: "PlaceHolder";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  place: number;
+}
+
+/** The _ null literal */
+export interface NULLNode {
+  type: "NULL";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+}
+
+/** Line or block comment statement */
+export interface CommentNode {
+  type: "Comment";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  value: string;
+  kind: "comment";
+}
+
+/** Backtick literal; language is RiX-String for plain text */
+export interface EmbeddedLanguageNode {
+  type: "EmbeddedLanguage";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  language: string | null;
+  context: string | null;
+  body: string;
+}
+
+/** Backtick string with ${...} expressions; parts alternate text and expressions, starting and ending with text */
+export interface InterpolatedStringNode {
+  type: "InterpolatedString";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  parts: (string | Node)[];
+}
+
+/** @x (depth 1), @@x (depth 2), ...: variable x that many scopes out */
+export interface ScopedIdentifierNode {
+  type: "ScopedIdentifier";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  name: string;
+  depth: number;
+}
+
+/** Unparseable statement, produced only in recover mode */
+export interface ErrorNode {
+  type: "Error";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  message: string;
+}
+
+/** Top-level expression statement */
+export interface StatementNode {
+  type: "Statement";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  expression: Node;
+}
+
+/** Infix operator; implicit marks multiplication by juxtaposition */
+export interface BinaryOperationNode {
+  type: "BinaryOperation";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  operator: string;
+  left: Node;
+  right: Node;
+  implicit?: boolean;
+}
+
+/** @x :@= value: assignment in the scope of its ScopedIdentifier target */
+export interface ScopedAssignmentNode {
+  type: "ScopedAssignment";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  target: Node;
+  value: Node;
+}
+
+/** Prefix operator, or postfix when postfix is true */
+export interface UnaryOperationNode {
+  type: "UnaryOperation";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  operator: string;
+  operand: Node;
+  postfix?: boolean;
+}
+
+/** Operator registered through the system lookup */
+export interface CustomOperationNode {
+  type: "CustomOperation";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  operator: string;
+  operatorType: "prefix" | "infix" | "postfix";
+  registry: string;
+  left?: Node;
+  right?: Node;
+  operand?: Node;
+}
+
+/** cond ?? a ?: b */
+export interface TernaryOperationNode {
+  type: "TernaryOperation";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  condition: Node;
+  trueExpression: Node;
+  falseExpression: Node;
+}
+
+/** Parenthesized expression */
+export interface GroupingNode {
+  type: "Grouping";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  expression: Node;
+}
+
+/** Parenthesized parameter list containing a semicolon */
+export interface ParameterListNode {
+  type: "ParameterList";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  parameters: Parameters;
+}
+
+/** Parenthesized comma list */
+export interface TupleNode {
+  type: "Tuple";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  elements: Node[];
+}
+
+/** Square-bracket list */
+export interface ArrayNode {
+  type: "Array";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  elements: Node[];
+}
+
+/** Array rows separated by single semicolons */
+export interface MatrixNode {
+  type: "Matrix";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  rows: Node[][];
+}
+
+/** Array with ;; or deeper separators */
+export interface TensorNode {
+  type: "Tensor";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  structure: TensorRow[];
+  maxDimension: number;
+}
+
+/** Array holding key := value metadata */
+export interface WithMetadataNode {
+  type: "WithMetadata";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  primary: Node;
+  metadata: { [key: string]: Node };
+}
+
+/** Brace container of values */
+export interface SetLiteralNode {
+  type: "SetLiteral";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  elements: Node[];
+}
+
+/** Brace container of key := value pairs */
+export interface MapLiteralNode {
+  type: "MapLiteral";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  elements: Node[];
+}
+
+/** Brace container of :=:, :<: ... equations */
+export interface EquationSystemNode {
+  type: "EquationSystem";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  elements: Node[];
+}
+
+/** {{ statements }} */
+export interface CodeBlockNode {
+  type: "CodeBlock";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  statements: Node[];
+}
+
+/** IF, WHILE, FOR, REPEAT and the BREAK, CONTINUE and RETURN jumps; structure says which fields are set. functionalOrigin marks the WHILE(condition, body) form */
+export interface ControlStructureNode {
+  type: "ControlStructure";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  keyword: string;
+  structure: "conditional" | "while_loop" | "for_loop" | "for_each" | "repeat_loop" | "break" | "continue" | "return";
+  condition?: Node;
+  thenBranch?: Node;
+  elseBranch?: Node;
+  init?: Node;
+  increment?: Node;
+  variable?: string;
+  source?: Node;
+  body?: Node;
+  value?: Node;
+  elseKeyword?: string;
+  inKeyword?: string;
+  toKeyword?: string;
+  untilKeyword?: string;
+  functionalOrigin?: boolean;
+}
+
+/** [expression FOR x IN source IF condition] (array) or the { } set form */
+export interface ComprehensionNode {
+  type: "Comprehension";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  container: "array" | "set";
+  expression: Node;
+  clauses: ComprehensionClause[];
+}
+
+/** FOR variable IN source clause; keywords keep their source spelling */
+export interface ComprehensionBindingNode {
+  type: "ComprehensionBinding";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  keyword: string;
+  variable: string;
+  inKeyword: string;
+  source: Node;
+}
+
+/** IF condition clause */
+export interface ComprehensionFilterNode {
+  type: "ComprehensionFilter";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  keyword: string;
+  condition: Node;
+}
+
+/** Start value followed by |+ |* |: |? |^ |^: steps */
+export interface GeneratorChainNode {
+  type: "GeneratorChain";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  start: Node | null;
+  operators: GeneratorStep[];
+}
+
+/** |+ step */
+export interface GeneratorAddNode {
+  type: "GeneratorAdd";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  operator: string;
+  operand: Node;
+}
+
+/** |* step */
+export interface GeneratorMultiplyNode {
+  type: "GeneratorMultiply";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  operator: string;
+  operand: Node;
+}
+
+/** |: step */
+export interface GeneratorFunctionNode {
+  type: "GeneratorFunction";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  operator: string;
+  operand: Node;
+}
+
+/** |? step */
+export interface GeneratorFilterNode {
+  type: "GeneratorFilter";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  operator: string;
+  operand: Node;
+}
+
+/** |^ step */
+export interface GeneratorLimitNode {
+  type: "GeneratorLimit";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  operator: string;
+  operand: Node;
+}
+
+/** |^: step */
+export interface GeneratorLazyLimitNode {
+  type: "GeneratorLazyLimit";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  operator: string;
+  operand: Node;
+}
+
+/** Call of an identifier */
+export interface FunctionCallNode {
+  type: "FunctionCall";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  function: Node;
+  arguments: Arguments;
+}
+
+/** Call of any other expression */
+export interface CallNode {
+  type: "Call";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  target: Node;
+  arguments: Arguments;
+}
+
+/** a.b or a[i] */
+export interface PropertyAccessNode {
+  type: "PropertyAccess";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  object: Node;
+  property: Node;
+}
+
+/** x@(arg) */
+export interface AtNode {
+  type: "At";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  target: Node;
+  arg: Node;
+}
+
+/** x?(arg) */
+export interface AskNode {
+  type: "Ask";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  target: Node;
+  arg: Node;
+}
+
+/** x~[unit] */
+export interface ScientificUnitNode {
+  type: "ScientificUnit";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  target: Node;
+  unit: string;
+}
+
+/** x~{unit} */
+export interface MathematicalUnitNode {
+  type: "MathematicalUnit";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  target: Node;
+  unit: string;
+}
+
+/** f'[x](...) */
+export interface DerivativeNode {
+  type: "Derivative";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  function: Node;
+  order: number;
+  variables: CalculusVariable[] | null;
+  evaluation: Node[] | null;
+  operations: Node[] | null;
+}
+
+/** 'f[x](...) */
+export interface IntegralNode {
+  type: "Integral";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  function: Node;
+  order: number;
+  variables: CalculusVariable[] | null;
+  evaluation: Node[] | null;
+  operations: Node[] | null;
+  metadata: {
+    integrationConstant: string;
+    defaultValue: number;
+  };
+}
+
+/** (params) -> body */
+export interface FunctionLambdaNode {
+  type: "FunctionLambda";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  parameters: Parameters;
+  body: Node;
+}
+
+/** f(params) :-> body */
+export interface FunctionDefinitionNode {
+  type: "FunctionDefinition";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  name: Node;
+  parameters: Parameters;
+  body: Node;
+}
+
+/** f :=> [patterns] */
+export interface PatternMatchingFunctionNode {
+  type: "PatternMatchingFunction";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  name: Node;
+  parameters: Parameters;
+  patterns: Pattern[];
+  metadata: { [key: string]: Node };
+}
+
+/** a |> f */
+export interface PipeNode {
+  type: "Pipe";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  left: Node;
+  right: Node;
+}
+
+/** a ||> f(_1) */
+export interface ExplicitPipeNode {
+  type: "ExplicitPipe";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  left: Node;
+  right: Node;
+}
+
+/** a |>> f */
+export interface PipeMapNode {
+  type: "PipeMap";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  left: Node;
+  right: Node;
+}
+
+/** a |>? f */
+export interface PipeFilterNode {
+  type: "PipeFilter";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  left: Node;
+  right: Node;
+}
+
+/** a |>: f */
+export interface PipeReduceNode {
+  type: "PipeReduce";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  left: Node;
+  right: Node;
+}
+
+/** a:b :+ n */
+export interface IntervalSteppingNode {
+  type: "IntervalStepping";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  interval: Node;
+  step: Node;
+}
+
+/** a:b :: n (the type is reported as equally_spaced) */
+export interface IntervalDivisionNode {
+  type: "IntervalDivision" | "equally_spaced";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  interval: Node;
+  count: Node;
+}
+
+/** a:b :/: n */
+export interface IntervalPartitionNode {
+  type: "IntervalPartition";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  interval: Node;
+  count: Node;
+}
+
+/** a:b :~ n */
+export interface IntervalMediantsNode {
+  type: "IntervalMediants";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  interval: Node;
+  levels: Node;
+}
+
+/** a:b :~/ n */
+export interface IntervalMediantPartitionNode {
+  type: "IntervalMediantPartition";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  interval: Node;
+  levels: Node;
+}
+
+/** a:b :% n */
+export interface IntervalRandomNode {
+  type: "IntervalRandom";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  interval: Node;
+  parameters: Node;
+}
+
+/** a:b :/% n */
+export interface IntervalRandomPartitionNode {
+  type: "IntervalRandomPartition";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  interval: Node;
+  count: Node;
+}
+
+/** a ::+ step */
+export interface InfiniteSequenceNode {
+  type: "InfiniteSequence";
+  pos?: Position;
+  original?: string;
+  loc?: SourceSpan;
+  start: Node;
+  step: Node;
+}
+
+/** parse() result: one node per statement */
+export type Program = Node[];
+
+/** Any AST node, discriminated by type */
+export type Node = NumberNode | StringNode | UserIdentifierNode | SystemIdentifierNode | PlaceHolderNode | NULLNode | CommentNode | EmbeddedLanguageNode | InterpolatedStringNode | ScopedIdentifierNode | ErrorNode | StatementNode | BinaryOperationNode | ScopedAssignmentNode | UnaryOperationNode | CustomOperationNode | TernaryOperationNode | GroupingNode | ParameterListNode | TupleNode | ArrayNode | MatrixNode | TensorNode | WithMetadataNode | SetLiteralNode | MapLiteralNode | EquationSystemNode | CodeBlockNode | ControlStructureNode | ComprehensionNode | ComprehensionBindingNode | ComprehensionFilterNode | GeneratorChainNode | GeneratorAddNode | GeneratorMultiplyNode | GeneratorFunctionNode | GeneratorFilterNode | GeneratorLimitNode | GeneratorLazyLimitNode | FunctionCallNode | CallNode | PropertyAccessNode | AtNode | AskNode | ScientificUnitNode | MathematicalUnitNode | DerivativeNode | IntegralNode | FunctionLambdaNode | FunctionDefinitionNode | PatternMatchingFunctionNode | PipeNode | ExplicitPipeNode | PipeMapNode | PipeFilterNode | PipeReduceNode | IntervalSteppingNode | IntervalDivisionNode | IntervalPartitionNode | IntervalMediantsNode | IntervalMediantPartitionNode | IntervalRandomNode | IntervalRandomPartitionNode | InfiniteSequenceNode;
+
+/** [start incl. whitespace, value start, end] offsets */
+export type Position = [number, number, number];
+
+export interface SourcePoint {
+  line: number;
+  column: number;
+  offset: number;
+}
+
+export interface SourceSpan {
+  start: SourcePoint;
+  end: SourcePoint;
+}
+
+export interface Arguments {
+  positional: Node[];
+  keyword: { [key: string]: Node };
+}
+
+export interface Parameter {
+  name: string | null;
+  defaultValue: Node | null;
+}
+
+/** Parameter lists of functions, lambdas and patterns */
+export interface Parameters {
+  positional: Parameter[];
+  keyword: Parameter[];
+  conditionals: Node[];
+  metadata: { [key: string]: unknown };
+}
+
+export interface Pattern {
+  parameters: Parameters;
+  body: Node;
+}
+
+/** Row of a Tensor and the separator level that ends it */
+export interface TensorRow {
+  row: Node[];
+  separatorLevel: number;
+}
+
+export type GeneratorStep = GeneratorAddNode | GeneratorMultiplyNode | GeneratorFunctionNode | GeneratorFilterNode | GeneratorLimitNode | GeneratorLazyLimitNode;
+
+export type ComprehensionClause = ComprehensionBindingNode | ComprehensionFilterNode;
+
+export interface CalculusVariable {
+  name: string;
+  original: string;
+}
+
+/** Every node type name */
+export type NodeType = NodeTypeMap[keyof NodeTypeMap]["type"];
+
+export interface NodeTypeMap {
+  Number: NumberNode;
+  String: StringNode;
+  UserIdentifier: UserIdentifierNode;
+  SystemIdentifier: SystemIdentifierNode;
+  PlaceHolder: PlaceHolderNode;
+  NULL: NULLNode;
+  Comment: CommentNode;
+  EmbeddedLanguage: EmbeddedLanguageNode;
+  InterpolatedString: InterpolatedStringNode;
+  ScopedIdentifier: ScopedIdentifierNode;
+  Error: ErrorNode;
+  Statement: StatementNode;
+  BinaryOperation: BinaryOperationNode;
+  ScopedAssignment: ScopedAssignmentNode;
+  UnaryOperation: UnaryOperationNode;
+  CustomOperation: CustomOperationNode;
+  TernaryOperation: TernaryOperationNode;
+  Grouping: GroupingNode;
+  ParameterList: ParameterListNode;
+  Tuple: TupleNode;
+  Array: ArrayNode;
+  Matrix: MatrixNode;
+  Tensor: TensorNode;
+  WithMetadata: WithMetadataNode;
+  SetLiteral: SetLiteralNode;
+  MapLiteral: MapLiteralNode;
+  EquationSystem: EquationSystemNode;
+  CodeBlock: CodeBlockNode;
+  ControlStructure: ControlStructureNode;
+  Comprehension: ComprehensionNode;
+  ComprehensionBinding: ComprehensionBindingNode;
+  ComprehensionFilter: ComprehensionFilterNode;
+  GeneratorChain: GeneratorChainNode;
+  GeneratorAdd: GeneratorAddNode;
+  GeneratorMultiply: GeneratorMultiplyNode;
+  GeneratorFunction: GeneratorFunctionNode;
+  GeneratorFilter: GeneratorFilterNode;
+  GeneratorLimit: GeneratorLimitNode;
+  GeneratorLazyLimit: GeneratorLazyLimitNode;
+  FunctionCall: FunctionCallNode;
+  Call: CallNode;
+  PropertyAccess: PropertyAccessNode;
+  At: AtNode;
+  Ask: AskNode;
+  ScientificUnit: ScientificUnitNode;
+  MathematicalUnit: MathematicalUnitNode;
+  Derivative: DerivativeNode;
+  Integral: IntegralNode;
+  FunctionLambda: FunctionLambdaNode;
+  FunctionDefinition: FunctionDefinitionNode;
+  PatternMatchingFunction: PatternMatchingFunctionNode;
+  Pipe: PipeNode;
+  ExplicitPipe: ExplicitPipeNode;
+  PipeMap: PipeMapNode;
+  PipeFilter: PipeFilterNode;
+  PipeReduce: PipeReduceNode;
+  IntervalStepping: IntervalSteppingNode;
+  IntervalDivision: IntervalDivisionNode;
+  IntervalPartition: IntervalPartitionNode;
+  IntervalMediants: IntervalMediantsNode;
+  IntervalMediantPartition: IntervalMediantPartitionNode;
+  IntervalRandom: IntervalRandomNode;
+  IntervalRandomPartition: IntervalRandomPartitionNode;
+  InfiniteSequence: InfiniteSequenceNode;
+}
@@ -0,0 +1,314 @@
+import type { Node, NumberNode, Program } from "./ast.js";
+import type { Token } from "./tokenizer.js";
+import type { Diagnostic, ParseOptions, SystemLookup } from "./parser.js";
+import type { SystemLoader } from "./system-loader.js";
+
+export * from "./ast.js";
+export { tokenize } from "./tokenizer.js";
+export type { Token, TokenType, TokenizeOptions } from "./tokenizer.js";
+export { parse } from "./parser.js";
+export type {
+  Diagnostic,
+  OperatorDefinition,
+  ParseOptions,
+  RecoveredParse,
+  SystemInfo,
+  SystemLookup,
+} from "./parser.js";
+
+// errors.js
+
+export type ErrorCode =
+  | "E_SYNTAX"
+  | "E_UNEXPECTED_TOKEN"
+  | "E_UNEXPECTED_END"
+  | "E_UNCLOSED_PAREN"
+  | "E_UNCLOSED_BRACKET"
+  | "E_UNCLOSED_BRACE"
+  | "E_UNCLOSED_CODE_BLOCK"
+  | "E_DELIMITER_UNMATCHED"
+  | "E_TERNARY_INCOMPLETE"
+  | "E_INVALID_METADATA_KEY"
+  | "E_MIXED_CONTAINER"
+  | "E_INVALID_CONTAINER"
+  | "E_INVALID_PARAMETER"
+  | "E_INVALID_ARGUMENT"
+  | "E_INVALID_EMBEDDED_HEADER"
+  | "E_INVALID_UNIT"
+  | "E_INVALID_COMPREHENSION"
+  | "E_INVALID_CONTROL"
+  | "E_MISPLACED_CONTROL"
+  | "E_INVALID_SCOPE"
+  | "E_MISSING_SEPARATOR";
+
+export const ERROR_CODES: Record<ErrorCode, string>;
+
+export class RixSyntaxError extends Error {
+  name: "RixSyntaxError";
+  code: ErrorCode;
+  reason: string;
+  token: Token | null;
+  range: [number, number] | null;
+  span: import("./ast.js").SourceSpan | null;
+  expected: string[];
+  openDelimiter: {
+    value: string;
+    range: [number, number];
+    span: import("./ast.js").SourceSpan | null;
+  } | null;
+  toDiagnostic(): Diagnostic;
+}
+
+// cst.js
+
+export interface Trivia {
+  type: "Whitespace" | "Comment" | "Skipped";
+  text: string;
+}
+
+export interface CSTToken {
+  kind: "token";
+  type: Token["type"];
+  value: string | null;
+  text: string;
+  leadingTrivia: Trivia[];
+  trailingTrivia: Trivia[];
+  start: number;
+  token: Token;
+}
+
+export interface CSTNode {
+  kind: "node";
+  /** Node type, or "Program" at the root */
+  type: string;
+  node: Node | Program;
+  children: (CSTNode | CSTToken)[];
+}
+
+export function parseCST(
+  input: string,
+  systemLookup?: SystemLookup,
+  options?: Omit<ParseOptions, "recover"> & { recover?: false },
+): CSTNode;
+export function parseCST(
+  input: string,
+  systemLookup: SystemLookup | undefined,
+  options: Omit<ParseOptions, "recover"> & { recover: true },
+): { cst: CSTNode; diagnostics: Diagnostic[] };
+export function print(cst: CSTNode | CSTToken): string;
+
+// formatter.js
+
+export interface FormatOptions {
+  /** Spaces per level, or the indent string itself */
+  indent?: number | string;
+  lineWidth?: number;
+  operatorSpacing?: boolean;
+  systemLookup?: SystemLookup;
+}
+
+export function format(ast: Node | Program, options?: FormatOptions): string;
+
+// latex.js
+
+export interface LatexOptions {
+  /** "inline" (default) or "display" */
+  style?: "inline" | "display";
+  /** Wrap the result in \( \) or \[ \] */
+  delimiters?: boolean;
+  systemLookup?: SystemLookup;
+}
+
+export function toLatex(ast: Node | Program, options?: LatexOptions): string;
+
+// mathml.js
+
+export interface MathMLOptions {
+  /** "presentation" (default) for layout, "content" for meaning */
+  mode?: "presentation" | "content";
+  /** "display" gives display="block" */
+  style?: "inline" | "display";
+  systemLookup?: SystemLookup;
+}
+
+export function toMathML(ast: Node | Program, options?: MathMLOptions): string;
+
+// visitor.js
+
+export const SKIP: unique symbol;
+export const REMOVE: unique symbol;
+
+export interface VisitInfo {
+  parent: Node | null;
+  key: string | number | undefined;
+  path: (string | number)[];
+}
+
+type Hook<R> = (node: Node, info: VisitInfo) => R;
+type TypedHook<T, R> = (node: T, info: VisitInfo) => R;
+
+export type Visitors<R = void | typeof SKIP> = {
+  enter?: Hook<R>;
+  leave?: Hook<R>;
+} & {
+  [K in keyof import("./ast.js").NodeTypeMap]?:
+    | TypedHook<import("./ast.js").NodeTypeMap[K], R>
+    | {
+        enter?: TypedHook<import("./ast.js").NodeTypeMap[K], R>;
+        leave?: TypedHook<import("./ast.js").NodeTypeMap[K], R>;
+      };
+};
+
+export const VISITOR_KEYS: Record<string, string[]>;
+export function getChildNodes(node: Node): Node[];
+export function visit(ast: Node | Program, visitors: Visitors): void;
+export function transform<T extends Node | Program>(
+  ast: T,
+  visitors: Visitors<void | Node | typeof SKIP | typeof REMOVE>,
+): T | null;
+
+// validate.js
+
+export interface ValidationError {
+  path: (string | number)[];
+  message: string;
+}
+
+export const AST_SCHEMA: Record<string, unknown>;
+export function validateAst(ast: Node | Program): {
+  valid: boolean;
+  errors: ValidationError[];
+};
+
+// numbers.js
+
+export type NumberFormat = NumberNode["format"];
+
+export interface DecodedRational {
+  format: NumberFormat;
+  kind: "rational";
+  numerator: bigint;
+  /** Always positive; the fraction is in lowest terms */
+  denominator: bigint;
+}
+
+export interface DecodedInterval {
+  format: "interval" | "decimal-uncertainty";
+  kind: "interval";
+  low: DecodedRational;
+  high: DecodedRational;
+}
+
+export function decodeNumber(
+  number: string | NumberNode | Token,
+): DecodedRational | DecodedInterval;
+
+// migrate.js
+
+/**
+ * Copy of an AST with legacy node type names (Map, Set, System, Filter,
+ * Reduce) replaced by their current ones
+ */
+export function migrateAst(ast: unknown[]): Program;
+export function migrateAst(ast: object): Node;
+
+// document.js
+
+export interface DocumentOptions extends Omit<
+  ParseOptions,
+  "recover" | "source"
+> {
+  systemLookup?: SystemLookup;
+}
+
+export interface TextEdit {
+  /** Offset of the first replaced character */
+  start: number;
+  /** Offset after the last replaced character (default start) */
+  end?: number;
+  /** Replacement text (default "") */
+  text?: string;
+}
+
+export interface EditResult {
+  /** Indices in doc.ast of the re-parsed statements */
+  changed: number[];
+  /** The statements they replaced */
+  removed: Node[];
+}
+
+/**
+ * Text kept parsed across edits. doc.ast and doc.diagnostics always equal
+ * parse(doc.text, systemLookup, { ...options, recover: true })
+ */
+export class RixDocument {
+  constructor(text: string, options?: DocumentOptions);
+  text: string;
+  /** Number of edits applied */
+  version: number;
+  tokens: Token[];
+  readonly ast: Program;
+  readonly diagnostics: Diagnostic[];
+  /** Re-lex and re-parse only the statements the edit can affect */
+  applyEdit(edit: TextEdit): EditResult;
+}
+
+export function createDocument(
+  text: string,
+  options?: DocumentOptions,
+): RixDocument;
+
+// highlight.js
+
+export type HighlightCategory =
+  | "number"
+  | "interval"
+  | "unit"
+  | "placeholder"
+  | "keyword"
+  | "system-function"
+  | "constant"
+  | "function"
+  | "variable"
+  | "parameter"
+  | "string"
+  | "embedded-language"
+  | "embedded"
+  | "comment"
+  | "doc-comment"
+  | "operator"
+  | "punctuation";
+
+export const CATEGORIES: HighlightCategory[];
+
+export interface HighlightRange {
+  start: number;
+  end: number;
+  category: HighlightCategory;
+  /** The literal format of a number, e.g. "decimal" or "mixed" */
+  subtype?: string;
+}
+
+export interface RenderHtmlOptions {
+  /** Prefix of every class name (default "rix-") */
+  classPrefix?: string;
+  /** false leaves out the surrounding <pre><code> */
+  wrap?: boolean;
+}
+
+/** Classify source into ranges, one per token, in source order */
+export function classify(
+  source: string,
+  loader?: SystemLoader,
+): HighlightRange[];
+/** classify() for tokens already parsed with locations */
+export function classifyTokens(
+  tokens: Token[],
+  ast: Program,
+  loader?: SystemLoader,
+): HighlightRange[];
+export function renderHtml(
+  source: string,
+  loader?: SystemLoader,
+  options?: RenderHtmlOptions,
+): string;
@@ -0,0 +1,53 @@
+import type { ParseOptions } from "./parser.js";
+import type { SystemLoader } from "./system-loader.js";
+import type { RixDocument } from "./index.js";
+
+export const SEMANTIC_TOKEN_TYPES: string[];
+export const SEMANTIC_TOKEN_MODIFIERS: string[];
+
+/** A JSON-RPC 2.0 request, response or notification */
+export interface Message {
+  jsonrpc: "2.0";
+  id?: number | string | null;
+  method?: string;
+  params?: any;
+  result?: unknown;
+  error?: { code: number; message: string };
+}
+
+export interface LanguageServerOptions {
+  /** Called with every outgoing message */
+  send?: (message: Message) => void;
+  /** Called on the exit notification: 0 after shutdown, else 1 */
+  onExit?: (code: number) => void;
+  /** Registry for parsing, hover and semantic tokens */
+  systemLoader?: SystemLoader;
+  parseOptions?: Omit<ParseOptions, "recover" | "source" | "locations">;
+}
+
+export class RixLanguageServer {
+  constructor(options?: LanguageServerOptions);
+  systemLoader: SystemLoader;
+  documents: Map<string, { document: RixDocument; version: number }>;
+  state: "starting" | "running" | "stopping";
+  /** Handle one incoming message; replies go through send */
+  handle(message: Message): void;
+}
+
+/** Serve over a byte stream pair such as process.stdin/process.stdout */
+export function listen(
+  input: { on(event: "data", listener: (chunk: Uint8Array) => void): unknown },
+  output: { write(data: string): unknown },
+  options?: Omit<LanguageServerOptions, "send">,
+): RixLanguageServer;
+
+/** A message framed with its Content-Length header */
+export function encodeMessage(message: Message): string;
+
+/**
+ * A function to feed chunks of a framed stream to; onMessage gets the
+ * body of every complete message
+ */
+export function createMessageReader(
+  onMessage: (body: string) => void,
+): (chunk: Uint8Array | string) => void;
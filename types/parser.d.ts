@@ -0,0 +1,120 @@
+import type { ControlStructureNode, Node, Program } from "./ast.js";
+import type { Token } from "./tokenizer.js";
+
+/** Result of looking up a capital-initial identifier */
+export interface SystemInfo {
+  type: string;
+  /** Registry entry ID when the lookup comes from a SystemLoader */
+  id?: string;
+  precedence?: number;
+  associativity?: "left" | "right";
+  operatorType?: "prefix" | "infix" | "postfix";
+  [key: string]: unknown;
+}
+
+export interface OperatorDefinition {
+  precedence: number;
+  associativity?: "left" | "right";
+  operatorType?: "prefix" | "infix" | "postfix";
+  source?: string;
+  [key: string]: unknown;
+}
+
+/**
+ * Identifier lookup passed to parse(); SystemLoader.createParserLookup()
+ * adds the optional operator hooks
+ */
+export interface SystemLookup {
+  (name: string): SystemInfo;
+  lookupOperator?: (symbol: string) => OperatorDefinition | null;
+  operatorSymbols?: () => string[];
+  /** Turns a call of a control keyword into its ControlStructure */
+  transformFunctionalForm?: (
+    name: string,
+    args: Node[],
+    definition: SystemInfo,
+  ) => FunctionalFormResult;
+}
+
+/**
+ * ControlStructure for a recognised functional form, otherwise a plain
+ * call record
+ */
+export type FunctionalFormResult =
+  | ControlStructureNode
+  | {
+      type: "FunctionCall";
+      function: {
+        type: "SystemIdentifier";
+        name: string;
+        systemInfo: SystemInfo;
+      };
+      arguments: Node[];
+      functionalForm: true;
+    };
+
+export interface ParseOptions {
+  /** Collect errors as diagnostics instead of throwing */
+  recover?: boolean;
+  /** Add loc: { start, end } line/column spans to nodes */
+  locations?: boolean;
+  /** Source text, when parsing a token array with locations */
+  source?: string;
+  /** Multiply juxtaposed operands such as 3x and x y (default true) */
+  implicitMultiplication?: boolean;
+  /**
+   * What must separate top-level expressions that don't end in ";"
+   * (default "newline")
+   */
+  separators?: "semicolon" | "newline" | "any";
+  /**
+   * Emit the node type names used before PipeMap, MapLiteral, SetLiteral,
+   * EquationSystem, PipeFilter and PipeReduce were split out. Such ASTs
+   * don't match the declarations in ast.d.ts; see migrateAst
+   */
+  legacyNodeTypes?: boolean;
+}
+
+export interface Diagnostic {
+  code: string;
+  message: string;
+  severity: "error";
+  range: [number, number];
+}
+
+export interface RecoveredParse {
+  ast: Program;
+  diagnostics: Diagnostic[];
+}
+
+export interface SymbolInfo {
+  precedence: number;
+  associativity?: "left" | "right";
+  type: string;
+}
+
+export const PRECEDENCE: Record<string, number>;
+export const SYMBOL_TABLE: Record<string, SymbolInfo>;
+
+/** The tokenizer's isKeyword option for a lookup */
+export function keywordTest(
+  systemLookup?: SystemLookup,
+): ((name: string) => boolean) | undefined;
+
+/** The tokenizer's isPostfix option for a lookup */
+export function postfixTest(
+  systemLookup?: SystemLookup,
+): ((value: string) => boolean) | undefined;
+
+export function parse(
+  input: string | Token[],
+  systemLookup?: SystemLookup,
+  options?: ParseOptions & { recover?: false },
+): Program;
+export function parse(
+  input: string | Token[],
+  systemLookup: SystemLookup | undefined,
+  options: ParseOptions & { recover: true },
+): RecoveredParse;
+
+export type { Node, Program };
@@ -0,0 +1,105 @@
+import type { Node } from "./ast.js";
+import type {
+  FunctionalFormResult,
+  OperatorDefinition,
+  SystemInfo,
+  SystemLookup,
+} from "./parser.js";
+
+export interface SystemLoaderOptions {
+  allowUserOverrides?: boolean;
+  strictMode?: boolean;
+  browserIntegration?: boolean;
+  moduleLoader?: unknown;
+  [key: string]: unknown;
+}
+
+export interface SymbolDefinition {
+  type: string;
+  arity?: number;
+  precedence?: number;
+  associativity?: "left" | "right";
+  operatorType?: "prefix" | "infix" | "postfix";
+  structure?: string;
+  category?: string;
+  /** Part the keyword plays in parsed syntax, e.g. "for", "in", "while" */
+  role?: string;
+  /** Registry entry ID, e.g. "core:SIN"; set by the loader */
+  id?: string;
+  [key: string]: unknown;
+}
+
+export interface SystemContext {
+  name: string;
+  parent: SystemContext | null;
+  created: number;
+  symbols: Map<string, SymbolDefinition>;
+  operators: Map<string, OperatorDefinition>;
+}
+
+export interface SystemLoaderConfig {
+  core?: [string, SymbolDefinition][];
+  system?: [string, SymbolDefinition][];
+  keywords?: [string, SymbolDefinition][];
+  operators?: [string, OperatorDefinition][];
+  config?: SystemLoaderOptions;
+}
+
+export class SystemLoader {
+  constructor(options?: SystemLoaderOptions);
+
+  coreRegistry: Map<string, SymbolDefinition>;
+  systemRegistry: Map<string, SymbolDefinition>;
+  operatorRegistry: Map<string, OperatorDefinition>;
+  keywordRegistry: Map<string, SymbolDefinition>;
+  hooks: Map<string, ((data: unknown) => void)[]>;
+  contexts: Map<string, SystemContext>;
+  config: Required<
+    Pick<
+      SystemLoaderOptions,
+      "allowUserOverrides" | "strictMode" | "browserIntegration"
+    >
+  > &
+    SystemLoaderOptions;
+
+  registerSystem(name: string, definition: SymbolDefinition): this;
+  registerKeyword(name: string, definition: SymbolDefinition): this;
+  registerOperator(symbol: string, definition: SymbolDefinition): this;
+  registerHook(eventName: string, callback: (data: unknown) => void): this;
+  triggerHook(eventName: string, data: unknown): void;
+
+  lookup(name: string): SystemInfo;
+  lookupOperator(symbol: string): OperatorDefinition | null;
+  getOperatorSymbols(): string[];
+  getEntry(id: string): SymbolDefinition | OperatorDefinition | null;
+  getRegistry(
+    registryName: string,
+  ): Map<string, SymbolDefinition | OperatorDefinition> | null;
+  getSymbolsByCategory(
+    category: string,
+  ): (SymbolDefinition & { name: string })[];
+  createParserLookup(): SystemLookup;
+  getControlArity(name: string, definition: SymbolDefinition): number;
+  transformFunctionalForm(
+    name: string,
+    args: Node[],
+    definition?: SymbolDefinition,
+  ): FunctionalFormResult;
+
+  createContext(
+    name: string,
+    parentContext?: SystemContext | null,
+  ): SystemContext;
+  getCurrentContext(): string;
+
+  exportConfig(): SystemLoaderConfig;
+  importConfig(config: SystemLoaderConfig): void;
+}
+
+export function createWebPageSystemLoader(
+  options?: SystemLoaderOptions,
+): SystemLoader;
+export function createNodeSystemLoader(
+  options?: SystemLoaderOptions,
+): SystemLoader;
+export const defaultSystemLoader: SystemLoader;
@@ -0,0 +1,45 @@
+import type { Position, SourceSpan } from "./ast.js";
+import type { RixSyntaxError } from "./index.js";
+
+export type TokenType =
+  | "Number"
+  | "String"
+  | "Identifier"
+  | "Symbol"
+  | "PlaceHolder"
+  | "SemicolonSequence"
+  | "End";
+
+export interface Token {
+  type: TokenType;
+  /** Source text including any leading whitespace */
+  original: string;
+  value: string | null;
+  /** [start incl. whitespace, value start, end] offsets */
+  pos: Position;
+  /** Identifier: "User" (lowercase initial) or "System"; String: delimiter kind */
+  kind?: "User" | "System" | "quote" | "backtick" | "comment";
+  /** PlaceHolder: the n of _n */
+  place?: number;
+  /** SemicolonSequence: number of semicolons */
+  count?: number;
+  /** String: the closing delimiter is missing (with onError) */
+  unterminated?: boolean;
+  /** Present with { locations: true } */
+  loc?: SourceSpan;
+}
+
+export interface TokenizeOptions {
+  /** Custom operator symbols, matched longest first */
+  operators?: string[];
+  /** Whether a System name is a keyword or operator word, after which "-1" is a literal */
+  isKeyword?: (name: string) => boolean;
+  /** Whether a registered operator is postfix, after which "-" is subtraction */
+  isPostfix?: (value: string) => boolean;
+  /** Receives unterminated-delimiter errors instead of throwing */
+  onError?: (error: RixSyntaxError) => void;
+  /** Add loc: { start, end } line/column spans to tokens */
+  locations?: boolean;
+}
+
+export function tokenize(input: string, options?: TokenizeOptions): Token[];